@@ -1,8 +1,8 @@
 // config/emailConfig.js
 import nodemailer from "nodemailer";
-import env from "../config/env.js";
+import dotenv from "dotenv";
 
-env.config();
+dotenv.config();
 
 const transporter = nodemailer.createTransport({
   host: process.env.EMAIL_HOST || "smtp.gmail.com",
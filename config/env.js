@@ -16,3 +16,6 @@ export const EMAIL_PASS = process.env.EMAIL_PASS;
 
 export const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 export const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
+
+// Identity documents and other files that must never be served from /uploads
+export const PRIVATE_UPLOADS_DIR = process.env.PRIVATE_UPLOADS_DIR || "private";
@@ -0,0 +1,42 @@
+// config/matching.js
+// Weights and thresholds for provider–task matching (services/matchingService.js).
+// Each signal scores 0..1; a match score is the weighted sum scaled to 0..100.
+// Weights are normalised, so only their ratios matter. Override any of them
+// with MATCHING_WEIGHTS, e.g. MATCHING_WEIGHTS='{"location":0.4}'.
+
+const DEFAULT_WEIGHTS = {
+  category: 0.3, // task categories covered by Provider.category
+  skills: 0.1, // task words found in Provider.skills
+  location: 0.2, // same district > same region > within service radius
+  rating: 0.15, // averageRating, shrunk towards the prior for few reviews
+  availability: 0.05, // provider availability vs. the task's due date
+  responsiveness: 0.05, // responseRate
+  completions: 0.15, // completed jobs and completion ratio
+};
+
+const parseOverrides = () => {
+  if (!process.env.MATCHING_WEIGHTS) return {};
+  try {
+    return JSON.parse(process.env.MATCHING_WEIGHTS);
+  } catch {
+    console.warn("⚠️ MATCHING_WEIGHTS is not valid JSON, using default matching weights");
+    return {};
+  }
+};
+
+export const MATCHING_WEIGHTS = { ...DEFAULT_WEIGHTS, ...parseOverrides() };
+
+export const MATCHING = {
+  // Rating prior: a new provider is treated as this many reviews at this rating
+  ratingPrior: 3.5,
+  ratingPriorWeight: 3,
+  // Completed jobs at which the volume part of the completions signal maxes out
+  completionsForFullScore: 20,
+  // Location score for the same region but a different or unknown district
+  sameRegionScore: 0.6,
+  // Candidates scored per request (prefiltered by category or region)
+  candidateLimit: 300,
+  // Providers told about a newly posted task, and the score they need
+  notifyTopProviders: 5,
+  notifyMinScore: 60,
+};
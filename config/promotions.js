@@ -0,0 +1,27 @@
+// config/promotions.js
+// Price catalogue for self-serve promotions (prices in GHS)
+
+export const PROMOTION_CATALOGUE = {
+  featured_provider: {
+    label: "Featured provider on the homepage",
+    // Bought by providers for their own profile
+    buyer: "provider",
+    options: [
+      { durationDays: 7, price: 20 },
+      { durationDays: 14, price: 35 },
+      { durationDays: 30, price: 60 },
+    ],
+  },
+  urgent_task: {
+    label: "Urgent task boost",
+    // Bought by clients for one of their open tasks
+    buyer: "client",
+    options: [
+      { durationDays: 3, price: 10 },
+      { durationDays: 7, price: 20 },
+      { durationDays: 14, price: 35 },
+    ],
+  },
+};
+
+export const PROMOTION_TYPES = Object.keys(PROMOTION_CATALOGUE);
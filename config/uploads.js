@@ -0,0 +1,98 @@
+// config/uploads.js
+// Every kind of file users can upload: which storage bucket and folder it
+// goes to, how big it may be, how many per request and what file types are
+// allowed. Used by middleware/uploads.js and services/uploadService.js.
+//
+// Images are always re-encoded without their metadata (EXIF, GPS). Types with
+// `variants` also get the resized copies in IMAGE_VARIANTS, each as WebP too.
+
+const MB = 1024 * 1024;
+
+export const FILE_KINDS = {
+  image: {
+    label: "images (JPG, PNG, GIF or WebP)",
+    extensions: [".jpg", ".jpeg", ".png", ".gif", ".webp"],
+    mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+  },
+  document: {
+    label: "documents (PDF, Word or plain text)",
+    extensions: [".pdf", ".doc", ".docx", ".txt"],
+    mimeTypes: [
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "text/plain",
+    ],
+  },
+};
+
+// Bounding boxes in pixels. Thumbnails are cropped to fill theirs (square
+// listing cards); the others keep their aspect ratio. Nothing is enlarged.
+export const IMAGE_VARIANTS = {
+  thumb: { width: 320, height: 320, fit: "cover" },
+  medium: { width: 800, height: 800, fit: "inside" },
+  full: { width: 1600, height: 1600, fit: "inside" },
+};
+
+export const UPLOAD_TYPES = {
+  avatar: {
+    label: "Profile image",
+    bucket: "public",
+    folder: "avatars",
+    maxSize: 3 * MB,
+    maxFiles: 1,
+    kinds: ["image"],
+    variants: true,
+  },
+  profilePic: {
+    label: "Profile picture",
+    bucket: "public",
+    folder: "providers",
+    maxSize: 5 * MB,
+    maxFiles: 1,
+    kinds: ["image"],
+    variants: true,
+  },
+  sampleWork: {
+    label: "Work sample",
+    bucket: "public",
+    folder: "providers/samples",
+    maxSize: 10 * MB,
+    maxFiles: 10,
+    kinds: ["image", "document"],
+    variants: true,
+  },
+  servicePhoto: {
+    label: "Service photo",
+    bucket: "public",
+    folder: "providers/services",
+    maxSize: 5 * MB,
+    maxFiles: 6,
+    kinds: ["image"],
+  },
+  taskImage: {
+    label: "Task photo",
+    bucket: "private",
+    folder: "tasks",
+    maxSize: 5 * MB,
+    maxFiles: 5,
+    kinds: ["image"],
+    variants: true,
+  },
+  attachment: {
+    label: "Message attachment",
+    bucket: "private",
+    folder: "messages",
+    maxSize: 5 * MB,
+    maxFiles: 5,
+    kinds: ["image"],
+  },
+  idDocument: {
+    label: "ID document",
+    bucket: "private",
+    folder: "verifications",
+    maxSize: 8 * MB,
+    maxFiles: 1,
+    kinds: ["image"],
+  },
+};
@@ -569,4 +569,63 @@ export const serviceCategories = [
 ];
 
 // Flatten all services for backend enum
-export const allServices = serviceCategories.flatMap(group => group.services);
\ No newline at end of file
+export const allServices = serviceCategories.flatMap(group => group.services);
+
+// "Popular Jobs" / "Popular Workers" above are shortcuts for the UI, not real
+// groups. The taxonomy (services/categoryService.js) files each popular job
+// under a real group and pairs it with the worker it needs.
+export const POPULAR_GROUPS = ["Popular Jobs", "Popular Workers"];
+
+export const popularJobs = [
+  { job: "AC Repair", worker: "AC Repairer", group: "Air Conditioning & Cooling", icon: "❄️" },
+  { job: "Carpentry", worker: "Carpenter", group: "Construction & Engineering", icon: "🪚" },
+  { job: "Cleaning", worker: "Cleaner", group: "Cleaning & Maintenance", icon: "🧹" },
+  { job: "Delivery", worker: "Delivery Service", group: "Transport & Delivery", icon: "📦" },
+  { job: "Dish Installation", worker: "Dish Installer", group: "Electrical & Electronics", icon: "📡" },
+  { job: "Electrical Services", worker: "Electrician", group: "Electrical & Electronics", icon: "⚡" },
+  { job: "Fridge Repair", worker: "Fridge Repairer", group: "Air Conditioning & Cooling", icon: "🧊" },
+  { job: "Gardening", worker: "Gardener", group: "Outdoor & Landscaping", icon: "🌿" },
+  { job: "Laundry Services", worker: "Laundry", group: "Domestic & Household Support", icon: "🧺" },
+  { job: "Masonry", worker: "Mason", group: "Construction & Engineering", icon: "🧱" },
+  { job: "Plumbing", worker: "Plumber", group: "Plumbing & Water Services", icon: "🔧" },
+  { job: "TV Repair", worker: "TV Repairer", group: "Repair & Technical Services", icon: "📺" },
+];
+
+// Default icon per group; services inherit their group's icon
+export const categoryIcons = {
+  "Agriculture & Farming Services": "🌾",
+  "Air Conditioning & Cooling": "❄️",
+  "Auto & Transport Services": "🚗",
+  "Beauty & Wellness": "💄",
+  "Business & Professional Services": "💼",
+  "Cleaning & Maintenance": "🧹",
+  "Construction & Engineering": "🏗️",
+  "Domestic & Household Support": "🏠",
+  "Education & Training": "📚",
+  "Electrical & Electronics": "⚡",
+  "Entertainment Services": "🎤",
+  "Event Services": "🎉",
+  "Event & Media Services": "🎬",
+  "Fashion & Personal Services": "👗",
+  "Financial Services": "💰",
+  "Food & Catering Services": "🍲",
+  "Furniture & Interior Services": "🛋️",
+  "Health & Care Services (Non-Clinical)": "🩺",
+  "Home & Building Services": "🏡",
+  "Hospitality & Accommodation Support": "🛎️",
+  "ICT & Digital Services": "💻",
+  "Industrial & Heavy Services": "🏭",
+  "Informal & On-Demand Services": "🛠️",
+  "Manufacturing": "⚙️",
+  "Moving & Logistics": "🚚",
+  "Outdoor & Landscaping": "🌳",
+  "Pet & Animal Services": "🐾",
+  "Plumbing & Water Services": "🔧",
+  "Printing & Branding Services": "🖨️",
+  "Real Estate & Property Services": "🏘️",
+  "Repair & Technical Services": "🔨",
+  "Security & Safety": "🛡️",
+  "Transport & Delivery": "🚛",
+  "Travel & Tourism": "✈️",
+  "Water & Environmental Services": "💧",
+};
@@ -0,0 +1,334 @@
+// data/ghanaGeography.js
+// Canonical Ghana geography: the 16 regions, their main districts (MMDAs)
+// and the towns in each. IDs are stable slugs and are what gets stored on
+// records (regionId / districtId); names are what the frontend displays.
+// Aliases cover common spellings users type ("Accra", "GAR", "Brong-Ahafo").
+
+const district = (id, name, capital, towns = []) => ({
+  id,
+  name,
+  capital,
+  towns: [capital, ...towns.filter((town) => town !== capital)],
+});
+
+export const ghanaRegions = [
+  {
+    id: "ahafo",
+    name: "Ahafo",
+    capital: "Goaso",
+    aliases: [],
+    districts: [
+      district("asunafo-north", "Asunafo North Municipal", "Goaso"),
+      district("asunafo-south", "Asunafo South", "Kukuom"),
+      district("asutifi-north", "Asutifi North", "Kenyasi"),
+      district("asutifi-south", "Asutifi South", "Hwidiem"),
+      district("tano-north", "Tano North Municipal", "Duayaw Nkwanta"),
+      district("tano-south", "Tano South Municipal", "Bechem"),
+    ],
+  },
+  {
+    id: "ashanti",
+    name: "Ashanti",
+    capital: "Kumasi",
+    aliases: ["Kumasi", "Asante"],
+    districts: [
+      district("kumasi-metropolitan", "Kumasi Metropolitan", "Kumasi", ["Adum", "Bantama", "Asafo", "Kejetia"]),
+      district("asokwa", "Asokwa Municipal", "Asokwa", ["Ahinsan"]),
+      district("oforikrom", "Oforikrom Municipal", "Oforikrom", ["Ayeduase", "Ayigya"]),
+      district("kwadaso", "Kwadaso Municipal", "Kwadaso"),
+      district("suame", "Suame Municipal", "Suame"),
+      district("old-tafo", "Old Tafo Municipal", "Old Tafo"),
+      district("asokore-mampong", "Asokore Mampong Municipal", "Asokore Mampong", ["Aboabo"]),
+      district("ejisu", "Ejisu Municipal", "Ejisu"),
+      district("obuasi", "Obuasi Municipal", "Obuasi"),
+      district("bosomtwe", "Bosomtwe", "Kuntanase", ["Abono"]),
+      district("atwima-kwanwoma", "Atwima Kwanwoma", "Foase"),
+      district("atwima-nwabiagya-south", "Atwima Nwabiagya South Municipal", "Nkawie"),
+      district("afigya-kwabre-south", "Afigya Kwabre South", "Kodie"),
+      district("kwabre-east", "Kwabre East Municipal", "Mamponteng"),
+      district("mampong", "Mampong Municipal", "Mampong"),
+      district("offinso", "Offinso Municipal", "Offinso"),
+      district("ejura-sekyedumase", "Ejura Sekyedumase Municipal", "Ejura"),
+      district("bekwai", "Bekwai Municipal", "Bekwai"),
+      district("asante-akim-central", "Asante Akim Central Municipal", "Konongo", ["Odumase"]),
+    ],
+  },
+  {
+    id: "bono",
+    name: "Bono",
+    capital: "Sunyani",
+    aliases: ["Brong Ahafo", "Brong"],
+    districts: [
+      district("sunyani", "Sunyani Municipal", "Sunyani", ["Abesim"]),
+      district("sunyani-west", "Sunyani West Municipal", "Odumase"),
+      district("berekum-east", "Berekum East Municipal", "Berekum"),
+      district("dormaa-central", "Dormaa Central Municipal", "Dormaa Ahenkro"),
+      district("wenchi", "Wenchi Municipal", "Wenchi"),
+      district("jaman-south", "Jaman South Municipal", "Drobo"),
+      district("jaman-north", "Jaman North", "Sampa"),
+      district("tain", "Tain", "Nsawkaw"),
+      district("banda", "Banda", "Banda Ahenkro"),
+    ],
+  },
+  {
+    id: "bono-east",
+    name: "Bono East",
+    capital: "Techiman",
+    aliases: [],
+    districts: [
+      district("techiman", "Techiman Municipal", "Techiman"),
+      district("techiman-north", "Techiman North", "Tuobodom"),
+      district("kintampo-north", "Kintampo North Municipal", "Kintampo"),
+      district("kintampo-south", "Kintampo South", "Jema"),
+      district("nkoranza-south", "Nkoranza South Municipal", "Nkoranza"),
+      district("atebubu-amantin", "Atebubu Amantin Municipal", "Atebubu"),
+      district("pru-east", "Pru East", "Yeji"),
+      district("sene-west", "Sene West", "Kwame Danso"),
+    ],
+  },
+  {
+    id: "central",
+    name: "Central",
+    capital: "Cape Coast",
+    aliases: ["Cape Coast"],
+    districts: [
+      district("cape-coast", "Cape Coast Metropolitan", "Cape Coast"),
+      district("komenda-edina-eguafo-abirem", "Komenda Edina Eguafo Abirem Municipal", "Elmina"),
+      district("awutu-senya-east", "Awutu Senya East Municipal", "Kasoa"),
+      district("effutu", "Effutu Municipal", "Winneba"),
+      district("mfantseman", "Mfantseman Municipal", "Saltpond", ["Mankessim"]),
+      district("agona-west", "Agona West Municipal", "Agona Swedru"),
+      district("assin-central", "Assin Central Municipal", "Assin Fosu"),
+      district("twifo-atti-morkwa", "Twifo Atti Morkwa", "Twifo Praso"),
+      district("gomoa-central", "Gomoa Central", "Afransi"),
+      district("upper-denkyira-east", "Upper Denkyira East Municipal", "Dunkwa-on-Offin"),
+      district("ajumako-enyan-essiam", "Ajumako Enyan Essiam", "Ajumako"),
+      district("abura-asebu-kwamankese", "Abura Asebu Kwamankese", "Abura Dunkwa"),
+    ],
+  },
+  {
+    id: "eastern",
+    name: "Eastern",
+    capital: "Koforidua",
+    aliases: ["Koforidua"],
+    districts: [
+      district("new-juaben-south", "New Juaben South Municipal", "Koforidua"),
+      district("new-juaben-north", "New Juaben North Municipal", "Effiduase"),
+      district("nsawam-adoagyiri", "Nsawam Adoagyiri Municipal", "Nsawam"),
+      district("akuapem-north", "Akuapem North Municipal", "Akropong", ["Mamfe"]),
+      district("akuapem-south", "Akuapem South", "Aburi"),
+      district("kwahu-south", "Kwahu South", "Mpraeso"),
+      district("kwahu-west", "Kwahu West Municipal", "Nkawkaw"),
+      district("lower-manya-krobo", "Lower Manya Krobo Municipal", "Odumase Krobo"),
+      district("yilo-krobo", "Yilo Krobo Municipal", "Somanya"),
+      district("suhum", "Suhum Municipal", "Suhum"),
+      district("birim-central", "Birim Central Municipal", "Akim Oda"),
+      district("abuakwa-south", "Abuakwa South Municipal", "Kibi"),
+      district("fanteakwa-north", "Fanteakwa North", "Begoro"),
+      district("west-akim", "West Akim Municipal", "Asamankese"),
+      district("denkyembour", "Denkyembour", "Akwatia"),
+      district("asuogyaman", "Asuogyaman", "Atimpoku", ["Akosombo"]),
+    ],
+  },
+  {
+    id: "greater-accra",
+    name: "Greater Accra",
+    capital: "Accra",
+    aliases: ["Accra", "GAR", "G. Accra"],
+    districts: [
+      district("accra-metropolitan", "Accra Metropolitan", "Accra", ["Osu", "Adabraka", "Jamestown", "Kaneshie", "Dansoman", "Korle Bu", "Mamprobi"]),
+      district("tema-metropolitan", "Tema Metropolitan", "Tema", ["Tema New Town"]),
+      district("tema-west", "Tema West Municipal", "Sakumono", ["Lashibi"]),
+      district("ashaiman", "Ashaiman Municipal", "Ashaiman"),
+      district("kpone-katamanso", "Kpone Katamanso Municipal", "Kpone", ["Oyibi"]),
+      district("la-dade-kotopon", "La Dade Kotopon Municipal", "La", ["Labone", "Cantonments", "Airport Residential Area"]),
+      district("ledzokuku", "Ledzokuku Municipal", "Teshie"),
+      district("krowor", "Krowor Municipal", "Nungua"),
+      district("adentan", "Adentan Municipal", "Adenta"),
+      district("la-nkwantanang-madina", "La Nkwantanang Madina Municipal", "Madina"),
+      district("ayawaso-west", "Ayawaso West Municipal", "Dzorwulu", ["East Legon", "Roman Ridge"]),
+      district("okaikwei-north", "Okaikwei North Municipal", "Tesano", ["Achimota"]),
+      district("ga-east", "Ga East Municipal", "Abokobi", ["Dome", "Haatso", "Taifa"]),
+      district("ga-west", "Ga West Municipal", "Amasaman", ["Pokuase", "Ofankor"]),
+      district("ga-central", "Ga Central Municipal", "Sowutuom"),
+      district("ga-south", "Ga South Municipal", "Ngleshie Amanfro", ["Bortianor", "Kokrobite"]),
+      district("weija-gbawe", "Weija Gbawe Municipal", "Weija", ["Gbawe", "Mallam"]),
+      district("ningo-prampram", "Ningo Prampram", "Prampram", ["Dawhenya", "Old Ningo"]),
+      district("shai-osudoku", "Shai Osudoku", "Dodowa"),
+      district("ada-east", "Ada East", "Ada Foah"),
+      district("ada-west", "Ada West", "Sege"),
+    ],
+  },
+  {
+    id: "north-east",
+    name: "North East",
+    capital: "Nalerigu",
+    aliases: ["Northeast"],
+    districts: [
+      district("east-mamprusi", "East Mamprusi Municipal", "Gambaga", ["Nalerigu"]),
+      district("west-mamprusi", "West Mamprusi Municipal", "Walewale"),
+      district("bunkpurugu-nakpanduri", "Bunkpurugu Nakpanduri", "Bunkpurugu"),
+      district("chereponi", "Chereponi", "Chereponi"),
+      district("yunyoo-nasuan", "Yunyoo Nasuan", "Yunyoo"),
+      district("mamprugu-moagduri", "Mamprugu Moagduri", "Yagaba"),
+    ],
+  },
+  {
+    id: "northern",
+    name: "Northern",
+    capital: "Tamale",
+    aliases: ["Tamale"],
+    districts: [
+      district("tamale-metropolitan", "Tamale Metropolitan", "Tamale"),
+      district("sagnarigu", "Sagnarigu Municipal", "Sagnarigu"),
+      district("yendi", "Yendi Municipal", "Yendi"),
+      district("savelugu", "Savelugu Municipal", "Savelugu"),
+      district("tolon", "Tolon", "Tolon"),
+      district("kumbungu", "Kumbungu", "Kumbungu"),
+      district("nanumba-north", "Nanumba North Municipal", "Bimbilla"),
+      district("gushegu", "Gushegu Municipal", "Gushegu"),
+      district("karaga", "Karaga", "Karaga"),
+      district("zabzugu", "Zabzugu", "Zabzugu"),
+      district("mion", "Mion", "Sang"),
+      district("tatale-sanguli", "Tatale Sanguli", "Tatale"),
+      district("saboba", "Saboba", "Saboba"),
+    ],
+  },
+  {
+    id: "oti",
+    name: "Oti",
+    capital: "Dambai",
+    aliases: [],
+    districts: [
+      district("krachi-east", "Krachi East Municipal", "Dambai"),
+      district("krachi-west", "Krachi West", "Kete Krachi"),
+      district("krachi-nchumuru", "Krachi Nchumuru", "Chinderi"),
+      district("nkwanta-south", "Nkwanta South Municipal", "Nkwanta"),
+      district("nkwanta-north", "Nkwanta North", "Kpassa"),
+      district("biakoye", "Biakoye", "Nkonya Ahenkro"),
+      district("jasikan", "Jasikan", "Jasikan"),
+      district("kadjebi", "Kadjebi", "Kadjebi"),
+      district("guan", "Guan", "Likpe Mate"),
+    ],
+  },
+  {
+    id: "savannah",
+    name: "Savannah",
+    capital: "Damongo",
+    aliases: [],
+    districts: [
+      district("west-gonja", "West Gonja Municipal", "Damongo"),
+      district("east-gonja", "East Gonja Municipal", "Salaga"),
+      district("central-gonja", "Central Gonja", "Buipe"),
+      district("north-gonja", "North Gonja", "Daboya"),
+      district("north-east-gonja", "North East Gonja", "Kpalbe"),
+      district("bole", "Bole", "Bole"),
+      district("sawla-tuna-kalba", "Sawla Tuna Kalba", "Sawla"),
+    ],
+  },
+  {
+    id: "upper-east",
+    name: "Upper East",
+    capital: "Bolgatanga",
+    aliases: ["UER"],
+    districts: [
+      district("bolgatanga", "Bolgatanga Municipal", "Bolgatanga"),
+      district("bolgatanga-east", "Bolgatanga East", "Zuarungu"),
+      district("bawku", "Bawku Municipal", "Bawku"),
+      district("bawku-west", "Bawku West", "Zebilla"),
+      district("kassena-nankana", "Kassena Nankana Municipal", "Navrongo"),
+      district("kassena-nankana-west", "Kassena Nankana West", "Paga"),
+      district("builsa-north", "Builsa North Municipal", "Sandema"),
+      district("builsa-south", "Builsa South", "Fumbisi"),
+      district("talensi", "Talensi", "Tongo"),
+      district("nabdam", "Nabdam", "Nangodi"),
+      district("bongo", "Bongo", "Bongo"),
+      district("garu", "Garu", "Garu"),
+      district("tempane", "Tempane", "Tempane"),
+      district("pusiga", "Pusiga", "Pusiga"),
+      district("binduri", "Binduri", "Binduri"),
+    ],
+  },
+  {
+    id: "upper-west",
+    name: "Upper West",
+    capital: "Wa",
+    aliases: ["UWR"],
+    districts: [
+      district("wa", "Wa Municipal", "Wa"),
+      district("wa-east", "Wa East", "Funsi"),
+      district("wa-west", "Wa West", "Wechiau"),
+      district("lawra", "Lawra Municipal", "Lawra"),
+      district("nandom", "Nandom Municipal", "Nandom"),
+      district("jirapa", "Jirapa Municipal", "Jirapa"),
+      district("lambussie", "Lambussie", "Lambussie"),
+      district("nadowli-kaleo", "Nadowli Kaleo", "Nadowli"),
+      district("daffiama-bussie-issa", "Daffiama Bussie Issa", "Issa"),
+      district("sissala-east", "Sissala East Municipal", "Tumu"),
+      district("sissala-west", "Sissala West", "Gwollu"),
+    ],
+  },
+  {
+    id: "volta",
+    name: "Volta",
+    capital: "Ho",
+    aliases: [],
+    districts: [
+      district("ho", "Ho Municipal", "Ho"),
+      district("ho-west", "Ho West", "Dzolokpuita"),
+      district("adaklu", "Adaklu", "Adaklu Waya"),
+      district("agotime-ziope", "Agotime Ziope", "Kpetoe"),
+      district("hohoe", "Hohoe Municipal", "Hohoe"),
+      district("afadzato-south", "Afadzato South", "Ve Golokwati"),
+      district("kpando", "Kpando Municipal", "Kpando"),
+      district("north-dayi", "North Dayi", "Anfoega"),
+      district("south-dayi", "South Dayi", "Kpeve"),
+      district("keta", "Keta Municipal", "Keta"),
+      district("anloga", "Anloga", "Anloga"),
+      district("ketu-south", "Ketu South Municipal", "Denu", ["Aflao"]),
+      district("ketu-north", "Ketu North Municipal", "Dzodze"),
+      district("akatsi-south", "Akatsi South", "Akatsi"),
+      district("south-tongu", "South Tongu", "Sogakope"),
+      district("central-tongu", "Central Tongu", "Adidome"),
+      district("north-tongu", "North Tongu", "Battor"),
+    ],
+  },
+  {
+    id: "western",
+    name: "Western",
+    capital: "Sekondi-Takoradi",
+    aliases: ["Takoradi"],
+    districts: [
+      district("sekondi-takoradi", "Sekondi Takoradi Metropolitan", "Sekondi-Takoradi", ["Sekondi", "Takoradi"]),
+      district("effia-kwesimintsim", "Effia Kwesimintsim Municipal", "Kwesimintsim", ["Effiakuma"]),
+      district("tarkwa-nsuaem", "Tarkwa Nsuaem Municipal", "Tarkwa"),
+      district("prestea-huni-valley", "Prestea Huni Valley Municipal", "Bogoso", ["Prestea"]),
+      district("shama", "Shama", "Shama"),
+      district("ahanta-west", "Ahanta West Municipal", "Agona Nkwanta"),
+      district("wassa-east", "Wassa East", "Daboase"),
+      district("wassa-amenfi-east", "Wassa Amenfi East Municipal", "Wassa Akropong"),
+      district("wassa-amenfi-west", "Wassa Amenfi West Municipal", "Asankragwa"),
+      district("mpohor", "Mpohor", "Mpohor"),
+      district("nzema-east", "Nzema East Municipal", "Axim"),
+      district("ellembelle", "Ellembelle", "Nkroful"),
+      district("jomoro", "Jomoro Municipal", "Half Assini"),
+    ],
+  },
+  {
+    id: "western-north",
+    name: "Western North",
+    capital: "Sefwi Wiawso",
+    aliases: [],
+    districts: [
+      district("sefwi-wiawso", "Sefwi Wiawso Municipal", "Sefwi Wiawso"),
+      district("bibiani-anhwiaso-bekwai", "Bibiani Anhwiaso Bekwai Municipal", "Bibiani"),
+      district("juaboso", "Juaboso", "Juaboso"),
+      district("bia-west", "Bia West", "Essam"),
+      district("bia-east", "Bia East", "Adabokrom"),
+      district("aowin", "Aowin Municipal", "Enchi"),
+      district("suaman", "Suaman", "Dadieso"),
+      district("bodi", "Bodi", "Bodi"),
+      district("akontombra", "Akontombra", "Akontombra"),
+    ],
+  },
+];
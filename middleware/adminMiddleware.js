@@ -21,6 +21,7 @@ export const adminOnly = async (req, res, next) => {
     
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) throw new jwt.JsonWebTokenError("Invalid token");
     console.log("Decoded token:", decoded);
     
     // Fetch user from DB
@@ -91,6 +92,7 @@ export const verifyAdminToken = (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) throw new jwt.JsonWebTokenError("Invalid token");
     
     // Check if token has admin flag (for admin panel login tokens)
     if (!decoded.isAdmin && decoded.userType !== "admin" && decoded.role !== "admin") {
@@ -3,6 +3,40 @@ import User from "../models/User.js";
 import Admin from "../models/Admin.js"; // your admin model
 
 
+/**
+ * Verify a user JWT and load the user it belongs to.
+ * Shared by the `auth` middleware and the realtime gateway.
+ * Throws jsonwebtoken errors (JsonWebTokenError / TokenExpiredError) for bad tokens,
+ * resolves to null when the user no longer exists.
+ */
+export const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Single-purpose tokens (see issueStreamToken) don't log anyone in
+  if (decoded.purpose) throw new jwt.JsonWebTokenError('Invalid token');
+  return User.findById(decoded.id).select('-password');
+};
+
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+/**
+ * Short-lived token that only opens the realtime stream. EventSource can't
+ * send headers, so it travels in the URL - where access logs and proxies see
+ * it - and must be useless for anything else once it expires.
+ */
+export const issueStreamToken = (user) => ({
+  token: jwt.sign({ id: user._id, purpose: 'realtime' }, process.env.JWT_SECRET, {
+    expiresIn: STREAM_TOKEN_TTL_SECONDS,
+  }),
+  expiresIn: STREAM_TOKEN_TTL_SECONDS,
+});
+
+// Like authenticateToken, for stream tokens only
+export const authenticateStreamToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'realtime') throw new jwt.JsonWebTokenError('Invalid token');
+  return User.findById(decoded.id).select('-password');
+};
+
 export const auth = async (req, res, next) => {
   try {
     // Get token from header
@@ -17,12 +51,8 @@ export const auth = async (req, res, next) => {
       });
     }
 
-    // ✅ VERIFY JWT TOKEN
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log("Decoded token:", decoded);
-    
-    // Find user by ID from token
-    const user = await User.findById(decoded.id).select('-password');
+    // ✅ VERIFY JWT TOKEN and find user by ID from token
+    const user = await authenticateToken(token);
     
     if (!user) {
       return res.status(401).json({
@@ -60,6 +90,19 @@ export const auth = async (req, res, next) => {
   }
 };
 
+// Like auth, but lets anonymous requests through (req.user is only set for a valid token)
+export const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (token) {
+    try {
+      req.user = (await authenticateToken(token)) || undefined;
+    } catch {
+      // Bad or expired token: carry on as a guest
+    }
+  }
+  next();
+};
+
 // Update your auth.js adminAuth middleware:
 // auth.js - Updated adminAuth middleware
 export const adminAuth = async (req, res, next) => {
@@ -74,6 +117,7 @@ export const adminAuth = async (req, res, next) => {
 
     console.log("Admin auth - Token received");
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) throw new jwt.JsonWebTokenError('Invalid token');
     console.log("Admin auth - Decoded token:", decoded);
 
     // Check if this is an admin token (has role: "admin" or from Admin model)
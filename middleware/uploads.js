@@ -1,69 +1,132 @@
-// middleware/upload.js
+// middleware/uploads.js
+// The one multer setup for every upload. Each field is tied to an upload type
+// from config/uploads.js, which sets its allowed file types, size and count.
+// Files are staged in the temp folder under random names and must start with
+// the signature of the type their extension claims; routes move the ones they
+// keep into storage with services/uploadService.js.
+//
+//   uploadSingle("profileImage", "avatar")                    -> req.file
+//   uploadArray("images", "taskImage")                        -> req.files (array)
+//   uploadFields({ profilePic: "profilePic", sampleWork: "sampleWork" })
+//                                                             -> req.files (by field)
+//
+// Rejected uploads are answered with a JSON 400/413 and their files removed.
 import multer from "multer";
 import path from "path";
-import fs from "fs";
-import { fileURLToPath } from "url";
+import crypto from "crypto";
+import { FILE_KINDS, UPLOAD_TYPES } from "../config/uploads.js";
+import { UPLOAD_TMP_DIR } from "../services/storage/index.js";
+import { discardUploads } from "../services/uploadService.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+import { matchesSignature } from "../utils/fileSignature.js";
 
-// Get __dirname for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create uploads directories if they don't exist
-const createDirectories = () => {
-  const dirs = [
-    path.join(__dirname, "..", "uploads"),
-    path.join(__dirname, "..", "uploads", "providers"),
-    path.join(__dirname, "..", "uploads", "providers", "samples"),
-  ];
-  
-  dirs.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  });
-};
-
-createDirectories();
-
-// Configure storage
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    if (file.fieldname === "profilePic") {
-      cb(null, path.join(__dirname, "..", "uploads", "providers"));
-    } else if (file.fieldname === "sampleWork") {
-      cb(null, path.join(__dirname, "..", "uploads", "providers", "samples"));
-    } else {
-      cb(new Error("Invalid fieldname"));
-    }
-  },
+  destination: (req, file, cb) => cb(null, UPLOAD_TMP_DIR),
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    const filename = file.fieldname + "-" + uniqueSuffix + ext;
-    cb(null, filename);
+    const ext = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, "");
+    cb(null, crypto.randomBytes(16).toString("hex") + ext);
   },
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|mp4|mov|avi|mkv/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
+const megabytes = (bytes) => `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
+
+const isAllowed = (config, file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  return config.kinds.some(
+    (kind) => FILE_KINDS[kind].extensions.includes(ext) && FILE_KINDS[kind].mimeTypes.includes(file.mimetype)
+  );
+};
+
+const fileCountLimit = (fields) =>
+  Object.values(fields).reduce((total, type) => total + UPLOAD_TYPES[type].maxFiles, 0);
+
+const toHttpError = (error, fields) => {
+  if (error instanceof HttpError) return error;
+  if (!(error instanceof multer.MulterError)) return new HttpError(400, error.message);
 
-  if (extname && mimetype) {
-    return cb(null, true);
-  } else {
-    cb(new Error("Error: File type not allowed!"));
+  const config = UPLOAD_TYPES[fields[error.field]];
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return new HttpError(413, `${config?.label || "File"} must be ${megabytes(config?.maxSize || 0)} or smaller`);
+    case "LIMIT_FILE_COUNT":
+      return new HttpError(400, `Too many files: up to ${fileCountLimit(fields)} per request`);
+    case "LIMIT_UNEXPECTED_FILE":
+      return config
+        ? new HttpError(400, `Up to ${config.maxFiles} file(s) allowed for "${error.field}"`)
+        : new HttpError(400, `Unexpected file field "${error.field}"`);
+    default:
+      return new HttpError(400, error.message);
   }
 };
 
-// Configure multer
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB max file size
-  },
-  fileFilter: fileFilter,
-});
+/**
+ * Build the middleware for a set of fields.
+ * @param {Record<string, string>} fields  field name -> upload type
+ * @param {(upload: multer.Multer) => Function} pick  multer's single/array/fields call
+ */
+const uploader = (fields, pick) => {
+  const configs = Object.entries(fields).map(([field, type]) => {
+    const config = UPLOAD_TYPES[type];
+    if (!config) throw new Error(`Unknown upload type "${type}" for field "${field}"`);
+    return [field, config];
+  });
+  const byField = Object.fromEntries(configs);
+
+  const upload = pick(
+    multer({
+      storage,
+      limits: {
+        // Per-type sizes are checked below; this just caps the largest
+        fileSize: Math.max(...configs.map(([, config]) => config.maxSize)),
+        files: fileCountLimit(fields),
+      },
+      fileFilter: (req, file, cb) => {
+        const config = byField[file.fieldname];
+        if (!config) return cb(new HttpError(400, `Unexpected file field "${file.fieldname}"`));
+        if (!isAllowed(config, file)) {
+          const kinds = config.kinds.map((kind) => FILE_KINDS[kind].label).join(" or ");
+          return cb(new HttpError(400, `${config.label} must be one of: ${kinds}`));
+        }
+        cb(null, true);
+      },
+    })
+  );
+
+  // Per-type size and real file type, once multer has written the files
+  const check = async (files) => {
+    const tooBig = files.find((file) => file.size > byField[file.fieldname].maxSize);
+    if (tooBig) throw new multer.MulterError("LIMIT_FILE_SIZE", tooBig.fieldname);
+
+    for (const file of files) {
+      if (!(await matchesSignature(file.path, path.extname(file.originalname)))) {
+        throw new HttpError(400, `"${file.originalname}" is not a valid ${path.extname(file.originalname).slice(1).toUpperCase()} file`);
+      }
+    }
+  };
+
+  return (req, res, next) => {
+    upload(req, res, async (error) => {
+      const files = req.file ? [req.file] : Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+
+      try {
+        if (error) throw error;
+        await check(files);
+      } catch (failure) {
+        discardUploads(files);
+        return sendError(res, toHttpError(failure, fields));
+      }
+      next();
+    });
+  };
+};
+
+export const uploadSingle = (field, type) =>
+  uploader({ [field]: type }, (upload) => upload.single(field));
+
+export const uploadArray = (field, type) =>
+  uploader({ [field]: type }, (upload) => upload.array(field, UPLOAD_TYPES[type].maxFiles));
 
-export default upload;
\ No newline at end of file
+export const uploadFields = (fields) =>
+  uploader(fields, (upload) =>
+    upload.fields(Object.entries(fields).map(([name, type]) => ({ name, maxCount: UPLOAD_TYPES[type].maxFiles })))
+  );
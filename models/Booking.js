@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+// A client's booking of one of a provider's calendar slots for a task.
+// Flow and double-booking rules live in services/bookingService.js.
+const bookingSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+    },
+    // The provider's user account (used for ownership checks)
+    providerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    note: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+
+    status: {
+      type: String,
+      enum: ["requested", "accepted", "declined", "cancelled"],
+      default: "requested",
+    },
+
+    // A new time suggested by one side, waiting for the other to answer
+    proposal: {
+      start: { type: Date, default: null },
+      end: { type: Date, default: null },
+      proposedBy: { type: String, enum: ["client", "provider", null], default: null },
+      note: { type: String, default: "" },
+      proposedAt: { type: Date, default: null },
+    },
+
+    // 15-minute blocks this booking (and any proposal) occupies, e.g.
+    // "<providerId>|2025-03-04T09:15:00.000Z". Unique while holdsSlots is
+    // true, which is what stops two bookings overlapping.
+    slotKeys: {
+      type: [String],
+      default: [],
+    },
+    holdsSlots: {
+      type: Boolean,
+      default: true,
+    },
+
+    history: [{
+      _id: false,
+      action: { type: String, required: true },
+      actorRole: { type: String, enum: ["client", "provider", "admin", "system"], required: true },
+      start: { type: Date },
+      end: { type: Date },
+      note: { type: String, default: "" },
+      at: { type: Date, default: Date.now },
+    }],
+
+    respondedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+bookingSchema.index(
+  { slotKeys: 1 },
+  { unique: true, partialFilterExpression: { holdsSlots: true } }
+);
+bookingSchema.index({ providerId: 1, start: 1 });
+bookingSchema.index({ clientId: 1, start: -1 });
+bookingSchema.index({ taskId: 1, status: 1 });
+
+// Statuses that keep the slot taken
+bookingSchema.statics.ACTIVE_STATUSES = ["requested", "accepted"];
+
+export default mongoose.model("Booking", bookingSchema);
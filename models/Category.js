@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+// One node of the service taxonomy: a group ("Construction & Engineering")
+// or a service inside it ("Tiling & Flooring"). Seeded from data/categories.js
+// and edited by admins; lookups go through services/categoryService.js.
+// Tasks and providers still store category names, plus the matching slugs.
+const categorySchema = new mongoose.Schema(
+  {
+    // Stable identifier; never changes after creation, even on rename
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Group slug for services, null for groups
+    parent: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Other groups a service is also listed under
+    alsoIn: {
+      type: [String],
+      default: [],
+    },
+    // Other names that resolve to this category (old names, worker titles)
+    synonyms: {
+      type: [String],
+      default: [],
+    },
+    // What someone doing this job is called ("Plumbing" -> "Plumber")
+    workerTitle: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    icon: {
+      type: String,
+      default: "",
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isPopular: {
+      type: Boolean,
+      default: false,
+    },
+    // Inactive categories still resolve for existing records but can't be newly picked
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+categorySchema.virtual("isGroup").get(function () {
+  return !this.parent;
+});
+
+categorySchema.index({ parent: 1, order: 1, name: 1 });
+
+export default mongoose.model("Category", categorySchema);
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      validate: {
+        validator: (v) => v.length === 2,
+        message: "A conversation must have exactly two participants",
+      },
+    },
+    // Optional task the conversation is about
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    // Optional provider profile of one of the participants
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      default: null,
+    },
+    lastMessage: {
+      text: { type: String, default: "" },
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      hasAttachments: { type: Boolean, default: false },
+      createdAt: { type: Date },
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Sorted participant IDs plus the task ID; unique, so two people get one
+    // conversation per task (or one without a task). Set on validate.
+    pairKey: {
+      type: String,
+    },
+    // Unread message count per participant, keyed by user ID
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ participants: 1, taskId: 1 });
+// Partial so conversations from before pairKey existed don't collide on a missing key
+conversationSchema.index(
+  { pairKey: 1 },
+  { unique: true, partialFilterExpression: { pairKey: { $type: "string" } } }
+);
+
+// ⭐ Key identifying the conversation between two users about a task (or none)
+conversationSchema.statics.pairKey = function (participants, taskId = null) {
+  const ids = participants.map((p) => (p._id || p).toString()).sort();
+  return `${ids.join(":")}:${taskId ? taskId.toString() : ""}`;
+};
+
+conversationSchema.pre("validate", function (next) {
+  this.pairKey = this.constructor.pairKey(this.participants, this.taskId);
+  next();
+});
+
+// ⭐ Is the given user part of this conversation?
+conversationSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some((p) => (p._id || p).toString() === userId.toString());
+};
+
+// ⭐ The other participant's ID
+conversationSchema.methods.otherParticipant = function (userId) {
+  return this.participants.find((p) => (p._id || p).toString() !== userId.toString());
+};
+
+export default mongoose.model("Conversation", conversationSchema);
@@ -1,4 +1,29 @@
 import mongoose from "mongoose";
+import { REGION_NAMES } from "../utils/geography.js";
+
+// Optional scheduling window shared by every homepage section.
+// An entry shows only while isActive and now is within [startsAt, endsAt).
+const scheduleFields = {
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  }
+};
+
+/**
+ * Query for entries that are switched on and inside their scheduling window
+ */
+export const activeWindowFilter = (now = new Date()) => ({
+  isActive: true,
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+  ]
+});
 
 // Featured Services Schema (Paid listings)
 const FeaturedServiceSchema = new mongoose.Schema({
@@ -28,9 +53,14 @@ const FeaturedServiceSchema = new mongoose.Schema({
     type: Date,
     default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
   },
+  ...scheduleFields,
   createdAt: { 
     type: Date, 
     default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -53,9 +83,14 @@ const UrgentWorkSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  ...scheduleFields,
   createdAt: { 
     type: Date, 
     default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -79,9 +114,14 @@ const PopularJobSchema = new mongoose.Schema({
     enum: ['trending', 'high_budget', 'quick_completion', 'admin_choice'],
     default: 'admin_choice'
   },
+  ...scheduleFields,
   createdAt: { 
     type: Date, 
     default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -105,9 +145,14 @@ const PopularCitySchema = new mongoose.Schema({
   },
   manualJobCount: Number,
   manualCategories: Map,
+  ...scheduleFields,
   createdAt: { 
     type: Date, 
     default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -116,11 +161,7 @@ const JobsByRegionSchema = new mongoose.Schema({
   region: {
     type: String,
     required: true,
-    enum: [
-      'Ashanti', 'Brong-Ahafo', 'Central', 'Eastern', 'Greater Accra',
-      'Northern', 'Upper East', 'Upper West', 'Volta', 'Western',
-      'Western North', 'Oti', 'Ahafo', 'Bono', 'Bono East', 'Savannah'
-    ]
+    enum: REGION_NAMES
   },
   isActive: { 
     type: Boolean, 
@@ -136,14 +177,32 @@ const JobsByRegionSchema = new mongoose.Schema({
   },
   manualJobCount: Number,
   manualCategories: Map,
+  ...scheduleFields,
   createdAt: { 
     type: Date, 
     default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// Keep updatedAt current on every section
+[FeaturedServiceSchema, UrgentWorkSchema, PopularJobSchema, PopularCitySchema, JobsByRegionSchema]
+  .forEach(schema => {
+    schema.pre('save', function(next) {
+      this.updatedAt = new Date();
+      next();
+    });
+    schema.pre('findOneAndUpdate', function(next) {
+      this.set({ updatedAt: new Date() });
+      next();
+    });
+  });
+
 // Create models
-const FeaturedService = mongoose.model('FeaturedProviders', FeaturedServiceSchema);
+const FeaturedService = mongoose.model('FeaturedService', FeaturedServiceSchema);
 const UrgentWork = mongoose.model('UrgentWork', UrgentWorkSchema);
 const PopularJob = mongoose.model('PopularJob', PopularJobSchema);
 const PopularCity = mongoose.model('PopularCity', PopularCitySchema);
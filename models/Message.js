@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import { signedFileUrl } from "../services/storage/index.js";
+
+// Images live in the private storage bucket; `url` is a short-lived signed link
+// (only participants can load messages, so only they get one)
+const attachmentSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true }, // storage key, e.g. "messages/<name>"
+    originalName: { type: String, default: "" },
+    mimeType: { type: String, default: "" },
+    size: { type: Number, default: 0 },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+attachmentSchema.virtual("url").get(function () {
+  return signedFileUrl(this.path.replace(/^uploads\//, ""));
+});
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    attachments: [attachmentSchema],
+    readBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+
+export default mongoose.model("Message", messageSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Event key, e.g. "application.new", "task.status", "provider.approved"
+    event: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    body: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Frontend route to open when the notification is clicked
+    link: {
+      type: String,
+      default: "",
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    // Outcome per out-of-app channel: sent | failed | skipped
+    // "pending" while out-of-app delivery runs in the background
+    delivery: {
+      email: { type: String, enum: ["pending", "sent", "failed", "skipped"], default: "skipped" },
+      sms: { type: String, enum: ["pending", "sent", "failed", "skipped"], default: "skipped" },
+      whatsapp: { type: String, enum: ["pending", "sent", "failed", "skipped"], default: "skipped" },
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+export default mongoose.model("Notification", notificationSchema);
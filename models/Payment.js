@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+
+const paymentSchema = new mongoose.Schema(
+  {
+    // Our reference, sent to the gateway and used to match webhooks
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    gatewayReference: {
+      type: String,
+      default: "",
+    },
+    // task_escrow: held for a provider until the task ends
+    // promotion:   paid outright for a featured slot / urgent boost
+    purpose: {
+      type: String,
+      enum: ["task_escrow", "promotion"],
+      default: "task_escrow",
+    },
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      default: null,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskApplication",
+      default: null,
+    },
+    // Paying user
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Provider the funds are held for
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "GHS",
+    },
+    // Platform commission kept on release
+    platformFee: {
+      type: Number,
+      default: 0,
+    },
+    method: {
+      type: String,
+      enum: ["mobile_money", "card"],
+      default: "mobile_money",
+    },
+    // Mobile money number charged (E.164)
+    msisdn: {
+      type: String,
+      default: "",
+    },
+    /**
+     * pending   - charge started, waiting for the gateway
+     * held      - client charged, funds in escrow
+     * paid      - charged for a promotion (no escrow)
+     * releasing - payout to the provider started, waiting for the gateway
+     * released  - paid out to the provider
+     * refunding - refund started, waiting for the gateway
+     * refunded  - returned to the client
+     * failed    - charge failed
+     * cancelled - abandoned before the charge succeeded
+     */
+    status: {
+      type: String,
+      enum: ["pending", "held", "paid", "releasing", "released", "refunding", "refunded", "failed", "cancelled"],
+      default: "pending",
+    },
+    authorizationUrl: {
+      type: String,
+      default: "",
+    },
+    heldAt: Date,
+    paidAt: Date,
+    releasedAt: Date,
+    refundedAt: Date,
+    failureReason: {
+      type: String,
+      default: "",
+    },
+    // Set when a release/refund attempt failed and needs an admin retry
+    settlementError: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ task: 1, purpose: 1, status: 1 });
+paymentSchema.index({ client: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, createdAt: -1 });
+
+export default mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const phoneOtpSchema = new mongoose.Schema(
+  {
+    // E.164, see utils/phone.js
+    phone: {
+      type: String,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["verify", "login"],
+      required: true,
+    },
+    // Account the phone is being verified for (purpose "verify")
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // HMAC of the code - the plain code is never stored
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    // Kept for an hour after sending so rate limits can count recent requests
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 60 * 60,
+    },
+  }
+);
+
+phoneOtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+phoneOtpSchema.index({ ip: 1, createdAt: -1 });
+
+export default mongoose.model("PhoneOtp", phoneOtpSchema);
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { PROMOTION_TYPES } from "../config/promotions.js";
+
+const promotionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: PROMOTION_TYPES,
+      required: true,
+    },
+    // User who bought the promotion
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Target: a provider profile (featured_provider) or a task (urgent_task)
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      default: null,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    durationDays: {
+      type: Number,
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "GHS",
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending_payment", "active", "expired", "failed"],
+      default: "pending_payment",
+    },
+    // Set on activation; back-to-back purchases start when the previous one ends
+    startsAt: Date,
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ status: 1, expiresAt: 1 });
+promotionSchema.index({ buyer: 1, createdAt: -1 });
+promotionSchema.index({ provider: 1, status: 1 });
+promotionSchema.index({ task: 1, status: 1 });
+
+export default mongoose.model("Promotion", promotionSchema);
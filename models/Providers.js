@@ -1,5 +1,7 @@
 // models/Provider.js
 import mongoose from "mongoose";
+import imageVariantsSchema from "./imageVariantsSchema.js";
+import { imageVariants } from "../services/uploadService.js";
 
 const providerSchema = new mongoose.Schema(
   {
@@ -20,6 +22,17 @@ const providerSchema = new mongoose.Schema(
     city: { type: String, required: true },
     region: { type: String, required: true },
     district: { type: String, required: true},
+    // Canonical IDs from data/ghanaGeography.js (set by utils/geography.js)
+    regionId: { type: String, default: null, index: true },
+    districtId: { type: String, default: null },
+
+    // Optional base location as GeoJSON { type: "Point", coordinates: [lng, lat] }
+    // and how far from it the provider is willing to travel
+    geoLocation: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
+    serviceRadiusKm: { type: Number, default: 10, min: 1, max: 200 },
 
     // Categories (MULTI SELECT)
     category: {
@@ -30,6 +43,8 @@ const providerSchema = new mongoose.Schema(
         message: "Select between 1 and 5 service categories",
       },
     },
+    // Taxonomy slugs for the categories above plus their groups
+    categorySlugs: { type: [String], default: [] },
 
     // Skills (from frontend)
     skills: {
@@ -70,6 +85,25 @@ const providerSchema = new mongoose.Schema(
       default: "flexible"
     },
 
+    // Bookable calendar (see services/bookingService.js). Times of day are
+    // Ghana time, which is GMT all year, so they are stored and compared as UTC.
+    schedule: {
+      weeklyHours: [{
+        _id: false,
+        day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+        start: { type: String, required: true }, // "08:00"
+        end: { type: String, required: true }, // "17:00"
+      }],
+      slotMinutes: { type: Number, default: 60, min: 15, max: 480 },
+      timeOff: [{
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        reason: { type: String, default: "", trim: true },
+      }],
+    },
+    // Secret for the .ics feed URL (calendar apps can't send auth headers)
+    calendarToken: { type: String, select: false },
+
     // Contact (auto-filled, not editable)
     phone: { type: String, required: true },
     whatsapp: { type: String },
@@ -109,7 +143,13 @@ profilePic: {
       },
     },
 
+    // Thumbnail/medium/full copies of processed images (public URLs)
+    profilePicVariants: { type: imageVariantsSchema, default: null },
+    sampleWorkVariants: { type: [imageVariantsSchema], default: [] },
+
     // Reviews and ratings
+    // Legacy embedded reviews (read-only). New reviews live in the Review
+    // collection and are tied to a completed task - see services/reviewService.js
     reviews: [
       {
         userId: {
@@ -147,19 +187,23 @@ profilePic: {
       max: 5
     },
 
+    reviewsCount: { type: Number, default: 0 },
+
     // Statistics
     totalJobs: { type: Number, default: 0 },
     completedJobs: { type: Number, default: 0 },
     responseRate: { type: Number, default: 0 }, // Percentage
     responseTime: { type: Number, default: 0 }, // Hours average
 
-    // Verification
+    // Verification. Public payloads only carry the isVerified badge; how and
+    // when are admin-only (select "+verificationDate +verificationMethod")
     isVerified: { type: Boolean, default: false },
-    verificationDate: { type: Date },
+    verificationDate: { type: Date, select: false },
     verificationMethod: {
       type: String,
       enum: ["id-card", "phone", "email", "manual", null],
-      default: null
+      default: null,
+      select: false
     },
 
     // Preferences
@@ -176,17 +220,6 @@ profilePic: {
   }
 );
 
-// ⭐ Rating helper
-providerSchema.methods.calculateRating = function () {
-  if (this.reviews.length === 0) {
-    this.averageRating = 0;
-    return;
-  }
-
-  const total = this.reviews.reduce((sum, r) => sum + r.rating, 0);
-  this.averageRating = parseFloat((total / this.reviews.length).toFixed(1));
-};
-
 // ⭐ Generate fullName BEFORE validation (FIXED)
 providerSchema.pre("validate", function (next) {
   if (this.firstName && this.surname) {
@@ -204,6 +237,17 @@ providerSchema.pre("save", function (next) {
   next();
 });
 
+// Keep the image variants matching the current profile picture and samples
+providerSchema.pre("save", function (next) {
+  if (this.isModified("profilePic")) {
+    this.profilePicVariants = imageVariants("profilePic", this.profilePic);
+  }
+  if (this.isModified("sampleWork")) {
+    this.sampleWorkVariants = this.sampleWork.map((sample) => imageVariants("sampleWork", sample)).filter(Boolean);
+  }
+  next();
+});
+
 // ⭐ Also update the findOneAndUpdate hook to use same logic
 providerSchema.pre("findOneAndUpdate", function (next) {
   const update = this.getUpdate();
@@ -254,61 +298,14 @@ providerSchema.virtual("availabilityLabel").get(function () {
 });
 
 // ⭐ Indexes for better query performance
+// Text index behind /api/search (a collection can only have one)
 providerSchema.index({ fullName: "text", bio: "text", skills: "text" });
 providerSchema.index({ city: 1, region: 1, district: 1 });
+providerSchema.index({ geoLocation: "2dsphere" });
 providerSchema.index({ averageRating: -1 });
 providerSchema.index({ category: 1 });
+providerSchema.index({ categorySlugs: 1 });
+providerSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 providerSchema.index({ isApproved: 1, createdAt: -1 });
 
-// ⭐ Static method for search
-providerSchema.statics.searchProviders = async function (query, filters = {}) {
-  const { 
-    category, 
-    region, 
-    city, 
-    minRating, 
-    isAvailable,
-    skip = 0,
-    limit = 20 
-  } = filters;
-
-  const searchQuery = {};
-  
-  // Text search
-  if (query) {
-    searchQuery.$text = { $search: query };
-  }
-  
-  // Filter by category
-  if (category) {
-    searchQuery.category = { $in: [category] };
-  }
-  
-  // Filter by location
-  if (region) {
-    searchQuery.region = region;
-  }
-  
-  if (city) {
-    searchQuery.city = city;
-  }
-  
-  // Filter by rating
-  if (minRating) {
-    searchQuery.averageRating = { $gte: minRating };
-  }
-  
-  // Only show approved providers for public searches
-  if (!filters.includePending) {
-    searchQuery.isApproved = true;
-  }
-  
-  return this.find(searchQuery)
-    .sort({ averageRating: -1, createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
-    .select("-__v -notificationPreferences -verificationMethod")
-    .populate("userId", "username profilePic");
-};
-
 export default mongoose.model("Provider", providerSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Output of one ranking run (see services/rankingService.js)
+const rankingSnapshotSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ["cities", "categories", "jobs"],
+    required: true
+  },
+  // Rolling windows the ranking was computed over
+  windows: {
+    shortDays: { type: Number, required: true },
+    longDays: { type: Number, required: true }
+  },
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Old snapshots are removed after 30 days
+  computedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60
+  }
+});
+
+rankingSnapshotSchema.index({ kind: 1, computedAt: -1 });
+
+/**
+ * Most recent snapshot of a kind, or null before the first run
+ */
+rankingSnapshotSchema.statics.latest = function (kind) {
+  return this.findOne({ kind }).sort({ computedAt: -1 });
+};
+
+export default mongoose.model("RankingSnapshot", rankingSnapshotSchema);
@@ -2,6 +2,13 @@ import mongoose from "mongoose";
 
 const reviewSchema = new mongoose.Schema(
   {
+    // Provider profile being reviewed (the task's assigned provider)
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+    },
+    // User account behind the provider profile
     worker: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -12,10 +19,23 @@ const reviewSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Verified reviews are tied to the completed task they were written for
     task: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Task",
-      required: true,
+      required: function () {
+        return this.verified;
+      },
+    },
+    // false for reviews imported from the old embedded Provider.reviews
+    // (scripts/migrateReviews.js), which were never tied to a task
+    verified: {
+      type: Boolean,
+      default: true,
+    },
+    // _id of the embedded review an imported one came from
+    legacyId: {
+      type: mongoose.Schema.Types.ObjectId,
     },
     rating: {
       type: Number,
@@ -31,4 +51,23 @@ const reviewSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// One review per task
+reviewSchema.index({ task: 1 }, { unique: true, partialFilterExpression: { task: { $type: "objectId" } } });
+reviewSchema.index({ legacyId: 1 }, { unique: true, partialFilterExpression: { legacyId: { $type: "objectId" } } });
+reviewSchema.index({ provider: 1, createdAt: -1 });
+reviewSchema.index({ worker: 1, createdAt: -1 });
+
+// ⭐ Recompute rating stats for a provider from this collection
+reviewSchema.statics.getRatingStats = async function (providerId) {
+  const [stats] = await this.aggregate([
+    { $match: { provider: new mongoose.Types.ObjectId(providerId.toString()) } },
+    { $group: { _id: "$provider", average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  return {
+    averageRating: stats ? parseFloat(stats.average.toFixed(1)) : 0,
+    reviewsCount: stats ? stats.count : 0,
+  };
+};
+
 export default mongoose.model("Review", reviewSchema);
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// A stored search that alerts its owner about new matches: new open tasks
+// (providers looking for work) or newly approved providers (clients looking
+// for workers). Matching lives in services/savedSearchService.js.
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 80,
+    },
+    target: {
+      type: String,
+      enum: ["tasks", "providers"],
+      default: "tasks",
+    },
+    // Canonical category names from the taxonomy (services/categoryService.js); empty = any
+    categories: {
+      type: [String],
+      default: [],
+    },
+    // Slugs of `categories`; matching uses these so renamed categories keep matching
+    categorySlugs: {
+      type: [String],
+      default: [],
+    },
+    // Canonical region IDs from data/ghanaGeography.js; empty = anywhere
+    regionIds: {
+      type: [String],
+      default: [],
+    },
+    // Budget range in GHS (tasks only)
+    minBudget: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    maxBudget: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Every keyword must appear somewhere in the match
+    keywords: {
+      type: [String],
+      default: [],
+    },
+    frequency: {
+      type: String,
+      enum: ["instant", "daily", "off"],
+      default: "instant",
+    },
+    // Matches waiting for the next daily digest
+    pendingMatches: [
+      {
+        _id: false,
+        item: { type: mongoose.Schema.Types.ObjectId, required: true },
+        title: { type: String, default: "" },
+        matchedAt: { type: Date, default: Date.now },
+      },
+    ],
+    lastAlertAt: {
+      type: Date,
+      default: null,
+    },
+    lastDigestAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ target: 1, frequency: 1 });
+savedSearchSchema.index({ frequency: 1, lastDigestAt: 1 });
+
+export default mongoose.model("SavedSearch", savedSearchSchema);
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+// A fixed-price (or price-range) offering in a provider's catalogue, e.g.
+// "AC gas refill - GHS 350". Clients can order it directly, which creates a
+// task already assigned to the provider (services/catalogueService.js).
+// Also what FeaturedService entries point at.
+const serviceSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+    },
+    // The provider's user account (used for ownership checks)
+    providerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    // Canonical category name and taxonomy slugs (services/categoryService.js)
+    category: {
+      type: String,
+      required: true,
+    },
+    categorySlugs: {
+      type: [String],
+      default: [],
+    },
+    icon: {
+      type: String,
+      default: "",
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+    },
+
+    // GHS. Fixed: minPrice === maxPrice
+    pricing: {
+      type: {
+        type: String,
+        enum: ["fixed", "range"],
+        default: "fixed",
+      },
+      minPrice: { type: Number, required: true, min: 0 },
+      maxPrice: { type: Number, required: true, min: 0 },
+    },
+    durationMinutes: {
+      type: Number,
+      default: null,
+      min: 15,
+    },
+    photos: {
+      type: [String],
+      default: [],
+    },
+
+    // Hidden from clients (and can't be ordered) while false
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    ordersCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+serviceSchema.index({ providerId: 1, isActive: 1, createdAt: -1 });
+serviceSchema.index({ categorySlugs: 1, isActive: 1 });
+serviceSchema.index({ title: "text", description: "text", category: "text" });
+
+// "GHS 350" or "GHS 200 – 400"
+serviceSchema.virtual("priceLabel").get(function () {
+  const { minPrice, maxPrice } = this.pricing || {};
+  if (minPrice == null) return "";
+  return minPrice === maxPrice ? `GHS ${minPrice}` : `GHS ${minPrice} – ${maxPrice}`;
+});
+
+// Services per provider
+serviceSchema.statics.MAX_PER_PROVIDER = 30;
+serviceSchema.statics.MAX_PHOTOS = 6;
+
+export default mongoose.model("Service", serviceSchema);
@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 import { allServices } from "../data/categories.js";
+import imageVariantsSchema from "./imageVariantsSchema.js";
+import { imageVariants } from "../services/uploadService.js";
 
 // Helper function to enforce max 5 categories
 function arrayLimit(val) {
@@ -21,6 +23,11 @@ const taskSchema = new mongoose.Schema({
     type: String,
     required: true
   }],
+  // Taxonomy slugs for mainCategory/category plus their groups (services/categoryService.js)
+  categorySlugs: {
+    type: [String],
+    default: []
+  },
   description: {
     type: String,
     required: true,
@@ -39,6 +46,20 @@ const taskSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
+  // Canonical IDs from data/ghanaGeography.js (set by utils/geography.js)
+  regionId: {
+    type: String,
+    default: null
+  },
+  districtId: {
+    type: String,
+    default: null
+  },
+  // Optional map pin as GeoJSON { type: "Point", coordinates: [lng, lat] }
+  geoLocation: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
   // Keep for backward compatibility
   location: {
     type: String,
@@ -72,10 +93,20 @@ const taskSchema = new mongoose.Schema({
       default: ""
     }
   },
+  // Hide phone/WhatsApp from public listings - providers use in-app messaging instead
+  hideContact: {
+    type: Boolean,
+    default: false
+  },
   images: [{
     type: String,
     default: []
   }],
+  // Thumbnail/medium/full copies of processed images (storage keys, like images)
+  imageVariants: {
+    type: [imageVariantsSchema],
+    default: []
+  },
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -87,13 +118,82 @@ const taskSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['open', 'completed'],
+    enum: [
+      'draft', 'open', 'assigned', 'in_progress', 'awaiting_confirmation',
+      'completed', 'cancelled', 'disputed', 'expired'
+    ],
     default: 'open'
   },
+  // Audit trail of every status change (see services/taskLifecycle.js)
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    actorRole: {
+      type: String,
+      enum: ['client', 'provider', 'admin', 'system'],
+      required: true
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set while an urgent boost is active (see services/promotionService.js)
+  urgent: {
+    type: Boolean,
+    default: false
+  },
+  // Catalogue service this task was ordered from (services/catalogueService.js)
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+  // Provider whose application was accepted
+  assignedProvider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedApplication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskApplication',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
   completedAt: {
       type: Date,
       default: null,
     },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    default: ''
+  },
   updatedAt: {
     type: Date,
     default: Date.now
@@ -102,15 +202,26 @@ const taskSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Add index for better search
+// Text index behind /api/search (a collection can only have one)
 taskSchema.index({ title: 'text', description: 'text', mainCategory: 'text', category: 'text', location: 'text', region: 'text' });
 
 // Indexes for better query performance
 taskSchema.index({ clientId: 1, createdAt: -1 });
 taskSchema.index({ region: 1, mainCategory: 1, status: 1});
 taskSchema.index({ category: 1, status: 1 });
-taskSchema.index({ location: 'text', title: 'text', description: 'text' });
+taskSchema.index({ categorySlugs: 1, status: 1 });
 taskSchema.index({ region: 1, status: 1 });
+taskSchema.index({ regionId: 1, status: 1 });
+taskSchema.index({ assignedProvider: 1, status: 1 });
+taskSchema.index({ geoLocation: '2dsphere' });
+
+// Statuses anyone may list tasks by; drafts and the rest stay with their owners
+taskSchema.statics.PUBLIC_STATUSES = ['open', 'assigned', 'in_progress', 'completed'];
+
+// A requested listing status, or 'open' when it isn't a public one
+taskSchema.statics.publicStatus = function (status) {
+  return this.PUBLIC_STATUSES.includes(status) ? status : 'open';
+};
 
 taskSchema.pre('save', function(next) {
   // If mainCategory is not set but category array has values, use the first one
@@ -120,4 +231,12 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+// Keep imageVariants matching the current images
+taskSchema.pre('save', function(next) {
+  if (this.isModified('images')) {
+    this.imageVariants = this.images.map((image) => imageVariants('taskImage', image)).filter(Boolean);
+  }
+  next();
+});
+
 export default mongoose.model('Task', taskSchema);
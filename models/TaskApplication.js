@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+const taskApplicationSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+    },
+    // The provider's user account (used for ownership checks)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Quote
+    price: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    estimatedDuration: {
+      type: String, // e.g. "2 days", "3 hours"
+      default: "",
+      trim: true,
+    },
+    availableFrom: {
+      type: Date,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "shortlisted", "accepted", "rejected", "declined", "withdrawn", "expired"],
+      default: "pending",
+    },
+    // Bids that are still pending/shortlisted after this date are marked expired
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 14 * 24 * 60 * 60 * 1000), // 14 days
+    },
+
+    shortlistedAt: { type: Date, default: null },
+    acceptedAt: { type: Date, default: null },
+    rejectedAt: { type: Date, default: null },
+    withdrawnAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// One bid per provider per task
+taskApplicationSchema.index({ taskId: 1, providerId: 1 }, { unique: true });
+taskApplicationSchema.index({ taskId: 1, status: 1, createdAt: -1 });
+taskApplicationSchema.index({ userId: 1, createdAt: -1 });
+
+// Statuses in which a bid can still be accepted or rejected
+taskApplicationSchema.statics.OPEN_STATUSES = ["pending", "shortlisted"];
+
+// ⭐ Mark stale open bids as expired (lazy expiry, run before reads)
+taskApplicationSchema.statics.expireStale = function (filter = {}) {
+  return this.updateMany(
+    {
+      ...filter,
+      status: { $in: ["pending", "shortlisted"] },
+      expiresAt: { $lte: new Date() },
+    },
+    { $set: { status: "expired" } }
+  );
+};
+
+export default mongoose.model("TaskApplication", taskApplicationSchema);
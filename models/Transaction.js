@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Ledger of every money movement made for a payment
+const transactionSchema = new mongoose.Schema(
+  {
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["charge", "payout", "refund", "fee"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "GHS",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    gatewayReference: {
+      type: String,
+      default: "",
+    },
+    // Raw gateway response/webhook payload for reconciliation
+    raw: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    error: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+transactionSchema.index({ payment: 1, createdAt: 1 });
+transactionSchema.index({ gatewayReference: 1 });
+
+export default mongoose.model("Transaction", transactionSchema);
@@ -1,6 +1,8 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
+import imageVariantsSchema from "./imageVariantsSchema.js";
+import { imageVariants } from "../services/uploadService.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -67,6 +69,14 @@ whatsapp: {
   sparse: true,
   trim: true,
 },
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    phoneVerifiedAt: {
+      type: Date,
+      default: null,
+    },
     location: {
       type: String,
       default: "",
@@ -80,6 +90,15 @@ whatsapp: {
       type: String,
       default: "",
     },
+    // Canonical IDs from data/ghanaGeography.js (set by utils/geography.js)
+    regionId: {
+      type: String,
+      default: null,
+    },
+    districtId: {
+      type: String,
+      default: null,
+    },
     
     // User Type
     userType: {
@@ -93,6 +112,11 @@ whatsapp: {
       type: String,
       default: "",
     },
+    // Thumbnail/medium/full copies of an uploaded profile image (public URLs)
+    profileImageVariants: {
+      type: imageVariantsSchema,
+      default: null,
+    },
 
     // Email Verification Fields
     isVerified: {
@@ -136,6 +160,13 @@ whatsapp: {
     resetToken: String,
     resetTokenExpiry: Date,
 
+    // Notification channels (providers use Provider.notificationPreferences)
+    notificationPreferences: {
+      emailNotifications: { type: Boolean, default: true },
+      smsNotifications: { type: Boolean, default: false },
+      whatsappNotifications: { type: Boolean, default: false },
+    },
+
     // Ratings
     averageRating: {
       type: Number,
@@ -172,6 +203,14 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+/* 🖼️ KEEP PROFILE IMAGE VARIANTS IN SYNC */
+userSchema.pre("save", function (next) {
+  if (this.isModified("profileImage")) {
+    this.profileImageVariants = imageVariants("avatar", this.profileImage);
+  }
+  next();
+});
+
 /* 🔑 COMPARE PASSWORD */
 userSchema.methods.comparePassword = async function (enteredPassword) {
   // If user is Google OAuth and doesn't have a password, return false
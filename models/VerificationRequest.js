@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// A provider's identity check (KYC): Ghana Card front/back plus a selfie,
+// reviewed by an admin. The document files live in private storage, outside
+// the public /uploads route (services/verificationService.js).
+const verificationRequestSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Ghana Card personal ID number, e.g. GHA-123456789-0
+    idNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Paths relative to the private storage root; never sent to the provider or the public.
+    // Cleared once a rejected request is superseded by a new one
+    documents: {
+      idFront: String,
+      idBack: String,
+      selfie: String,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    rejectionReason: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    reviewedAt: Date,
+  },
+  { timestamps: true }
+);
+
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+verificationRequestSchema.index({ providerId: 1, createdAt: -1 });
+
+verificationRequestSchema.statics.DOCUMENT_KINDS = ["idFront", "idBack", "selfie"];
+
+// What the provider gets to see about their own request
+verificationRequestSchema.methods.toProviderJSON = function () {
+  return {
+    _id: this._id,
+    idNumber: this.idNumber.replace(/^(GHA-)\d{5}/, "$1*****"),
+    status: this.status,
+    rejectionReason: this.rejectionReason,
+    submittedAt: this.createdAt,
+    reviewedAt: this.reviewedAt,
+  };
+};
+
+export default mongoose.model("VerificationRequest", verificationRequestSchema);
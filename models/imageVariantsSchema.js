@@ -0,0 +1,20 @@
+// models/imageVariantsSchema.js
+// Resized copies of an uploaded image (services/imageService.js). `source` is
+// the value in the image field they belong to; `src` (JPEG or PNG) and `webp`
+// hold URLs for public images and storage keys for private ones, like that
+// field does. Kept in sync by the owning model's pre-save hook.
+import mongoose from "mongoose";
+
+const sizeSchema = new mongoose.Schema({ src: String, webp: String }, { _id: false });
+
+const imageVariantsSchema = new mongoose.Schema(
+  {
+    source: String,
+    thumb: sizeSchema,
+    medium: sizeSchema,
+    full: sizeSchema,
+  },
+  { _id: false }
+);
+
+export default imageVariantsSchema;
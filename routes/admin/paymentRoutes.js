@@ -0,0 +1,91 @@
+// routes/admin/paymentRoutes.js
+import express from "express";
+import { adminAuth } from "../../middleware/auth.js";
+import Payment from "../../models/Payment.js";
+import Transaction from "../../models/Transaction.js";
+import { releaseFunds, refundFunds } from "../../services/paymentService.js";
+import { sendError } from "../../utils/httpError.js";
+
+const router = express.Router();
+
+// ✅ GET payments (?status=held&needsAttention=true)
+router.get("/", adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.needsAttention === "true") filter.settlementError = { $ne: "" };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .populate("client", "name email phone")
+        .populate("provider", "fullName phone")
+        .populate("task", "title status")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, payments, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error("Error fetching payments:", error);
+    res.status(500).json({ success: false, message: "Server error fetching payments" });
+  }
+});
+
+// ✅ GET one payment with its full ledger
+router.get("/:id", adminAuth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate("client", "name email phone")
+      .populate("provider", "fullName phone")
+      .populate("task", "title status");
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: "Payment not found" });
+    }
+
+    const transactions = await Transaction.find({ payment: payment._id }).sort({ createdAt: 1 });
+    res.json({ success: true, payment, transactions });
+  } catch (error) {
+    console.error("Error fetching payment:", error);
+    res.status(500).json({ success: false, message: "Server error fetching payment" });
+  }
+});
+
+// ✅ Release held funds to the provider (retry after a failed payout, or dispute resolution)
+router.post("/:id/release", adminAuth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ success: false, message: "Payment not found" });
+    }
+
+    const updated = await releaseFunds(payment);
+    res.json({ success: true, message: "Payout started", payment: updated });
+  } catch (error) {
+    console.error("Error releasing payment:", error);
+    sendError(res, error, "Server error releasing payment");
+  }
+});
+
+// ✅ Refund held funds to the client
+router.post("/:id/refund", adminAuth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ success: false, message: "Payment not found" });
+    }
+
+    const updated = await refundFunds(payment, { reason: req.body.reason || "Refunded by admin" });
+    res.json({ success: true, message: "Refund started", payment: updated });
+  } catch (error) {
+    console.error("Error refunding payment:", error);
+    sendError(res, error, "Server error refunding payment");
+  }
+});
+
+export default router;
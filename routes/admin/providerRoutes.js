@@ -1,20 +1,28 @@
 // routes/admin/providerRoutes.js
 import express from "express";
-import multer from "multer";
 import Provider from "../../models/Providers.js";
 import { adminAuth } from "../../middleware/auth.js";
-import { fileURLToPath } from "url";
-import path from "path";
 import mongoose from "mongoose";
-import fs from "fs";
 import ProviderUpdateRequest from "../../models/ProviderUpdateRequest.js";
+import Service from "../../models/Service.js";
+import { publishToUser } from "../../services/realtime.js";
+import { notify } from "../../services/notificationService.js";
+import { alertProviderSearches } from "../../services/savedSearchService.js";
+import { normalizeLocation, parseGeoPoint } from "../../utils/geography.js";
+import { normalizeProviderCategories, getCategoryIcon } from "../../services/categoryService.js";
+import { sendError } from "../../utils/httpError.js";
+import { deleteProviderVerifications } from "../../services/verificationService.js";
+import { uploadFields } from "../../middleware/uploads.js";
+import {
+  storeUpload,
+  storeUploads,
+  storageKey,
+  removeStoredFiles,
+  discardUploads,
+} from "../../services/uploadService.js";
 
 const router = express.Router();
 
-// ✅ Get __dirname for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // ✅ Helper function to fix URLs (CRITICAL FIX)
 const fixImageUrl = (url) => {
   if (!url) return null;
@@ -31,35 +39,12 @@ const fixImageUrl = (url) => {
   return `${baseUrl}/${cleanUrl}`;
 };
 
-// ✅ Multer setup - keep it simple
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let uploadDir;
-    
-    // All files go to uploads/providers (based on your working website)
-    uploadDir = path.join(__dirname, '..', '..', 'uploads', 'providers');
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    const filename = file.fieldname + '-' + uniqueSuffix + ext;
-    cb(null, filename);
-  },
-});
-
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
-  }
-});
+// Delete a provider's profile picture and work samples from storage
+const removeProviderFiles = (provider) =>
+  Promise.all([
+    removeStoredFiles("profilePic", [provider.profilePic]),
+    removeStoredFiles("sampleWork", provider.sampleWork || []),
+  ]);
 
 /* -------------------------------------------------------------------------- */
 /* 🛠️ ADMIN: GET ALL PROVIDERS */
@@ -206,7 +191,7 @@ router.get("/update-requests", adminAuth, async (req, res) => {
 /* -------------------------------------------------------------------------- */
 router.get("/:id", adminAuth, async (req, res) => {
   try {
-    const provider = await Provider.findById(req.params.id);
+    const provider = await Provider.findById(req.params.id).select("+verificationDate +verificationMethod");
     if (!provider) {
       return res
         .status(404)
@@ -241,10 +226,7 @@ router.get("/:id", adminAuth, async (req, res) => {
 /* 🛠️ ADMIN: UPDATE PROVIDER (CRITICAL FIX) */
 /* -------------------------------------------------------------------------- */
 router.put("/:id", adminAuth,
-  upload.fields([
-    { name: "profilePic", maxCount: 1 },
-    { name: "sampleWork", maxCount: 10 },
-  ]),
+  uploadFields({ profilePic: "profilePic", sampleWork: "sampleWork" }),
   async (req, res) => {
     try {
       console.log("=== UPDATE PROVIDER REQUEST ===");
@@ -252,6 +234,7 @@ router.put("/:id", adminAuth,
       
       const provider = await Provider.findById(req.params.id);
       if (!provider) {
+        discardUploads(req.files);
         return res
           .status(404)
           .json({ success: false, message: "Provider not found" });
@@ -273,7 +256,7 @@ router.put("/:id", adminAuth,
       const textFields = [
         'firstName', 'surname', 'otherName', 'city', 'region', 'district',
         'bio', 'experience', 'hourlyRate', 'availability', 
-        'phone', 'whatsapp', 'email'
+        'phone', 'whatsapp', 'email', 'serviceRadiusKm'
       ];
       
       textFields.forEach(field => {
@@ -282,17 +265,22 @@ router.put("/:id", adminAuth,
           console.log(`Updated ${field}:`, updates[field]);
         }
       });
+
+      // Normalise any location change to canonical names and IDs
+      Object.assign(provider, normalizeLocation(
+        { region: updates.region ?? undefined, district: updates.district ?? undefined, city: updates.city ?? undefined },
+        provider
+      ));
+
+      const geoLocation = parseGeoPoint(updates.lat, updates.lng);
+      if (geoLocation !== undefined) {
+        provider.geoLocation = geoLocation || undefined;
+      }
       
-      // Parse JSON arrays
+      // Validate categories against the taxonomy (array, JSON string or single name)
       if (updates.category) {
-        try {
-          provider.category = JSON.parse(updates.category);
-          console.log("Updated category:", provider.category);
-        } catch (e) {
-          provider.category = Array.isArray(updates.category) 
-            ? updates.category 
-            : [updates.category];
-        }
+        Object.assign(provider, await normalizeProviderCategories(updates.category, provider));
+        console.log("Updated category:", provider.category);
       }
       
       if (updates.skills) {
@@ -310,37 +298,14 @@ router.put("/:id", adminAuth,
       provider.fullName = `${provider.firstName} ${provider.surname}${provider.otherName ? ` ${provider.otherName}` : ""}`.trim();
       console.log("Updated fullName:", provider.fullName);
       
-      // ✅ CRITICAL FIX: File updates - Store relative paths, not full URLs
-      
+      // ✅ File updates - old files are deleted from storage once the provider is saved
+      const replacedFiles = { profilePic: [], sampleWork: [] };
+
       // 1. Profile picture
       if (req.files?.profilePic?.[0]) {
-        const newProfilePic = req.files.profilePic[0];
-        
-        // Delete old file if exists
-        if (provider.profilePic) {
-          try {
-            // Extract filename from stored path (could be URL or relative path)
-            let oldFilename;
-            if (provider.profilePic.includes('/')) {
-              oldFilename = provider.profilePic.split('/').pop();
-            } else {
-              oldFilename = provider.profilePic;
-            }
-            
-            const oldPath = path.join(__dirname, '..', '..', 'uploads', 'providers', oldFilename);
-            
-            if (fs.existsSync(oldPath)) {
-              fs.unlinkSync(oldPath);
-              console.log("🗑️ Deleted old profile pic:", oldPath);
-            }
-          } catch (err) {
-            console.error("Error deleting old profile pic:", err);
-          }
-        }
-        
-        // ✅ Store relative path, NOT full URL
-        provider.profilePic = `uploads/providers/${newProfilePic.filename}`;
-        console.log("✅ Updated profilePic (relative path):", provider.profilePic);
+        if (provider.profilePic) replacedFiles.profilePic.push(provider.profilePic);
+        provider.profilePic = await storeUpload("profilePic", req.files.profilePic[0]);
+        console.log("✅ Updated profilePic:", provider.profilePic);
       }
       
       // 2. Sample work files
@@ -349,28 +314,18 @@ router.put("/:id", adminAuth,
         provider.sampleWork = [];
       }
       
-      // Handle removed samples
+      // Handle removed samples (sent as stored paths or the URLs from this API)
       if (updates.removedSamples) {
         try {
-          const removed = JSON.parse(updates.removedSamples);
+          const removed = JSON.parse(updates.removedSamples)
+            .map((value) => storageKey("sampleWork", value))
+            .filter(Boolean);
           console.log("Removing samples:", removed);
-          
-          removed.forEach(filePath => {
-            // Extract filename from URL or path
-            const filename = filePath.split('/').pop();
-            const filePathOnDisk = path.join(__dirname, '..', '..', 'uploads', 'providers', filename);
-            
-            // Delete file
-            if (fs.existsSync(filePathOnDisk)) {
-              fs.unlinkSync(filePathOnDisk);
-              console.log("🗑️ Deleted sample file:", filename);
-            }
-            
-            // Remove from array
-            provider.sampleWork = provider.sampleWork.filter(sample => {
-              const sampleFilename = sample.split('/').pop();
-              return sampleFilename !== filename;
-            });
+
+          provider.sampleWork = provider.sampleWork.filter((sample) => {
+            if (!removed.includes(storageKey("sampleWork", sample))) return true;
+            replacedFiles.sampleWork.push(sample);
+            return false;
           });
         } catch (e) {
           console.error("Error parsing removedSamples:", e);
@@ -379,21 +334,21 @@ router.put("/:id", adminAuth,
       
       // Add new sample work files
       if (req.files?.sampleWork) {
-        const newSamples = req.files.sampleWork.map((f) => {
-          // ✅ Store relative path, NOT full URL
-          return `uploads/providers/${f.filename}`;
-        });
-        
-        console.log("📁 Adding new samples (relative paths):", newSamples);
+        const newSamples = await storeUploads("sampleWork", req.files.sampleWork);
+        console.log("📁 Adding new samples:", newSamples);
         
-        // Add to existing samples, limit to 10
-        provider.sampleWork = [...provider.sampleWork, ...newSamples].slice(0, 10);
+        // Add to existing samples, limit to 10 (the rest are deleted once saved)
+        const allSamples = [...provider.sampleWork, ...newSamples];
+        provider.sampleWork = allSamples.slice(0, 10);
+        replacedFiles.sampleWork.push(...allSamples.slice(10));
       }
       
-      console.log("Final sampleWork (relative paths):", provider.sampleWork);
+      console.log("Final sampleWork:", provider.sampleWork);
       
       // Save provider
       await provider.save();
+      await removeStoredFiles("profilePic", replacedFiles.profilePic);
+      await removeStoredFiles("sampleWork", replacedFiles.sampleWork);
       
       // Prepare response with full URLs using helper function
       const providerObj = provider.toObject();
@@ -417,10 +372,8 @@ router.put("/:id", adminAuth,
     } catch (error) {
       console.error("❌ Admin error updating provider:", error);
       console.error("Error stack:", error.stack);
-      res.status(500).json({
-        success: false,
-        message: "Server error updating provider: " + error.message,
-      });
+      discardUploads(req.files);
+      sendError(res, error, "Server error updating provider");
     }
   }
 );
@@ -437,43 +390,12 @@ router.delete("/:id", adminAuth, async (req, res) => {
         .json({ success: false, message: "Provider not found" });
     }
     
-    // Delete profile picture
-    if (provider.profilePic) {
-      try {
-        // Extract filename (handle both URLs and relative paths)
-        let filename;
-        if (provider.profilePic.includes('/')) {
-          filename = provider.profilePic.split('/').pop();
-        } else {
-          filename = provider.profilePic;
-        }
-        
-        const filePath = path.join(__dirname, '..', '..', 'uploads', 'providers', filename);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log("🗑️ Deleted profile pic:", filePath);
-        }
-      } catch (err) {
-        console.error("Error deleting profile pic:", err);
-      }
-    }
-    
-    // Delete sample work files
-    if (Array.isArray(provider.sampleWork)) {
-      provider.sampleWork.forEach(filePath => {
-        try {
-          const filename = filePath.split('/').pop();
-          const fullPath = path.join(__dirname, '..', '..', 'uploads', 'providers', filename);
-          if (fs.existsSync(fullPath)) {
-            fs.unlinkSync(fullPath);
-            console.log("🗑️ Deleted sample file:", fullPath);
-          }
-        } catch (err) {
-          console.error("Error deleting sample file:", err);
-        }
-      });
-    }
+    // Delete profile picture and sample work files
+    await removeProviderFiles(provider);
     
+    // Identity documents live in private storage
+    await deleteProviderVerifications([provider._id]);
+
     // Delete from database
     await Provider.findByIdAndDelete(req.params.id);
     
@@ -501,6 +423,7 @@ router.patch("/:id/approve", adminAuth, async (req, res) => {
     }
     
     const { isApproved } = req.body;
+    const wasApproved = provider.isApproved;
     
     if (isApproved !== undefined) {
       provider.isApproved = isApproved;
@@ -509,6 +432,22 @@ router.patch("/:id/approve", adminAuth, async (req, res) => {
     }
     
     await provider.save();
+
+    publishToUser(provider.userId, "provider:approval", {
+      providerId: provider._id,
+      isApproved: provider.isApproved,
+    });
+    notify(provider.userId, provider.isApproved ? "provider.approved" : "provider.unapproved", {
+      title: provider.isApproved ? "Your provider profile is approved" : "Your provider profile approval was withdrawn",
+      body: provider.isApproved
+        ? "You can now apply to tasks and appear in search results."
+        : "Your profile is hidden from clients until it is approved again.",
+      link: "/provider/profile",
+      data: { providerId: provider._id },
+    });
+    if (provider.isApproved && !wasApproved) {
+      alertProviderSearches(provider);
+    }
     
     // ✅ FIX: Use helper function
     const providerObj = provider.toObject();
@@ -549,6 +488,10 @@ router.patch("/bulk-approve", adminAuth, async (req, res) => {
       });
     }
     
+    const newlyApproved = isApproved
+      ? (await Provider.find({ _id: { $in: ids }, isApproved: false }).select("_id")).map(p => p._id.toString())
+      : [];
+
     await Provider.updateMany(
       { _id: { $in: ids } },
       { $set: { isApproved } }
@@ -556,6 +499,24 @@ router.patch("/bulk-approve", adminAuth, async (req, res) => {
     
     // Get updated providers
     const providers = await Provider.find({ _id: { $in: ids } });
+
+    providers.forEach(provider => {
+      publishToUser(provider.userId, "provider:approval", {
+        providerId: provider._id,
+        isApproved,
+      });
+      notify(provider.userId, isApproved ? "provider.approved" : "provider.unapproved", {
+        title: isApproved ? "Your provider profile is approved" : "Your provider profile approval was withdrawn",
+        body: isApproved
+          ? "You can now apply to tasks and appear in search results."
+          : "Your profile is hidden from clients until it is approved again.",
+        link: "/provider/profile",
+        data: { providerId: provider._id },
+      });
+      if (newlyApproved.includes(provider._id.toString())) {
+        alertProviderSearches(provider);
+      }
+    });
     
     // ✅ FIX: Use helper function
     const fixedProviders = providers.map(provider => {
@@ -604,36 +565,10 @@ router.delete("/bulk-delete", adminAuth, async (req, res) => {
     const providers = await Provider.find({ _id: { $in: ids } });
     
     // Delete files
-    providers.forEach(provider => {
-      // Delete profile picture
-      if (provider.profilePic) {
-        try {
-          const filename = provider.profilePic.split('/').pop();
-          const filePath = path.join(__dirname, '..', '..', 'uploads', 'providers', filename);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-        } catch (err) {
-          console.error("Error deleting profile pic:", err);
-        }
-      }
-      
-      // Delete sample work
-      if (Array.isArray(provider.sampleWork)) {
-        provider.sampleWork.forEach(filePath => {
-          try {
-            const filename = filePath.split('/').pop();
-            const fullPath = path.join(__dirname, '..', '..', 'uploads', 'providers', filename);
-            if (fs.existsSync(fullPath)) {
-              fs.unlinkSync(fullPath);
-            }
-          } catch (err) {
-            console.error("Error deleting sample file:", err);
-          }
-        });
-      }
-    });
+    await Promise.all(providers.map(removeProviderFiles));
     
+    await deleteProviderVerifications(ids);
+
     // Delete from database
     await Provider.deleteMany({ _id: { $in: ids } });
     
@@ -707,7 +642,7 @@ router.patch("/:id/feature", adminAuth, async (req, res) => {
             name: `${provider.firstName} ${provider.surname}`,
             providerId: provider._id,
             category: provider.category && provider.category.length > 0 ? provider.category[0] : 'General',
-            icon: getCategoryIcon(provider.category && provider.category.length > 0 ? provider.category[0] : 'General'),
+            icon: await getCategoryIcon(provider.category?.[0]),
             isActive: true,
             order: await FeaturedProviderModel.countDocuments({ isActive: true }),
             expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
@@ -771,36 +706,6 @@ router.patch("/:id/feature", adminAuth, async (req, res) => {
   }
 });
 
-// Helper function for icons
-const getCategoryIcon = (category) => {
-  if (!category) return '👷';
-  
-  const iconMap = {
-    'plumbing': '🔧',
-    'electrical': '⚡',
-    'cleaning': '🧹',
-    'carpentry': '🪚',
-    'painting': '🎨',
-    'gardening': '🌿',
-    'moving': '🚚',
-    'repair': '🔨',
-    'installation': '📦',
-    'maintenance': '🔧',
-    'handyman': '👨‍🔧',
-    'delivery': '📦',
-    'tutoring': '📚',
-    'beauty': '💄',
-    'fitness': '💪',
-  };
-  
-  const lowerCat = category.toLowerCase();
-  for (const [key, icon] of Object.entries(iconMap)) {
-    if (lowerCat.includes(key)) return icon;
-  }
-  
-  return '👷';
-};
-
 /* -------------------------------------------------------------------------- */
 /* 🛠️ ADMIN: BULK FEATURE */
 /* -------------------------------------------------------------------------- */
@@ -834,9 +739,14 @@ router.patch("/bulk-feature", adminAuth, async (req, res) => {
             isActive: true 
           });
           
-          if (!existing && provider.category && provider.category.length > 0) {
+          // Feature the provider's most ordered catalogue service, if they have one
+          const topService = existing ? null : await Service.findOne({ providerId: provider._id, isActive: true })
+            .sort({ ordersCount: -1, createdAt: 1 })
+            .select('_id');
+          
+          if (topService) {
             const featuredService = new FeaturedService({
-              serviceId: provider.category[0],
+              serviceId: topService._id,
               providerId: provider._id,
               isActive: true,
               isPaid: true,
@@ -913,7 +823,9 @@ router.post("/update-requests/:requestId/approve", adminAuth, async (req, res) =
 
     
     // Update provider with the approved changes
-    if (changes.category) provider.category = changes.category;
+    if (changes.category) {
+      Object.assign(provider, await normalizeProviderCategories(changes.category, provider));
+    }
     if (changes.bio) provider.bio = changes.bio;
     if (changes.skills) provider.skills = changes.skills;
     if (changes.experience) provider.experience = changes.experience;
@@ -921,6 +833,7 @@ router.post("/update-requests/:requestId/approve", adminAuth, async (req, res) =
     if (changes.availability) provider.availability = changes.availability;
     
    // ✅ FIX: Handle sample work from newSampleFiles, NOT changes.sampleWork
+    let droppedSamples = [];
     if (request.newSampleFiles && request.newSampleFiles.length > 0) {
       console.log(`📸 Adding ${request.newSampleFiles.length} new sample files`);
       
@@ -930,12 +843,15 @@ router.post("/update-requests/:requestId/approve", adminAuth, async (req, res) =
       }
       
       // Add new files to existing samples (limit to 10 total)
-      provider.sampleWork = [...provider.sampleWork, ...request.newSampleFiles].slice(0, 10);
+      const allSamples = [...provider.sampleWork, ...request.newSampleFiles];
+      provider.sampleWork = allSamples.slice(0, 10);
+      droppedSamples = allSamples.slice(10);
       
       console.log(`✅ Sample work now has ${provider.sampleWork.length} files`);
     }
     
     await provider.save();
+    await removeStoredFiles("sampleWork", droppedSamples);
     
     // Update request status
     request.status = "approved";
@@ -943,7 +859,17 @@ router.post("/update-requests/:requestId/approve", adminAuth, async (req, res) =
     request.processedBy = req.user.id;
     await request.save();
     
-    // Notify user via email or notification (optional)
+    publishToUser(request.userId, "provider:update-request", {
+      requestId: request._id,
+      providerId: provider._id,
+      status: "approved",
+    });
+    await notify(request.userId, "provider.update-approved", {
+      title: "Profile changes approved",
+      body: "Your requested profile changes are now live.",
+      link: "/provider/profile",
+      data: { requestId: request._id, providerId: provider._id },
+    });
     
     res.json({ 
       success: true, 
@@ -953,10 +879,7 @@ router.post("/update-requests/:requestId/approve", adminAuth, async (req, res) =
     
   } catch (error) {
     console.error("❌ Error approving update request:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message 
-    });
+    sendError(res, error);
   }
 });
 
@@ -979,11 +902,31 @@ router.post("/update-requests/:requestId/reject", adminAuth, async (req, res) =>
       });
     }
     
+    // The proposed samples were never published; delete them
+    const rejectedSamples = request.newSampleFiles || [];
+
     request.status = "rejected";
     request.rejectionReason = reason || "No reason provided";
     request.processedAt = new Date();
     request.processedBy = req.user.id;
+    request.newSampleFiles = [];
     await request.save();
+    await removeStoredFiles("sampleWork", rejectedSamples);
+
+    publishToUser(request.userId, "provider:update-request", {
+      requestId: request._id,
+      providerId: request.providerId,
+      status: "rejected",
+      reason: request.rejectionReason,
+    });
+    await notify(request.userId, "provider.update-rejected", {
+      title: "Profile changes rejected",
+      body: request.rejectionReason
+        ? `Your requested profile changes were rejected: ${request.rejectionReason}`
+        : "Your requested profile changes were rejected.",
+      link: "/provider/profile",
+      data: { requestId: request._id, providerId: request.providerId },
+    });
     
     res.json({ 
       success: true, 
@@ -2,6 +2,10 @@
 import express from "express";
 import { adminAuth } from "../../middleware/auth.js"; // Use adminAuth middleware
 import Task from "../../models/Task.js";
+import TaskApplication from "../../models/TaskApplication.js";
+import { transitionTask } from "../../services/taskLifecycle.js";
+import { sendError } from "../../utils/httpError.js";
+import { removeStoredFiles } from "../../services/uploadService.js";
 
 const router = express.Router();
 
@@ -26,6 +30,36 @@ router.get("/", adminAuth, async (req, res) => {
   }
 });
 
+// ✅ UPDATE task status (admin override, still bound by the lifecycle rules)
+router.patch("/:id/status", adminAuth, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found"
+      });
+    }
+
+    const updated = await transitionTask(task, status, {
+      actor: req.admin,
+      role: "admin",
+      note: note || ""
+    });
+
+    res.json({
+      success: true,
+      message: `Task status updated to ${updated.status}`,
+      task: updated
+    });
+  } catch (error) {
+    console.error("Error updating task status:", error);
+    sendError(res, error, "Server error updating task status");
+  }
+});
+
 // ✅ DELETE single task (admin)
 router.delete("/:id", adminAuth, async (req, res) => {
   try {
@@ -39,6 +73,8 @@ router.delete("/:id", adminAuth, async (req, res) => {
     }
     
     await task.deleteOne();
+    await TaskApplication.deleteMany({ taskId: task._id });
+    await removeStoredFiles("taskImage", task.images);
     
     res.json({
       success: true,
@@ -65,7 +101,12 @@ router.post("/bulk-delete", adminAuth, async (req, res) => {
       });
     }
     
+    // Photos are deleted along with their tasks
+    const tasks = await Task.find({ _id: { $in: taskIds } }).select("images");
+
     const result = await Task.deleteMany({ _id: { $in: taskIds } });
+    await TaskApplication.deleteMany({ taskId: { $in: taskIds } });
+    await removeStoredFiles("taskImage", tasks.flatMap((task) => task.images));
     
     res.json({
       success: true,
@@ -1,6 +1,9 @@
 import express from "express";
 import User from "../../models/User.js";
 import { adminAuth } from "../../middleware/auth.js"; // Import named export
+import { normalizeLocation } from "../../utils/geography.js";
+import { sendError } from "../../utils/httpError.js";
+import { removeStoredFiles } from "../../services/uploadService.js";
 
 const router = express.Router();
 
@@ -165,7 +168,9 @@ router.patch("/:id/approve-changes", adminAuth, async (req, res) => {
     if (pendingData.phone !== undefined) user.phone = pendingData.phone;
     if (pendingData.whatsapp !== undefined) user.whatsapp = pendingData.whatsapp;
     if (pendingData.location !== undefined) user.location = pendingData.location;
-    if (pendingData.region !== undefined) user.region = pendingData.region;
+    if (pendingData.region !== undefined) {
+      Object.assign(user, normalizeLocation({ region: pendingData.region }, user));
+    }
     if (pendingData.profileImage !== undefined) user.profileImage = pendingData.profileImage;
 
     // Update original profile data to current state
@@ -201,7 +206,7 @@ router.patch("/:id/approve-changes", adminAuth, async (req, res) => {
     });
   } catch (error) {
     console.error("❌ Error approving user changes:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+    sendError(res, error);
   }
 });
 
@@ -376,6 +381,7 @@ router.delete("/:id", adminAuth, async (req, res) => {
     }
 
     await user.deleteOne();
+    await removeStoredFiles("avatar", [user.profileImage]);
 
     res.json({
       success: true,
@@ -401,8 +407,10 @@ router.delete("/bulk-delete", adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: "No users selected" });
     }
 
-    // Delete all selected users
+    // Delete all selected users, then their profile images
+    const users = await User.find({ _id: { $in: ids } }).select("profileImage");
     const result = await User.deleteMany({ _id: { $in: ids } });
+    await removeStoredFiles("avatar", users.map((user) => user.profileImage));
 
     res.json({
       success: true,
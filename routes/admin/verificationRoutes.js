@@ -0,0 +1,114 @@
+// routes/admin/verificationRoutes.js
+// Review queue for provider identity verification (mounted at /api/admin/verifications)
+import express from "express";
+import mongoose from "mongoose";
+import { adminAuth } from "../../middleware/auth.js";
+import VerificationRequest from "../../models/VerificationRequest.js";
+import {
+  approveVerification,
+  rejectVerification,
+  documentUrls,
+} from "../../services/verificationService.js";
+import { sendError } from "../../utils/httpError.js";
+
+const router = express.Router();
+
+const PROVIDER_FIELDS = "fullName firstName surname phone email city region profilePic isVerified";
+
+const loadRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid request ID" });
+    return null;
+  }
+
+  const request = await VerificationRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ success: false, message: "Verification request not found" });
+    return null;
+  }
+  return request;
+};
+
+// Stored keys swapped for signed links the admin UI can load
+const withDocumentLinks = (request) => ({ ...request.toObject(), documents: documentUrls(request) });
+
+// ✅ GET the queue (?status=pending|approved|rejected, oldest pending first)
+router.get("/", adminAuth, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = status === "all" ? {} : { status };
+    const [requests, total, pending] = await Promise.all([
+      VerificationRequest.find(filter)
+        .select("-documents")
+        .populate("providerId", PROVIDER_FIELDS)
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VerificationRequest.countDocuments(filter),
+      VerificationRequest.countDocuments({ status: "pending" }),
+    ]);
+
+    res.json({ success: true, requests, total, pending, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error("❌ Error fetching verification requests:", error);
+    res.status(500).json({ success: false, message: "Server error fetching verification requests" });
+  }
+});
+
+// ✅ GET one request, with short-lived links to its documents and the provider's earlier attempts
+router.get("/:id", adminAuth, async (req, res) => {
+  try {
+    const request = await loadRequest(req, res);
+    if (!request) return;
+
+    await request.populate("providerId", PROVIDER_FIELDS);
+    const history = await VerificationRequest.find({
+      providerId: request.providerId._id,
+      _id: { $ne: request._id },
+    })
+      .select("-documents")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      request: withDocumentLinks(request),
+      history,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching verification request:", error);
+    res.status(500).json({ success: false, message: "Server error fetching verification request" });
+  }
+});
+
+// ✅ Approve: the provider gets the verified badge
+router.patch("/:id/approve", adminAuth, async (req, res) => {
+  try {
+    const request = await loadRequest(req, res);
+    if (!request) return;
+
+    await approveVerification(request, req.user);
+    res.json({ success: true, message: "Provider verified", request: withDocumentLinks(request) });
+  } catch (error) {
+    console.error("❌ Error approving verification:", error);
+    sendError(res, error);
+  }
+});
+
+// ✅ Reject { reason } - shown to the provider so they can resubmit
+router.patch("/:id/reject", adminAuth, async (req, res) => {
+  try {
+    const request = await loadRequest(req, res);
+    if (!request) return;
+
+    await rejectVerification(request, req.user, req.body?.reason);
+    res.json({ success: true, message: "Verification rejected", request: withDocumentLinks(request) });
+  } catch (error) {
+    console.error("❌ Error rejecting verification:", error);
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -1,90 +1,297 @@
 import express from "express";
 import { adminAuth } from "../middleware/auth.js";
 import mongoose from 'mongoose';
-// import {
-//   FeaturedService,
-//   UrgentWork,
-//   PopularJob,
-//   PopularCity,
-//   JobsByRegion
-// } from "../models/HomeSection.js";
+import {
+  FeaturedService,
+  UrgentWork,
+  PopularJob,
+  PopularCity,
+  JobsByRegion,
+  activeWindowFilter
+} from "../models/HomeSectionX.js";
 import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import Service from "../models/Service.js";
+import RankingSnapshot from "../models/RankingSnapshot.js";
+import { runRankings } from "../services/rankingService.js";
+import { regionFilter } from "../utils/geography.js";
+import { searchTasks, searchProviders } from "../services/searchService.js";
+import { hasActiveUrgentEntry } from "../services/promotionService.js";
 
 const router = express.Router();
 
-// ============ FRONTEND ENDPOINTS (Public) ============
+// ============ SECTION LOADERS (shared by the section endpoints and /layout) ============
 
-// Get featured services with populated data
-router.get("/featured-services", async (req, res) => {
-  try {
-    const services = await FeaturedService.find({ 
-      isActive: true,
-      expiresAt: { $gt: new Date() }
+const loadFeaturedServices = async () => {
+  const services = await FeaturedService.find({
+    ...activeWindowFilter(),
+    expiresAt: { $gt: new Date() }
+  })
+    .populate({
+      path: 'providerId',
+      select: 'fullName city region averageRating'
     })
-      .populate({
-        path: 'serviceId',
-        select: 'name icon category description'
-      })
-      .populate({
-        path: 'providerId',
-        select: 'fullName businessName rating location'
-      })
-      .sort({ order: 1, createdAt: -1 })
-      .limit(8);
+    .populate({
+      path: 'serviceId',
+      select: 'title icon category description pricing photos isActive'
+    })
+    .sort({ order: 1, createdAt: -1 })
+    .limit(8);
 
-    // Format response
-    const formattedServices = services.map(item => ({
-      _id: item._id,
-      name: item.serviceId?.name || 'Service',
-      icon: item.serviceId?.icon || '🔧',
-      providerName: item.providerId?.fullName || item.providerId?.businessName || 'Provider',
-      providerLocation: item.providerId?.location,
-      rating: item.providerId?.rating,
-      isPaid: item.isPaid,
-      expiresAt: item.expiresAt
-    }));
-
-    res.json({ success: true, services: formattedServices });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+  // Skip entries whose catalogue service was deleted or switched off
+  return services.filter(item => item.serviceId?.isActive).map(item => ({
+    _id: item._id,
+    serviceId: item.serviceId._id,
+    providerId: item.providerId?._id,
+    name: item.serviceId.title,
+    icon: item.serviceId.icon || '🔧',
+    category: item.serviceId.category,
+    price: item.serviceId.priceLabel,
+    photo: item.serviceId.photos?.[0] || null,
+    providerName: item.providerId?.fullName || 'Provider',
+    providerLocation: [item.providerId?.city, item.providerId?.region].filter(Boolean).join(', '),
+    rating: item.providerId?.averageRating,
+    isPaid: item.isPaid,
+    expiresAt: item.expiresAt
+  }));
+};
 
-// Get urgent work with populated data
-router.get("/urgent-work", async (req, res) => {
-  try {
-    const tasks = await UrgentWork.find({ 
-      isActive: true,
-      expiresAt: { $gt: new Date() }
+const loadUrgentWork = async () => {
+  const tasks = await UrgentWork.find({
+    ...activeWindowFilter(),
+    expiresAt: { $gt: new Date() }
+  })
+    .populate({
+      path: 'taskId',
+      // Tasks that were assigned, completed or cancelled drop out
+      match: { status: 'open' },
+      select: 'title category location budget urgent applications clientId',
+      populate: {
+        path: 'clientId',
+        select: 'fullName'
+      }
     })
+    .sort({ order: 1, createdAt: -1 })
+    .limit(8);
+
+  // Filter out tasks that were deleted or are no longer open
+  const validTasks = tasks.filter(item => item.taskId);
+
+  return validTasks.map(item => ({
+    _id: item._id,
+    taskId: item.taskId._id,
+    title: item.taskId.title,
+    category: item.taskId.category,
+    location: item.taskId.location,
+    budget: item.taskId.budget,
+    urgent: item.taskId.urgent,
+    applications: item.taskId.applications?.length || 0,
+    clientName: item.taskId.clientId?.fullName,
+    expiresAt: item.expiresAt
+  }));
+};
+
+const HOME_LIMIT = 8;
+
+const JOB_FIELDS = 'title category location budget applications clientId createdAt status';
+
+const formatJob = (task, extra = {}) => ({
+  taskId: task._id,
+  title: task.title,
+  category: task.category,
+  location: task.location,
+  budget: task.budget,
+  applications: task.applications?.length || 0,
+  clientName: task.clientId?.fullName,
+  createdAt: task.createdAt,
+  ...extra
+});
+
+// Admin-pinned jobs first, then the latest ranking snapshot fills the rest.
+// Deactivated entries also keep that task out of the ranked fill.
+const loadPopularJobs = async () => {
+  const [pinned, hidden, snapshot] = await Promise.all([
+    PopularJob.find(activeWindowFilter())
       .populate({
         path: 'taskId',
-        select: 'title category location budget urgent applications clientId',
+        select: JOB_FIELDS,
         populate: {
           path: 'clientId',
           select: 'fullName'
         }
       })
       .sort({ order: 1, createdAt: -1 })
-      .limit(8);
+      .limit(HOME_LIMIT),
+    PopularJob.find({ isActive: false }).select('taskId'),
+    RankingSnapshot.latest('jobs')
+  ]);
 
-    // Filter out tasks where the task itself might be deleted
-    const validTasks = tasks.filter(item => item.taskId);
-    
-    const formattedTasks = validTasks.map(item => ({
-      _id: item._id,
-      taskId: item.taskId._id,
-      title: item.taskId.title,
-      category: item.taskId.category,
-      location: item.taskId.location,
-      budget: item.taskId.budget,
-      urgent: item.taskId.urgent,
-      applications: item.taskId.applications?.length || 0,
-      clientName: item.taskId.clientId?.fullName,
-      expiresAt: item.expiresAt
-    }));
-
-    res.json({ success: true, tasks: formattedTasks });
+  const jobs = pinned
+    .filter(item => item.taskId)
+    .map(item => formatJob(item.taskId, { _id: item._id, reason: item.reason, isPinned: true }));
+
+  const excluded = new Set([
+    ...jobs.map(job => job.taskId.toString()),
+    ...hidden.map(item => item.taskId?.toString())
+  ]);
+
+  const ranked = (snapshot?.items || []).filter(item => !excluded.has(item.taskId.toString()));
+  if (jobs.length < HOME_LIMIT && ranked.length > 0) {
+    const tasks = await Task.find({ _id: { $in: ranked.map(item => item.taskId) }, status: 'open' })
+      .select(JOB_FIELDS)
+      .populate('clientId', 'fullName');
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    ranked.forEach(item => {
+      const task = tasksById.get(item.taskId.toString());
+      if (task && jobs.length < HOME_LIMIT) {
+        jobs.push(formatJob(task, { _id: null, reason: item.reason, isPinned: false }));
+      }
+    });
+  }
+
+  return jobs;
+};
+
+const cityKey = (name = '') => name.trim().toLowerCase();
+
+// Admin cities first (manual ones keep their own figures, auto-calculated ones
+// take the snapshot's), then the trending cities fill the remaining slots
+const loadPopularCities = async () => {
+  const [pinned, hidden, snapshot] = await Promise.all([
+    PopularCity.find(activeWindowFilter())
+      .sort({ order: 1 })
+      .limit(HOME_LIMIT),
+    PopularCity.find({ isActive: false }).select('name'),
+    RankingSnapshot.latest('cities')
+  ]);
+
+  const ranked = snapshot?.items || [];
+  const rankedByKey = new Map(ranked.map(city => [city.key, city]));
+
+  const cities = pinned.map(city => {
+    if (city.isAutoCalculated) {
+      const stats = rankedByKey.get(cityKey(city.name));
+      return {
+        _id: city._id,
+        name: city.name,
+        totalJobs: stats?.totalJobs || 0,
+        categories: stats?.categories || {},
+        isAutoCalculated: true,
+        isPinned: true
+      };
+    }
+
+    return {
+      _id: city._id,
+      name: city.name,
+      totalJobs: city.manualJobCount || 0,
+      categories: city.manualCategories || {},
+      isAutoCalculated: false,
+      isPinned: true
+    };
+  });
+
+  const excluded = new Set([...pinned, ...hidden].map(city => cityKey(city.name)));
+
+  ranked
+    .filter(city => !excluded.has(city.key))
+    .slice(0, Math.max(HOME_LIMIT - cities.length, 0))
+    .forEach(city => {
+      cities.push({
+        _id: null,
+        name: city.name,
+        totalJobs: city.totalJobs,
+        categories: city.categories,
+        isAutoCalculated: true,
+        isPinned: false
+      });
+    });
+
+  return cities;
+};
+
+const loadPopularCategories = async () => {
+  const snapshot = await RankingSnapshot.latest('categories');
+  return (snapshot?.items || []).slice(0, HOME_LIMIT);
+};
+
+const loadJobsByRegion = async () => {
+  const regions = await JobsByRegion.find(activeWindowFilter()).sort({ order: 1 });
+
+  return Promise.all(regions.map(async (entry) => {
+    if (entry.isAutoCalculated) {
+      const totalJobs = await Task.countDocuments({ ...regionFilter(entry.region), status: 'open' });
+      return {
+        _id: entry._id,
+        name: entry.region,
+        totalJobs,
+        categories: await getCategoryCountsForRegion(entry.region),
+        isAutoCalculated: true
+      };
+    }
+
+    return {
+      _id: entry._id,
+      name: entry.region,
+      totalJobs: entry.manualJobCount || 0,
+      categories: entry.manualCategories || {},
+      isAutoCalculated: false
+    };
+  }));
+};
+
+// ============ FRONTEND ENDPOINTS (Public) ============
+
+// Every active homepage section in one response
+router.get("/layout", async (req, res) => {
+  const sections = {
+    featuredServices: loadFeaturedServices,
+    urgentWork: loadUrgentWork,
+    popularJobs: loadPopularJobs,
+    popularCities: loadPopularCities,
+    popularCategories: loadPopularCategories,
+    jobsByRegion: loadJobsByRegion
+  };
+
+  try {
+    const entries = await Promise.all(
+      Object.entries(sections).map(async ([key, load]) => {
+        try {
+          return [key, await load()];
+        } catch (error) {
+          // One broken section should not take the whole homepage down
+          console.error(`❌ Error loading homepage section ${key}:`, error);
+          return [key, []];
+        }
+      })
+    );
+
+    res.json({
+      success: true,
+      sections: Object.fromEntries(entries),
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get featured services with populated data
+router.get("/featured-services", async (req, res) => {
+  try {
+    const services = await loadFeaturedServices();
+    res.json({ success: true, services });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get urgent work with populated data
+router.get("/urgent-work", async (req, res) => {
+  try {
+    const tasks = await loadUrgentWork();
+    res.json({ success: true, tasks });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -93,34 +300,8 @@ router.get("/urgent-work", async (req, res) => {
 // Get popular jobs with populated data
 router.get("/popular-jobs", async (req, res) => {
   try {
-    const jobs = await PopularJob.find({ isActive: true })
-      .populate({
-        path: 'taskId',
-        select: 'title category location budget applications clientId createdAt',
-        populate: {
-          path: 'clientId',
-          select: 'fullName'
-        }
-      })
-      .sort({ order: 1, createdAt: -1 })
-      .limit(8);
-
-    const validJobs = jobs.filter(item => item.taskId);
-    
-    const formattedJobs = validJobs.map(item => ({
-      _id: item._id,
-      taskId: item.taskId._id,
-      title: item.taskId.title,
-      category: item.taskId.category,
-      location: item.taskId.location,
-      budget: item.taskId.budget,
-      applications: item.taskId.applications?.length || 0,
-      clientName: item.taskId.clientId?.fullName,
-      createdAt: item.taskId.createdAt,
-      reason: item.reason
-    }));
-
-    res.json({ success: true, jobs: formattedJobs });
+    const jobs = await loadPopularJobs();
+    res.json({ success: true, jobs });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -129,49 +310,22 @@ router.get("/popular-jobs", async (req, res) => {
 // Get popular cities (auto-calculated or manual)
 router.get("/popular-cities", async (req, res) => {
   try {
-    const cities = await PopularCity.find({ isActive: true })
-      .sort({ order: 1 })
-      .limit(8);
-
-    // For auto-calculated cities, get real-time stats
-    const formattedCities = await Promise.all(cities.map(async (city) => {
-      if (city.isAutoCalculated) {
-        const Task = mongoose.model('Task');
-        const tasks = await Task.find({ 
-          location: { $regex: city.name, $options: 'i' },
-          status: 'open'
-        });
-        
-        // Count by category
-        const categories = {};
-        tasks.forEach(task => {
-          categories[task.category] = (categories[task.category] || 0) + 1;
-        });
-
-        return {
-          _id: city._id,
-          name: city.name,
-          totalJobs: tasks.length,
-          categories,
-          isAutoCalculated: true
-        };
-      } else {
-        return {
-          _id: city._id,
-          name: city.name,
-          totalJobs: city.manualJobCount || 0,
-          categories: city.manualCategories || {},
-          isAutoCalculated: false
-        };
-      }
-    }));
-
-    res.json({ success: true, cities: formattedCities });
+    const cities = await loadPopularCities();
+    res.json({ success: true, cities });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Get trending categories from the latest ranking snapshot
+router.get("/popular-categories", async (req, res) => {
+  try {
+    const categories = await loadPopularCategories();
+    res.json({ success: true, categories });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
 
 // Helper function to get detailed category counts
@@ -179,7 +333,7 @@ async function getCategoryCountsForRegion(regionName) {
   try {
     const categoryStats = await Task.aggregate([
       { $match: { 
-        region: regionName,
+        ...regionFilter(regionName),
         status: "open" 
       }},
       { $group: {
@@ -232,27 +386,22 @@ router.get("/stats", async (req, res) => {
 router.get("/admin/search/tasks", adminAuth, async (req, res) => {
   try {
     const { q, type = 'all' } = req.query;
-    const Task = mongoose.model('Task');
-    
-    let query = {
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { category: { $regex: q, $options: 'i' } },
-        { location: { $regex: q, $options: 'i' } }
-      ],
-      status: 'open'
-    };
 
-    // Filter by type if specified
-    if (type === 'urgent') {
-      query.urgent = true;
-    }
+    const { items } = await searchTasks({
+      q,
+      urgent: type === 'urgent',
+      limit: 20,
+      facets: false,
+      extraProject: { clientId: 1 }
+    });
+    const tasks = await Task.populate(items, { path: 'clientId', select: 'name' });
 
-    const tasks = await Task.find(query)
-      .populate('clientId', 'fullName')
-      .select('title category location budget urgent applications createdAt')
-      .limit(20)
-      .sort({ createdAt: -1 });
+    // Bids live in their own collection
+    const applicationCounts = await TaskApplication.aggregate([
+      { $match: { taskId: { $in: tasks.map(task => task._id) } } },
+      { $group: { _id: '$taskId', count: { $sum: 1 } } }
+    ]);
+    const countByTask = new Map(applicationCounts.map(row => [row._id.toString(), row.count]));
 
     res.json({ 
       success: true, 
@@ -263,8 +412,8 @@ router.get("/admin/search/tasks", adminAuth, async (req, res) => {
         location: task.location,
         budget: task.budget,
         urgent: task.urgent,
-        applications: task.applications?.length || 0,
-        clientName: task.clientId?.fullName,
+        applications: countByTask.get(task._id.toString()) || 0,
+        clientName: task.clientId?.name,
         createdAt: task.createdAt
       }))
     });
@@ -273,79 +422,77 @@ router.get("/admin/search/tasks", adminAuth, async (req, res) => {
   }
 });
 
-// Search for services to feature
+// Search catalogue services to feature
 router.get("/admin/search/services", adminAuth, async (req, res) => {
   try {
-    const { q } = req.query;
-    const Service = mongoose.model('Service');
-    const Provider = mongoose.model('Provider');
-    
+    const q = (req.query.q || '').trim();
+    const pattern = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
     const services = await Service.find({
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { category: { $regex: q, $options: 'i' } }
-      ]
+      isActive: true,
+      ...(q ? { $or: [{ title: pattern }, { category: pattern }, { description: pattern }] } : {})
     })
-    .select('name icon category description')
-    .limit(20);
+      .populate('providerId', 'fullName city region isApproved')
+      .select('title icon category description pricing ordersCount providerId')
+      .sort({ ordersCount: -1 })
+      .limit(20);
 
-    // Get provider count for each service
-    const servicesWithCounts = await Promise.all(services.map(async (service) => {
-      const providerCount = await Provider.countDocuments({
-        services: service._id,
-        // isApproved: true
-      });
-      
-      return {
-        _id: service._id,
-        name: service.name,
-        icon: service.icon,
-        category: service.category,
-        description: service.description,
-        providerCount
-      };
-    }));
-
-    res.json({ success: true, results: servicesWithCounts });
+    res.json({
+      success: true,
+      results: services
+        .filter(service => service.providerId?.isApproved)
+        .map(service => ({
+          _id: service._id,
+          name: service.title,
+          icon: service.icon,
+          category: service.category,
+          description: service.description,
+          price: service.priceLabel,
+          ordersCount: service.ordersCount,
+          providerId: service.providerId._id,
+          providerName: service.providerId.fullName,
+          providerLocation: [service.providerId.city, service.providerId.region].filter(Boolean).join(', ')
+        }))
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Search for providers for featured services
+// Search for providers for featured services (?serviceId= narrows to the provider offering it)
 router.get("/admin/search/providers", adminAuth, async (req, res) => {
   try {
     const { q, serviceId } = req.query;
-    const Provider = mongoose.model('Provider');
-    
-    let query = {
-      $or: [
-        { fullName: { $regex: q, $options: 'i' } },
-        { businessName: { $regex: q, $options: 'i' } },
-        { category: { $regex: q, $options: 'i' } }
-      ],
-      // isApproved: true
-    };
 
+    let extraFilter = {};
     if (serviceId) {
-      query.services = serviceId;
+      if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+        return res.status(400).json({ success: false, message: "Invalid service ID" });
+      }
+      const service = await Service.findById(serviceId).select('providerId');
+      if (!service) {
+        return res.json({ success: true, results: [] });
+      }
+      extraFilter = { _id: service.providerId };
     }
 
-    const providers = await Provider.find(query)
-      .select('fullName businessName category location rating services')
-      .limit(20)
-      .populate('services', 'name')
-      .sort({ rating: -1 });
+    const { items: providers } = await searchProviders({
+      q,
+      includeUnapproved: true,
+      limit: 20,
+      facets: false,
+      extraFilter
+    });
 
     res.json({ 
       success: true, 
       results: providers.map(provider => ({
         _id: provider._id,
-        name: provider.businessName || provider.fullName,
+        name: provider.fullName,
         category: provider.category,
-        location: provider.location,
-        rating: provider.rating,
-        services: provider.services.map(s => s.name)
+        location: [provider.city, provider.region].filter(Boolean).join(', '),
+        rating: provider.averageRating,
+        isApproved: provider.isApproved
       }))
     });
   } catch (error) {
@@ -414,7 +561,7 @@ router.get("/featured-providers", async (req, res) => {
         isFeatured: true,
         // isApproved: true
       })
-      .select('firstName surname otherName profilePic city region category skills averageRating reviews hourlyRate bio experience availability phone email createdAt')
+      .select('firstName surname otherName profilePic profilePicVariants city region category skills averageRating reviews hourlyRate bio experience availability phone email createdAt')
       .sort({ createdAt: -1 })
       .limit(8 - featuredProviders.length);
       
@@ -505,6 +652,127 @@ router.get("/featured-providers", async (req, res) => {
   }
 });
 
+// ============ SECTION CRUD HELPERS ============
+
+const SCHEDULE_FIELDS = ['isActive', 'order', 'startsAt', 'endsAt'];
+
+// Model and editable fields for every curated section
+const SECTIONS = {
+  'featured-services': {
+    Model: FeaturedService,
+    // serviceId/providerId are fixed at creation (the provider comes from the service)
+    fields: [...SCHEDULE_FIELDS, 'isPaid', 'expiresAt']
+  },
+  'urgent-work': {
+    Model: UrgentWork,
+    fields: [...SCHEDULE_FIELDS, 'taskId', 'expiresAt']
+  },
+  'popular-jobs': {
+    Model: PopularJob,
+    fields: [...SCHEDULE_FIELDS, 'taskId', 'reason']
+  },
+  'popular-cities': {
+    Model: PopularCity,
+    fields: [...SCHEDULE_FIELDS, 'name', 'isAutoCalculated', 'manualJobCount', 'manualCategories']
+  },
+  'jobs-by-region': {
+    Model: JobsByRegion,
+    fields: [...SCHEDULE_FIELDS, 'region', 'isAutoCalculated', 'manualJobCount', 'manualCategories']
+  }
+};
+
+const pickFields = (section, body = {}) => {
+  const data = {};
+  SECTIONS[section].fields.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Returns an error message when the scheduling window is invalid
+const validateWindow = ({ startsAt, endsAt }) => {
+  if (startsAt && isNaN(new Date(startsAt).getTime())) return "Invalid start date";
+  if (endsAt && isNaN(new Date(endsAt).getTime())) return "Invalid end date";
+  if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+    return "Start date must be before end date";
+  }
+  return null;
+};
+
+// Keep Task.urgent in step with its urgent-work entry (only open tasks show as urgent)
+const syncTaskUrgent = async (entry, urgent) => {
+  if (entry?.taskId) {
+    await Task.updateOne({ _id: entry.taskId, ...(urgent ? { status: 'open' } : {}) }, { $set: { urgent } });
+  }
+};
+
+// Featured Services Admin CRUD
+router.get("/admin/featured-services", adminAuth, async (req, res) => {
+  try {
+    const services = await FeaturedService.find()
+      .populate('providerId', 'fullName city region')
+      .populate('serviceId', 'title icon category pricing isActive')
+      .sort({ order: 1 });
+    res.json({ success: true, services });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post("/admin/featured-services", adminAuth, async (req, res) => {
+  try {
+    const { serviceId, providerId } = req.body;
+
+    if (!serviceId || !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid serviceId is required"
+      });
+    }
+
+    const catalogueService = await Service.findById(serviceId).select('providerId isActive');
+    if (!catalogueService || !catalogueService.isActive) {
+      return res.status(404).json({ success: false, message: "Service not found or inactive" });
+    }
+    if (providerId && providerId.toString() !== catalogueService.providerId.toString()) {
+      return res.status(400).json({ success: false, message: "That service belongs to another provider" });
+    }
+
+    const windowError = validateWindow(req.body);
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    const existing = await FeaturedService.findOne({ serviceId });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "This service is already featured for this provider"
+      });
+    }
+
+    const count = await FeaturedService.countDocuments({ isActive: true });
+    if (count >= 32) {
+      return res.status(400).json({
+        success: false,
+        message: "Maximum 32 featured services allowed"
+      });
+    }
+
+    const service = new FeaturedService({
+      ...pickFields('featured-services', req.body),
+      serviceId,
+      providerId: catalogueService.providerId,
+      order: count
+    });
+
+    await service.save();
+    res.json({ success: true, service });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Urgent Work Admin CRUD
 router.get("/admin/urgent-work", adminAuth, async (req, res) => {
   try {
@@ -528,22 +796,27 @@ router.get("/admin/urgent-work", adminAuth, async (req, res) => {
 router.post("/admin/urgent-work", adminAuth, async (req, res) => {
   try {
     const { taskId } = req.body;
-    
+
+    const windowError = validateWindow(req.body);
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
     // Check if already urgent featured
     const existing = await UrgentWork.findOne({ taskId });
     if (existing) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "This task is already in urgent work section" 
+      return res.status(400).json({
+        success: false,
+        message: "This task is already in urgent work section"
       });
     }
 
     // Check count limit (4-32)
     const count = await UrgentWork.countDocuments({ isActive: true });
     if (count >= 32) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Maximum 32 urgent work items allowed" 
+      return res.status(400).json({
+        success: false,
+        message: "Maximum 32 urgent work items allowed"
       });
     }
 
@@ -551,13 +824,14 @@ router.post("/admin/urgent-work", adminAuth, async (req, res) => {
     const expiresAt = req.body.expiresAt || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
 
     const task = new UrgentWork({
-      ...req.body,
+      ...pickFields('urgent-work', req.body),
       expiresAt,
       order: count
     });
-    
+
     await task.save();
-    
+    await syncTaskUrgent(task, true);
+
     // Populate response
     const populated = await UrgentWork.findById(task._id)
       .populate({
@@ -598,32 +872,37 @@ router.get("/admin/popular-jobs", adminAuth, async (req, res) => {
 router.post("/admin/popular-jobs", adminAuth, async (req, res) => {
   try {
     const { taskId } = req.body;
-    
+
+    const windowError = validateWindow(req.body);
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
     // Check if already in popular jobs
     const existing = await PopularJob.findOne({ taskId });
     if (existing) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "This task is already in popular jobs" 
+      return res.status(400).json({
+        success: false,
+        message: "This task is already in popular jobs"
       });
     }
 
     // Check count limit (4-32)
     const count = await PopularJob.countDocuments({ isActive: true });
     if (count >= 32) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Maximum 32 popular jobs allowed" 
+      return res.status(400).json({
+        success: false,
+        message: "Maximum 32 popular jobs allowed"
       });
     }
 
     const job = new PopularJob({
-      ...req.body,
+      ...pickFields('popular-jobs', req.body),
       order: count
     });
-    
+
     await job.save();
-    
+
     const populated = await PopularJob.findById(job._id)
       .populate({
         path: 'taskId',
@@ -653,30 +932,35 @@ router.get("/admin/popular-cities", adminAuth, async (req, res) => {
 router.post("/admin/popular-cities", adminAuth, async (req, res) => {
   try {
     const { name } = req.body;
-    
+
+    const windowError = validateWindow(req.body);
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
     // Check if already exists
     const existing = await PopularCity.findOne({ name });
     if (existing) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "This city is already in popular cities" 
+      return res.status(400).json({
+        success: false,
+        message: "This city is already in popular cities"
       });
     }
 
     // Check count limit (4-32)
     const count = await PopularCity.countDocuments({ isActive: true });
     if (count >= 32) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Maximum 32 cities allowed" 
+      return res.status(400).json({
+        success: false,
+        message: "Maximum 32 cities allowed"
       });
     }
 
     const city = new PopularCity({
-      ...req.body,
+      ...pickFields('popular-cities', req.body),
       order: count
     });
-    
+
     await city.save();
     res.json({ success: true, city });
   } catch (error) {
@@ -685,73 +969,99 @@ router.post("/admin/popular-cities", adminAuth, async (req, res) => {
 });
 
 // Jobs by Region Admin CRUD
-// router.get("/admin/jobs-by-region", adminAuth, async (req, res) => {
-//   try {
-//     const regions = await JobsByRegion.find().sort({ order: 1 });
-    
-//     // Ensure all 16 regions exist
-//     const allRegions = [
-//       'Ashanti', 'Brong-Ahafo', 'Central', 'Eastern', 'Greater Accra',
-//       'NorthernX', 'Upper East', 'Upper West', 'Volta', 'Western',
-//       'Western North', 'Oti', 'Ahafo', 'Bono', 'Bono East', 'Savannah'
-//     ];
-    
-//     // Check and create missing regions
-//     for (const regionName of allRegions) {
-//       const exists = regions.find(r => r.region === regionName);
-//       if (!exists) {
-//         const newRegion = new JobsByRegion({
-//           region: regionName,
-//           order: regions.length,
-//           isAutoCalculated: true
-//         });
-//         await newRegion.save();
-//         regions.push(newRegion);
-//       }
-//     }
-    
-//     // Re-fetch sorted
-//     const sortedRegions = await JobsByRegion.find().sort({ order: 1 });
-//     res.json({ success: true, regions: sortedRegions });
-//   } catch (error) {
-//     res.status(500).json({ success: false, message: error.message });
-//   }
-// });
-
-router.put("/admin/jobs-by-region/:id", adminAuth, async (req, res) => {
+router.get("/admin/jobs-by-region", adminAuth, async (req, res) => {
   try {
-    const region = await JobsByRegion.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    res.json({ success: true, region });
+    const regions = await JobsByRegion.find().sort({ order: 1 });
+
+    // Ensure all 16 regions exist
+    const allRegions = JobsByRegion.schema.path('region').enumValues;
+
+    // Check and create missing regions
+    for (const regionName of allRegions) {
+      const exists = regions.find(r => r.region === regionName);
+      if (!exists) {
+        const newRegion = new JobsByRegion({
+          region: regionName,
+          order: regions.length,
+          isAutoCalculated: true
+        });
+        await newRegion.save();
+        regions.push(newRegion);
+      }
+    }
+
+    // Re-fetch sorted
+    const sortedRegions = await JobsByRegion.find().sort({ order: 1 });
+    res.json({ success: true, regions: sortedRegions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Recompute rankings now instead of waiting for the scheduler
+router.post("/admin/rankings/recompute", adminAuth, async (req, res) => {
+  try {
+    const result = await runRankings();
+    res.json({
+      success: true,
+      message: "Rankings recomputed",
+      cities: result.cities.length,
+      categories: result.categories.length,
+      jobs: result.jobs.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Latest ranking snapshots, for checking what the homepage will fill in
+router.get("/admin/rankings", adminAuth, async (req, res) => {
+  try {
+    const [cities, categories, jobs] = await Promise.all([
+      RankingSnapshot.latest('cities'),
+      RankingSnapshot.latest('categories'),
+      RankingSnapshot.latest('jobs')
+    ]);
+    res.json({ success: true, cities, categories, jobs });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Section config for the /admin/:section/:id routes; sends a 400 and returns
+// null for an unknown section or a malformed id
+const sectionFor = (req, res) => {
+  const config = SECTIONS[req.params.section];
+  if (!config) {
+    res.status(400).json({ success: false, message: "Invalid section" });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid entry ID" });
+    return null;
+  }
+  return config;
+};
+
 // Update order for any section
 router.post("/admin/update-order", adminAuth, async (req, res) => {
   try {
     const { section, items } = req.body;
-    
-    let Model;
-    switch(section) {
-      case 'featured-services': Model = FeaturedService; break;
-      case 'urgent-work': Model = UrgentWork; break;
-      case 'popular-jobs': Model = PopularJob; break;
-      case 'popular-cities': Model = PopularCity; break;
-      case 'jobs-by-region': Model = JobsByRegion; break;
-      default:
-        return res.status(400).json({ success: false, message: "Invalid section" });
+
+    if (!SECTIONS[section]) {
+      return res.status(400).json({ success: false, message: "Invalid section" });
+    }
+    const { Model } = SECTIONS[section];
+
+    if (!Array.isArray(items) || !items.every((item) => mongoose.Types.ObjectId.isValid(item?._id))) {
+      return res.status(400).json({ success: false, message: "Invalid entry ID" });
     }
 
     // Update all items
-    const updatePromises = items.map((item, index) => 
+    const updatePromises = items.map((item, index) =>
       Model.findByIdAndUpdate(item._id, { order: index }, { new: true })
     );
-    
+
     await Promise.all(updatePromises);
     res.json({ success: true, message: "Order updated" });
   } catch (error) {
@@ -759,4 +1069,93 @@ router.post("/admin/update-order", adminAuth, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Update any section entry (including its scheduling window)
+router.put("/admin/:section/:id", adminAuth, async (req, res) => {
+  try {
+    const config = sectionFor(req, res);
+    if (!config) return;
+
+    const updates = pickFields(req.params.section, req.body);
+    const current = await config.Model.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({ success: false, message: "Entry not found" });
+    }
+
+    const windowError = validateWindow({
+      startsAt: updates.startsAt !== undefined ? updates.startsAt : current.startsAt,
+      endsAt: updates.endsAt !== undefined ? updates.endsAt : current.endsAt
+    });
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    const entry = await config.Model.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (req.params.section === 'urgent-work') {
+      // Moved to another task: the old one stays urgent only if another entry still boosts it
+      const moved = String(current.taskId) !== String(entry.taskId);
+      if (moved && current.taskId) {
+        await syncTaskUrgent(current, await hasActiveUrgentEntry(current.taskId));
+      }
+      if (moved || updates.isActive !== undefined) {
+        await syncTaskUrgent(entry, Boolean(entry.isActive));
+      }
+    }
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Take an entry off the homepage without deleting it
+router.patch("/admin/:section/:id/deactivate", adminAuth, async (req, res) => {
+  try {
+    const config = sectionFor(req, res);
+    if (!config) return;
+
+    const entry = await config.Model.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: "Entry not found" });
+    }
+
+    if (req.params.section === 'urgent-work') {
+      await syncTaskUrgent(entry, false);
+    }
+
+    res.json({ success: true, message: "Entry deactivated", entry });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.delete("/admin/:section/:id", adminAuth, async (req, res) => {
+  try {
+    const config = sectionFor(req, res);
+    if (!config) return;
+
+    const entry = await config.Model.findByIdAndDelete(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: "Entry not found" });
+    }
+
+    if (req.params.section === 'urgent-work') {
+      await syncTaskUrgent(entry, false);
+    }
+
+    res.json({ success: true, message: "Entry deleted" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
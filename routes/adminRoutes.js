@@ -3,6 +3,7 @@ import User from "../models/User.js";
 import { auth } from "../middleware/auth.js";
 import { adminOnly } from "../middleware/adminMiddleware.js";
 import { adminAuth } from "../middleware/auth.js"; // your new adminAuth middleware
+import { removeStoredFiles } from "../services/uploadService.js";
 
 
 const router = express.Router();
@@ -38,7 +39,8 @@ router.patch("/users/:id/block", adminAuth, async (req, res) => {
 // DELETE user
 router.delete("/users/:id", adminAuth, async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.params.id);
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (user) await removeStoredFiles("avatar", [user.profileImage]);
     res.json({ success: true, message: "User deleted" });
   } catch (err) {
     res.status(500).json({ message: "Failed to delete user" });
@@ -0,0 +1,171 @@
+// routes/bookingRoutes.js
+// Booking a provider's calendar slot for a task (mounted at /api/bookings).
+// Provider schedules and free slots are under /api/providers.
+import express from "express";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { auth } from "../middleware/auth.js";
+import {
+  bookingRole,
+  requestBooking,
+  acceptBooking,
+  declineBooking,
+  cancelBooking,
+  proposeReschedule,
+  answerReschedule,
+  findProviderByCalendarToken,
+  providerCalendar,
+} from "../services/bookingService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+// Load a booking the current user is a party to
+const loadBooking = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid booking ID" });
+    return null;
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking || !bookingRole(booking, req.user)) {
+    res.status(404).json({ success: false, message: "Booking not found" });
+    return null;
+  }
+  return booking;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 📅 .ICS FEED (secret link from /api/providers/me/calendar-link) */
+/* -------------------------------------------------------------------------- */
+router.get("/calendar/:token", async (req, res) => {
+  try {
+    const provider = await findProviderByCalendarToken(req.params.token.replace(/\.ics$/, ""));
+    if (!provider) {
+      return res.status(404).json({ success: false, message: "Calendar not found" });
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.send(await providerCalendar(provider));
+  } catch (error) {
+    console.error("❌ Error building calendar feed:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 MY BOOKINGS (?as=client|provider&status=&upcoming=true) */
+/* -------------------------------------------------------------------------- */
+router.get("/", auth, async (req, res) => {
+  try {
+    const { as, status, upcoming } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = as === "client"
+      ? { clientId: req.user._id }
+      : as === "provider"
+        ? { providerUserId: req.user._id }
+        : { $or: [{ clientId: req.user._id }, { providerUserId: req.user._id }] };
+    if (status) filter.status = status;
+    if (upcoming === "true") filter.end = { $gte: new Date() };
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .populate("taskId", "title city region status")
+        .populate("providerId", "fullName profilePic")
+        .populate("clientId", "name profileImage")
+        .sort({ start: upcoming === "true" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Booking.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, bookings, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error("❌ Error fetching bookings:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟢 REQUEST A SLOT { taskId, providerId, start, end?, note } */
+/* -------------------------------------------------------------------------- */
+router.post("/", auth, async (req, res) => {
+  try {
+    const booking = await requestBooking(req.user, req.body);
+    res.status(201).json({ success: true, message: "Booking requested", booking });
+  } catch (error) {
+    console.error("❌ Error requesting booking:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 ONE BOOKING */
+/* -------------------------------------------------------------------------- */
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    await booking.populate([
+      { path: "taskId", select: "title city region status" },
+      { path: "providerId", select: "fullName profilePic phone" },
+      { path: "clientId", select: "name profileImage" },
+    ]);
+    res.json({ success: true, booking, role: bookingRole(booking, req.user) });
+  } catch (error) {
+    console.error("❌ Error fetching booking:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+// accept / decline / cancel / reschedule all share the same shape
+const action = (label, run) => async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const updated = await run(booking, req);
+    res.json({ success: true, message: label, booking: updated });
+  } catch (error) {
+    console.error(`❌ Error (${label}):`, error);
+    sendError(res, error);
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🟠 PROVIDER: ACCEPT / DECLINE A REQUEST */
+/* -------------------------------------------------------------------------- */
+router.patch("/:id/accept", auth, action("Booking accepted", (booking, req) =>
+  acceptBooking(booking, req.user)
+));
+
+router.patch("/:id/decline", auth, action("Booking declined", (booking, req) =>
+  declineBooking(booking, req.user, req.body?.reason)
+));
+
+/* -------------------------------------------------------------------------- */
+/* 🔴 EITHER SIDE: CANCEL */
+/* -------------------------------------------------------------------------- */
+router.patch("/:id/cancel", auth, action("Booking cancelled", (booking, req) =>
+  cancelBooking(booking, req.user, req.body?.reason)
+));
+
+/* -------------------------------------------------------------------------- */
+/* 🔁 RESCHEDULE: propose a new time { start, end?, note }, then the other side answers */
+/* -------------------------------------------------------------------------- */
+router.post("/:id/reschedule", auth, action("New time proposed", (booking, req) =>
+  proposeReschedule(booking, req.user, req.body)
+));
+
+router.patch("/:id/reschedule/accept", auth, action("New time accepted", (booking, req) =>
+  answerReschedule(booking, req.user, true, req.body?.note)
+));
+
+router.patch("/:id/reschedule/decline", auth, action("New time declined", (booking, req) =>
+  answerReschedule(booking, req.user, false, req.body?.note)
+));
+
+export default router;
@@ -0,0 +1,115 @@
+// routes/categoryRoutes.js
+// Service category taxonomy (mounted at /api/categories): groups → services,
+// with admin edits
+import express from "express";
+import { adminAuth } from "../middleware/auth.js";
+import {
+  listCategories,
+  getCategory,
+  resolveCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../services/categoryService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+/* -------------------------------------------------------------------------- */
+/* 🗂️ ALL CATEGORIES (groups with services; ?flat=true, ?popular=true) */
+/* -------------------------------------------------------------------------- */
+router.get("/", async (req, res) => {
+  try {
+    const categories = await listCategories({
+      flat: req.query.flat === "true",
+      popular: req.query.popular === "true",
+    });
+    res.set("Cache-Control", "public, max-age=300");
+    res.json({ success: true, categories, count: categories.length });
+  } catch (error) {
+    console.error("❌ Error fetching categories:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 RESOLVE a name, slug or synonym to its category (?name=) */
+/* -------------------------------------------------------------------------- */
+router.get("/resolve", async (req, res) => {
+  try {
+    const category = req.query.name ? await resolveCategory(req.query.name) : null;
+    if (!category) {
+      return res.status(404).json({ success: false, message: "Category not found" });
+    }
+    res.json({ success: true, category: await getCategory(category.slug) });
+  } catch (error) {
+    console.error("❌ Error resolving category:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ ADMIN: ALL CATEGORIES INCLUDING INACTIVE */
+/* -------------------------------------------------------------------------- */
+router.get("/admin/all", adminAuth, async (req, res) => {
+  try {
+    const categories = await listCategories({ flat: req.query.flat === "true", includeInactive: true });
+    res.json({ success: true, categories, count: categories.length });
+  } catch (error) {
+    console.error("❌ Error fetching categories:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔵 ONE CATEGORY with its group and services */
+/* -------------------------------------------------------------------------- */
+router.get("/:slug", async (req, res) => {
+  try {
+    res.json({ success: true, category: await getCategory(req.params.slug) });
+  } catch (error) {
+    console.error("❌ Error fetching category:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟢 ADMIN: CREATE (no parent = a new group) */
+/* -------------------------------------------------------------------------- */
+router.post("/", adminAuth, async (req, res) => {
+  try {
+    const category = await createCategory(req.body);
+    res.status(201).json({ success: true, message: "Category created", category });
+  } catch (error) {
+    console.error("❌ Error creating category:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟠 ADMIN: UPDATE (slug is fixed; isActive: false retires a category) */
+/* -------------------------------------------------------------------------- */
+router.put("/:slug", adminAuth, async (req, res) => {
+  try {
+    const category = await updateCategory(req.params.slug, req.body);
+    res.json({ success: true, message: "Category updated", category });
+  } catch (error) {
+    console.error("❌ Error updating category:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔴 ADMIN: DELETE (only when nothing uses it) */
+/* -------------------------------------------------------------------------- */
+router.delete("/:slug", adminAuth, async (req, res) => {
+  try {
+    await deleteCategory(req.params.slug);
+    res.json({ success: true, message: "Category deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting category:", error);
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,335 @@
+// routes/conversationRoutes.js
+// In-app messaging between clients and providers (mounted at /api/conversations)
+import express from "express";
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import User from "../models/User.js";
+import { auth } from "../middleware/auth.js";
+import { uploadArray } from "../middleware/uploads.js";
+import { publishToUser } from "../services/realtime.js";
+import { storeUploads, removeStoredFiles, discardUploads } from "../services/uploadService.js";
+
+const router = express.Router();
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Public-safe fields for the other participant (never phone/WhatsApp)
+const PARTICIPANT_FIELDS = "name fname sname profileImage userType";
+
+// Load a conversation the current user takes part in
+const loadConversation = async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid conversation ID" });
+    return null;
+  }
+
+  const conversation = await Conversation.findById(req.params.id);
+  if (!conversation || !conversation.hasParticipant(req.user._id)) {
+    res.status(404).json({ success: false, message: "Conversation not found" });
+    return null;
+  }
+
+  return conversation;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 LIST MY CONVERSATIONS */
+/* -------------------------------------------------------------------------- */
+router.get("/", auth, async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+
+    const conversations = await Conversation.find({ participants: req.user._id })
+      .populate("participants", PARTICIPANT_FIELDS)
+      .populate("taskId", "title status")
+      .populate("providerId", "fullName profilePic")
+      .sort({ lastMessageAt: -1 });
+
+    const threads = conversations.map((conversation) => {
+      const obj = conversation.toObject();
+      return {
+        ...obj,
+        otherParticipant: conversation.otherParticipant(userId),
+        unreadCount: conversation.unreadCounts.get(userId) || 0,
+      };
+    });
+
+    res.json({ success: true, conversations: threads, count: threads.length });
+  } catch (error) {
+    console.error("❌ Error fetching conversations:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔔 UNREAD COUNTS */
+/* -------------------------------------------------------------------------- */
+router.get("/unread-count", auth, async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const conversations = await Conversation.find({
+      participants: req.user._id,
+      [`unreadCounts.${userId}`]: { $gt: 0 },
+    }).select("unreadCounts");
+
+    const byConversation = {};
+    let total = 0;
+
+    conversations.forEach((conversation) => {
+      const count = conversation.unreadCounts.get(userId) || 0;
+      byConversation[conversation._id] = count;
+      total += count;
+    });
+
+    res.json({ success: true, total, conversations: byConversation });
+  } catch (error) {
+    console.error("❌ Error fetching unread count:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟢 START (OR RESUME) A CONVERSATION */
+/* body: { recipientId | providerId, taskId? }                                 */
+/* -------------------------------------------------------------------------- */
+router.post("/", auth, async (req, res) => {
+  try {
+    const { recipientId, providerId, taskId } = req.body;
+    let recipientUserId = recipientId;
+    let provider = null;
+
+    // Messaging a provider profile: resolve its user account
+    if (providerId) {
+      if (!isValidId(providerId)) {
+        return res.status(400).json({ success: false, message: "Invalid provider ID" });
+      }
+      provider = await Provider.findById(providerId).select("userId");
+      if (!provider) {
+        return res.status(404).json({ success: false, message: "Provider not found" });
+      }
+      recipientUserId = provider.userId.toString();
+    }
+
+    if (!recipientUserId || !isValidId(recipientUserId)) {
+      return res.status(400).json({ success: false, message: "A recipient is required" });
+    }
+
+    if (recipientUserId === req.user._id.toString()) {
+      return res.status(400).json({ success: false, message: "You cannot message yourself" });
+    }
+
+    const recipient = await User.findById(recipientUserId).select("_id");
+    if (!recipient) {
+      return res.status(404).json({ success: false, message: "Recipient not found" });
+    }
+
+    // Conversations about a task must include the task owner
+    let task = null;
+    if (taskId) {
+      if (!isValidId(taskId)) {
+        return res.status(400).json({ success: false, message: "Invalid task ID" });
+      }
+      task = await Task.findById(taskId).select("clientId");
+      if (!task) {
+        return res.status(404).json({ success: false, message: "Task not found" });
+      }
+      const ownerId = task.clientId.toString();
+      if (ownerId !== req.user._id.toString() && ownerId !== recipientUserId) {
+        return res.status(403).json({
+          success: false,
+          message: "Task conversations must include the task owner",
+        });
+      }
+    }
+
+    if (!provider) {
+      // Attach whichever participant has a provider profile, if any
+      provider = await Provider.findOne({
+        userId: { $in: [req.user._id, recipientUserId] },
+      }).select("_id");
+    }
+
+    const participants = [req.user._id, recipient._id];
+
+    let conversation = await Conversation.findOne({
+      participants: { $all: participants },
+      taskId: task ? task._id : null,
+    });
+
+    let created = false;
+    if (!conversation) {
+      try {
+        conversation = await Conversation.create({
+          participants,
+          taskId: task ? task._id : null,
+          providerId: provider ? provider._id : null,
+        });
+        created = true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // A parallel request created it first
+        conversation = await Conversation.findOne({
+          pairKey: Conversation.pairKey(participants, task ? task._id : null),
+        });
+      }
+    }
+
+    await conversation.populate("participants", PARTICIPANT_FIELDS);
+
+    res.status(created ? 201 : 200).json({ success: true, conversation, created });
+  } catch (error) {
+    console.error("❌ Error starting conversation:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 📜 PAGE THROUGH MESSAGES (newest first, ?before=<messageId>&limit=30) */
+/* -------------------------------------------------------------------------- */
+router.get("/:id/messages", auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const filter = { conversationId: conversation._id };
+
+    if (req.query.before) {
+      if (!isValidId(req.query.before)) {
+        return res.status(400).json({ success: false, message: "Invalid cursor" });
+      }
+      filter._id = { $lt: req.query.before };
+    }
+
+    // ObjectIds increase over time, so _id doubles as a stable cursor
+    const messages = await Message.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate("sender", PARTICIPANT_FIELDS);
+
+    const hasMore = messages.length > limit;
+    const page = hasMore ? messages.slice(0, limit) : messages;
+
+    res.json({
+      success: true,
+      messages: page.reverse(),
+      hasMore,
+      nextCursor: hasMore ? page[0]._id : null,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching messages:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* ✉️ SEND MESSAGE (text and/or up to 5 image attachments) */
+/* -------------------------------------------------------------------------- */
+router.post("/:id/messages", auth, uploadArray("attachments", "attachment"), async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) {
+      discardUploads(req.files);
+      return;
+    }
+
+    const text = (req.body.text || "").toString().trim();
+    const files = req.files || [];
+
+    if (!text && files.length === 0) {
+      return res.status(400).json({ success: false, message: "Message text or an attachment is required" });
+    }
+
+    // Attachments go to private storage; participants get signed links
+    const keys = await storeUploads("attachment", files);
+    const attachments = files.map((file, i) => ({
+      path: keys[i],
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+    }));
+
+    let message;
+    try {
+      message = await Message.create({
+        conversationId: conversation._id,
+        sender: req.user._id,
+        text,
+        attachments,
+        readBy: [req.user._id],
+      });
+    } catch (error) {
+      await removeStoredFiles("attachment", keys);
+      throw error;
+    }
+
+    const recipientId = conversation.otherParticipant(req.user._id).toString();
+
+    // Atomic, so concurrent sends and mark-reads don't lose counts
+    const updated = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      {
+        $set: {
+          lastMessage: {
+            text: text || "📷 Photo",
+            sender: req.user._id,
+            hasAttachments: attachments.length > 0,
+            createdAt: message.createdAt,
+          },
+          lastMessageAt: message.createdAt,
+        },
+        $inc: { [`unreadCounts.${recipientId}`]: 1 },
+      },
+      { new: true, projection: "unreadCounts" }
+    );
+
+    await message.populate("sender", PARTICIPANT_FIELDS);
+
+    publishToUser(recipientId, "message:new", {
+      conversationId: conversation._id,
+      message,
+      unreadCount: updated?.unreadCounts.get(recipientId) || 0,
+    });
+
+    res.status(201).json({ success: true, message });
+  } catch (error) {
+    console.error("❌ Error sending message:", error);
+    discardUploads(req.files);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 👀 MARK CONVERSATION AS READ */
+/* -------------------------------------------------------------------------- */
+router.patch("/:id/read", auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const result = await Message.updateMany(
+      { conversationId: conversation._id, readBy: { $ne: req.user._id } },
+      { $addToSet: { readBy: req.user._id } }
+    );
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { [`unreadCounts.${req.user._id}`]: 0 } }
+    );
+
+    publishToUser(conversation.otherParticipant(req.user._id), "conversation:read", {
+      conversationId: conversation._id,
+      readBy: req.user._id,
+    });
+
+    res.json({ success: true, markedRead: result.modifiedCount });
+  } catch (error) {
+    console.error("❌ Error marking conversation read:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+export default router;
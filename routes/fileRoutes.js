@@ -0,0 +1,92 @@
+// routes/fileRoutes.js
+// Private files (mounted at /api/files). Clients ask for signed URLs, then
+// load them directly - <img> tags can't send an Authorization header.
+import express from "express";
+import path from "path";
+import { auth, adminAuth } from "../middleware/auth.js";
+import { readFile, signedFileUrl, verifyFileSignature } from "../services/storage/index.js";
+import { canReadFile } from "../services/fileAccessService.js";
+
+const router = express.Router();
+
+const MAX_KEYS = 50;
+
+const requestedKeys = (req, res) => {
+  const keys = Array.isArray(req.body?.keys) ? req.body.keys.filter((key) => typeof key === "string") : [];
+  if (keys.length === 0 || keys.length > MAX_KEYS) {
+    res.status(400).json({ success: false, message: `Send between 1 and ${MAX_KEYS} file keys` });
+    return null;
+  }
+  return keys;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🔑 SIGN { keys: ["tasks/...", "messages/..."] } -> { urls: { key: url } } */
+/* -------------------------------------------------------------------------- */
+router.post("/sign", auth, async (req, res) => {
+  try {
+    const keys = requestedKeys(req, res);
+    if (!keys) return;
+
+    const urls = {};
+    const denied = [];
+    for (const key of keys) {
+      if (await canReadFile(req.user, key)) urls[key] = signedFileUrl(key);
+      else denied.push(key);
+    }
+
+    res.json({ success: true, urls, denied });
+  } catch (error) {
+    console.error("❌ Error signing file URLs:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+router.post("/admin/sign", adminAuth, async (req, res) => {
+  try {
+    const keys = requestedKeys(req, res);
+    if (!keys) return;
+
+    res.json({ success: true, urls: Object.fromEntries(keys.map((key) => [key, signedFileUrl(key)])), denied: [] });
+  } catch (error) {
+    console.error("❌ Error signing file URLs:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 📄 DOWNLOAD A PRIVATE FILE (?expires&sig from a signed URL) */
+/* -------------------------------------------------------------------------- */
+router.get("/private/*key", async (req, res) => {
+  try {
+    const key = req.params.key.join("/");
+    if (!verifyFileSignature(key, req.query.expires, req.query.sig)) {
+      return res.status(403).json({ success: false, message: "This link is invalid or has expired" });
+    }
+
+    const file = await readFile("private", key);
+    if (!file) {
+      return res.status(404).json({ success: false, message: "File not found" });
+    }
+
+    const maxAge = Math.max(Number(req.query.expires) - Math.floor(Date.now() / 1000), 0);
+    res.type(path.extname(key) || "application/octet-stream");
+    res.set({
+      "Cache-Control": `private, max-age=${maxAge}`,
+      "Content-Disposition": "inline",
+      "X-Content-Type-Options": "nosniff",
+    });
+    if (file.size) res.set("Content-Length", String(file.size));
+
+    file.stream.on("error", (error) => {
+      console.error("❌ Error streaming file:", error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error("❌ Error serving file:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,80 @@
+// routes/geoRoutes.js
+// Canonical Ghana geography (mounted at /api/geo): regions → districts → towns
+import express from "express";
+import {
+  listRegions,
+  getRegion,
+  getDistrict,
+  searchPlaces,
+  normalizeLocation,
+} from "../utils/geography.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+// Static reference data; let browsers and proxies cache it
+const cacheFor = (res) => res.set("Cache-Control", "public, max-age=86400");
+
+/* -------------------------------------------------------------------------- */
+/* 🗺️ ALL REGIONS */
+/* -------------------------------------------------------------------------- */
+router.get("/regions", (req, res) => {
+  cacheFor(res);
+  res.json({ success: true, regions: listRegions() });
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 RESOLVE free text to canonical names and IDs (?region=&district=&city=) */
+/* -------------------------------------------------------------------------- */
+router.get("/resolve", (req, res) => {
+  try {
+    const { region, district, city } = req.query;
+    res.json({ success: true, location: normalizeLocation({ region, district, city }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 AUTOCOMPLETE regions, districts and towns (?q=) */
+/* -------------------------------------------------------------------------- */
+router.get("/search", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  res.json({ success: true, results: searchPlaces(req.query.q, limit) });
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🏘️ DISTRICTS IN A REGION */
+/* -------------------------------------------------------------------------- */
+router.get("/regions/:regionId/districts", (req, res) => {
+  const region = getRegion(req.params.regionId);
+  if (!region) {
+    return res.status(404).json({ success: false, message: "Region not found" });
+  }
+
+  cacheFor(res);
+  res.json({
+    success: true,
+    region: { id: region.id, name: region.name },
+    districts: region.districts.map(({ id, name, capital }) => ({ id, name, capital })),
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🏠 TOWNS IN A DISTRICT */
+/* -------------------------------------------------------------------------- */
+router.get("/districts/:districtId/towns", (req, res) => {
+  const district = getDistrict(req.params.districtId);
+  if (!district) {
+    return res.status(404).json({ success: false, message: "District not found" });
+  }
+
+  cacheFor(res);
+  res.json({
+    success: true,
+    district: { id: district.id, name: district.name, regionId: district.regionId },
+    towns: district.towns,
+  });
+});
+
+export default router;
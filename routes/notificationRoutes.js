@@ -0,0 +1,152 @@
+// routes/notificationRoutes.js
+// In-app notification inbox (mounted at /api/notifications)
+import express from "express";
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import { auth } from "../middleware/auth.js";
+import { getPreferences, updatePreferences } from "../services/notificationService.js";
+
+const router = express.Router();
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 LIST MY NOTIFICATIONS (?unread=true&page=1&limit=20) */
+/* -------------------------------------------------------------------------- */
+router.get("/", auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === "true") {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching notifications:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔔 UNREAD COUNT */
+/* -------------------------------------------------------------------------- */
+router.get("/unread-count", auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    res.json({ success: true, count });
+  } catch (error) {
+    console.error("❌ Error fetching unread notification count:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* ⚙️ CHANNEL PREFERENCES */
+/* -------------------------------------------------------------------------- */
+router.get("/preferences", auth, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error("❌ Error fetching notification preferences:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+router.put("/preferences", auth, async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user, req.body);
+    res.json({ success: true, message: "Notification preferences updated", preferences });
+  } catch (error) {
+    console.error("❌ Error updating notification preferences:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 👀 MARK ALL AS READ */
+/* -------------------------------------------------------------------------- */
+router.patch("/read-all", auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ success: true, markedRead: result.modifiedCount });
+  } catch (error) {
+    console.error("❌ Error marking notifications read:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 👀 MARK ONE AS READ */
+/* -------------------------------------------------------------------------- */
+router.patch("/:id/read", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid notification ID" });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ success: false, message: "Notification not found" });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ success: true, notification });
+  } catch (error) {
+    console.error("❌ Error marking notification read:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🗑️ DELETE NOTIFICATION */
+/* -------------------------------------------------------------------------- */
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid notification ID" });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ success: false, message: "Notification not found" });
+    }
+
+    res.json({ success: true, message: "Notification deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting notification:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+// routes/paymentRoutes.js
+// Task escrow payments (mounted at /api/payments)
+import express from "express";
+import mongoose from "mongoose";
+import Payment from "../models/Payment.js";
+import Transaction from "../models/Transaction.js";
+import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import Provider from "../models/Providers.js";
+import { auth } from "../middleware/auth.js";
+import { holdFundsForTask, verifyPayment, handleWebhook } from "../services/paymentService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Load a payment by reference that the current user paid or is being paid
+const loadPayment = async (req, res) => {
+  const payment = await Payment.findOne({ reference: req.params.reference });
+  if (!payment) {
+    res.status(404).json({ success: false, message: "Payment not found" });
+    return null;
+  }
+
+  if (payment.client.toString() !== req.user._id.toString()) {
+    const provider = await Provider.findOne({ userId: req.user._id }).select("_id");
+    if (!provider || payment.provider?.toString() !== provider._id.toString()) {
+      res.status(404).json({ success: false, message: "Payment not found" });
+      return null;
+    }
+  }
+
+  return payment;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🔔 GATEWAY WEBHOOKS (signature verified, no auth) */
+/* -------------------------------------------------------------------------- */
+router.post("/webhooks/:gateway", async (req, res) => {
+  try {
+    await handleWebhook(req.params.gateway, req.rawBody, req.headers, req.body);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ Payment webhook error:", error.message);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 MY PAYMENTS (?as=provider to see payments held for you) */
+/* -------------------------------------------------------------------------- */
+router.get("/", auth, async (req, res) => {
+  try {
+    let filter = { client: req.user._id };
+
+    if (req.query.as === "provider") {
+      const provider = await Provider.findOne({ userId: req.user._id }).select("_id");
+      if (!provider) {
+        return res.json({ success: true, payments: [], count: 0 });
+      }
+      filter = { provider: provider._id };
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const payments = await Payment.find(filter)
+      .populate("task", "title status")
+      .populate("provider", "fullName profilePic")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, payments, count: payments.length });
+  } catch (error) {
+    console.error("❌ Error fetching payments:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 💳 PAY FOR AN ASSIGNED TASK (retry after a failed or abandoned charge) */
+/* -------------------------------------------------------------------------- */
+router.post("/tasks/:taskId", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.taskId)) {
+      return res.status(400).json({ success: false, message: "Invalid task ID" });
+    }
+
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+
+    if (task.clientId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Only the task owner can pay for this task" });
+    }
+
+    if (!["assigned", "in_progress", "awaiting_confirmation"].includes(task.status) || !task.acceptedApplication) {
+      return res.status(400).json({ success: false, message: "Payment is only possible once a bid has been accepted" });
+    }
+
+    const application = await TaskApplication.findById(task.acceptedApplication);
+    if (!application) {
+      return res.status(404).json({ success: false, message: "Accepted application not found" });
+    }
+
+    const payment = await holdFundsForTask({ task, application, client: req.user, phone: req.body.phone });
+    if (!payment) {
+      return res.status(400).json({ success: false, message: "This task has nothing to pay" });
+    }
+
+    res.status(201).json({ success: true, payment });
+  } catch (error) {
+    console.error("❌ Error starting task payment:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 PAYMENT DETAILS WITH LEDGER */
+/* -------------------------------------------------------------------------- */
+router.get("/:reference", auth, async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    const transactions = await Transaction.find({ payment: payment._id })
+      .select("-raw")
+      .sort({ createdAt: 1 });
+
+    res.json({ success: true, payment, transactions });
+  } catch (error) {
+    console.error("❌ Error fetching payment:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔄 CHECK CHARGE STATUS WITH THE GATEWAY (after returning from checkout) */
+/* -------------------------------------------------------------------------- */
+router.post("/:reference/verify", auth, async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    const updated = await verifyPayment(payment);
+    res.json({ success: true, payment: updated });
+  } catch (error) {
+    console.error("❌ Error verifying payment:", error);
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,97 @@
+// routes/phoneAuthRoutes.js
+// Phone OTP verification and passwordless login (mounted at /api/auth/phone)
+import express from "express";
+import jwt from "jsonwebtoken";
+import { authenticateToken } from "../middleware/auth.js";
+import { requestOtp, verifyOtp } from "../services/phoneOtpService.js";
+import { maskPhone } from "../utils/phone.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+// "verify" works on the logged-in account, so it needs a valid token
+const resolveUser = async (req, purpose) => {
+  if (purpose !== "verify") return null;
+
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  if (!token) {
+    throw new HttpError(401, "Please log in to verify a phone number");
+  }
+
+  try {
+    const user = await authenticateToken(token);
+    if (!user) throw new Error("User not found");
+    return user;
+  } catch (error) {
+    throw new HttpError(401, "Invalid token");
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* 📱 REQUEST CODE  body: { phone, purpose: "verify" | "login", channel? } */
+/* -------------------------------------------------------------------------- */
+router.post("/request-otp", async (req, res) => {
+  try {
+    const { phone, purpose = "verify", channel } = req.body;
+    const user = await resolveUser(req, purpose);
+
+    const result = await requestOtp({ phone, purpose, user, channel, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: `If ${maskPhone(result.phone)} can receive codes, one has been sent`,
+      phone: maskPhone(result.phone),
+      expiresInMinutes: 10,
+    });
+  } catch (error) {
+    console.error("❌ Error requesting OTP:", error.message);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* ✅ VERIFY CODE  body: { phone, code, purpose: "verify" | "login" } */
+/* -------------------------------------------------------------------------- */
+router.post("/verify-otp", async (req, res) => {
+  try {
+    const { phone, code, purpose = "verify" } = req.body;
+    const user = await resolveUser(req, purpose);
+
+    const account = await verifyOtp({ phone, code, purpose, user });
+
+    if (purpose === "verify") {
+      return res.json({
+        success: true,
+        message: "Phone number verified",
+        user: account.toSafeObject(),
+      });
+    }
+
+    const token = jwt.sign({ id: account._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
+
+    console.log("✅ Phone login for user:", account._id);
+    res.json({
+      success: true,
+      message: "Login successful",
+      user: {
+        id: account._id,
+        name: account.name,
+        email: account.email,
+        phone: account.phone,
+        userType: account.userType,
+        isVerified: account.isVerified,
+        isApproved: account.isApproved,
+        phoneVerified: account.phoneVerified,
+        emailVerified: account.isVerified,
+        adminVerified: account.isApproved,
+        profileComplete: account.profileComplete || false,
+      },
+      token,
+    });
+  } catch (error) {
+    console.error("❌ Error verifying OTP:", error.message);
+    sendError(res, error);
+  }
+});
+
+export default router;
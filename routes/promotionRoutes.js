@@ -0,0 +1,95 @@
+// routes/promotionRoutes.js
+// Self-serve featured slots and urgent boosts (mounted at /api/promotions)
+import express from "express";
+import Promotion from "../models/Promotion.js";
+import Payment from "../models/Payment.js";
+import { auth } from "../middleware/auth.js";
+import { getCatalogue, purchasePromotion, getReceipts, toReceipt } from "../services/promotionService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+/* -------------------------------------------------------------------------- */
+/* 🏷️ PRICE CATALOGUE */
+/* -------------------------------------------------------------------------- */
+router.get("/catalogue", (req, res) => {
+  res.json({ success: true, catalogue: getCatalogue(), currency: "GHS" });
+});
+
+/* -------------------------------------------------------------------------- */
+/* 💳 BUY A PROMOTION  body: { type, durationDays, taskId?, phone? } */
+/* -------------------------------------------------------------------------- */
+router.post("/", auth, async (req, res) => {
+  try {
+    const { type, durationDays, taskId, phone } = req.body;
+    const { promotion, payment } = await purchasePromotion({
+      user: req.user,
+      type,
+      durationDays,
+      taskId,
+      phone,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: promotion.status === "active" ? "Promotion activated" : "Complete the payment to activate your promotion",
+      promotion,
+      payment,
+    });
+  } catch (error) {
+    console.error("❌ Error buying promotion:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 MY PROMOTIONS */
+/* -------------------------------------------------------------------------- */
+router.get("/mine", auth, async (req, res) => {
+  try {
+    const filter = { buyer: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const promotions = await Promotion.find(filter)
+      .populate("task", "title status")
+      .populate("provider", "fullName")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, promotions, count: promotions.length });
+  } catch (error) {
+    console.error("❌ Error fetching promotions:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🧾 RECEIPTS */
+/* -------------------------------------------------------------------------- */
+router.get("/receipts", auth, async (req, res) => {
+  try {
+    const receipts = await getReceipts(req.user);
+    res.json({ success: true, receipts, count: receipts.length });
+  } catch (error) {
+    console.error("❌ Error fetching receipts:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+router.get("/receipts/:reference", auth, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ reference: req.params.reference, client: req.user._id })
+      .populate("promotion", "type durationDays startsAt expiresAt status")
+      .populate("task", "title");
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: "Receipt not found" });
+    }
+
+    res.json({ success: true, receipt: toReceipt(payment) });
+  } catch (error) {
+    console.error("❌ Error fetching receipt:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+export default router;
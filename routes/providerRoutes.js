@@ -1,60 +1,35 @@
 import express from "express";
-import multer from "multer";
 import Provider from "../models/Providers.js";
 import { auth } from "../middleware/auth.js";
-import path from "path";
-import fs from "fs";
 import { adminAuth } from "../middleware/auth.js";
-import { normalizeFilePath } from '../utils/pathUtils.js';
 import mongoose from "mongoose";
 import ProviderUpdateRequest from "../models/ProviderUpdateRequest.js"; 
-import User from "../models/User.js"; 
+import { createVerifiedReview } from "../services/reviewService.js";
+import { sendError } from "../utils/httpError.js";
+import { normalizeLocation, regionFilter, REGION_NAMES, findRegion, parseGeoPoint } from "../utils/geography.js";
+import { findNearbyProviders } from "../services/nearbyService.js";
+import { searchProviders } from "../services/searchService.js";
+import { recommendTasksForProvider } from "../services/matchingService.js";
+import { normalizeProviderCategories } from "../services/categoryService.js";
+import {
+  normalizeSchedule,
+  addTimeOff,
+  removeTimeOff,
+  listSlots,
+  getCalendarToken,
+  providerCalendar,
+} from "../services/bookingService.js";
+import { API_URL } from "../config/env.js";
+import { uploadArray, uploadFields } from "../middleware/uploads.js";
+import { storeUpload, storeUploads, removeStoredFiles, discardUploads } from "../services/uploadService.js";
+import { submitVerification, latestVerification } from "../services/verificationService.js";
 
 
 
 
 const router = express.Router();
 
-// ✅ Multer setup with normalized paths
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = "uploads/providers";
-    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${file.originalname}`;
-    cb(null, uniqueName);
-  },
-});
-
-// ✅ Add file filter for security
-const fileFilter = (req, file, cb) => {
-  const allowedImageTypes = /jpeg|jpg|png|gif|webp/;
-  const allowedDocumentTypes = /pdf|doc|docx|txt/;
-  
-  if (file.fieldname === 'profilePic') {
-    // Only images for profile pictures
-    const isImage = allowedImageTypes.test(path.extname(file.originalname).toLowerCase());
-    cb(null, isImage);
-  } else if (file.fieldname === 'sampleWork') {
-    // Allow both images and documents for sample work
-    const ext = path.extname(file.originalname).toLowerCase();
-    const isValid = allowedImageTypes.test(ext) || allowedDocumentTypes.test(ext);
-    cb(null, isValid);
-  } else {
-    cb(null, false);
-  }
-};
-
-const upload = multer({ 
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-    files: 11 // 1 profile pic + max 10 sample works
-  }
-});
+const profileUploads = uploadFields({ profilePic: "profilePic", sampleWork: "sampleWork" });
 
 // Get providers with exact category match
 router.get("/by-exact-category", async (req, res) => {
@@ -96,19 +71,14 @@ router.get("/providers-by-region", async (req, res) => {
     // Get Provider model
     const Provider = mongoose.model('Provider');
     
-    // Define all Ghana regions in alphabetical order
-    const allGhanaRegions = [
-      'Ahafo', 'Ashanti', 'Bono', 'Bono East', 
-      'Central', 'Eastern', 'Greater Accra', 'North East', 'Northern', 'Oti', 
-      'Savannah', 'Upper East', 'Upper West', 'Volta', 'Western', 
-      'Western North'
-    ];
+    // All Ghana regions in alphabetical order
+    const allGhanaRegions = REGION_NAMES;
     
     // Get ALL providers with regions - NO FILTERING
     const providers = await Provider.find({ 
       region: { $exists: true, $ne: null, $ne: "" }
     })
-    .select("region skills averageRating category")
+    .select("region regionId skills averageRating category")
     .lean();
     
     console.log(`✅ Found ${providers.length} total providers with regions`);
@@ -126,18 +96,12 @@ router.get("/providers-by-region", async (req, res) => {
     
     // Count ALL providers and aggregate data by region (NO FILTERING)
     providers.forEach(provider => {
-      const region = provider.region ? provider.region.trim() : '';
-      
-      if (!region) return;
-      
-      // Find matching region (case-insensitive)
-      const matchedRegion = allGhanaRegions.find(r => 
-        r.toLowerCase() === region.toLowerCase()
-      );
+      // Match by canonical ID, falling back to the name/aliases for unmigrated providers
+      const matchedRegion = findRegion(provider.regionId || provider.region);
       
       if (!matchedRegion) return;
       
-      const stats = regionStats[matchedRegion];
+      const stats = regionStats[matchedRegion.name];
       stats.providerCount++;
       
       // Add rating
@@ -275,9 +239,7 @@ router.get("/region/:regionName/category-counts", async (req, res) => {
       {
         $match: {
           // isApproved: true,  // <--- COMMENTED OUT
-          region: { 
-            $regex: new RegExp(`^${regionName}$`, 'i') 
-          },
+          ...regionFilter(regionName),
           category: { $exists: true, $ne: [], $ne: null }
         }
       },
@@ -294,6 +256,7 @@ router.get("/region/:regionName/category-counts", async (req, res) => {
               _id: "$_id",
               fullName: "$fullName",
               profilePic: "$profilePic",
+              profilePicVariants: "$profilePicVariants",
               averageRating: "$averageRating",
               experience: "$experience"
             }
@@ -314,7 +277,7 @@ router.get("/region/:regionName/category-counts", async (req, res) => {
     // Get total providers in region
     const totalProviders = await Provider.countDocuments({
       // isApproved: true,  // <--- COMMENTED OUT
-      region: { $regex: new RegExp(`^${regionName}$`, 'i') }
+      ...regionFilter(regionName)
     });
     
     console.log(`✅ Region stats for ${regionName}: ${totalProviders} total providers, ${results.length} categories`);
@@ -344,7 +307,7 @@ router.get("/region-category", async (req, res) => {
     
     // Build query object
     const query = {
-      region: { $regex: new RegExp(`^${region}$`, 'i') }
+      ...regionFilter(region)
     };
     
     // Define mapping of main categories to their sub-categories
@@ -817,7 +780,7 @@ router.get("/region-category", async (req, res) => {
     
     const [providers, total] = await Promise.all([
       Provider.find(query)
-        .select('fullName firstName surname otherName profilePic bio category skills experience hourlyRate availability averageRating reviews city region totalJobs completedJobs responseRate isVerified')
+        .select('fullName firstName surname otherName profilePic profilePicVariants bio category skills experience hourlyRate availability averageRating reviewsCount city region totalJobs completedJobs responseRate isVerified')
         .sort(sortOption)
         .skip(skip)
         .limit(parseInt(limit)),
@@ -839,7 +802,7 @@ router.get("/region-category", async (req, res) => {
       providerObj.availabilityLabel = provider.availabilityLabel || "Flexible";
       
       // Add review count
-      providerObj.reviewCount = provider.reviews?.length || 0;
+      providerObj.reviewCount = provider.reviewsCount || 0;
       
       // Find which of their categories match the search
       if (mainCategoryToSubCategories[category]) {
@@ -887,9 +850,7 @@ router.get("/region/:regionName/categories", async (req, res) => {
       {
         $match: {
           // isApproved: true,  // <--- COMMENTED OUT
-          region: { 
-            $regex: new RegExp(`^${regionName}$`, 'i') 
-          }
+          ...regionFilter(regionName)
         }
       },
       { $unwind: "$category" },
@@ -925,17 +886,16 @@ router.get("/region/:regionName/categories", async (req, res) => {
 router.post(
   "/",
   auth,
-  upload.fields([
-    { name: "profilePic", maxCount: 1 },
-    { name: "sampleWork", maxCount: 10 },
-  ]),
+  profileUploads,
   async (req, res) => {
+    const storedFiles = { profilePic: [], sampleWork: [] };
     try {
       const userId = req.user._id;
 
       // ✅ Check if user already registered
       const existingProvider = await Provider.findOne({ userId });
       if (existingProvider) {
+        discardUploads(req.files);
         return res.status(400).json({
           success: false,
           message: "You have already registered as a provider.",
@@ -959,29 +919,35 @@ router.post(
         phone,
         whatsapp,
         email,
+        lat,
+        lng,
+        serviceRadiusKm,
       } = req.body;
 
       // ✅ Validate required fields
       if (!fname || !sname) {
+        discardUploads(req.files);
         return res.status(400).json({
           success: false,
           message: "First name and surname are required.",
         });
       }
 
+      // ✅ Validate and normalise location to canonical names and IDs
+      const location = normalizeLocation({ region, district, city });
+      const geoLocation = parseGeoPoint(lat, lng) || undefined;
+
+      // ✅ Validate categories against the taxonomy
+      const categories = await normalizeProviderCategories(category);
+
       // ✅ Create full name
       const fullName = `${fname} ${sname}${otherName ? ` ${otherName}` : ""}`.trim();
 
-      // ✅ Normalize file paths
-      let profilePicPath = "";
+      // ✅ Move uploads into storage
       if (req.files?.profilePic?.[0]) {
-        profilePicPath = normalizeFilePath(req.files.profilePic[0].path);
+        storedFiles.profilePic = [await storeUpload("profilePic", req.files.profilePic[0])];
       }
-
-      // ✅ Normalize sample work paths
-      const sampleWorkPaths = req.files?.sampleWork 
-        ? req.files.sampleWork.map(file => normalizeFilePath(file.path))
-        : [];
+      storedFiles.sampleWork = await storeUploads("sampleWork", req.files?.sampleWork);
 
       // Create provider
       const newProvider = new Provider({
@@ -993,7 +959,10 @@ router.post(
         city,
         region,
         district,
-        category: category ? JSON.parse(category) : [],
+        ...location,
+        geoLocation,
+        ...(serviceRadiusKm ? { serviceRadiusKm: Number(serviceRadiusKm) } : {}),
+        ...categories, // category, categorySlugs
         bio,
         skills: skills ? JSON.parse(skills) : [],
         experience: experience || "",
@@ -1002,8 +971,8 @@ router.post(
         phone: phone || "",
         whatsapp: whatsapp || "",
         email: email || "",
-        profilePic: profilePicPath,
-        sampleWork: sampleWorkPaths,
+        profilePic: storedFiles.profilePic[0] || "",
+        sampleWork: storedFiles.sampleWork,
         isApproved: false,
       });
 
@@ -1019,20 +988,11 @@ router.post(
       console.error("❌ Error registering provider:", error);
       
       // ✅ Clean up uploaded files if validation fails
-      if (req.files) {
-        Object.values(req.files).forEach(files => {
-          files.forEach(file => {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          });
-        });
-      }
-      
-      res.status(500).json({
-        success: false,
-        message: "Server error during provider registration: " + error.message,
-      });
+      discardUploads(req.files);
+      await removeStoredFiles("profilePic", storedFiles.profilePic);
+      await removeStoredFiles("sampleWork", storedFiles.sampleWork);
+
+      sendError(res, error, "Server error during provider registration");
     }
   }
 );
@@ -1085,7 +1045,173 @@ router.get("/me", auth, async (req, res) => {
 });
 
 /* -------------------------------------------------------------------------- */
-/* 🔍 SEARCH PROVIDERS BY NAME, CATEGORY OR SKILLS */
+/* 🎯 OPEN TASKS RECOMMENDED FOR THE CURRENT PROVIDER */
+/* -------------------------------------------------------------------------- */
+router.get("/me/recommended-tasks", auth, async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ userId: req.user._id });
+    if (!provider) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Provider profile not found" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const recommendations = await recommendTasksForProvider(provider, { limit });
+
+    res.json({ success: true, recommendations, count: recommendations.length });
+  } catch (error) {
+    console.error("❌ Error fetching recommended tasks:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+// Current user's provider profile, or a 404 response
+const loadOwnProvider = async (req, res) => {
+  const provider = await Provider.findOne({ userId: req.user._id });
+  if (!provider) {
+    res.status(404).json({ success: false, message: "Provider profile not found" });
+    return null;
+  }
+  return provider;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🗓️ MY SCHEDULE (weekly hours, slot length, time off) */
+/* -------------------------------------------------------------------------- */
+router.get("/me/schedule", auth, async (req, res) => {
+  try {
+    const provider = await loadOwnProvider(req, res);
+    if (!provider) return;
+
+    res.json({ success: true, schedule: provider.schedule });
+  } catch (error) {
+    console.error("❌ Error fetching schedule:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+router.put("/me/schedule", auth, async (req, res) => {
+  try {
+    const provider = await loadOwnProvider(req, res);
+    if (!provider) return;
+
+    const updates = normalizeSchedule(req.body);
+    Object.entries(updates).forEach(([field, value]) => provider.set(`schedule.${field}`, value));
+    await provider.save();
+
+    res.json({ success: true, message: "Schedule updated", schedule: provider.schedule });
+  } catch (error) {
+    console.error("❌ Error updating schedule:", error);
+    sendError(res, error);
+  }
+});
+
+router.post("/me/time-off", auth, async (req, res) => {
+  try {
+    const provider = await loadOwnProvider(req, res);
+    if (!provider) return;
+
+    const timeOff = await addTimeOff(provider, req.body);
+    res.status(201).json({ success: true, message: "Time off added", timeOff });
+  } catch (error) {
+    console.error("❌ Error adding time off:", error);
+    sendError(res, error);
+  }
+});
+
+router.delete("/me/time-off/:blockId", auth, async (req, res) => {
+  try {
+    const provider = await loadOwnProvider(req, res);
+    if (!provider) return;
+
+    const timeOff = await removeTimeOff(provider, req.params.blockId);
+    res.json({ success: true, message: "Time off removed", timeOff });
+  } catch (error) {
+    console.error("❌ Error removing time off:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 📅 MY BOOKINGS AS .ICS (download, or a subscribable link; ?rotate=true for a new link) */
+/* -------------------------------------------------------------------------- */
+router.get("/me/calendar.ics", auth, async (req, res) => {
+  try {
+    const provider = await loadOwnProvider(req, res);
+    if (!provider) return;
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="bookings.ics"');
+    res.send(await providerCalendar(provider));
+  } catch (error) {
+    console.error("❌ Error exporting calendar:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+router.post("/me/calendar-link", auth, async (req, res) => {
+  try {
+    const provider = await loadOwnProvider(req, res);
+    if (!provider) return;
+
+    const token = await getCalendarToken(provider, { rotate: req.query.rotate === "true" });
+    const base = API_URL || `${req.protocol}://${req.get("host")}`;
+    res.json({ success: true, url: `${base}/api/bookings/calendar/${token}.ics` });
+  } catch (error) {
+    console.error("❌ Error creating calendar link:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🪪 IDENTITY VERIFICATION (multipart: idNumber + idFront, idBack, selfie) */
+/* -------------------------------------------------------------------------- */
+router.get("/me/verification", auth, async (req, res) => {
+  try {
+    const provider = await loadOwnProvider(req, res);
+    if (!provider) return;
+
+    const request = await latestVerification(provider);
+    res.json({
+      success: true,
+      isVerified: provider.isVerified,
+      request: request ? request.toProviderJSON() : null,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching verification status:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+router.post(
+  "/me/verification",
+  auth,
+  uploadFields({ idFront: "idDocument", idBack: "idDocument", selfie: "idDocument" }),
+  async (req, res) => {
+    try {
+      const provider = await loadOwnProvider(req, res);
+      if (!provider) {
+        discardUploads(req.files);
+        return;
+      }
+
+      const request = await submitVerification(provider, req.body, req.files);
+      res.status(201).json({
+        success: true,
+        message: "Documents received. We'll let you know once they've been reviewed.",
+        request: request.toProviderJSON(),
+      });
+    } catch (error) {
+      console.error("❌ Error submitting verification:", error);
+      discardUploads(req.files);
+      sendError(res, error);
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 SEARCH PROVIDERS BY NAME, CATEGORY OR SKILLS (prefer /api/search) */
 /* -------------------------------------------------------------------------- */
 router.get("/search", async (req, res) => {
   try {
@@ -1095,23 +1221,62 @@ router.get("/search", async (req, res) => {
       return res.json({ success: true, providers: [] });
     }
 
-    // Case-insensitive partial match for name, category, or skills
-    const providers = await Provider.find({
-      $or: [
-        { firstName: { $regex: q, $options: "i" } },
-        { surname: { $regex: q, $options: "i" } },
-        { category: { $regex: q, $options: "i" } },
-        { skills: { $elemMatch: { $regex: q, $options: "i" } } },
-      ],
-    }).select("firstname surname category skills profilePic _id experience rating");
+    const { items } = await searchProviders({ q, limit: 50, facets: false });
 
-    res.json({ success: true, providers });
+    res.json({ success: true, providers: items });
   } catch (error) {
     console.error("❌ Error searching providers:", error);
     res.status(500).json({ success: false, message: "Server error during search" });
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/* 📍 NEARBY PROVIDERS (?lat&lng&radiusKm&category&withinServiceArea=false) */
+/* -------------------------------------------------------------------------- */
+router.get("/nearby", async (req, res) => {
+  try {
+    const result = await findNearbyProviders({
+      ...req.query,
+      withinServiceArea: req.query.withinServiceArea !== "false",
+    });
+
+    res.json({
+      success: true,
+      providers: result.providers,
+      count: result.providers.length,
+      total: result.total,
+      page: result.page,
+      totalPages: Math.ceil(result.total / result.limit),
+      radiusKm: result.radiusKm,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching nearby providers:", error);
+    sendError(res, error, "Server error fetching nearby providers");
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🕒 FREE BOOKING SLOTS (?from&to, default the next 7 days) */
+/* -------------------------------------------------------------------------- */
+router.get("/:id/slots", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid provider ID" });
+    }
+
+    const provider = await Provider.findOne({ _id: req.params.id, isApproved: true }).select("schedule");
+    if (!provider) {
+      return res.status(404).json({ success: false, message: "Provider not found" });
+    }
+
+    const slots = await listSlots(provider, req.query);
+    res.json({ success: true, slots, slotMinutes: provider.schedule?.slotMinutes || 60 });
+  } catch (error) {
+    console.error("❌ Error fetching slots:", error);
+    sendError(res, error);
+  }
+});
+
 /* -------------------------------------------------------------------------- */
 /* 🔵 GET SINGLE PROVIDER BY ID */
 /* -------------------------------------------------------------------------- */
@@ -1136,14 +1301,12 @@ router.get("/:id", async (req, res) => {
 router.put(
   "/update",
   auth,
-  upload.fields([
-    { name: "profilePic", maxCount: 1 },
-    { name: "sampleWork", maxCount: 10 },
-  ]),
+  profileUploads,
   async (req, res) => {
     try {
       const provider = await Provider.findOne({ userId: req.user._id });
       if (!provider) {
+        discardUploads(req.files);
         return res.status(404).json({
           success: false,
           message: "Provider not found"
@@ -1154,7 +1317,9 @@ router.put(
       
       // Parse JSON fields
       if (updates.skills) updates.skills = JSON.parse(updates.skills);
-      if (updates.category) updates.category = JSON.parse(updates.category);
+      if (updates.category) {
+        Object.assign(provider, await normalizeProviderCategories(updates.category, provider));
+      }
       
       // Update name fields
       if (updates.fname || updates.sname || updates.otherName) {
@@ -1166,38 +1331,51 @@ router.put(
       
       // Update other fields
       const fields = ['city', 'region', 'district', 'bio', 'experience', 'hourlyRate', 
-                      'availability', 'phone', 'whatsapp', 'email'];
+                      'availability', 'phone', 'whatsapp', 'email', 'serviceRadiusKm'];
       
       fields.forEach(field => {
         if (updates[field] !== undefined) {
           provider[field] = updates[field];
         }
       });
+
+      // ✅ Normalise any location change to canonical names and IDs
+      Object.assign(provider, normalizeLocation(
+        { region: updates.region, district: updates.district, city: updates.city },
+        provider
+      ));
+
+      // ✅ Map pin (send empty lat/lng to remove it)
+      const geoLocation = parseGeoPoint(updates.lat, updates.lng);
+      if (geoLocation !== undefined) {
+        provider.geoLocation = geoLocation || undefined;
+      }
       
-      // ✅ Handle profile picture update with normalized path
+      // ✅ Handle profile picture update (the old one is deleted once saved)
+      const oldProfilePic = provider.profilePic;
       if (req.files?.profilePic?.[0]) {
-        // Delete old file if exists
-        if (provider.profilePic && fs.existsSync(provider.profilePic)) {
-          fs.unlinkSync(provider.profilePic);
-        }
-        provider.profilePic = normalizeFilePath(req.files.profilePic[0].path);
+        provider.profilePic = await storeUpload("profilePic", req.files.profilePic[0]);
       }
 
-      // ✅ Handle sample work with normalized paths
+      // ✅ Handle sample work (anything past the first 10 is deleted once saved)
+      let droppedSamples = [];
       if (req.files?.sampleWork) {
-        const newSamples = req.files.sampleWork.map(file => 
-          normalizeFilePath(file.path)
-        );
-        const allSamples = [...provider.sampleWork, ...newSamples].slice(0, 10);
-        provider.sampleWork = allSamples;
+        const newSamples = await storeUploads("sampleWork", req.files.sampleWork);
+        const allSamples = [...provider.sampleWork, ...newSamples];
+        provider.sampleWork = allSamples.slice(0, 10);
+        droppedSamples = allSamples.slice(10);
       }
 
-      // Update category and skills if provided
-      if (updates.category) provider.category = updates.category;
+      // Update skills if provided
       if (updates.skills) provider.skills = updates.skills;
 
       await provider.save();
 
+      if (provider.profilePic !== oldProfilePic) {
+        await removeStoredFiles("profilePic", [oldProfilePic]);
+      }
+      await removeStoredFiles("sampleWork", droppedSamples);
+
       res.json({
         success: true,
         message: "Provider updated successfully!",
@@ -1205,10 +1383,8 @@ router.put(
       });
     } catch (error) {
       console.error("❌ Error updating provider:", error);
-      res.status(500).json({
-        success: false,
-        message: "Server error updating provider: " + error.message,
-      });
+      discardUploads(req.files);
+      sendError(res, error, "Server error updating provider");
     }
   }
 );
@@ -1226,15 +1402,10 @@ router.delete("/sample/:index", auth, async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid sample index" });
     }
 
-    // Delete file from filesystem
-    const filePath = provider.sampleWork[index];
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-
-    // Remove from array
-    provider.sampleWork.splice(index, 1);
+    // Remove from array, then delete the file from storage
+    const [removed] = provider.sampleWork.splice(index, 1);
     await provider.save();
+    await removeStoredFiles("sampleWork", [removed]);
 
     res.json({
       success: true,
@@ -1250,57 +1421,25 @@ router.delete("/sample/:index", auth, async (req, res) => {
   }
 });
 
-// POST: Add a review
+// POST: Add a review (verified - requires the completed task the provider worked on)
 router.post("/:id/review", auth, async (req, res) => {
   try {
-    const { rating, comment } = req.body;
-    const provider = await Provider.findById(req.params.id);
-
-    if (!provider) {
-      return res.json({ success: false, message: "Provider not found" });
-    }
-
-    // Prevent duplicate review by same user
-    const alreadyReviewed = provider.reviews.find(
-      (r) => r.userId.toString() === req.user._id.toString()
-    );
-
-    if (alreadyReviewed) {
-      return res.json({
-        success: false,
-        message: "You already reviewed this provider",
-      });
-    }
-
-    // ✅ FIX: Get the user's name from the User model
-    const user = await User.findById(req.user._id).select('firstName surname fname sname');
-    
-    // Construct the reviewer's name
-    let reviewerName = "Anonymous";
-    if (user) {
-      // reviewerName = `${user.firstName || user.fname || ''} ${user.surname || user.sname || ''}`.trim();
-      reviewerName = user.fname || user.firstName || "Anonymous";
-      if (!reviewerName) {
-        reviewerName = user.email || "Anonymous";
-      }
-    }
+    const { taskId, rating, comment } = req.body;
 
-    const review = {
-      userId: req.user._id,
-      name: reviewerName, // ✅ Set the name here
-      rating: Number(rating),
+    const { review } = await createVerifiedReview({
+      client: req.user,
+      taskId,
+      providerId: req.params.id,
+      rating,
       comment,
-      date: new Date()
-    };
+    });
 
-    provider.reviews.push(review);
-    provider.calculateRating(); // This method should update averageRating
-    await provider.save();
+    const provider = await Provider.findById(req.params.id);
 
-    res.json({ success: true, message: "Review added", provider });
+    res.json({ success: true, message: "Review added", review, provider });
   } catch (err) {
     console.error("Error adding review:", err);
-    res.status(500).json({ success: false, message: "Error adding review" });
+    sendError(res, err, "Error adding review");
   }
 });
 
@@ -1333,7 +1472,7 @@ router.patch("/bulk-approve", adminAuth, async (req, res) => {
 /* -------------------------------------------------------------------------- */
 /* PUBLIC: SUBMIT PROVIDER UPDATE REQUEST (for approval) */
 /* -------------------------------------------------------------------------- */
-router.post("/update-request", auth, upload.array("sampleWork", 10), async (req, res) => {
+router.post("/update-request", auth, uploadArray("sampleWork", "sampleWork"), async (req, res) => {
   try {
     const userId = req.user.id;
     console.log("📝 Processing update request for user:", userId);
@@ -1342,6 +1481,7 @@ router.post("/update-request", auth, upload.array("sampleWork", 10), async (req,
     const provider = await Provider.findOne({ userId });
     
     if (!provider) {
+      discardUploads(req.files);
       return res.status(404).json({ 
         success: false, 
         message: "Provider profile not found" 
@@ -1354,11 +1494,8 @@ router.post("/update-request", auth, upload.array("sampleWork", 10), async (req,
     const changes = {};
     
     if (req.body.category) {
-      try {
-        changes.category = JSON.parse(req.body.category);
-      } catch (e) {
-        changes.category = Array.isArray(req.body.category) ? req.body.category : [req.body.category];
-      }
+      // Validated now so the admin only ever approves known categories
+      changes.category = (await normalizeProviderCategories(req.body.category, provider)).category;
     }
     
     if (req.body.bio) changes.bio = req.body.bio;
@@ -1377,23 +1514,19 @@ router.post("/update-request", auth, upload.array("sampleWork", 10), async (req,
     
     console.log("📦 Changes to submit:", changes);
     
-    // Handle uploaded sample work files
-    const sampleWorkPaths = [];
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        // Store relative path
-        sampleWorkPaths.push(`uploads/providers/${file.filename}`);
-      });
-      console.log("📸 New sample files:", sampleWorkPaths);
-    }
-    
     // Check if there are actual changes
-    if (Object.keys(changes).length === 0 && sampleWorkPaths.length === 0) {
+    if (Object.keys(changes).length === 0 && !req.files?.length) {
       return res.status(400).json({
         success: false,
         message: "No changes detected to submit"
       });
     }
+
+    // Handle uploaded sample work files
+    const sampleWorkPaths = await storeUploads("sampleWork", req.files);
+    if (sampleWorkPaths.length > 0) {
+      console.log("📸 New sample files:", sampleWorkPaths);
+    }
     
     // Import the ProviderUpdateRequest model
     const ProviderUpdateRequest = mongoose.model('ProviderUpdateRequest');
@@ -1419,10 +1552,8 @@ router.post("/update-request", auth, upload.array("sampleWork", 10), async (req,
   } catch (error) {
     console.error("❌ Error submitting update request:", error);
     console.error(error.stack);
-    res.status(500).json({ 
-      success: false, 
-      message: "Server error: " + error.message 
-    });
+    discardUploads(req.files);
+    sendError(res, error);
   }
 });
 
@@ -0,0 +1,122 @@
+// routes/providerServiceRoutes.js
+// The current provider's service catalogue (mounted at /api/providers/me/services)
+import express from "express";
+import mongoose from "mongoose";
+import Provider from "../models/Providers.js";
+import Service from "../models/Service.js";
+import { auth } from "../middleware/auth.js";
+import { uploadArray } from "../middleware/uploads.js";
+import { discardUploads } from "../services/uploadService.js";
+import { createService, updateService, deleteService } from "../services/catalogueService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+// Every route needs the caller's provider profile
+router.use(auth, async (req, res, next) => {
+  try {
+    req.provider = await Provider.findOne({ userId: req.user._id }).select("_id userId isApproved");
+    if (!req.provider) {
+      return res.status(404).json({ success: false, message: "Provider profile not found" });
+    }
+    next();
+  } catch (error) {
+    console.error("❌ Error loading provider:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+// Load one of the provider's own services
+const loadService = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.serviceId)) {
+    res.status(400).json({ success: false, message: "Invalid service ID" });
+    return null;
+  }
+
+  const service = await Service.findOne({ _id: req.params.serviceId, providerId: req.provider._id });
+  if (!service) {
+    res.status(404).json({ success: false, message: "Service not found" });
+    return null;
+  }
+  return service;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 MY SERVICES (including inactive ones) */
+/* -------------------------------------------------------------------------- */
+router.get("/", async (req, res) => {
+  try {
+    const services = await Service.find({ providerId: req.provider._id }).sort({ createdAt: -1 });
+    res.json({ success: true, services, count: services.length });
+  } catch (error) {
+    console.error("❌ Error fetching services:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟢 ADD A SERVICE (multipart; up to 6 "photos") */
+/* -------------------------------------------------------------------------- */
+router.post("/", uploadArray("photos", "servicePhoto"), async (req, res) => {
+  try {
+    const service = await createService(req.provider, req.body, req.files);
+    res.status(201).json({ success: true, message: "Service added", service });
+  } catch (error) {
+    console.error("❌ Error adding service:", error);
+    discardUploads(req.files);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 ONE OF MY SERVICES */
+/* -------------------------------------------------------------------------- */
+router.get("/:serviceId", async (req, res) => {
+  try {
+    const service = await loadService(req, res);
+    if (!service) return;
+
+    res.json({ success: true, service });
+  } catch (error) {
+    console.error("❌ Error fetching service:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟠 UPDATE (send existingPhotos to drop photos; new "photos" are appended) */
+/* -------------------------------------------------------------------------- */
+router.put("/:serviceId", uploadArray("photos", "servicePhoto"), async (req, res) => {
+  try {
+    const service = await loadService(req, res);
+    if (!service) {
+      discardUploads(req.files);
+      return;
+    }
+
+    const updated = await updateService(service, req.body, req.files);
+    res.json({ success: true, message: "Service updated", service: updated });
+  } catch (error) {
+    console.error("❌ Error updating service:", error);
+    discardUploads(req.files);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔴 DELETE */
+/* -------------------------------------------------------------------------- */
+router.delete("/:serviceId", async (req, res) => {
+  try {
+    const service = await loadService(req, res);
+    if (!service) return;
+
+    await deleteService(service);
+    res.json({ success: true, message: "Service deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting service:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+// routes/realtimeRoutes.js
+// Server-Sent Events stream (mounted at /api/realtime)
+import express from "express";
+import { auth, authenticateToken, authenticateStreamToken, issueStreamToken } from "../middleware/auth.js";
+import { subscribeToUser } from "../services/realtime.js";
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+/* -------------------------------------------------------------------------- */
+/* 🎟️ STREAM TOKEN                                                            */
+/* EventSource cannot send headers: fetch one of these (valid for a minute,   */
+/* good for nothing but the stream) and pass it as ?token=                    */
+/* -------------------------------------------------------------------------- */
+router.post("/token", auth, (req, res) => {
+  res.json({ success: true, ...issueStreamToken(req.user) });
+});
+
+/* -------------------------------------------------------------------------- */
+/* 📡 EVENT STREAM                                                            */
+/* Authorization header with the login token, or ?token= with a stream token  */
+/* -------------------------------------------------------------------------- */
+router.get("/stream", async (req, res) => {
+  const header = req.header("Authorization")?.replace("Bearer ", "");
+  const token = header || req.query.token;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: "No token provided, authorization denied",
+    });
+  }
+
+  let user;
+  try {
+    user = header ? await authenticateToken(header) : await authenticateStreamToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === "TokenExpiredError" ? "Token expired" : "Invalid token",
+    });
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: "Token is not valid - user not found",
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = ({ event, data, sentAt }) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify({ ...data, sentAt })}\n\n`);
+  };
+
+  send({ event: "connected", data: { userId: user._id }, sentAt: new Date().toISOString() });
+
+  const unsubscribe = subscribeToUser(user._id, send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
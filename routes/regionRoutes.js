@@ -1,5 +1,6 @@
 import express from "express";
 import mongoose from "mongoose";
+import { REGION_NAMES, findRegion } from "../utils/geography.js";
 
 const router = express.Router();
 
@@ -7,13 +8,8 @@ router.get("/jobs-by-region", async (req, res) => {
   try {
     console.log("🔄 Fetching real jobs by region...");
     
-    // Define all 16 Ghana regions in alphabetical order
-    const allGhanaRegions = [
-      'Ahafo', 'Ashanti', 'Bono', 'Bono East', 
-      'Central', 'Eastern', 'Greater Accra', 'North East', 'Northern', 'Oti', 
-      'Savannah', 'Upper East', 'Upper West', 'Volta', 'Western', 
-      'Western North'
-    ];
+    // All 16 Ghana regions in alphabetical order
+    const allGhanaRegions = REGION_NAMES;
     
     // Try to get the Task model
     let Task;
@@ -42,7 +38,7 @@ router.get("/jobs-by-region", async (req, res) => {
     // Get ALL open jobs
     const jobs = await Task.find({ 
       status: "open"
-    }).select("region category mainCategory");
+    }).select("region regionId category mainCategory");
     
     console.log(`✅ Found ${jobs.length} open jobs total`);
     
@@ -80,18 +76,10 @@ router.get("/jobs-by-region", async (req, res) => {
       
       let targetRegion = "Unspecified Region";
       
-      if (region && region.trim()) {
-        // Try to match region name
-        const normalizedRegion = region.trim();
-        
-        // Check if region exists in our list
-        const matchingRegion = allGhanaRegions.find(r => 
-          r.toLowerCase() === normalizedRegion.toLowerCase() 
-        );
-        
-        if (matchingRegion) {
-          targetRegion = matchingRegion;
-        }
+      // Match by canonical ID, falling back to the name/aliases for unmigrated jobs
+      const matchingRegion = findRegion(job.regionId || region);
+      if (matchingRegion) {
+        targetRegion = matchingRegion.name;
       }
       
       // Count the job
@@ -1,72 +1,72 @@
 import express from "express";
 import Review from "../models/Review.js";
-import Task from "../models/Task.js";
-import User from "../models/User.js";
-import auth from "../middleware/auth.js"; 
+import auth from "../middleware/auth.js";
+import { createVerifiedReview } from "../services/reviewService.js";
+import { sendError } from "../utils/httpError.js";
 
 const router = express.Router();
 
 /**
  * POST: Create a review
+ * Only the client of a completed task can review the provider assigned to it
  */
 router.post("/", auth, async (req, res) => {
   try {
-    const { workerId, taskId, rating, comment } = req.body;
-    const clientId = req.user._id;
-
-    if (!rating) {
-      return res.status(400).json({ message: "Rating is required" });
-    }
-
-    // Ensure the task exists and belongs to both
-    const task = await Task.findOne({
-      _id: taskId,
-      client: clientId,
-      worker: workerId,
-      status: "completed",
-    });
+    const { taskId, providerId, rating, comment } = req.body;
 
-    if (!task) {
-      return res.status(403).json({ message: "You cannot review this worker" });
-    }
-
-    // Prevent duplicate review for same task
-    const existing = await Review.findOne({ task: taskId });
-    if (existing) {
-      return res.status(400).json({ message: "You already reviewed this worker" });
-    }
-
-    // Create review
-    const review = await Review.create({
-      worker: workerId,
-      client: clientId,
-      task: taskId,
+    const { review, stats } = await createVerifiedReview({
+      client: req.user,
+      taskId,
+      providerId,
       rating,
       comment,
     });
 
-    // Recalculate worker rating
-    const reviews = await Review.find({ worker: workerId });
+    res.status(201).json({ success: true, review, ...stats });
 
-    const avg =
-      reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
+  } catch (err) {
+    console.log(err);
+    sendError(res, err);
+  }
+});
 
-    await User.findByIdAndUpdate(workerId, {
-      averageRating: avg.toFixed(2),
-      reviewsCount: reviews.length,
-    });
+
+/**
+ * GET: Fetch all reviews for a provider profile
+ */
+router.get("/provider/:providerId", async (req, res) => {
+  try {
+    const reviews = await Review.find({ provider: req.params.providerId })
+      .populate("client", "name fname profileImage")
+      .populate("task", "title mainCategory completedAt")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, reviews, count: reviews.length });
+
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+
+/**
+ * GET: Fetch the review left for a task (null if not reviewed yet)
+ */
+router.get("/task/:taskId", async (req, res) => {
+  try {
+    const review = await Review.findOne({ task: req.params.taskId })
+      .populate("client", "name fname profileImage");
 
     res.json({ success: true, review });
 
   } catch (err) {
-    console.log(err);
-    res.status(500).json({ message: "Server error" });
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 
 /**
- * GET: Fetch all reviews for a worker
+ * GET: Fetch all reviews for a worker (provider's user account)
  */
 router.get("/worker/:workerId", async (req, res) => {
   try {
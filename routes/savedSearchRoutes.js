@@ -0,0 +1,150 @@
+// routes/savedSearchRoutes.js
+// Saved searches and job alerts (mounted at /api/saved-searches)
+import express from "express";
+import mongoose from "mongoose";
+import SavedSearch from "../models/SavedSearch.js";
+import { auth } from "../middleware/auth.js";
+import {
+  MAX_SAVED_SEARCHES,
+  normalizeDefinition,
+  findMatches,
+} from "../services/savedSearchService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Load one of the current user's saved searches
+const loadSearch = async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid saved search ID" });
+    return null;
+  }
+
+  const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+  if (!search) {
+    res.status(404).json({ success: false, message: "Saved search not found" });
+    return null;
+  }
+  return search;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 MY SAVED SEARCHES (?target=tasks|providers) */
+/* -------------------------------------------------------------------------- */
+router.get("/", auth, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.target) filter.target = req.query.target;
+
+    const searches = await SavedSearch.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, searches, count: searches.length });
+  } catch (error) {
+    console.error("❌ Error fetching saved searches:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟢 SAVE A SEARCH */
+/* -------------------------------------------------------------------------- */
+router.post("/", auth, async (req, res) => {
+  try {
+    const definition = await normalizeDefinition(req.body);
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep up to ${MAX_SAVED_SEARCHES} saved searches. Delete one to add another.`,
+      });
+    }
+
+    const search = await SavedSearch.create({ ...definition, user: req.user._id });
+    res.status(201).json({ success: true, message: "Search saved", search });
+  } catch (error) {
+    console.error("❌ Error saving search:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 ONE SAVED SEARCH */
+/* -------------------------------------------------------------------------- */
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const search = await loadSearch(req, res);
+    if (!search) return;
+
+    res.json({ success: true, search });
+  } catch (error) {
+    console.error("❌ Error fetching saved search:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 📋 CURRENT MATCHES (what the alerts would point at) */
+/* -------------------------------------------------------------------------- */
+router.get("/:id/matches", auth, async (req, res) => {
+  try {
+    const search = await loadSearch(req, res);
+    if (!search) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const matches = await findMatches(search, { limit });
+    res.json({ success: true, target: search.target, matches, count: matches.length });
+  } catch (error) {
+    console.error("❌ Error fetching saved search matches:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟠 UPDATE (any subset of the definition, or just the alert frequency) */
+/* -------------------------------------------------------------------------- */
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const search = await loadSearch(req, res);
+    if (!search) return;
+
+    const updates = await normalizeDefinition(req.body, { partial: true });
+    Object.assign(search, updates);
+
+    const min = search.minBudget;
+    const max = search.maxBudget;
+    if (min != null && max != null && min > max) {
+      return res.status(400).json({ success: false, message: "minBudget cannot be more than maxBudget" });
+    }
+
+    // Switching away from the digest drops anything still queued for it
+    if (updates.frequency && updates.frequency !== "daily") {
+      search.pendingMatches = [];
+    }
+
+    await search.save();
+    res.json({ success: true, message: "Saved search updated", search });
+  } catch (error) {
+    console.error("❌ Error updating saved search:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔴 DELETE */
+/* -------------------------------------------------------------------------- */
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const search = await loadSearch(req, res);
+    if (!search) return;
+
+    await search.deleteOne();
+    res.json({ success: true, message: "Saved search deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting saved search:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,33 @@
+// routes/searchRoutes.js
+// Unified search across tasks and providers (mounted at /api/search)
+import express from "express";
+import { search } from "../services/searchService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+// Only these query params reach the service (no status or approval overrides)
+const PUBLIC_PARAMS = [
+  "q", "type", "cursor", "limit", "category", "region",
+  "minBudget", "maxBudget", "minRating", "availability",
+];
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 SEARCH (parameters documented on search() in services/searchService.js) */
+/* -------------------------------------------------------------------------- */
+router.get("/", async (req, res) => {
+  try {
+    const params = Object.fromEntries(
+      PUBLIC_PARAMS.filter((key) => typeof req.query[key] === "string" && req.query[key] !== "")
+        .map((key) => [key, req.query[key]])
+    );
+
+    const results = await search(params);
+    res.json({ success: true, query: params.q || "", type: params.type || "all", ...results });
+  } catch (error) {
+    console.error("❌ Search error:", error);
+    sendError(res, error, "Server error during search");
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+// routes/serviceRoutes.js
+// Browsing and ordering providers' catalogue services (mounted at /api/services).
+// Providers manage their own under /api/providers/me/services.
+import express from "express";
+import mongoose from "mongoose";
+import Service from "../models/Service.js";
+import Provider from "../models/Providers.js";
+import { auth } from "../middleware/auth.js";
+import { orderService } from "../services/catalogueService.js";
+import { resolveCategory } from "../services/categoryService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+const PROVIDER_FIELDS = "fullName profilePic city region averageRating reviewsCount isVerified";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/* -------------------------------------------------------------------------- */
+/* 🛍️ BROWSE (?providerId&category&q&minPrice&maxPrice&page&limit) */
+/* -------------------------------------------------------------------------- */
+router.get("/", async (req, res) => {
+  try {
+    const { providerId, category, q, minPrice, maxPrice } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const filter = { isActive: true };
+
+    if (providerId) {
+      if (!mongoose.Types.ObjectId.isValid(providerId)) {
+        return res.status(400).json({ success: false, message: "Invalid provider ID" });
+      }
+      filter.providerId = providerId;
+    } else {
+      // Only approved providers' services are public
+      const approved = await Provider.find({ isApproved: true }).distinct("_id");
+      filter.providerId = { $in: approved };
+    }
+
+    if (category) {
+      const node = await resolveCategory(category);
+      filter.categorySlugs = node ? node.slug : "__unknown__";
+    }
+    if (q?.trim()) {
+      const pattern = { $regex: escapeRegex(q.trim()), $options: "i" };
+      filter.$or = [{ title: pattern }, { description: pattern }, { category: pattern }];
+    }
+    if (minPrice) filter["pricing.maxPrice"] = { $gte: Number(minPrice) || 0 };
+    if (maxPrice) filter["pricing.minPrice"] = { $lte: Number(maxPrice) || 0 };
+
+    const [services, total] = await Promise.all([
+      Service.find(filter)
+        .populate("providerId", PROVIDER_FIELDS)
+        .sort({ ordersCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Service.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, services, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error("❌ Error browsing services:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔵 ONE SERVICE */
+/* -------------------------------------------------------------------------- */
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid service ID" });
+    }
+
+    const service = await Service.findOne({ _id: req.params.id, isActive: true })
+      .populate("providerId", `${PROVIDER_FIELDS} isApproved`);
+    if (!service || !service.providerId?.isApproved) {
+      return res.status(404).json({ success: false, message: "Service not found" });
+    }
+
+    res.json({ success: true, service });
+  } catch (error) {
+    console.error("❌ Error fetching service:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🛒 ORDER: creates a task already assigned to the provider */
+/* -------------------------------------------------------------------------- */
+router.post("/:id/order", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid service ID" });
+    }
+
+    const service = await Service.findById(req.params.id);
+    if (!service) {
+      return res.status(404).json({ success: false, message: "Service not found" });
+    }
+
+    const { task, payment } = await orderService(req.user, service, req.body);
+    res.status(201).json({ success: true, message: "Order placed", task, payment });
+  } catch (error) {
+    console.error("❌ Error ordering service:", error);
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,463 @@
+// routes/taskApplicationRoutes.js
+// Mounted at /api/tasks/:id/applications
+import express from "express";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import TaskApplication from "../models/TaskApplication.js";
+import { auth } from "../middleware/auth.js";
+import { transitionTask } from "../services/taskLifecycle.js";
+import { publishToUser, publishToUsers } from "../services/realtime.js";
+import { notify, notifyMany } from "../services/notificationService.js";
+import { holdFundsForTask, refundFunds } from "../services/paymentService.js";
+import { sendError } from "../utils/httpError.js";
+
+const router = express.Router({ mergeParams: true });
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Load the task from :id, answering 400/404 when it cannot be found
+const loadTask = async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid task ID" });
+    return null;
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  return task;
+};
+
+const isTaskOwner = (task, user) => task.clientId.toString() === user._id.toString();
+
+// Load an application that belongs to the task in :id
+const loadApplication = async (req, res, task) => {
+  const { applicationId } = req.params;
+  if (!isValidId(applicationId)) {
+    res.status(400).json({ success: false, message: "Invalid application ID" });
+    return null;
+  }
+
+  const application = await TaskApplication.findOne({ _id: applicationId, taskId: task._id });
+  if (!application) {
+    res.status(404).json({ success: false, message: "Application not found" });
+    return null;
+  }
+
+  return application;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🟢 SUBMIT APPLICATION (approved providers only) */
+/* -------------------------------------------------------------------------- */
+router.post("/", auth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (task.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: "This task is no longer accepting applications",
+      });
+    }
+
+    if (isTaskOwner(task, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot apply to your own task",
+      });
+    }
+
+    const provider = await Provider.findOne({ userId: req.user._id });
+    if (!provider) {
+      return res.status(403).json({
+        success: false,
+        message: "Only registered providers can apply to tasks",
+      });
+    }
+
+    if (!provider.isApproved) {
+      return res.status(403).json({
+        success: false,
+        message: "Your provider profile must be approved before you can apply",
+      });
+    }
+
+    const { price, message, estimatedDuration, availableFrom } = req.body;
+    const parsedPrice = parseFloat(price);
+
+    if (isNaN(parsedPrice) || parsedPrice < 0) {
+      return res.status(400).json({ success: false, message: "A valid price is required" });
+    }
+
+    if (!message || !message.toString().trim()) {
+      return res.status(400).json({ success: false, message: "A message is required" });
+    }
+
+    const quote = {
+      price: parsedPrice,
+      message: message.toString().trim(),
+      estimatedDuration: estimatedDuration ? estimatedDuration.toString().trim() : "",
+      availableFrom: availableFrom ? new Date(availableFrom) : null,
+    };
+
+    // A provider may re-apply after withdrawing or after their bid expired
+    let application = await TaskApplication.findOne({ taskId: task._id, providerId: provider._id });
+
+    if (application) {
+      if (!["withdrawn", "expired"].includes(application.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "You have already applied to this task",
+        });
+      }
+
+      Object.assign(application, quote, {
+        status: "pending",
+        withdrawnAt: null,
+        shortlistedAt: null,
+        expiresAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+      });
+    } else {
+      application = new TaskApplication({
+        ...quote,
+        taskId: task._id,
+        providerId: provider._id,
+        userId: req.user._id,
+      });
+    }
+
+    await application.save();
+
+    publishToUser(task.clientId, "application:new", {
+      taskId: task._id,
+      taskTitle: task.title,
+      application,
+      providerName: provider.fullName,
+    });
+    notify(task.clientId, "application.new", {
+      title: "New application on your task",
+      body: `${provider.fullName} applied to "${task.title}" for GH₵${parsedPrice}.`,
+      link: `/tasks/${task._id}/applications`,
+      data: { taskId: task._id, applicationId: application._id },
+    });
+
+    console.log(`✅ Application ${application._id} submitted for task ${task._id} by provider ${provider._id}`);
+    res.status(201).json({
+      success: true,
+      message: "Application submitted successfully",
+      application,
+    });
+  } catch (error) {
+    console.error("❌ Error submitting application:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟣 LIST APPLICATIONS (client sees all, provider sees their own) */
+/* -------------------------------------------------------------------------- */
+router.get("/", auth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    await TaskApplication.expireStale({ taskId: task._id });
+
+    const filter = { taskId: task._id };
+
+    if (!isTaskOwner(task, req.user)) {
+      const provider = await Provider.findOne({ userId: req.user._id });
+      if (!provider) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to view applications for this task",
+        });
+      }
+      filter.providerId = provider._id;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const applications = await TaskApplication.find(filter)
+      .populate("providerId", "firstName surname fullName profilePic category skills averageRating completedJobs city region isVerified")
+      .sort({ status: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      applications,
+      count: applications.length,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching applications:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* ⭐ SHORTLIST APPLICATION (task owner) */
+/* -------------------------------------------------------------------------- */
+router.patch("/:applicationId/shortlist", auth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (!isTaskOwner(task, req.user)) {
+      return res.status(403).json({ success: false, message: "Not authorized to manage this task" });
+    }
+
+    const application = await loadApplication(req, res, task);
+    if (!application) return;
+
+    if (application.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot shortlist an application that is ${application.status}`,
+      });
+    }
+
+    application.status = "shortlisted";
+    application.shortlistedAt = new Date();
+    await application.save();
+
+    publishToUser(application.userId, "application:updated", {
+      taskId: task._id,
+      taskTitle: task.title,
+      applicationId: application._id,
+      status: application.status,
+    });
+
+    res.json({ success: true, message: "Application shortlisted", application });
+  } catch (error) {
+    console.error("❌ Error shortlisting application:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* ✅ ACCEPT APPLICATION (task owner) - assigns provider, declines the rest */
+/* -------------------------------------------------------------------------- */
+router.patch("/:applicationId/accept", auth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (!isTaskOwner(task, req.user)) {
+      return res.status(403).json({ success: false, message: "Not authorized to manage this task" });
+    }
+
+    const application = await loadApplication(req, res, task);
+    if (!application) return;
+
+    // Re-read after lazy expiry so an expired bid cannot be accepted
+    await TaskApplication.expireStale({ _id: application._id });
+    const fresh = await TaskApplication.findById(application._id);
+
+    if (!TaskApplication.OPEN_STATUSES.includes(fresh.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot accept an application that is ${fresh.status}`,
+      });
+    }
+
+    if (task.status !== "open") {
+      return res.status(409).json({
+        success: false,
+        message: "This task has already been assigned",
+      });
+    }
+
+    // Charge the client for the accepted price first: nothing changes if the charge can't start
+    const payment = await holdFundsForTask({
+      task,
+      application: fresh,
+      client: req.user,
+      phone: req.body.phone,
+    });
+    if (payment && payment.application?.toString() !== fresh._id.toString()) {
+      // Another accept on this task got its charge in first
+      return res.status(409).json({ success: false, message: "This task has already been assigned" });
+    }
+    if (payment?.status === "failed") {
+      return res.status(402).json({
+        success: false,
+        message: `Payment could not be started: ${payment.failureReason || "please try again"}`,
+        payment,
+      });
+    }
+
+    // Conditional on the task still being open, so two accepts cannot both assign it
+    const now = new Date();
+    let assignedTask;
+    try {
+      assignedTask = await transitionTask(task, "assigned", {
+        actor: req.user,
+        role: "client",
+        note: `Accepted application ${fresh._id}`,
+        changes: {
+          assignedProvider: fresh.providerId,
+          assignedAt: now,
+          acceptedApplication: fresh._id,
+        },
+      });
+    } catch (error) {
+      // Not assigned after all: cancel (or refund) the charge just started
+      if (payment) {
+        await refundFunds(payment, { reason: "Bid could not be accepted" }).catch((refundError) =>
+          console.error(`❌ Error cancelling payment ${payment.reference}:`, refundError.message)
+        );
+      }
+      throw error;
+    }
+
+    fresh.status = "accepted";
+    fresh.acceptedAt = now;
+    await fresh.save();
+
+    // Auto-decline every other open bid on this task
+    const toDecline = await TaskApplication.find({
+      taskId: task._id,
+      _id: { $ne: fresh._id },
+      status: { $in: TaskApplication.OPEN_STATUSES },
+    }).select("userId");
+
+    const declined = await TaskApplication.updateMany(
+      {
+        taskId: task._id,
+        _id: { $ne: fresh._id },
+        status: { $in: TaskApplication.OPEN_STATUSES },
+      },
+      { $set: { status: "declined", rejectedAt: now, rejectionReason: "Another provider was hired" } }
+    );
+
+    publishToUser(fresh.userId, "application:updated", {
+      taskId: task._id,
+      taskTitle: task.title,
+      applicationId: fresh._id,
+      status: "accepted",
+    });
+    publishToUsers(toDecline.map((a) => a.userId), "application:updated", {
+      taskId: task._id,
+      taskTitle: task.title,
+      status: "declined",
+    });
+    notify(fresh.userId, "application.accepted", {
+      title: "You got the job!",
+      body: `Your application for "${task.title}" was accepted.`,
+      link: `/tasks/${task._id}`,
+      data: { taskId: task._id, applicationId: fresh._id },
+    });
+    notifyMany(toDecline.map((a) => a.userId), "application.declined", {
+      title: "Task filled",
+      body: `Another provider was hired for "${task.title}".`,
+      link: `/tasks/${task._id}`,
+      data: { taskId: task._id },
+      channels: [],
+    });
+
+    console.log(`✅ Task ${task._id} assigned to provider ${fresh.providerId} (${declined.modifiedCount} other bids declined)`);
+
+    res.json({
+      success: true,
+      message: "Application accepted and provider assigned",
+      application: fresh,
+      task: assignedTask,
+      declinedCount: declined.modifiedCount,
+      payment,
+    });
+  } catch (error) {
+    console.error("❌ Error accepting application:", error);
+    sendError(res, error);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔴 REJECT APPLICATION (task owner) */
+/* -------------------------------------------------------------------------- */
+router.patch("/:applicationId/reject", auth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (!isTaskOwner(task, req.user)) {
+      return res.status(403).json({ success: false, message: "Not authorized to manage this task" });
+    }
+
+    const application = await loadApplication(req, res, task);
+    if (!application) return;
+
+    if (!TaskApplication.OPEN_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reject an application that is ${application.status}`,
+      });
+    }
+
+    application.status = "rejected";
+    application.rejectedAt = new Date();
+    application.rejectionReason = req.body.reason || "";
+    await application.save();
+
+    publishToUser(application.userId, "application:updated", {
+      taskId: task._id,
+      taskTitle: task.title,
+      applicationId: application._id,
+      status: application.status,
+    });
+
+    notify(application.userId, "application.rejected", {
+      title: "Application not selected",
+      body: `Your application for "${task.title}" was not selected.`,
+      link: `/tasks/${task._id}`,
+      data: { taskId: task._id, applicationId: application._id },
+      channels: [],
+    });
+
+    res.json({ success: true, message: "Application rejected", application });
+  } catch (error) {
+    console.error("❌ Error rejecting application:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🟡 WITHDRAW APPLICATION (applying provider) */
+/* -------------------------------------------------------------------------- */
+router.patch("/:applicationId/withdraw", auth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    const application = await loadApplication(req, res, task);
+    if (!application) return;
+
+    if (application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Not authorized to withdraw this application" });
+    }
+
+    if (!TaskApplication.OPEN_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw an application that is ${application.status}`,
+      });
+    }
+
+    application.status = "withdrawn";
+    application.withdrawnAt = new Date();
+    await application.save();
+
+    res.json({ success: true, message: "Application withdrawn", application });
+  } catch (error) {
+    console.error("❌ Error withdrawing application:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+export default router;
@@ -1,37 +1,39 @@
 import express from "express";
-import multer from "multer";
-import path from "path";
-import { fileURLToPath } from "url";
 import Task from "../models/Task.js";
-import { auth } from "../middleware/auth.js";
+import TaskApplication from "../models/TaskApplication.js";
+import { auth, optionalAuth } from "../middleware/auth.js";
+import {
+  transitionTask,
+  resolveActorRole,
+  getAllowedTransitions,
+  initialHistoryEntry
+} from "../services/taskLifecycle.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+import { normalizeLocation, regionFilter, parseGeoPoint } from "../utils/geography.js";
+import { findNearbyTasks } from "../services/nearbyService.js";
+import { searchTasks } from "../services/searchService.js";
+import { alertTaskSearches } from "../services/savedSearchService.js";
+import { recommendProvidersForTask, notifyMatchedProviders } from "../services/matchingService.js";
+import { normalizeTaskCategories } from "../services/categoryService.js";
+import { uploadArray } from "../middleware/uploads.js";
+import { storeUploads, removeStoredFiles, discardUploads } from "../services/uploadService.js";
+import { taskImageUrls, taskImageVariantUrls } from "../services/fileAccessService.js";
 
 const router = express.Router();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Strip phone numbers from tasks whose owner chose in-app messaging only
+const toPublicTask = (task) => {
+  const obj = task.toObject ? task.toObject() : task;
+  if (!obj.hideContact) return obj;
 
-// ---------- Multer setup ----------
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, "../uploads/tasks/"));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, "task-" + uniqueSuffix + path.extname(file.originalname));
-  },
-});
-
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith("image/")) cb(null, true);
-  else cb(new Error("Only image files are allowed!"), false);
+  delete obj.contact;
+  if (obj.clientId && typeof obj.clientId === "object") {
+    delete obj.clientId.phone;
+    delete obj.clientId.whatsapp;
+  }
+  return obj;
 };
 
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 },
-});
-
 // ---------- ROUTES ----------
 
 // ✅ GET user’s tasks
@@ -41,8 +43,14 @@ router.get("/user/my-tasks", auth, async (req, res) => {
       .populate("clientId", "name email")
       .sort({ createdAt: -1 });
 
+    const withImages = await Promise.all(tasks.map(async (task) => ({
+      ...task.toObject(),
+      imageUrls: await taskImageUrls(task, req.user),
+      imageVariantUrls: await taskImageVariantUrls(task, req.user),
+    })));
+
     console.log(`✅ Retrieved user tasks for ${req.user.email}: ${tasks.length}`);
-    res.json({ success: true, tasks });
+    res.json({ success: true, tasks: withImages });
   } catch (error) {
     console.error("❌ Error fetching user tasks:", error);
     res.status(500).json({ success: false, message: "Server error: " + error.message });
@@ -50,18 +58,34 @@ router.get("/user/my-tasks", auth, async (req, res) => {
 });
 
 
+// ✅ GET the current provider's applications across all tasks
+router.get("/user/my-applications", auth, async (req, res) => {
+  try {
+    await TaskApplication.expireStale({ userId: req.user._id });
+
+    const filter = { userId: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const applications = await TaskApplication.find(filter)
+      .populate("taskId", "title mainCategory category region city budget dueDate status")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, applications, count: applications.length });
+  } catch (error) {
+    console.error("❌ Error fetching user applications:", error);
+    res.status(500).json({ success: false, message: "Server error: " + error.message });
+  }
+});
+
+
 // In taskRoutes.js - Get tasks by exact category
 router.get("/by-exact-category", async (req, res) => {
   try {
     const { category, status } = req.query;
     
-    let filter = {};
-    
-    if (status) {
-      filter.status = status;
-    } else {
-      filter.status = 'open';
-    }
+    let filter = { status: Task.publicStatus(status) };
     
     if (category) {
       // Exact match in category array
@@ -73,7 +97,7 @@ router.get("/by-exact-category", async (req, res) => {
     
     res.json({ 
       success: true, 
-      tasks,
+      tasks: tasks.map(toPublicTask),
       count: tasks.length,
       category: category,
       status: filter.status
@@ -87,7 +111,8 @@ router.get("/by-exact-category", async (req, res) => {
 
 
 // ✅ POST new task (UPDATED VERSION)
-router.post("/", auth, upload.array("images", 5), async (req, res) => {
+router.post("/", auth, uploadArray("images", "taskImage"), async (req, res) => {
+  let imagePaths = [];
   try {
     console.log("📦 Received task creation request:", req.body);
     console.log("📦 Files:", req.files);
@@ -107,10 +132,21 @@ router.post("/", auth, upload.array("images", 5), async (req, res) => {
       phone,
       whatsapp,       // New field
       additionalContact,
+      saveAsDraft,
+      hideContact,
+      lat,
+      lng,
     } = req.body;
 
+    // Drafts stay hidden from listings until published (draft -> open)
+    const initialStatus = saveAsDraft === true || saveAsDraft === 'true' ? 'draft' : 'open';
+
+    // Validate and normalise to canonical region/district/town names and IDs
+    const place = normalizeLocation({ region, district, city });
+    const geoLocation = parseGeoPoint(lat, lng) || undefined;
+
     // Combine city and region if provided separately
-    const finalLocation = location || (city && region ? `${city}, ${region}` : "");
+    const finalLocation = location || (place.city && place.region ? `${place.city}, ${place.region}` : "");
 
     // Use whatsapp if provided, otherwise additionalContact
     const finalAdditionalContact = whatsapp || additionalContact || "";
@@ -131,45 +167,53 @@ router.post("/", auth, upload.array("images", 5), async (req, res) => {
 
     if (missingFields.length > 0) {
       console.error("❌ Missing required fields:", missingFields);
+      discardUploads(req.files);
       return res.status(400).json({ 
         success: false, 
         message: `Missing required fields: ${missingFields.join(", ")}` 
       });
     }
 
-    // Handle multiple categories (frontend sends as array)
-    const categories = Array.isArray(category) 
-      ? category 
-      : (typeof category === 'string' ? [category] : []);
+    // Validate against the category taxonomy (frontend sends an array or a single name)
+    const categories = await normalizeTaskCategories({ mainCategory, category });
 
-    const imagePaths = req.files ? req.files.map((file) => file.filename) : [];
+    // Photos go to the private bucket; Task.images holds their storage keys
+    imagePaths.push(...(await storeUploads("taskImage", req.files)));
 
     const task = new Task({
   title: title.trim(),
-  mainCategory: mainCategory || category[0], // Use mainCategory or first category
-  category: categories,
+  ...categories, // mainCategory (defaults to the first category), category, categorySlugs
   description: description.trim(),
   location: finalLocation.trim(),
-  district: district || '',
-  city: city || '',
-  region: region || '', // ✅ ADD THIS LINE
+  district: place.district || '',
+  districtId: place.districtId,
+  city: place.city || '',
+  region: place.region || '', // ✅ ADD THIS LINE
+  regionId: place.regionId,
+  geoLocation,
   dueDate: new Date(dueDate),
   budget: { 
     min: parseFloat(minBudget) || 0, 
     max: parseFloat(maxBudget) || 0 
   },
-  status: 'open',
+  status: initialStatus,
+  statusHistory: [initialHistoryEntry(initialStatus, req.user)],
   completedAt: null,
   contact: { 
     phone: phone.trim(), 
     additionalContact: finalAdditionalContact.trim(),
     whatsapp: whatsapp || '' // ✅ Add whatsapp if needed
   },
+  hideContact: hideContact === true || hideContact === 'true',
   images: imagePaths,
   clientId: req.user.id,
 });
 
     await task.save();
+
+    // Runs in the background; drafts alert when they are published
+    alertTaskSearches(task);
+    notifyMatchedProviders(task);
     
     console.log("✅ Task created successfully:", task._id);
     res.status(201).json({ 
@@ -179,46 +223,55 @@ router.post("/", auth, upload.array("images", 5), async (req, res) => {
     });
   } catch (error) {
     console.error("❌ Error creating task:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Server error: " + error.message 
-    });
+    discardUploads(req.files);
+    await removeStoredFiles("taskImage", imagePaths);
+    sendError(res, error);
   }
 });
 
-// ✅ SEARCH route (must come before /:id)
+// ✅ SEARCH route (must come before /:id) - kept for older clients, prefer /api/search
 router.get("/search", async (req, res) => {
   try {
-    const query = req.query.q || "";
-
-    const tasks = await Task.find({
-      $or: [
-        { title: { $regex: query, $options: "i" } },
-        { description: { $regex: query, $options: "i" } },
-        { category: { $regex: query, $options: "i" } },
-        { location: { $regex: query, $options: "i" } },
-        { district: { $regex: query, $options: "i"} },
-        { region: { $regex: query, $options: "i"} },
-        { city: { $regex: query, $options: "i"} },
-      ],
-    }).select("title category description _id location budget district region city");
-
-    res.json({ success: true, tasks });
+    const { items } = await searchTasks({ q: req.query.q, limit: 50, facets: false });
+
+    res.json({ success: true, tasks: items });
   } catch (error) {
     console.error("❌ Service search error:", error);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+// ✅ NEARBY tasks (?lat&lng&radiusKm&status&mainCategory&category) - must come before /:id
+router.get("/nearby", async (req, res) => {
+  try {
+    const result = await findNearbyTasks(req.query);
+
+    res.json({
+      success: true,
+      tasks: result.tasks.map(toPublicTask),
+      count: result.tasks.length,
+      total: result.total,
+      page: result.page,
+      totalPages: Math.ceil(result.total / result.limit),
+      radiusKm: result.radiusKm
+    });
+  } catch (error) {
+    console.error("❌ Error fetching nearby tasks:", error);
+    sendError(res, error);
+  }
+});
+
 
 
 // ✅ UPDATE task by ID (handle new fields)
-router.put("/:id", auth, upload.array("newImages", 5), async (req, res) => {
+router.put("/:id", auth, uploadArray("newImages", "taskImage"), async (req, res) => {
+  let newUploadedImages = [];
   try {
     const taskId = req.params.id;
     const task = await Task.findById(taskId);
 
     if (!task) {
+      discardUploads(req.files);
       return res.status(404).json({ 
         success: false, 
         message: "Task not found" 
@@ -227,6 +280,7 @@ router.put("/:id", auth, upload.array("newImages", 5), async (req, res) => {
 
     // Only the owner can edit
     if (task.clientId.toString() !== req.user.id) {
+      discardUploads(req.files);
       return res.status(403).json({ 
         success: false, 
         message: "Unauthorized to edit this task" 
@@ -236,6 +290,7 @@ router.put("/:id", auth, upload.array("newImages", 5), async (req, res) => {
     // ✅ Parse data from FormData
     const {
       title,
+      mainCategory,
       category,
       description,
       city,
@@ -247,43 +302,52 @@ router.put("/:id", auth, upload.array("newImages", 5), async (req, res) => {
       phone,
       whatsapp,
       existingImages,
+      hideContact,
+      lat,
+      lng,
     } = req.body;
 
-    // Parse JSON strings safely
-    const parsedExistingImages = existingImages ? JSON.parse(existingImages) : [];
-
-    // ✅ Handle image removal
-    const fs = await import("fs/promises");
-    const removedImages = task.images.filter((img) => !parsedExistingImages.includes(img));
-
-    for (const img of removedImages) {
-      const imgPath = path.join(__dirname, "../uploads/tasks", img);
+    // ✅ Validate location before touching any files (empty fields keep the current value)
+    const place = normalizeLocation(
+      { region: region || undefined, district: district || undefined, city: city || undefined },
+      task
+    );
+    const geoLocation = parseGeoPoint(lat, lng);
+
+    // ✅ Validate categories too (not sent = keep the current ones)
+    const categories = category || mainCategory
+      ? await normalizeTaskCategories({ mainCategory, category: category || task.category }, task)
+      : null;
+
+    // ✅ Images to keep: only ones already on this task, never keys from elsewhere
+    let keepList = [];
+    if (existingImages) {
       try {
-        await fs.unlink(imgPath);
-        console.log("🗑️ Deleted old image:", img);
-      } catch (err) {
-        console.warn("⚠️ Failed to delete image:", img, err.message);
+        keepList = typeof existingImages === "string" ? JSON.parse(existingImages) : existingImages;
+      } catch {
+        throw new HttpError(400, "existingImages must be a JSON array");
       }
+      if (!Array.isArray(keepList)) throw new HttpError(400, "existingImages must be a JSON array");
     }
+    const parsedExistingImages = task.images.filter((img) => keepList.includes(img));
 
-    // ✅ Add new uploaded images
-    const newUploadedImages = req.files ? req.files.map((file) => file.filename) : [];
+    // ✅ Images the client dropped (deleted from storage once the task is saved)
+    const removedImages = task.images.filter((img) => !parsedExistingImages.includes(img));
 
-    // ✅ Handle category (can be string or array)
-    const categories = Array.isArray(category) 
-      ? category 
-      : typeof category === 'string' 
-        ? [category] 
-        : task.category;
+    // ✅ Add new uploaded images
+    newUploadedImages.push(...(await storeUploads("taskImage", req.files)));
 
     // ✅ Update all fields including new ones
     task.title = title || task.title;
-    task.category = categories;
+    if (categories) {
+      Object.assign(task, categories);
+    }
     task.description = description || task.description;
-    task.city = city || task.city;
-    task.region = region || task.region;
-    task.district = district || task.district; 
-    task.location = city && region ? `${city}, ${region}` : task.location;
+    Object.assign(task, place);
+    if (geoLocation !== undefined) {
+      task.geoLocation = geoLocation || undefined;
+    }
+    task.location = city && region ? `${task.city}, ${task.region}` : task.location;
     task.dueDate = dueDate ? new Date(dueDate) : task.dueDate;
     task.budget = {
       min: minBudget ? parseFloat(minBudget) : task.budget.min,
@@ -294,9 +358,13 @@ router.put("/:id", auth, upload.array("newImages", 5), async (req, res) => {
       whatsapp: whatsapp || task.contact.whatsapp,
       additionalContact: whatsapp || task.contact.additionalContact,
     };
+    if (hideContact !== undefined) {
+      task.hideContact = hideContact === true || hideContact === 'true';
+    }
     task.images = [...parsedExistingImages, ...newUploadedImages];
 
     const updatedTask = await task.save();
+    await removeStoredFiles("taskImage", removedImages);
 
     console.log("✅ Task updated successfully:", updatedTask._id);
     res.json({
@@ -306,10 +374,9 @@ router.put("/:id", auth, upload.array("newImages", 5), async (req, res) => {
     });
   } catch (error) {
     console.error("❌ Error updating task:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error: " + error.message,
-    });
+    discardUploads(req.files);
+    await removeStoredFiles("taskImage", newUploadedImages);
+    sendError(res, error);
   }
 });
 
@@ -331,6 +398,8 @@ router.delete("/:id", auth, async (req, res) => {
     }
 
     await task.deleteOne();
+    await TaskApplication.deleteMany({ taskId: task._id });
+    await removeStoredFiles("taskImage", task.images);
     console.log("🗑️ Task deleted:", taskId);
 
     res.json({ success: true, message: "Task deleted successfully" });
@@ -353,10 +422,10 @@ router.get("/region-stats/:regionName", async (req, res) => {
     // Clean region name
     const cleanRegion = regionName.replace(/ region$/i, '').trim();
     
-    // Get all open jobs in this region
+    // Get all open jobs in this region ("Greater Accra Region", "Accra", "greater-accra")
     const jobs = await Task.find({
       status: 'open',
-      region: { $regex: new RegExp(`^${cleanRegion}$`, 'i') }
+      ...regionFilter(regionName)
     }).select('mainCategory category');
     
     console.log(`✅ Found ${jobs.length} jobs in ${regionName}`);
@@ -519,24 +588,13 @@ router.get("/", async (req, res) => {
     
     let filter = {};
     
-    // ✅ 1. STATUS FILTER (with default)
-    if (status) {
-      filter.status = status;
-    } else {
-      filter.status = 'open'; // Default to open jobs
-    }
+    // ✅ 1. STATUS FILTER (public statuses only, default open)
+    filter.status = Task.publicStatus(status);
     
-    // ✅ 2. REGION FILTER - Case insensitive exact match
+    // ✅ 2. REGION FILTER - canonical region ID (accepts names, IDs and aliases)
     if (region) {
       console.log(`📍 Region filter: "${region}"`);
-      
-      // Clean the region name (remove "Region" suffix if present)
-      const cleanRegion = region.replace(/ region$/i, '').trim();
-      
-      // Case-insensitive exact match
-      filter.region = { 
-        $regex: new RegExp(`^${cleanRegion}$`, 'i')
-      };
+      Object.assign(filter, regionFilter(region));
     }
     
     // ✅ 3. MAIN CATEGORY FILTER - THIS IS THE CRITICAL FIX
@@ -569,7 +627,7 @@ router.get("/", async (req, res) => {
     const [tasks, total] = await Promise.all([
       Task.find(filter)
         .populate("clientId", "name email phone whatsapp")
-        .select('title mainCategory category description region city district location status budget images createdAt dueDate')
+        .select('title mainCategory category description region city district location status budget images createdAt dueDate hideContact')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
@@ -613,7 +671,7 @@ router.get("/", async (req, res) => {
     
     res.json({ 
       success: true, 
-      tasks,
+      tasks: tasks.map(toPublicTask),
       count: tasks.length,
       total: total,
       page: parseInt(page),
@@ -631,7 +689,7 @@ router.get("/", async (req, res) => {
 });
 
 // ✅ GET task by ID (return new fields)
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate("clientId", "name email phone whatsapp profileImage");
@@ -642,10 +700,20 @@ router.get("/:id", async (req, res) => {
         message: "Task not found" 
       });
     }
+
+    // Drafts are private to their owner (and admins)
+    if (task.status === "draft" && !["client", "admin"].includes(await resolveActorRole(task, req.user))) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
     
+    // Photos are private: signed links only for the owner, applicants, the assigned provider and admins
     res.json({ 
       success: true, 
-      task 
+      task: {
+        ...toPublicTask(task),
+        imageUrls: await taskImageUrls(task, req.user),
+        imageVariantUrls: await taskImageVariantUrls(task, req.user),
+      }
     });
   } catch (error) {
     console.error("❌ Error fetching task:", error);
@@ -669,26 +737,57 @@ router.get("/:id", async (req, res) => {
 // });
 
 
-// In your routes file, update the status route (lines 275-329)
-router.put('/:id/status', auth, async (req, res) => {
+// ✅ GET the statuses the current user may move this task to
+router.get('/:id/transitions', auth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
-    const userId = req.user.id;
+    const task = await Task.findById(req.params.id).select('status clientId assignedProvider');
+    if (!task) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
+    }
 
-    console.log(`📝 Status update request: Task ${id}, Status: ${status}, User: ${userId}`);
+    const role = await resolveActorRole(task, req.user);
 
-    // Validate status
-    const validStatuses = ['open', 'completed'];
-    if (!validStatuses.includes(status)) {
-      console.error(`❌ Invalid status: ${status}`);
-      return res.status(400).json({ 
-        success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
-      });
+    res.json({
+      success: true,
+      status: task.status,
+      role,
+      allowedTransitions: role ? getAllowedTransitions(task.status, role) : []
+    });
+  } catch (error) {
+    console.error('❌ Error fetching task transitions:', error);
+    res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+  }
+});
+
+// ✅ GET the best-matching providers for a task (owner only)
+router.get('/:id/recommended-providers', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
     }
+    if (task.clientId.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view recommendations for this task' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const recommendations = await recommendProvidersForTask(task, { limit });
+
+    res.json({ success: true, recommendations, count: recommendations.length });
+  } catch (error) {
+    console.error('❌ Error fetching recommended providers:', error);
+    res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+  }
+});
+
+// ✅ UPDATE task status (enforces the lifecycle in services/taskLifecycle.js)
+router.put('/:id/status', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    console.log(`📝 Status update request: Task ${id}, Status: ${status}, User: ${req.user.id}`);
 
-    // Find task
     const task = await Task.findById(id);
     if (!task) {
       console.error(`❌ Task not found: ${id}`);
@@ -698,9 +797,8 @@ router.put('/:id/status', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the task
-    console.log(`🔍 Task owner: ${task.clientId.toString()}, Request user: ${userId}`);
-    if (task.clientId.toString() !== userId.toString()) {
+    const role = await resolveActorRole(task, req.user);
+    if (!role) {
       console.error('❌ Unauthorized status update attempt');
       return res.status(403).json({ 
         success: false,
@@ -708,40 +806,30 @@ router.put('/:id/status', auth, async (req, res) => {
       });
     }
 
-    // Update status
-    task.status = status;
-    
-    // Set completion date if marking as completed
-    if (status === 'completed') {
-      task.completedAt = Date.now();
-      console.log(`✅ Task ${id} marked as completed at ${task.completedAt}`);
-    } else if (status === 'open') {
-      // Clear completion date if reopening
-      task.completedAt = null;
-      console.log(`✅ Task ${id} reopened`);
-    }
-
-    await task.save();
-
-    console.log(`✅ Task status updated successfully: ${id} -> ${status}`);
+    const updated = await transitionTask(task, status, {
+      actor: req.user,
+      role,
+      note: note || ''
+    });
 
     res.json({ 
       success: true,
       message: 'Task status updated successfully',
       task: {
-        _id: task._id,
-        title: task.title,
-        status: task.status,
-        completedAt: task.completedAt,
-        updatedAt: task.updatedAt
-      }
+        _id: updated._id,
+        title: updated.title,
+        status: updated.status,
+        assignedProvider: updated.assignedProvider,
+        completedAt: updated.completedAt,
+        cancelledAt: updated.cancelledAt,
+        statusHistory: updated.statusHistory,
+        updatedAt: updated.updatedAt
+      },
+      allowedTransitions: getAllowedTransitions(updated.status, role)
     });
   } catch (error) {
     console.error('❌ Error updating task status:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error while updating task status' 
-    });
+    sendError(res, error, 'Server error while updating task status');
   }
 });
 
@@ -1,45 +1,17 @@
 import mongoose from 'mongoose';
 import express from "express";
-import multer from "multer";
-import path from "path";
-import fs from "fs";
 import User from "../models/User.js";
 import auth from "../middleware/auth.js";
 import Task from "../models/Task.js";
 import SavedTask from "../models/savedTask.js";
 import SavedProvider from "../models/SavedProvider.js";
+import { normalizeLocation } from "../utils/geography.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+import { uploadSingle } from "../middleware/uploads.js";
+import { storeUpload, removeStoredFiles, discardUploads } from "../services/uploadService.js";
 
 const router = express.Router();
 
-// ========================
-// 📸 MULTER CONFIGURATION
-// ========================
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = "uploads/avatars";
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueName = `${req.user.id}-${Date.now()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 3 * 1024 * 1024 }, // 3MB max
-  fileFilter: (req, file, cb) => {
-    const allowed = /jpeg|jpg|png|webp/;
-    const isValid =
-      allowed.test(file.mimetype) && allowed.test(path.extname(file.originalname).toLowerCase());
-    if (isValid) cb(null, true);
-    else cb(new Error("Only image files (jpeg, jpg, png, webp) are allowed!"));
-  },
-});
-
 // ========================
 // ✅ GET USER PROFILE
 // ========================
@@ -60,32 +32,18 @@ router.get("/profile", auth, async (req, res) => {
 // ========================
 // ✅ UPDATE USER PROFILE (IMMEDIATE SAVE - NO APPROVAL)
 // ========================
-router.put("/profile", auth, upload.single("profileImage"), async (req, res) => {
+router.put("/profile", auth, uploadSingle("profileImage", "avatar"), async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     
     if (!user) {
+      discardUploads(req.file);
       return res.status(404).json({ success: false, message: "User not found" });
     }
 
     const updates = { ...req.body };
     const profileComplete = updates.profileComplete === 'true';
     
-    // Handle profile image
-    if (req.file) {
-      updates.profileImage = req.file.filename;
-
-      // Delete old image if exists
-      if (user.profileImage) {
-        const oldPath = path.join("uploads/avatars", user.profileImage);
-        if (fs.existsSync(oldPath)) {
-          fs.unlink(oldPath, (err) => {
-            if (err) console.warn("⚠️ Could not delete old profile image:", err);
-          });
-        }
-      }
-    }
-
     // ✅ CHECK PHONE UNIQUENESS (if phone is being updated/changed)
     if (updates.phone && updates.phone !== user.phone) {
       const existingPhone = await User.findOne({ 
@@ -94,6 +52,7 @@ router.put("/profile", auth, upload.single("profileImage"), async (req, res) =>
       });
       
       if (existingPhone) {
+        discardUploads(req.file);
         return res.status(400).json({ 
           success: false, 
           message: "Phone number already in use by another account" 
@@ -109,6 +68,7 @@ router.put("/profile", auth, upload.single("profileImage"), async (req, res) =>
       });
       
       if (existingWhatsApp) {
+        discardUploads(req.file);
         return res.status(400).json({ 
           success: false, 
           message: "WhatsApp number already in use by another account" 
@@ -116,10 +76,17 @@ router.put("/profile", auth, upload.single("profileImage"), async (req, res) =>
       }
     }
     
+    // Handle profile image (the old one is deleted once saved)
+    // (only ever set from an upload, never from the body)
+    const oldProfileImage = user.profileImage;
+    if (req.file) {
+      user.profileImage = await storeUpload("avatar", req.file);
+    }
+
     // Update user fields directly - IMMEDIATE SAVE
     const fieldsToUpdate = [
       'fname', 'sname', 'oname', 'phone', 'whatsapp', 
-      'location', 'region', 'profileImage', 'district'
+      'location', 'region', 'district'
     ];
     
     // Check if this is the initial profile completion
@@ -134,6 +101,9 @@ router.put("/profile", auth, upload.single("profileImage"), async (req, res) =>
         user[field] = updates[field];
       }
     });
+
+    // Store region and district under their canonical names and IDs
+    Object.assign(user, normalizeLocation({ region: updates.region, district: updates.district }, user));
     
     // Mark profile as complete if all required fields are filled
     const allRequiredFilled = requiredFields.every(field => 
@@ -147,6 +117,10 @@ router.put("/profile", auth, upload.single("profileImage"), async (req, res) =>
     
     // Save the user directly to database
     await user.save();
+
+    if (req.file && oldProfileImage) {
+      await removeStoredFiles("avatar", [oldProfileImage]);
+    }
     
     // Return updated user
     const userResponse = user.toObject();
@@ -163,6 +137,11 @@ router.put("/profile", auth, upload.single("profileImage"), async (req, res) =>
 
   } catch (error) {
     console.error("❌ Error updating profile:", error);
+    discardUploads(req.file);
+
+    if (error instanceof HttpError) {
+      return sendError(res, error);
+    }
     
     // Handle duplicate key errors (just in case)
     if (error.code === 11000) {
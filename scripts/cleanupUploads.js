@@ -0,0 +1,58 @@
+// scripts/cleanupUploads.js
+// Find stored uploads that no document references any more and delete them,
+// along with staged uploads left in the temp folder. Files younger than the
+// grace period (UPLOAD_CLEANUP_GRACE_DAYS, default 7) are kept. The scheduler
+// runs the same cleanup daily; see services/uploadCleanupService.js.
+//
+//   npm run cleanup:uploads                        delete orphans
+//   npm run cleanup:uploads -- --dry-run           list orphans only
+//   npm run cleanup:uploads -- --grace-days=30     override the grace period
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { getStorageDriver } from "../services/storage/index.js";
+import { cleanupOrphanedUploads, graceDays } from "../services/uploadCleanupService.js";
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisready";
+const DRY_RUN = process.argv.includes("--dry-run");
+const GRACE_ARG = process.argv.find((arg) => arg.startsWith("--grace-days="));
+const GRACE_DAYS = GRACE_ARG ? Number(GRACE_ARG.split("=")[1]) : graceDays();
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.ceil(bytes / 1024)}KB`);
+
+const run = async () => {
+  if (!Number.isFinite(GRACE_DAYS) || GRACE_DAYS < 0) throw new Error("--grace-days must be a number of days");
+
+  await mongoose.connect(MONGODB_URI);
+  console.log(
+    `🧹 Looking for orphaned uploads in "${getStorageDriver().name}" storage, older than ${GRACE_DAYS} day(s)` +
+      `${DRY_RUN ? " (dry run)" : ""}`
+  );
+
+  const { scanned, orphans, removed, tempFiles } = await cleanupOrphanedUploads({
+    dryRun: DRY_RUN,
+    graceDays: GRACE_DAYS,
+  });
+
+  if (DRY_RUN) {
+    orphans.forEach((file) =>
+      console.log(`   ${file.bucket}/${file.key} (${formatSize(file.size)}, ${file.modifiedAt.toISOString().slice(0, 10)})`)
+    );
+  }
+
+  const size = formatSize(orphans.reduce((total, file) => total + file.size, 0));
+  console.log(`✅ Scanned ${scanned} stored file(s): ${orphans.length} orphaned (${size})`);
+  console.log(
+    DRY_RUN
+      ? `✅ Would remove ${orphans.length} orphaned and ${tempFiles} stale temp file(s)`
+      : `✅ Removed ${removed} orphaned and ${tempFiles} stale temp file(s)`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Upload cleanup failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
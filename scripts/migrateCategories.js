@@ -0,0 +1,118 @@
+// scripts/migrateCategories.js
+// One-off: seed the Category collection from data/categories.js, then rewrite
+// category names on existing tasks, providers and saved searches to their
+// canonical form and fill in categorySlugs. Names that match no category are
+// kept as they are and listed at the end so they can be fixed by hand (or
+// added as synonyms).
+//
+//   npm run migrate:categories             apply changes
+//   npm run migrate:categories -- --dry-run  report only
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import SavedSearch from "../models/SavedSearch.js";
+import { seedCategories, resolveCategory, categorySlugsForNames } from "../services/categoryService.js";
+import { resolveSearchCategories } from "../services/savedSearchService.js";
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisready";
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { label: "tasks", Model: Task, fields: "mainCategory category categorySlugs" },
+  { label: "providers", Model: Provider, fields: "category categorySlugs" },
+  { label: "saved searches", Model: SavedSearch, fields: "categories categorySlugs" },
+];
+
+const canonicalName = async (name) => (await resolveCategory(name))?.name || name;
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+const countUnknown = (stats, unknown) =>
+  unknown.forEach((name) => stats.unknown.set(name, (stats.unknown.get(name) || 0) + 1));
+
+// Tasks and providers: canonical names, and slugs including groups and counterparts
+const recordChanges = async (label, doc, stats) => {
+  const category = [...new Set(await Promise.all((doc.category || []).map(canonicalName)))];
+  const $set = {};
+  if (!sameList(category, doc.category)) $set.category = category;
+
+  const names = [...category];
+  if (label === "tasks") {
+    const mainCategory = await canonicalName(doc.mainCategory || category[0] || "");
+    if (mainCategory && mainCategory !== doc.mainCategory) $set.mainCategory = mainCategory;
+    if (mainCategory) names.unshift(mainCategory);
+  }
+
+  const { categorySlugs, unknown } = await categorySlugsForNames(names);
+  countUnknown(stats, unknown);
+  if (!sameList(categorySlugs, doc.categorySlugs)) $set.categorySlugs = categorySlugs;
+  return $set;
+};
+
+// Saved searches keep only their own slugs (see resolveSearchCategories)
+const searchChanges = async (doc, stats) => {
+  const { categories, categorySlugs, unknown } = await resolveSearchCategories(doc.categories || []);
+  countUnknown(stats, unknown);
+
+  const $set = {};
+  if (!sameList([...categories, ...unknown], doc.categories)) $set.categories = [...categories, ...unknown];
+  if (!sameList(categorySlugs, doc.categorySlugs)) $set.categorySlugs = categorySlugs;
+  return $set;
+};
+
+const migrate = async ({ label, Model, fields }) => {
+  const stats = { scanned: 0, updated: 0, unknown: new Map() };
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length > 0 && !DRY_RUN) {
+      await Model.bulkWrite(ops, { ordered: false });
+    }
+    ops = [];
+  };
+
+  for await (const doc of Model.find({}).select(fields).lean().cursor()) {
+    stats.scanned++;
+
+    const $set = Model === SavedSearch ? await searchChanges(doc, stats) : await recordChanges(label, doc, stats);
+    if (Object.keys($set).length === 0) continue;
+
+    stats.updated++;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return stats;
+};
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`🗂️ Migrating categories${DRY_RUN ? " (dry run)" : ""}`);
+
+  if (!DRY_RUN) {
+    const { total, inserted } = await seedCategories();
+    console.log(`✅ categories: ${total} in seed, ${inserted} added`);
+  }
+
+  for (const target of TARGETS) {
+    const stats = await migrate(target);
+    console.log(
+      `✅ ${target.label}: scanned ${stats.scanned}, ${DRY_RUN ? "would update" : "updated"} ${stats.updated}, unknown names ${stats.unknown.size}`
+    );
+    stats.unknown.forEach((count, name) => {
+      console.log(`   ⚠️ ${target.label}: "${name}" (${count})`);
+    });
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Category migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
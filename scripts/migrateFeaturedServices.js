@@ -0,0 +1,52 @@
+// scripts/migrateFeaturedServices.js
+// One-off: homepage featured-service entries used to be stored under the
+// "FeaturedProviders" model name, which shares a collection with the real
+// FeaturedProvider entries. They now have their own FeaturedService
+// collection; this moves the old ones across (they are the documents with a
+// serviceId) so they don't drop off the homepage. Entries already moved are
+// skipped, so it can be re-run.
+//
+//   npm run migrate:featured-services               apply changes
+//   npm run migrate:featured-services -- --dry-run  report only
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import FeaturedProvider from "../models/FeaturedProvider.js";
+import { FeaturedService } from "../models/HomeSectionX.js";
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisready";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`⭐ Moving featured-service entries to their own collection${DRY_RUN ? " (dry run)" : ""}`);
+
+  const stats = { found: 0, moved: 0, skipped: 0 };
+  // Raw documents: the FeaturedProvider schema would drop serviceId
+  const cursor = FeaturedProvider.collection.find({ serviceId: { $exists: true } });
+
+  for await (const doc of cursor) {
+    stats.found++;
+    if (await FeaturedService.exists({ _id: doc._id })) {
+      stats.skipped++;
+    } else if (!DRY_RUN) {
+      await FeaturedService.collection.insertOne(doc);
+    }
+
+    if (!DRY_RUN) await FeaturedProvider.collection.deleteOne({ _id: doc._id });
+    stats.moved++;
+  }
+
+  console.log(
+    `✅ ${stats.found} featured-service entr${stats.found === 1 ? "y" : "ies"} found: ` +
+      `${DRY_RUN ? "would move" : "moved"} ${stats.moved - stats.skipped}, ${stats.skipped} already moved`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Featured-service migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
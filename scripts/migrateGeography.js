@@ -0,0 +1,96 @@
+// scripts/migrateGeography.js
+// One-off cleanup: rewrite region/district/city on existing tasks, providers
+// and users to the canonical names in data/ghanaGeography.js and fill in
+// regionId/districtId. Records with an unknown region are left untouched and
+// listed at the end so they can be fixed by hand.
+//
+//   npm run migrate:geography             apply changes
+//   npm run migrate:geography -- --dry-run  report only
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import User from "../models/User.js";
+import { normalizeLocation } from "../utils/geography.js";
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisready";
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { label: "tasks", Model: Task, hasCity: true },
+  { label: "providers", Model: Provider, hasCity: true },
+  { label: "users", Model: User, hasCity: false },
+];
+
+const changedFields = (doc, normalized) =>
+  Object.fromEntries(
+    Object.entries(normalized).filter(([field, value]) => (doc[field] ?? null) !== (value ?? null))
+  );
+
+const migrate = async ({ label, Model, hasCity }) => {
+  const stats = { scanned: 0, updated: 0, unresolved: [] };
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length > 0 && !DRY_RUN) {
+      await Model.bulkWrite(ops, { ordered: false });
+    }
+    ops = [];
+  };
+
+  const cursor = Model.find({})
+    .select(hasCity ? "region regionId district districtId city" : "region regionId district districtId")
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+
+    let normalized;
+    try {
+      normalized = normalizeLocation({
+        region: doc.region ?? "",
+        district: doc.district ?? "",
+        ...(hasCity ? { city: doc.city ?? "" } : {}),
+      });
+    } catch (error) {
+      stats.unresolved.push({ _id: doc._id, region: doc.region, district: doc.district, reason: error.message });
+      continue;
+    }
+
+    const $set = changedFields(doc, normalized);
+    if (Object.keys($set).length === 0) continue;
+
+    stats.updated++;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return stats;
+};
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`🗺️ Migrating geography${DRY_RUN ? " (dry run)" : ""}`);
+
+  for (const target of TARGETS) {
+    const stats = await migrate(target);
+    console.log(
+      `✅ ${target.label}: scanned ${stats.scanned}, ${DRY_RUN ? "would update" : "updated"} ${stats.updated}, unresolved ${stats.unresolved.length}`
+    );
+    stats.unresolved.forEach((entry) => {
+      console.log(`   ⚠️ ${target.label} ${entry._id}: region "${entry.region}" district "${entry.district}" — ${entry.reason.split(".")[0]}`);
+    });
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Geography migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,83 @@
+// scripts/migrateReviews.js
+// One-off: import the old embedded Provider.reviews into the Review collection
+// as unverified reviews (they were never tied to a completed task), then
+// recompute each provider's averageRating/reviewsCount from the collection so
+// the first new review doesn't wipe out a provider's rating history.
+// Reviews already imported (matched by legacyId) are skipped, so it can be re-run.
+//
+// Also rebuilds the Review indexes: the unique task index now ignores
+// reviews without a task.
+//
+//   npm run migrate:reviews               apply changes
+//   npm run migrate:reviews -- --dry-run  report only
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Provider from "../models/Providers.js";
+import Review from "../models/Review.js";
+import { recalculateRatings } from "../services/reviewService.js";
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisready";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const toReview = (provider, legacy) => ({
+  provider: provider._id,
+  worker: provider.userId,
+  client: legacy.userId,
+  rating: legacy.rating,
+  comment: legacy.comment,
+  verified: false,
+  legacyId: legacy._id,
+  createdAt: legacy.date,
+  updatedAt: legacy.date,
+});
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`⭐ Importing embedded provider reviews${DRY_RUN ? " (dry run)" : ""}`);
+
+  if (!DRY_RUN) await Review.syncIndexes();
+
+  const stats = { providers: 0, imported: 0, skipped: 0, failed: 0 };
+  const cursor = Provider.find({ "reviews.0": { $exists: true } }).select("userId reviews").lean().cursor();
+
+  for await (const provider of cursor) {
+    const ids = provider.reviews.map((review) => review._id);
+    const existing = new Set(
+      (await Review.find({ legacyId: { $in: ids } }).select("legacyId").lean()).map((review) => review.legacyId.toString())
+    );
+    const pending = provider.reviews.filter((review) => !existing.has(review._id.toString()));
+    stats.skipped += provider.reviews.length - pending.length;
+    if (pending.length === 0) continue;
+
+    stats.providers++;
+    if (DRY_RUN) {
+      stats.imported += pending.length;
+      continue;
+    }
+
+    try {
+      await Review.insertMany(pending.map((review) => toReview(provider, review)), { ordered: false });
+      stats.imported += pending.length;
+    } catch (error) {
+      const inserted = error.insertedDocs?.length || 0;
+      stats.imported += inserted;
+      stats.failed += pending.length - inserted;
+      console.error(`   ❌ provider ${provider._id}: ${error.message}`);
+    }
+    await recalculateRatings(provider._id);
+  }
+
+  console.log(
+    `✅ ${stats.providers} provider(s): ${DRY_RUN ? "would import" : "imported"} ${stats.imported} review(s), ` +
+      `${stats.skipped} already imported${stats.failed ? `, ${stats.failed} failed` : ""}`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Review migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,173 @@
+// scripts/migrateUploads.js
+// One-off: move files from the old uploads/ folders into the storage driver's
+// buckets and rewrite the paths stored on documents.
+//   uploads/tasks, uploads/messages -> private bucket; tasks and messages
+//     store storage keys ("tasks/<name>", "messages/<name>")
+//   uploads/providers, uploads/avatars -> public bucket; providers, users,
+//     services and pending profile updates store the files' public URLs
+// Files already moved and documents already rewritten are skipped, so it can be re-run.
+//
+//   npm run migrate:uploads               apply changes
+//   npm run migrate:uploads -- --dry-run  report only
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Message from "../models/Message.js";
+import Provider from "../models/Providers.js";
+import User from "../models/User.js";
+import Service from "../models/Service.js";
+import ProviderUpdateRequest from "../models/ProviderUpdateRequest.js";
+import { putFile, getStorageDriver, publicFileUrl } from "../services/storage/index.js";
+import { storageKey } from "../services/uploadService.js";
+import { attachmentKey } from "../services/fileAccessService.js";
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisready";
+const DRY_RUN = process.argv.includes("--dry-run");
+const UPLOADS_DIR = path.resolve("uploads");
+
+const FOLDERS = [
+  { folder: "tasks", bucket: "private" },
+  { folder: "messages", bucket: "private" },
+  { folder: "providers", bucket: "public" },
+  { folder: "avatars", bucket: "public" },
+];
+
+// Public file fields: document path -> upload type (config/uploads.js)
+const PUBLIC_FIELDS = [
+  { model: Provider, label: "providers", fields: { profilePic: "profilePic", sampleWork: "sampleWork" } },
+  { model: User, label: "users", fields: { profileImage: "avatar" } },
+  { model: Service, label: "services", fields: { photos: "servicePhoto" } },
+  { model: ProviderUpdateRequest, label: "update requests", fields: { newSampleFiles: "sampleWork" } },
+];
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".txt": "text/plain",
+};
+
+// Every file under a folder, subfolders included, as keys relative to uploads/
+const listFiles = (folder) => {
+  const dir = path.join(UPLOADS_DIR, folder);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const key = `${folder}/${entry.name}`;
+    if (entry.isDirectory()) return listFiles(key);
+    return entry.isFile() ? [key] : [];
+  });
+};
+
+const moveFolder = async ({ folder, bucket }) => {
+  const stats = { moved: 0, failed: 0 };
+
+  for (const key of listFiles(folder)) {
+    if (DRY_RUN) {
+      stats.moved++;
+      continue;
+    }
+
+    try {
+      await putFile(bucket, key, path.join(UPLOADS_DIR, key), {
+        contentType: CONTENT_TYPES[path.extname(key).toLowerCase()],
+      });
+      stats.moved++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`   ❌ ${key}: ${error.message}`);
+    }
+  }
+  return stats;
+};
+
+const rewriteTasks = async () => {
+  let updated = 0;
+  for await (const task of Task.find({ "images.0": { $exists: true } }).select("images").lean().cursor()) {
+    const images = task.images.map((image) => storageKey("taskImage", image) || image);
+    if (images.every((image, i) => image === task.images[i])) continue;
+
+    updated++;
+    if (!DRY_RUN) await Task.updateOne({ _id: task._id }, { $set: { images } });
+  }
+  return updated;
+};
+
+const rewriteMessages = async () => {
+  let updated = 0;
+  const filter = { "attachments.path": /^uploads\// };
+  for await (const message of Message.find(filter).select("attachments").lean().cursor()) {
+    updated++;
+    if (DRY_RUN) continue;
+
+    const attachments = message.attachments.map((attachment) => ({
+      ...attachment,
+      path: attachmentKey(attachment.path),
+    }));
+    await Message.updateOne({ _id: message._id }, { $set: { attachments } });
+  }
+  return updated;
+};
+
+// Stored path -> public URL; values that aren't ours (e.g. Google photos) are kept
+const publicValue = (type, value) => {
+  const key = storageKey(type, value);
+  return key ? publicFileUrl(key) : value;
+};
+
+const rewritePublicFields = async ({ model, fields }) => {
+  let updated = 0;
+  const filter = { $or: Object.keys(fields).map((field) => ({ [field]: { $exists: true, $nin: [null, ""] } })) };
+
+  for await (const doc of model.find(filter).select(Object.keys(fields).join(" ")).lean().cursor()) {
+    const changes = {};
+    for (const [field, type] of Object.entries(fields)) {
+      const value = doc[field];
+      if (Array.isArray(value)) {
+        const next = value.map((item) => publicValue(type, item));
+        if (next.some((item, i) => item !== value[i])) changes[field] = next;
+      } else if (value && publicValue(type, value) !== value) {
+        changes[field] = publicValue(type, value);
+      }
+    }
+    if (Object.keys(changes).length === 0) continue;
+
+    updated++;
+    if (!DRY_RUN) await model.updateOne({ _id: doc._id }, { $set: changes });
+  }
+  return updated;
+};
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`📦 Moving uploads to "${getStorageDriver().name}" storage${DRY_RUN ? " (dry run)" : ""}`);
+
+  for (const entry of FOLDERS) {
+    const { moved, failed } = await moveFolder(entry);
+    console.log(
+      `✅ uploads/${entry.folder} -> ${entry.bucket}: ${DRY_RUN ? "would move" : "moved"} ${moved}${failed ? `, ${failed} failed` : ""}`
+    );
+  }
+
+  console.log(`✅ tasks: ${DRY_RUN ? "would update" : "updated"} ${await rewriteTasks()}`);
+  console.log(`✅ messages: ${DRY_RUN ? "would update" : "updated"} ${await rewriteMessages()}`);
+  for (const entry of PUBLIC_FIELDS) {
+    console.log(`✅ ${entry.label}: ${DRY_RUN ? "would update" : "updated"} ${await rewritePublicFields(entry)}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Upload migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,142 @@
+// scripts/processImages.js
+// Backfill: run images uploaded before the image pipeline through it. Each
+// unprocessed provider picture/sample, profile image and task photo is read
+// from storage, stripped of metadata and resized into its variants; the
+// document is pointed at the new full-size copy and the original is deleted.
+// Variant fields that are out of date are refreshed too. Documents (PDFs etc.),
+// external URLs (Google profile photos) and missing files are left alone, so
+// it can be re-run.
+//
+//   npm run migrate:images               apply changes
+//   npm run migrate:images -- --dry-run  report only
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import User from "../models/User.js";
+import { UPLOAD_TYPES } from "../config/uploads.js";
+import { readFile, UPLOAD_TMP_DIR } from "../services/storage/index.js";
+import { storeUpload, storageKey, imageVariants, removeStoredFiles } from "../services/uploadService.js";
+import { isImageFile, contentTypeOf, variantKeys } from "../services/imageService.js";
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisready";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Image field -> upload type and the field holding its variants
+const TARGETS = [
+  { label: "providers", Model: Provider, field: "profilePic", type: "profilePic", variantsField: "profilePicVariants" },
+  { label: "providers", Model: Provider, field: "sampleWork", type: "sampleWork", variantsField: "sampleWorkVariants" },
+  { label: "users", Model: User, field: "profileImage", type: "avatar", variantsField: "profileImageVariants" },
+  { label: "tasks", Model: Task, field: "images", type: "taskImage", variantsField: "imageVariants" },
+];
+
+const needsProcessing = (type, value) => {
+  const key = storageKey(type, value);
+  return Boolean(key && isImageFile(key) && !variantKeys(key));
+};
+
+// Copy a stored file to the temp folder so it can go through storeUpload like a fresh upload
+const download = async (type, value) => {
+  const key = storageKey(type, value);
+  const file = await readFile(UPLOAD_TYPES[type].bucket, key);
+  if (!file) return null;
+
+  const tempPath = path.join(UPLOAD_TMP_DIR, `${crypto.randomBytes(16).toString("hex")}${path.extname(key)}`);
+  try {
+    await pipeline(file.stream, fs.createWriteStream(tempPath));
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+  return { path: tempPath, originalname: key, mimetype: contentTypeOf(key) };
+};
+
+// The processed value for one image, or the old value when it can't be processed
+const processValue = async (type, value, stats) => {
+  if (!needsProcessing(type, value)) return value;
+  stats.found++;
+  if (DRY_RUN) return value;
+
+  let file = null;
+  try {
+    file = await download(type, value);
+    if (!file) {
+      stats.missing++;
+      return value;
+    }
+    const processed = await storeUpload(type, file);
+    stats.processed++;
+    return processed;
+  } catch (error) {
+    stats.failed++;
+    console.error(`   ❌ ${value}: ${error.message}`);
+    if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    return value;
+  }
+};
+
+const sameJSON = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const backfill = async ({ Model, field, type, variantsField }) => {
+  const stats = { found: 0, processed: 0, missing: 0, failed: 0, updated: 0 };
+  const filter = { [field]: { $exists: true, $nin: [null, "", []] } };
+
+  for await (const doc of Model.find(filter).select(`${field} ${variantsField}`).lean().cursor()) {
+    const current = doc[field];
+    const values = Array.isArray(current) ? current : [current];
+
+    const next = [];
+    for (const value of values) {
+      next.push(await processValue(type, value, stats));
+    }
+
+    const variants = next.map((value) => imageVariants(type, value)).filter(Boolean);
+    const $set = {};
+    if (next.some((value, i) => value !== values[i])) {
+      $set[field] = Array.isArray(current) ? next : next[0];
+    }
+    const nextVariants = Array.isArray(current) ? variants : variants[0] || null;
+    if (!sameJSON(nextVariants, doc[variantsField])) $set[variantsField] = nextVariants;
+
+    if (Object.keys($set).length === 0 || DRY_RUN) continue;
+
+    await Model.updateOne({ _id: doc._id }, { $set });
+    stats.updated++;
+
+    // Originals go once nothing points at them any more
+    const replaced = values.filter((value, i) => value !== next[i]);
+    await removeStoredFiles(type, replaced);
+  }
+  return stats;
+};
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`🖼️ Processing stored images${DRY_RUN ? " (dry run)" : ""}`);
+
+  for (const target of TARGETS) {
+    const { found, processed, missing, failed, updated } = await backfill(target);
+    const label = `${target.label}.${target.field}`;
+    if (DRY_RUN) {
+      console.log(`✅ ${label}: ${found} image(s) to process`);
+    } else {
+      console.log(
+        `✅ ${label}: processed ${processed}/${found}, updated ${updated} document(s)` +
+          `${missing ? `, ${missing} file(s) missing` : ""}${failed ? `, ${failed} failed` : ""}`
+      );
+    }
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Image backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,10 +8,14 @@ import { BASE_URL } from "./config/env.js";
 
 // Import routes
 import authRoutes from "./routes/authRoutes.js";
+import phoneAuthRoutes from "./routes/phoneAuthRoutes.js";
 import taskRoutes from "./routes/taskRoutes.js";
+import taskApplicationRoutes from "./routes/taskApplicationRoutes.js";
 import savedTasks from "./routes/savedTasks.js";
 import userRoutes from "./routes/userRoutes.js";
 import providerRoutes from "./routes/providerRoutes.js";
+import providerServiceRoutes from "./routes/providerServiceRoutes.js";
+import serviceRoutes from "./routes/serviceRoutes.js";
 import savedWorkerRoutes from "./routes/savedWorkerRoutes.js";
 import reviewRoutes from "./routes/reviewRoutes.js";
 import AdminRoutes from "./routes/adminRoutes.js";
@@ -20,7 +24,22 @@ import adminUserRoutes from "./routes/admin/users.js";
 import adminHomeRoutes from "./routes/adminHomeRoutes.js";
 import adminProviderRoutes from "./routes/admin/providerRoutes.js";
 import adminTaskRoutes from "./routes/admin/taskRoutes.js";
+import adminPaymentRoutes from "./routes/admin/paymentRoutes.js";
+import adminVerificationRoutes from "./routes/admin/verificationRoutes.js";
+import fileRoutes from "./routes/fileRoutes.js";
 import regionRoutes from "./routes/regionRoutes.js";
+import geoRoutes from "./routes/geoRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
+import savedSearchRoutes from "./routes/savedSearchRoutes.js";
+import bookingRoutes from "./routes/bookingRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import realtimeRoutes from "./routes/realtimeRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
+import promotionRoutes from "./routes/promotionRoutes.js";
+import { startScheduler } from "./services/scheduler.js";
+import { PUBLIC_UPLOAD_FOLDERS } from "./services/storage/index.js";
 
 
 // Load environment variables
@@ -62,20 +81,22 @@ app.use(cors({
 }));
 
 
-app.use(express.json());
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ====================================================
-// FIX: Serve static files properly
-// ====================================================
-// This is the CORRECT way to serve static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Remove these duplicate/conflicting static file configurations:
-// app.use("/uploads/tasks", express.static(path.join(__dirname, "uploads/tasks")));
-// app.use("/uploads/avatars", express.static(path.join(__dirname, "uploads/avatars")));
-// app.use("/uploads", express.static("uploads"));
+// Public uploads only (profile pictures, work samples, catalogue photos).
+// Task photos, message attachments and identity documents are in private
+// storage and served through signed links from /api/files.
 // ====================================================
+PUBLIC_UPLOAD_FOLDERS.forEach((folder) => {
+  app.use(`/uploads/${folder}`, express.static(path.join(__dirname, "uploads", folder), { index: false, dotfiles: "deny" }));
+});
 
 // Admin routes
 app.use("/api/admin", AdminRoutes);
@@ -83,20 +104,37 @@ app.use("/api/admin-auth", adminAuthRoutes);
 app.use("/api/home", adminHomeRoutes);
 app.use("/api/admin/providers", adminProviderRoutes);
 app.use("/api/admin/tasks", adminTaskRoutes);
+app.use("/api/admin/payments", adminPaymentRoutes);
+app.use("/api/admin/verifications", adminVerificationRoutes);
 
 // Admin user management routes
 app.use("/api/admin/users", adminUserRoutes);
 
 
 // Routes
+app.use("/api/auth/phone", phoneAuthRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/tasks/:id/applications", taskApplicationRoutes);
 app.use("/api/tasks", taskRoutes);
 app.use("/api/saved-tasks", savedTasks);
 app.use("/api/users", userRoutes);
+app.use("/api/providers/me/services", providerServiceRoutes);
 app.use("/api/providers", providerRoutes);
+app.use("/api/services", serviceRoutes);
 app.use("/api/saved-workers", savedWorkerRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/regions", regionRoutes);
+app.use("/api/geo", geoRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/bookings", bookingRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/realtime", realtimeRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/files", fileRoutes);
 
 
 
@@ -117,61 +155,6 @@ app.get("/health", (req, res) => {
   });
 });
 
-// Test route for image serving
-app.get("/api/test-images", async (req, res) => {
-  try {
-    const fs = await import('fs');
-    const uploadsDir = path.join(__dirname, 'uploads');
-    
-    if (!fs.existsSync(uploadsDir)) {
-      return res.json({
-        success: false,
-        message: "Uploads directory doesn't exist",
-        path: uploadsDir
-      });
-    }
-
-    // Get all files in uploads directory
-    const files = [];
-    
-    function scanDirectory(dir, basePath = '') {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      
-      items.forEach(item => {
-        const itemPath = path.join(dir, item.name);
-        const relativePath = basePath ? `${basePath}/${item.name}` : item.name;
-        
-        if (item.isDirectory()) {
-          scanDirectory(itemPath, relativePath);
-        } else {
-          files.push({
-            name: item.name,
-            path: relativePath,
-            fullPath: itemPath,
-            url: `http://localhost:${process.env.PORT || 5000}/uploads/${relativePath}`
-          });
-        }
-      });
-    }
-    
-    scanDirectory(uploadsDir);
-    
-    res.json({
-      success: true,
-      uploadsDir,
-      totalFiles: files.length,
-      files: files.slice(0, 20) // Show first 20 files
-    });
-  } catch (error) {
-    console.error("Error scanning uploads directory:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error scanning uploads directory",
-      error: error.message
-    });
-  }
-});
-
 // Add debug route to see all registered routes
 app.get("/api/debug/routes", (req, res) => {
   const routes = [];
@@ -228,6 +211,7 @@ const MONGODB_URI = process.env.MONGO_URI || "mongodb://localhost:27017/workisre
 mongoose.connect(MONGODB_URI)
   .then(() => {
     console.log("✅ MongoDB Connected successfully");
+    startScheduler();
   })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err);
@@ -240,6 +224,6 @@ app.listen(PORT, () => {
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📡 API URL: http://localhost:${PORT}`);
   console.log(`📁 Uploads URL: http://localhost:${PORT}/uploads/`);
+  console.log(`📡 Realtime stream: http://localhost:${PORT}/api/realtime/stream`);
   console.log(`🔍 Debug routes: http://localhost:${PORT}/api/debug/routes`);
-  console.log(`🔧 Test images: http://localhost:${PORT}/api/test-images`);
 });
@@ -0,0 +1,585 @@
+// services/bookingService.js
+// Provider calendars and bookings. Providers publish weekly hours split into
+// fixed-length slots, plus time-off blocks; clients request a slot for one of
+// their tasks and the provider accepts or declines. Either side can propose a
+// new time, which the other side accepts or declines.
+//
+// Double booking is prevented by the database, not by a read-then-write check:
+// every active booking lists the 15-minute blocks it occupies in `slotKeys`,
+// which has a unique index, so a second booking over the same time fails.
+//
+// Ghana is on GMT all year with no daylight saving, so times of day in a
+// schedule are applied directly in UTC.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import { HttpError } from "../utils/httpError.js";
+import { buildCalendar } from "../utils/ics.js";
+import { notify } from "./notificationService.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const BLOCK_MINUTES = 15;
+const MIN_LEAD_MINUTES = 60; // no bookings starting in the next hour
+const MAX_DAYS_AHEAD = 90;
+const MAX_SLOT_RANGE_DAYS = 31;
+const MAX_TIME_OFF = 50;
+const CALENDAR_PAST_DAYS = 30;
+
+// Task statuses a provider can still be booked for
+const BOOKABLE_TASK_STATUSES = ["open", "assigned", "in_progress"];
+
+const SLOT_TAKEN = "That time has just been booked. Please pick another slot.";
+const EMPTY_PROPOSAL = { start: null, end: null, proposedBy: null, note: "", proposedAt: null };
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+const parseDate = (value, field) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+// "08:30" -> 510; "24:00" is allowed as an end of day
+const toMinutes = (value) => {
+  const match = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+};
+
+const startOfDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+const formatSlot = (start, end) => {
+  const day = start.toLocaleDateString("en-GB", { weekday: "short", day: "numeric", month: "short", timeZone: "Africa/Accra" });
+  const time = (date) => date.toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit", timeZone: "Africa/Accra" });
+  return `${day}, ${time(start)}–${time(end)}`;
+};
+
+/* -------------------------------------------------------------------------- */
+/* Schedule                                                                   */
+/* -------------------------------------------------------------------------- */
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // not JSON
+  }
+  throw new HttpError(400, "weeklyHours must be a list of { day, start, end }");
+};
+
+/**
+ * Validate weekly hours and slot length from a request body.
+ * Only the fields present are returned.
+ */
+export const normalizeSchedule = (input = {}) => {
+  const result = {};
+
+  if (input.slotMinutes !== undefined) {
+    const slotMinutes = Number(input.slotMinutes);
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 15 || slotMinutes > 480 || slotMinutes % BLOCK_MINUTES !== 0) {
+      throw new HttpError(400, "slotMinutes must be a multiple of 15 between 15 and 480");
+    }
+    result.slotMinutes = slotMinutes;
+  }
+
+  if (input.weeklyHours !== undefined) {
+    const hours = toList(input.weeklyHours).map((entry) => {
+      const day = Number(entry?.day);
+      const start = toMinutes(entry?.start);
+      const end = toMinutes(entry?.end);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw new HttpError(400, "day must be 0 (Sunday) to 6 (Saturday)");
+      }
+      if (start === null || end === null || start >= end || start % BLOCK_MINUTES || end % BLOCK_MINUTES) {
+        throw new HttpError(400, `Invalid hours ${entry?.start}–${entry?.end}; use HH:MM on the quarter hour, start before end`);
+      }
+      return { day, start: entry.start.trim(), end: entry.end.trim(), from: start, to: end };
+    });
+
+    hours.sort((a, b) => a.day - b.day || a.from - b.from);
+    hours.forEach((entry, i) => {
+      const prev = hours[i - 1];
+      if (prev && prev.day === entry.day && entry.from < prev.to) {
+        throw new HttpError(400, `Working hours overlap on day ${entry.day}`);
+      }
+    });
+
+    result.weeklyHours = hours.map(({ day, start, end }) => ({ day, start, end }));
+  }
+
+  return result;
+};
+
+/**
+ * Block out time (holiday, sick day). Past blocks are dropped as new ones are added.
+ */
+export const addTimeOff = async (provider, { start, end, reason = "" }) => {
+  const from = parseDate(start, "start");
+  const to = parseDate(end, "end");
+  if (to <= from) throw new HttpError(400, "Time off must end after it starts");
+
+  const now = new Date();
+  const timeOff = (provider.schedule?.timeOff || []).filter((block) => block.end > now);
+  if (timeOff.length >= MAX_TIME_OFF) {
+    throw new HttpError(400, `You can have up to ${MAX_TIME_OFF} upcoming time-off blocks`);
+  }
+
+  provider.set("schedule.timeOff", [...timeOff, { start: from, end: to, reason: String(reason).trim().slice(0, 200) }]);
+  await provider.save();
+  return provider.schedule.timeOff;
+};
+
+export const removeTimeOff = async (provider, blockId) => {
+  const block = provider.schedule?.timeOff?.id(blockId);
+  if (!block) throw new HttpError(404, "Time off not found");
+
+  block.deleteOne();
+  await provider.save();
+  return provider.schedule.timeOff;
+};
+
+/* -------------------------------------------------------------------------- */
+/* Slots                                                                      */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * The 15-minute blocks a booking occupies, namespaced by provider
+ */
+export const slotKeysFor = (providerId, start, end) => {
+  const keys = [];
+  for (let t = start.getTime(); t < end.getTime(); t += BLOCK_MINUTES * MINUTE_MS) {
+    keys.push(`${providerId}|${new Date(t).toISOString()}`);
+  }
+  return keys;
+};
+
+// Working-hours windows on the day of `date`, as absolute times
+const windowsOn = (schedule, dayStart) => {
+  const day = new Date(dayStart).getUTCDay();
+  return (schedule?.weeklyHours || [])
+    .filter((hours) => hours.day === day)
+    .map((hours) => ({
+      start: dayStart + toMinutes(hours.start) * MINUTE_MS,
+      end: dayStart + toMinutes(hours.end) * MINUTE_MS,
+    }));
+};
+
+const inTimeOff = (schedule, start, end) =>
+  (schedule?.timeOff || []).some((block) => block.start < end && start < block.end);
+
+const earliestStart = () => new Date(Date.now() + MIN_LEAD_MINUTES * MINUTE_MS);
+
+/**
+ * Check that [start, end) is a run of whole slots inside the provider's hours
+ */
+const assertBookable = (provider, start, end) => {
+  const { schedule } = provider;
+  if (!schedule?.weeklyHours?.length) {
+    throw new HttpError(400, "This provider hasn't published their availability yet");
+  }
+  if (end <= start) {
+    throw new HttpError(400, "A booking must end after it starts");
+  }
+  if (start < earliestStart()) {
+    throw new HttpError(400, `Bookings must start at least ${MIN_LEAD_MINUTES} minutes from now`);
+  }
+  if (start.getTime() > Date.now() + MAX_DAYS_AHEAD * DAY_MS) {
+    throw new HttpError(400, `Bookings can be made up to ${MAX_DAYS_AHEAD} days ahead`);
+  }
+
+  const slotMs = (schedule.slotMinutes || 60) * MINUTE_MS;
+  const window = windowsOn(schedule, startOfDay(start)).find(
+    (w) => w.start <= start.getTime() && end.getTime() <= w.end
+  );
+  if (!window || (start.getTime() - window.start) % slotMs !== 0 || (end.getTime() - start.getTime()) % slotMs !== 0) {
+    throw new HttpError(400, "Pick one of the provider's available slots");
+  }
+
+  if (inTimeOff(schedule, start, end)) {
+    throw new HttpError(409, "The provider is unavailable at that time");
+  }
+};
+
+/**
+ * Free slots for a provider between `from` and `to` (default: the next 7 days)
+ *
+ * @returns {Promise<{ start: Date, end: Date }[]>}
+ */
+export const listSlots = async (provider, { from, to } = {}) => {
+  const rangeStart = from ? parseDate(from, "from") : new Date();
+  const rangeEnd = to ? parseDate(to, "to") : new Date(rangeStart.getTime() + 7 * DAY_MS);
+  if (rangeEnd <= rangeStart) throw new HttpError(400, "to must be after from");
+  if (rangeEnd - rangeStart > MAX_SLOT_RANGE_DAYS * DAY_MS) {
+    throw new HttpError(400, `Ask for at most ${MAX_SLOT_RANGE_DAYS} days of slots at a time`);
+  }
+
+  const { schedule } = provider;
+  if (!schedule?.weeklyHours?.length) return [];
+
+  // Proposed times hold their blocks too, so go by slotKeys rather than start/end
+  const busy = new Set(
+    (await Booking.find({
+      providerId: provider._id,
+      holdsSlots: true,
+      $or: [
+        { start: { $lt: rangeEnd }, end: { $gt: rangeStart } },
+        { "proposal.start": { $lt: rangeEnd }, "proposal.end": { $gt: rangeStart } },
+      ],
+    }).select("slotKeys").lean()).flatMap((booking) => booking.slotKeys)
+  );
+
+  const slotMs = (schedule.slotMinutes || 60) * MINUTE_MS;
+  const earliest = Math.max(rangeStart.getTime(), earliestStart().getTime());
+  const slots = [];
+
+  for (let day = startOfDay(rangeStart); day < rangeEnd.getTime(); day += DAY_MS) {
+    windowsOn(schedule, day).forEach((window) => {
+      for (let t = window.start; t + slotMs <= window.end; t += slotMs) {
+        const start = new Date(t);
+        const end = new Date(t + slotMs);
+        if (t < earliest || end > rangeEnd || inTimeOff(schedule, start, end)) continue;
+        if (slotKeysFor(provider._id, start, end).some((key) => busy.has(key))) continue;
+        slots.push({ start, end });
+      }
+    });
+  }
+
+  return slots;
+};
+
+/* -------------------------------------------------------------------------- */
+/* Bookings                                                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * How `user` relates to a booking: "client", "provider" or null
+ */
+export const bookingRole = (booking, user) => {
+  if (!user) return null;
+  if (sameId(booking.clientId, user._id)) return "client";
+  if (sameId(booking.providerUserId, user._id)) return "provider";
+  return null;
+};
+
+const historyEntry = (action, actorRole, { start, end, note = "" } = {}) => ({
+  action,
+  actorRole,
+  start,
+  end,
+  note,
+  at: new Date(),
+});
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// Apply a change only if the booking is still as we read it
+const applyChange = async (booking, expected, set, entry) => {
+  try {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, ...expected },
+      { $set: set, $push: { history: entry } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new HttpError(409, "This booking was changed by someone else, please reload and try again");
+    }
+    return updated;
+  } catch (error) {
+    if (isDuplicateKey(error)) throw new HttpError(409, SLOT_TAKEN);
+    throw error;
+  }
+};
+
+const tell = (userId, event, booking, title, body) =>
+  notify(userId, event, {
+    title,
+    body,
+    link: `/bookings/${booking._id}`,
+    data: { bookingId: booking._id, taskId: booking.taskId },
+  });
+
+const otherParty = (booking, role) => (role === "client" ? booking.providerUserId : booking.clientId);
+
+/**
+ * Client asks a provider for a slot, for one of the client's tasks
+ */
+export const requestBooking = async (user, { taskId, providerId, start, end, note = "" }) => {
+  if (!mongoose.Types.ObjectId.isValid(taskId) || !mongoose.Types.ObjectId.isValid(providerId)) {
+    throw new HttpError(400, "taskId and providerId are required");
+  }
+
+  const [task, provider] = await Promise.all([
+    Task.findById(taskId).select("title clientId status assignedProvider"),
+    Provider.findById(providerId).select("userId fullName isApproved schedule"),
+  ]);
+
+  if (!task) throw new HttpError(404, "Task not found");
+  if (!sameId(task.clientId, user._id)) {
+    throw new HttpError(403, "Only the task owner can book a provider for it");
+  }
+  if (!BOOKABLE_TASK_STATUSES.includes(task.status)) {
+    throw new HttpError(400, `Can't book a provider for a task that is ${task.status.replace(/_/g, " ")}`);
+  }
+
+  if (!provider || !provider.isApproved) throw new HttpError(404, "Provider not found");
+  if (sameId(provider.userId, user._id)) throw new HttpError(400, "You can't book yourself");
+  if (task.assignedProvider && !sameId(task.assignedProvider, provider._id)) {
+    throw new HttpError(400, "This task is assigned to another provider");
+  }
+
+  const from = parseDate(start, "start");
+  const to = end ? parseDate(end, "end") : new Date(from.getTime() + (provider.schedule?.slotMinutes || 60) * MINUTE_MS);
+  assertBookable(provider, from, to);
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      taskId: task._id,
+      providerId: provider._id,
+      providerUserId: provider.userId,
+      clientId: user._id,
+      start: from,
+      end: to,
+      note: String(note || "").trim(),
+      slotKeys: slotKeysFor(provider._id, from, to),
+      holdsSlots: true,
+      history: [historyEntry("requested", "client", { start: from, end: to, note })],
+    });
+  } catch (error) {
+    if (isDuplicateKey(error)) throw new HttpError(409, SLOT_TAKEN);
+    throw error;
+  }
+
+  await tell(provider.userId, "booking.requested", booking, "New booking request",
+    `${formatSlot(from, to)} for "${task.title}"`);
+
+  return booking;
+};
+
+export const acceptBooking = async (booking, user) => {
+  if (bookingRole(booking, user) !== "provider") {
+    throw new HttpError(403, "Only the provider can accept this booking");
+  }
+  if (booking.status !== "requested") {
+    throw new HttpError(400, `Booking is already ${booking.status}`);
+  }
+  if (booking.start < new Date()) {
+    throw new HttpError(400, "This booking's time has already passed");
+  }
+
+  const updated = await applyChange(
+    booking,
+    { status: "requested" },
+    { status: "accepted", respondedAt: new Date() },
+    historyEntry("accepted", "provider")
+  );
+
+  await tell(updated.clientId, "booking.accepted", updated, "Booking confirmed",
+    `${formatSlot(updated.start, updated.end)} is confirmed.`);
+  return updated;
+};
+
+// Final states give their blocks back
+const releaseSet = () => ({ holdsSlots: false, slotKeys: [], proposal: EMPTY_PROPOSAL });
+
+export const declineBooking = async (booking, user, reason = "") => {
+  if (bookingRole(booking, user) !== "provider") {
+    throw new HttpError(403, "Only the provider can decline this booking");
+  }
+  if (booking.status !== "requested") {
+    throw new HttpError(400, `Booking is already ${booking.status}`);
+  }
+
+  const updated = await applyChange(
+    booking,
+    { status: "requested" },
+    { status: "declined", respondedAt: new Date(), ...releaseSet() },
+    historyEntry("declined", "provider", { note: reason })
+  );
+
+  await tell(updated.clientId, "booking.declined", updated, "Booking declined",
+    `${formatSlot(updated.start, updated.end)} was declined.${reason ? ` ${reason}` : ""}`);
+  return updated;
+};
+
+export const cancelBooking = async (booking, user, reason = "") => {
+  const role = bookingRole(booking, user);
+  if (!role) throw new HttpError(403, "Not authorized to cancel this booking");
+  if (!Booking.ACTIVE_STATUSES.includes(booking.status)) {
+    throw new HttpError(400, `Booking is already ${booking.status}`);
+  }
+
+  const updated = await applyChange(
+    booking,
+    { status: booking.status },
+    { status: "cancelled", cancelledAt: new Date(), ...releaseSet() },
+    historyEntry("cancelled", role, { note: reason })
+  );
+
+  await tell(otherParty(updated, role), "booking.cancelled", updated, "Booking cancelled",
+    `${formatSlot(updated.start, updated.end)} was cancelled by the ${role}.${reason ? ` ${reason}` : ""}`);
+  return updated;
+};
+
+/**
+ * Suggest a new time. The booking keeps its current time (and both times stay
+ * held) until the other side accepts or declines.
+ */
+export const proposeReschedule = async (booking, user, { start, end, note = "" }) => {
+  const role = bookingRole(booking, user);
+  if (!role) throw new HttpError(403, "Not authorized to reschedule this booking");
+  if (!Booking.ACTIVE_STATUSES.includes(booking.status)) {
+    throw new HttpError(400, `Can't reschedule a booking that is ${booking.status}`);
+  }
+  if (booking.proposal?.proposedBy && booking.proposal.proposedBy !== role) {
+    throw new HttpError(400, "Answer the other side's proposed time first");
+  }
+
+  const provider = await Provider.findById(booking.providerId).select("schedule");
+  if (!provider) throw new HttpError(404, "Provider not found");
+
+  const from = parseDate(start, "start");
+  const to = end ? parseDate(end, "end") : new Date(from.getTime() + (booking.end - booking.start));
+  assertBookable(provider, from, to);
+
+  const keys = new Set([...slotKeysFor(booking.providerId, booking.start, booking.end), ...slotKeysFor(booking.providerId, from, to)]);
+  const updated = await applyChange(
+    booking,
+    { status: booking.status, "proposal.proposedAt": booking.proposal?.proposedAt || null },
+    {
+      proposal: { start: from, end: to, proposedBy: role, note: String(note || "").trim(), proposedAt: new Date() },
+      slotKeys: [...keys],
+    },
+    historyEntry("reschedule_proposed", role, { start: from, end: to, note })
+  );
+
+  await tell(otherParty(updated, role), "booking.reschedule", updated, "New time proposed",
+    `The ${role} proposed ${formatSlot(from, to)} instead of ${formatSlot(booking.start, booking.end)}.`);
+  return updated;
+};
+
+/**
+ * Accept or decline the other side's proposed time. Accepting moves the
+ * booking and confirms it, since both sides have now agreed on the time.
+ */
+export const answerReschedule = async (booking, user, accept, note = "") => {
+  const role = bookingRole(booking, user);
+  const { proposal } = booking;
+  if (!role) throw new HttpError(403, "Not authorized to answer this booking");
+  if (!proposal?.proposedBy) throw new HttpError(400, "There is no proposed time to answer");
+  if (proposal.proposedBy === role) throw new HttpError(400, "Wait for the other side to answer your proposal");
+
+  const set = accept
+    ? {
+        start: proposal.start,
+        end: proposal.end,
+        status: "accepted",
+        respondedAt: new Date(),
+        slotKeys: slotKeysFor(booking.providerId, proposal.start, proposal.end),
+        proposal: EMPTY_PROPOSAL,
+      }
+    : {
+        slotKeys: slotKeysFor(booking.providerId, booking.start, booking.end),
+        proposal: EMPTY_PROPOSAL,
+      };
+
+  const updated = await applyChange(
+    booking,
+    { status: booking.status, "proposal.proposedAt": proposal.proposedAt },
+    set,
+    historyEntry(accept ? "reschedule_accepted" : "reschedule_declined", role, {
+      start: proposal.start,
+      end: proposal.end,
+      note,
+    })
+  );
+
+  await tell(otherParty(updated, role), "booking.reschedule", updated,
+    accept ? "New time accepted" : "New time declined",
+    accept
+      ? `Booking moved to ${formatSlot(updated.start, updated.end)}.`
+      : `The booking stays at ${formatSlot(updated.start, updated.end)}.${note ? ` ${note}` : ""}`);
+  return updated;
+};
+
+/**
+ * Cancel every active booking for a task that has been cancelled or expired
+ */
+export const releaseTaskBookings = async (taskId, reason) =>
+  Booking.updateMany(
+    { taskId, status: { $in: Booking.ACTIVE_STATUSES } },
+    {
+      $set: { status: "cancelled", cancelledAt: new Date(), ...releaseSet() },
+      $push: { history: historyEntry("cancelled", "system", { note: reason }) },
+    }
+  );
+
+/* -------------------------------------------------------------------------- */
+/* Calendar export                                                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * The provider's secret feed token, created on first use (or replaced with `rotate`)
+ */
+export const getCalendarToken = async (provider, { rotate = false } = {}) => {
+  const current = await Provider.findById(provider._id).select("+calendarToken");
+  if (current?.calendarToken && !rotate) return current.calendarToken;
+
+  const token = crypto.randomBytes(24).toString("hex");
+  await Provider.updateOne({ _id: provider._id }, { $set: { calendarToken: token } });
+  return token;
+};
+
+export const findProviderByCalendarToken = (token) =>
+  token ? Provider.findOne({ calendarToken: token }).select("fullName schedule") : null;
+
+const ICS_STATUS = { requested: "TENTATIVE", accepted: "CONFIRMED" };
+
+/**
+ * The provider's bookings and time off as an .ics calendar
+ */
+export const providerCalendar = async (provider) => {
+  const since = new Date(Date.now() - CALENDAR_PAST_DAYS * DAY_MS);
+  const bookings = await Booking.find({
+    providerId: provider._id,
+    status: { $in: Booking.ACTIVE_STATUSES },
+    end: { $gte: since },
+  })
+    .populate("taskId", "title location")
+    .populate("clientId", "name")
+    .sort({ start: 1 });
+
+  const events = bookings.map((booking) => ({
+    uid: `booking-${booking._id}@workisready`,
+    start: booking.start,
+    end: booking.end,
+    summary: `${booking.status === "requested" ? "[Requested] " : ""}${booking.taskId?.title || "Booking"}`,
+    description: [booking.clientId?.name && `Client: ${booking.clientId.name}`, booking.note].filter(Boolean).join("\n"),
+    location: booking.taskId?.location || "",
+    status: ICS_STATUS[booking.status],
+    updatedAt: booking.updatedAt,
+  }));
+
+  (provider.schedule?.timeOff || [])
+    .filter((block) => block.end >= since)
+    .forEach((block) => {
+      events.push({
+        uid: `timeoff-${block._id}@workisready`,
+        start: block.start,
+        end: block.end,
+        summary: block.reason ? `Unavailable: ${block.reason}` : "Unavailable",
+        status: "CONFIRMED",
+      });
+    });
+
+  return buildCalendar({ name: `${provider.fullName || "My"} bookings`, events });
+};
@@ -0,0 +1,260 @@
+// services/catalogueService.js
+// Providers' service catalogues: fixed-price or price-range offerings that
+// clients can order directly. An order is a normal task, created already
+// assigned to the provider with an accepted bid at the service price, so it
+// is paid for and follows the usual lifecycle from there.
+import mongoose from "mongoose";
+import Service from "../models/Service.js";
+import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import Provider from "../models/Providers.js";
+import { FeaturedService } from "../models/HomeSectionX.js";
+import { HttpError } from "../utils/httpError.js";
+import { normalizeLocation, parseGeoPoint } from "../utils/geography.js";
+import { normalizeProviderCategories, normalizeTaskCategories, getCategoryIcon } from "./categoryService.js";
+import { initialHistoryEntry } from "./taskLifecycle.js";
+import { holdFundsForTask } from "./paymentService.js";
+import { notify } from "./notificationService.js";
+import { storeUploads, removeStoredFiles } from "./uploadService.js";
+
+export const removePhotos = (photos = []) => removeStoredFiles("servicePhoto", photos);
+
+// Save a service with freshly stored photos, removing them again if the save fails
+const saveWithPhotos = async (save, photos) => {
+  try {
+    return await save();
+  } catch (error) {
+    await removePhotos(photos);
+    throw error;
+  }
+};
+
+const toPrice = (value, field) => {
+  const price = Number(value);
+  if (value === undefined || value === null || value === "" || !Number.isFinite(price) || price < 0) {
+    throw new HttpError(400, `${field} must be a positive number`);
+  }
+  return price;
+};
+
+/**
+ * Validate a service definition from a request body.
+ * With `current`, only the fields present are validated and returned.
+ */
+export const normalizeServiceInput = async (input = {}, current = null) => {
+  const result = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (has("title") || !current) {
+    const title = String(input.title || "").trim();
+    if (!title) throw new HttpError(400, "Give the service a title");
+    result.title = title.slice(0, 100);
+  }
+
+  if (has("category") || !current) {
+    if (!input.category) throw new HttpError(400, "Pick a category for the service");
+    const { category, categorySlugs } = await normalizeProviderCategories(
+      [String(input.category)],
+      current ? { category: [current.category] } : null
+    );
+    result.category = category[0];
+    result.categorySlugs = categorySlugs;
+    result.icon = await getCategoryIcon(result.category);
+  }
+
+  if (has("description")) {
+    result.description = String(input.description || "").trim();
+  }
+
+  // { priceType: "fixed", price } or { priceType: "range", minPrice, maxPrice }
+  if (has("priceType") || has("price") || has("minPrice") || has("maxPrice") || !current) {
+    const type = input.priceType || (has("price") ? "fixed" : current?.pricing?.type || "fixed");
+    if (!["fixed", "range"].includes(type)) {
+      throw new HttpError(400, 'priceType must be "fixed" or "range"');
+    }
+
+    if (type === "fixed") {
+      const price = toPrice(input.price ?? input.minPrice ?? current?.pricing?.minPrice, "price");
+      result.pricing = { type, minPrice: price, maxPrice: price };
+    } else {
+      const minPrice = toPrice(input.minPrice ?? current?.pricing?.minPrice, "minPrice");
+      const maxPrice = toPrice(input.maxPrice ?? current?.pricing?.maxPrice, "maxPrice");
+      if (minPrice >= maxPrice) throw new HttpError(400, "minPrice must be less than maxPrice");
+      result.pricing = { type, minPrice, maxPrice };
+    }
+  }
+
+  if (has("durationMinutes")) {
+    if (input.durationMinutes === "" || input.durationMinutes === null) {
+      result.durationMinutes = null;
+    } else {
+      const minutes = Number(input.durationMinutes);
+      if (!Number.isInteger(minutes) || minutes < 15) {
+        throw new HttpError(400, "durationMinutes must be a whole number of at least 15");
+      }
+      result.durationMinutes = minutes;
+    }
+  }
+
+  if (has("isActive")) {
+    result.isActive = input.isActive === true || input.isActive === "true";
+  }
+
+  return result;
+};
+
+// Photos kept on update: the `existingPhotos` list (array or JSON), else all of them
+const keptPhotos = (service, existingPhotos) => {
+  if (existingPhotos === undefined) return service.photos;
+  let list = existingPhotos;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = [list];
+    }
+  }
+  return service.photos.filter((photo) => (Array.isArray(list) ? list : []).includes(photo));
+};
+
+export const createService = async (provider, input, files = []) => {
+  const count = await Service.countDocuments({ providerId: provider._id });
+  if (count >= Service.MAX_PER_PROVIDER) {
+    throw new HttpError(400, `You can list up to ${Service.MAX_PER_PROVIDER} services`);
+  }
+
+  const fields = await normalizeServiceInput(input);
+  const photos = await storeUploads("servicePhoto", files.slice(0, Service.MAX_PHOTOS));
+  return saveWithPhotos(
+    () =>
+      Service.create({
+        ...fields,
+        providerId: provider._id,
+        providerUserId: provider.userId,
+        photos,
+      }),
+    photos
+  );
+};
+
+export const updateService = async (service, input, files = []) => {
+  const fields = await normalizeServiceInput(input, service);
+
+  const kept = keptPhotos(service, input.existingPhotos);
+  if (kept.length + files.length > Service.MAX_PHOTOS) {
+    throw new HttpError(400, `A service can have up to ${Service.MAX_PHOTOS} photos`);
+  }
+  const removed = service.photos.filter((photo) => !kept.includes(photo));
+
+  const added = await storeUploads("servicePhoto", files);
+  Object.assign(service, fields, { photos: [...kept, ...added] });
+  await saveWithPhotos(() => service.save(), added);
+  await removePhotos(removed);
+  return service;
+};
+
+/**
+ * Delete a service, its photos and any homepage feature pointing at it.
+ * Tasks ordered from it keep their own copy of the details.
+ */
+export const deleteService = async (service) => {
+  await FeaturedService.deleteMany({ serviceId: service._id });
+  await service.deleteOne();
+  await removePhotos(service.photos);
+};
+
+// What an order holds in escrow: the fixed price, or the top of a price range
+const orderPrice = (service) => service.pricing.maxPrice;
+
+/**
+ * Order a service: creates a task for the client, already assigned to the
+ * provider, with an accepted bid at the service price, then holds the price
+ * in escrow like accepting a bid does. The task is never publicly open.
+ *
+ * @param {Document} user    The client
+ * @param {Document} service
+ * @param {object}   input   { dueDate, region, district, city, notes, phone, whatsapp, hideContact, lat, lng, paymentPhone }
+ * @returns {Promise<{ task: Document, application: Document, payment: Document|null }>}
+ */
+export const orderService = async (user, service, input = {}) => {
+  if (!service.isActive) throw new HttpError(400, "This service is not available right now");
+
+  const provider = await Provider.findById(service.providerId).select("userId isApproved");
+  if (!provider?.isApproved) throw new HttpError(400, "This provider is not taking orders right now");
+  if (provider.userId.toString() === user._id.toString()) {
+    throw new HttpError(400, "You can't order your own service");
+  }
+
+  const dueDate = new Date(input.dueDate);
+  if (!input.dueDate || Number.isNaN(dueDate.getTime())) {
+    throw new HttpError(400, "dueDate is required");
+  }
+  const phone = String(input.phone || user.phone || "").trim();
+  if (!phone) throw new HttpError(400, "A contact phone number is required");
+
+  const place = normalizeLocation({ region: input.region, district: input.district, city: input.city });
+  const categories = await normalizeTaskCategories({ category: [service.category] }, { category: [service.category] });
+  const notes = String(input.notes || "").trim();
+  const note = `Ordered from the service catalogue: ${service.title}`;
+  const now = new Date();
+  const applicationId = new mongoose.Types.ObjectId();
+
+  const task = await Task.create({
+    title: service.title,
+    ...categories,
+    description: [notes, service.description].filter(Boolean).join("\n\n") || service.title,
+    ...place,
+    location: place.city && place.region ? `${place.city}, ${place.region}` : "",
+    geoLocation: parseGeoPoint(input.lat, input.lng) || undefined,
+    dueDate,
+    budget: { min: service.pricing.minPrice, max: service.pricing.maxPrice },
+    contact: { phone, whatsapp: input.whatsapp || "", additionalContact: input.whatsapp || "" },
+    hideContact: input.hideContact === true || input.hideContact === "true",
+    serviceId: service._id,
+    status: "assigned",
+    statusHistory: [initialHistoryEntry("assigned", user, note)],
+    clientId: user._id,
+    assignedProvider: provider._id,
+    assignedAt: now,
+    acceptedApplication: applicationId,
+  });
+
+  let application;
+  try {
+    application = await TaskApplication.create({
+      _id: applicationId,
+      taskId: task._id,
+      providerId: provider._id,
+      userId: provider.userId,
+      price: orderPrice(service),
+      message: note,
+      status: "accepted",
+      acceptedAt: now,
+    });
+  } catch (error) {
+    await Task.deleteOne({ _id: task._id });
+    throw error;
+  }
+
+  await Provider.updateOne({ _id: provider._id }, { $inc: { totalJobs: 1 } });
+  await Service.updateOne({ _id: service._id }, { $inc: { ordersCount: 1 } });
+
+  notify(provider.userId, "application.accepted", {
+    title: "New order",
+    body: `${user.name || "A client"} ordered "${service.title}".`,
+    link: `/tasks/${task._id}`,
+    data: { taskId: task._id, applicationId, serviceId: service._id },
+  });
+
+  // Charge the client for the service price and hold it until the task is done.
+  // If the charge can't start, the order stands and the client can pay from the task.
+  let payment = null;
+  try {
+    payment = await holdFundsForTask({ task, application, client: user, phone: input.paymentPhone || phone });
+  } catch (error) {
+    console.error(`❌ Error holding funds for service order ${task._id}:`, error.message);
+  }
+
+  console.log(`✅ Service ${service._id} ordered: task ${task._id} assigned to provider ${provider._id}`);
+  return { task, application, payment };
+};
@@ -0,0 +1,457 @@
+// services/categoryService.js
+// The service taxonomy: groups, the services inside them, job <-> worker
+// pairs and icons. Categories live in the Category collection (seeded from
+// data/categories.js); until it is seeded the seed itself is used, so
+// validation works on a fresh database. Lookups are served from an
+// in-memory index that is rebuilt after admin edits and every few minutes.
+import Category from "../models/Category.js";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import { serviceCategories, popularJobs, categoryIcons, POPULAR_GROUPS } from "../data/categories.js";
+import { HttpError } from "../utils/httpError.js";
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CATEGORIES = 5;
+const DEFAULT_ICON = "👷";
+
+export const slugify = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const key = (value) => String(value || "").trim().toLowerCase();
+
+/* -------------------------------------------------------------------------- */
+/* Seed                                                                       */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Taxonomy nodes built from data/categories.js. A service listed under more
+ * than one group belongs to the first and is `alsoIn` the others.
+ */
+export const buildSeed = () => {
+  const nodes = new Map();
+
+  serviceCategories
+    .filter((group) => !POPULAR_GROUPS.includes(group.title))
+    .forEach((group, groupIndex) => {
+      const groupSlug = slugify(group.title);
+      nodes.set(groupSlug, {
+        slug: groupSlug,
+        name: group.title,
+        parent: null,
+        alsoIn: [],
+        synonyms: [],
+        workerTitle: "",
+        icon: categoryIcons[group.title] || "",
+        order: groupIndex,
+        isPopular: false,
+      });
+
+      group.services.forEach((service, serviceIndex) => {
+        const slug = slugify(service);
+        const existing = nodes.get(slug);
+        if (existing) {
+          if (existing.parent !== groupSlug && !existing.alsoIn.includes(groupSlug)) existing.alsoIn.push(groupSlug);
+          return;
+        }
+        nodes.set(slug, {
+          slug,
+          name: service,
+          parent: groupSlug,
+          alsoIn: [],
+          synonyms: [],
+          workerTitle: "",
+          icon: "",
+          order: serviceIndex,
+          isPopular: false,
+        });
+      });
+    });
+
+  // Popular jobs join their real group; a worker title that isn't a category of
+  // its own ("AC Repairer") becomes a synonym so it resolves to the job
+  popularJobs.forEach(({ job, worker, group, icon }, index) => {
+    const slug = slugify(job);
+    const node = nodes.get(slug) || {
+      slug,
+      name: job,
+      parent: slugify(group),
+      alsoIn: [],
+      synonyms: [],
+      order: 1000 + index,
+    };
+    Object.assign(node, { workerTitle: worker, icon, isPopular: true });
+    if (!nodes.has(slugify(worker))) node.synonyms.push(worker);
+    nodes.set(slug, node);
+  });
+
+  return [...nodes.values()].map((node) => ({ ...node, isActive: true }));
+};
+
+/**
+ * Insert any seed categories that are missing. Existing ones are left alone
+ * so admin edits survive re-running the seed.
+ */
+export const seedCategories = async () => {
+  const seed = buildSeed();
+  const result = await Category.bulkWrite(
+    seed.map((node) => ({
+      updateOne: { filter: { slug: node.slug }, update: { $setOnInsert: node }, upsert: true },
+    })),
+    { ordered: false }
+  );
+  invalidateTaxonomy();
+  return { total: seed.length, inserted: result.upsertedCount };
+};
+
+const ensureSeeded = async () => {
+  if ((await Category.estimatedDocumentCount()) === 0) await seedCategories();
+};
+
+/* -------------------------------------------------------------------------- */
+/* Index                                                                      */
+/* -------------------------------------------------------------------------- */
+
+let cache = null;
+let cachedAt = 0;
+
+export const invalidateTaxonomy = () => {
+  cache = null;
+};
+
+const buildIndex = (nodes) => {
+  const bySlug = new Map(nodes.map((node) => [node.slug, node]));
+  const byName = new Map();
+
+  // Names win over synonyms, and slugs work as names too
+  nodes.forEach((node) => node.synonyms.forEach((synonym) => byName.set(key(synonym), node)));
+  nodes.forEach((node) => byName.set(key(node.slug), node));
+  nodes.forEach((node) => byName.set(key(node.name), node));
+
+  // Job <-> worker pairs where both are categories ("Plumbing" <-> "Plumber")
+  const counterpart = new Map();
+  nodes.forEach((node) => {
+    const worker = node.workerTitle && byName.get(key(node.workerTitle));
+    if (worker && worker.slug !== node.slug) {
+      counterpart.set(node.slug, worker.slug);
+      counterpart.set(worker.slug, node.slug);
+    }
+  });
+
+  return { nodes, bySlug, byName, counterpart };
+};
+
+const getIndex = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+
+  const stored = await Category.find().lean();
+  cache = buildIndex(stored.length > 0 ? stored : buildSeed());
+  cachedAt = Date.now();
+  return cache;
+};
+
+const lookup = (index, value) => index.byName.get(key(value)) || null;
+
+/**
+ * Category for a name, slug or synonym, or null
+ */
+export const resolveCategory = async (value) => lookup(await getIndex(), value);
+
+/**
+ * Slugs a record with these categories should be found under: the categories
+ * themselves, their groups and their job/worker counterparts.
+ */
+const slugsFor = (index, nodes) => {
+  const slugs = new Set();
+  nodes.forEach((node) => {
+    slugs.add(node.slug);
+    if (node.parent) slugs.add(node.parent);
+    node.alsoIn.forEach((group) => slugs.add(group));
+    const pair = index.counterpart.get(node.slug);
+    if (pair) slugs.add(pair);
+  });
+  return [...slugs];
+};
+
+/* -------------------------------------------------------------------------- */
+/* Validation for task and provider writes                                    */
+/* -------------------------------------------------------------------------- */
+
+// Form posts send lists as arrays, a JSON string or a single value.
+// (Never split on commas: some service names contain them.)
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // not JSON
+  }
+  return [value];
+};
+
+const resolveAll = (index, values, { current = [], field }) => {
+  const allowed = new Set(current.map(key));
+  const nodes = [];
+
+  toList(values).map((v) => String(v).trim()).filter(Boolean).forEach((value) => {
+    const node = lookup(index, value);
+    if (!node) {
+      throw new HttpError(400, `Unknown ${field} "${value}"`);
+    }
+    // Retired categories can stay on records that already had them
+    if (node.isActive === false && !allowed.has(key(value)) && !allowed.has(key(node.name))) {
+      throw new HttpError(400, `${field} "${node.name}" is no longer offered`);
+    }
+    if (!nodes.some((n) => n.slug === node.slug)) nodes.push(node);
+  });
+
+  return nodes;
+};
+
+/**
+ * Validate a task's categories and return canonical names and slugs.
+ * `mainCategory` defaults to the first category.
+ *
+ * @param {{ mainCategory?: string, category?: string|string[] }} input
+ * @param {object} [current] The task being edited (keeps retired categories valid)
+ * @returns {Promise<{ mainCategory: string, category: string[], categorySlugs: string[] }>}
+ */
+export const normalizeTaskCategories = async ({ mainCategory, category }, current = null) => {
+  const index = await getIndex();
+  const existing = current ? [current.mainCategory, ...(current.category || [])].filter(Boolean) : [];
+
+  const nodes = resolveAll(index, category, { current: existing, field: "category" });
+  if (nodes.length === 0) throw new HttpError(400, "Pick at least one category");
+  if (nodes.length > MAX_CATEGORIES) throw new HttpError(400, `Pick at most ${MAX_CATEGORIES} categories`);
+
+  const main = resolveAll(index, mainCategory, { current: existing, field: "main category" })[0] || nodes[0];
+
+  return {
+    mainCategory: main.name,
+    category: nodes.map((node) => node.name),
+    categorySlugs: slugsFor(index, [main, ...nodes]),
+  };
+};
+
+/**
+ * Validate a provider's categories and return canonical names and slugs
+ *
+ * @param {string|string[]} category
+ * @param {object} [current] The provider being edited
+ * @returns {Promise<{ category: string[], categorySlugs: string[] }>}
+ */
+export const normalizeProviderCategories = async (category, current = null) => {
+  const index = await getIndex();
+  const nodes = resolveAll(index, category, { current: current?.category || [], field: "category" });
+
+  if (nodes.length === 0 || nodes.length > MAX_CATEGORIES) {
+    throw new HttpError(400, `Select between 1 and ${MAX_CATEGORIES} service categories`);
+  }
+
+  return {
+    category: nodes.map((node) => node.name),
+    categorySlugs: slugsFor(index, nodes),
+  };
+};
+
+/**
+ * Slugs for stored category names, skipping unknown ones (for migrations)
+ */
+export const categorySlugsForNames = async (names) => {
+  const index = await getIndex();
+  const nodes = names.map((name) => lookup(index, name)).filter(Boolean);
+  return { categorySlugs: slugsFor(index, nodes), unknown: names.filter((name) => !lookup(index, name)) };
+};
+
+/**
+ * Icon for a category name: its own, else its group's, else a generic worker
+ */
+export const getCategoryIcon = async (name) => {
+  const index = await getIndex();
+  const node = lookup(index, name);
+  if (!node) return DEFAULT_ICON;
+  return node.icon || index.bySlug.get(node.parent)?.icon || DEFAULT_ICON;
+};
+
+/* -------------------------------------------------------------------------- */
+/* Reading                                                                    */
+/* -------------------------------------------------------------------------- */
+
+const byOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+const toPublic = (node, index) => ({
+  slug: node.slug,
+  name: node.name,
+  parent: node.parent,
+  alsoIn: node.alsoIn,
+  synonyms: node.synonyms,
+  workerTitle: node.workerTitle,
+  counterpart: index.counterpart.get(node.slug) || null,
+  icon: node.icon || index.bySlug.get(node.parent)?.icon || DEFAULT_ICON,
+  isPopular: node.isPopular,
+  isActive: node.isActive !== false,
+});
+
+/**
+ * Categories as a flat list or as groups with their services
+ *
+ * @param {{ flat?: boolean, popular?: boolean, includeInactive?: boolean }} options
+ */
+export const listCategories = async ({ flat = false, popular = false, includeInactive = false } = {}) => {
+  const index = await getIndex();
+  const visible = index.nodes
+    .filter((node) => includeInactive || node.isActive !== false)
+    .filter((node) => !popular || node.isPopular)
+    .sort(byOrder);
+
+  if (flat || popular) return visible.map((node) => toPublic(node, index));
+
+  return visible
+    .filter((node) => !node.parent)
+    .map((group) => ({
+      ...toPublic(group, index),
+      children: visible
+        .filter((node) => node.parent === group.slug || node.alsoIn.includes(group.slug))
+        .map((node) => toPublic(node, index)),
+    }));
+};
+
+/**
+ * One category with its group and services
+ */
+export const getCategory = async (slugOrName) => {
+  const index = await getIndex();
+  const node = index.bySlug.get(slugOrName) || lookup(index, slugOrName);
+  if (!node) throw new HttpError(404, "Category not found");
+
+  return {
+    ...toPublic(node, index),
+    parentCategory: node.parent ? toPublic(index.bySlug.get(node.parent), index) : null,
+    children: index.nodes
+      .filter((n) => n.parent === node.slug || n.alsoIn.includes(node.slug))
+      .sort(byOrder)
+      .map((n) => toPublic(n, index)),
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* Admin edits                                                                */
+/* -------------------------------------------------------------------------- */
+
+const cleanList = (value) => [...new Set(toList(value).map((v) => String(v).trim()).filter(Boolean))];
+
+// A name or synonym may only point at one category
+const assertNamesFree = (index, names, slug) => {
+  names.forEach((name) => {
+    const taken = lookup(index, name);
+    if (taken && taken.slug !== slug) {
+      throw new HttpError(409, `"${name}" is already used by category "${taken.name}"`);
+    }
+  });
+};
+
+const assertGroup = (index, slug, field) => {
+  const group = index.bySlug.get(slug);
+  if (!group) throw new HttpError(400, `Unknown ${field} "${slug}"`);
+  if (group.parent) throw new HttpError(400, `${field} "${slug}" is a service, not a group`);
+};
+
+const editableFields = (input) => {
+  const fields = {};
+  if (input.name !== undefined) fields.name = String(input.name).trim();
+  if (input.parent !== undefined) fields.parent = input.parent ? String(input.parent).trim() : null;
+  if (input.alsoIn !== undefined) fields.alsoIn = cleanList(input.alsoIn);
+  if (input.synonyms !== undefined) fields.synonyms = cleanList(input.synonyms);
+  if (input.workerTitle !== undefined) fields.workerTitle = String(input.workerTitle).trim();
+  if (input.icon !== undefined) fields.icon = String(input.icon).trim();
+  if (input.order !== undefined) fields.order = Number(input.order) || 0;
+  if (input.isPopular !== undefined) fields.isPopular = input.isPopular === true || input.isPopular === "true";
+  if (input.isActive !== undefined) fields.isActive = input.isActive === true || input.isActive === "true";
+  return fields;
+};
+
+const validateEdit = (index, slug, fields) => {
+  if (fields.name !== undefined && !fields.name) throw new HttpError(400, "Category name is required");
+  assertNamesFree(index, [fields.name, ...(fields.synonyms || [])].filter(Boolean), slug);
+  if (fields.parent) assertGroup(index, fields.parent, "parent");
+  (fields.alsoIn || []).forEach((group) => assertGroup(index, group, "group"));
+};
+
+export const createCategory = async (input) => {
+  await ensureSeeded();
+  const index = await getIndex();
+
+  const fields = editableFields(input);
+  const slug = slugify(input.slug || fields.name);
+  if (!slug) throw new HttpError(400, "Category name is required");
+  if (index.bySlug.has(slug)) throw new HttpError(409, `A category with slug "${slug}" already exists`);
+  validateEdit(index, slug, { name: "", ...fields });
+
+  const category = await Category.create({ ...fields, slug });
+  invalidateTaxonomy();
+  return category;
+};
+
+/**
+ * Update a category. The slug never changes; a renamed category keeps its old
+ * name as a synonym so records that still store it keep resolving.
+ */
+export const updateCategory = async (slug, input) => {
+  await ensureSeeded();
+  const index = await getIndex();
+
+  const category = await Category.findOne({ slug });
+  if (!category) throw new HttpError(404, "Category not found");
+
+  const fields = editableFields(input);
+  if (fields.name && fields.name !== category.name) {
+    const synonyms = fields.synonyms || category.synonyms;
+    fields.synonyms = [...new Set([...synonyms, category.name])];
+  }
+  validateEdit(index, slug, fields);
+
+  if (fields.parent && fields.parent === slug) throw new HttpError(400, "A category can't be its own parent");
+  if (fields.parent && index.nodes.some((node) => node.parent === slug)) {
+    throw new HttpError(400, "This group still has services; move them before nesting it");
+  }
+
+  Object.assign(category, fields);
+  await category.save();
+  invalidateTaxonomy();
+  return category;
+};
+
+/**
+ * Delete an unused category. Categories still on tasks or providers should be
+ * retired with isActive: false instead.
+ */
+export const deleteCategory = async (slug) => {
+  await ensureSeeded();
+
+  const category = await Category.findOne({ slug });
+  if (!category) throw new HttpError(404, "Category not found");
+
+  if (await Category.exists({ $or: [{ parent: slug }, { alsoIn: slug }] })) {
+    throw new HttpError(409, "This group still has services; move or delete them first");
+  }
+
+  const [tasks, providers] = await Promise.all([
+    Task.countDocuments({ categorySlugs: slug }),
+    Provider.countDocuments({ categorySlugs: slug }),
+  ]);
+  if (tasks + providers > 0) {
+    throw new HttpError(409, `Category is used by ${tasks} tasks and ${providers} providers; deactivate it instead`, {
+      tasks,
+      providers,
+    });
+  }
+
+  await category.deleteOne();
+  invalidateTaxonomy();
+};
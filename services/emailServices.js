@@ -1,6 +1,10 @@
 // services/emailService.js
 import transporter from "../config/emailConfig.js";
-import { verificationEmailTemplate, welcomeEmailTemplate } from "../utils/emailTemplates.js";
+import {
+  verificationEmailTemplate,
+  welcomeEmailTemplate,
+  notificationEmailTemplate,
+} from "../utils/emailTemplates.js";
 
 export const sendVerificationEmail = async (user, token) => {
   try {
@@ -63,4 +67,24 @@ export const sendPasswordResetEmail = async (user, token) => {
     console.error("❌ Error sending password reset email:", error);
     return false;
   }
-};
\ No newline at end of file
+};
+
+export const sendNotificationEmail = async (user, { title, body, link }) => {
+  try {
+    const actionLink = link ? `${process.env.FRONTEND_URL || process.env.BASE_URL}${link}` : null;
+
+    const mailOptions = {
+      from: `"WorkIsReady" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: `${title} - WorkIsReady`,
+      html: notificationEmailTemplate(user.name, title, body, actionLink),
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Notification email sent to: ${user.email}`);
+    return true;
+  } catch (error) {
+    console.error("❌ Error sending notification email:", error);
+    return false;
+  }
+};
@@ -0,0 +1,87 @@
+// services/fileAccessService.js
+// Who may read which private file. Access is decided when a signed URL is
+// handed out (services/storage/index.js); the URL itself is the permission.
+//   tasks/...          the task owner, its assigned provider and applicants
+//   messages/...       the two people in the conversation
+//   verifications/...  admins only
+// Admins can read everything.
+import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import Provider from "../models/Providers.js";
+import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import { signedFileUrl } from "./storage/index.js";
+import { variantSources } from "./imageService.js";
+
+export const isAdminUser = (user) => ["admin", "superadmin"].includes(user?.role);
+
+// Task images used to be stored as bare filenames under uploads/tasks
+export const taskImageKey = (image) => (image.includes("/") ? image : `tasks/${image}`);
+
+// Message attachments used to be stored as "uploads/messages/<name>"
+export const attachmentKey = (attachmentPath) => attachmentPath.replace(/^uploads\//, "");
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+export const canViewTaskFiles = async (user, task) => {
+  if (!user) return false;
+  if (isAdminUser(user)) return true;
+
+  const userId = user._id.toString();
+  if (idOf(task.clientId) === userId) return true;
+
+  if (task.assignedProvider) {
+    const assigned = await Provider.exists({ _id: idOf(task.assignedProvider), userId: user._id });
+    if (assigned) return true;
+  }
+
+  return Boolean(await TaskApplication.exists({ taskId: task._id, userId: user._id }));
+};
+
+/**
+ * Signed URLs for a task's photos, or [] when the user may not see them
+ */
+export const taskImageUrls = async (task, user) => {
+  if (!task.images?.length || !(await canViewTaskFiles(user, task))) return [];
+  return task.images.map((image) => signedFileUrl(taskImageKey(image)));
+};
+
+/**
+ * Signed URLs for the resized copies of a task's photos, in the same order as
+ * task.images (null for photos without variants), or [] when the user may not see them
+ */
+export const taskImageVariantUrls = async (task, user) => {
+  if (!task.images?.length || !(await canViewTaskFiles(user, task))) return [];
+
+  const sign = (size) => size && { src: signedFileUrl(size.src), webp: signedFileUrl(size.webp) };
+  return task.images.map((image) => {
+    const variants = task.imageVariants?.find((entry) => entry.source === image);
+    return variants
+      ? { thumb: sign(variants.thumb), medium: sign(variants.medium), full: sign(variants.full) }
+      : null;
+  });
+};
+
+export const canReadFile = async (user, key) => {
+  if (!user || !key) return false;
+  if (isAdminUser(user)) return true;
+
+  const [folder, name] = key.split("/");
+
+  if (folder === "tasks") {
+    // Resized copies ("tasks/<id>/thumb.webp") belong to the full-size image on the task
+    const task = await Task.findOne({ images: { $in: [key, name, ...variantSources(key)] } })
+      .select("clientId assignedProvider");
+    return task ? canViewTaskFiles(user, task) : false;
+  }
+
+  if (folder === "messages") {
+    const message = await Message.findOne({ "attachments.path": { $in: [key, `uploads/${key}`] } })
+      .select("conversationId");
+    if (!message) return false;
+    const conversation = await Conversation.findById(message.conversationId).select("participants");
+    return Boolean(conversation?.hasParticipant(user._id));
+  }
+
+  return false;
+};
@@ -0,0 +1,121 @@
+// services/imageService.js
+// Image processing for uploads, with sharp. Every image is re-encoded, which
+// drops its metadata (EXIF, GPS position, camera details) after applying the
+// EXIF rotation. Upload types with `variants` (config/uploads.js) get resized
+// copies instead of the original:
+//
+//   <folder>/<id>/full.jpg    thumb.jpg   medium.jpg      (PNG when transparent)
+//   <folder>/<id>/full.webp   thumb.webp  medium.webp
+//
+// The document keeps full.jpg (or full.png) in the image field; the other keys
+// follow from it, see variantKeys().
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import sharp from "sharp";
+import { FILE_KINDS, IMAGE_VARIANTS } from "../config/uploads.js";
+import { UPLOAD_TMP_DIR } from "./storage/index.js";
+import { HttpError } from "../utils/httpError.js";
+
+export const VARIANT_NAMES = Object.keys(IMAGE_VARIANTS);
+
+const VARIANT_KEY = new RegExp(`^(.+)/(${VARIANT_NAMES.join("|")})\\.(jpg|png|webp)$`);
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+const ENCODERS = {
+  jpeg: (image) => image.jpeg({ quality: 82, mozjpeg: true }),
+  png: (image) => image.png({ compressionLevel: 9 }),
+  gif: (image) => image.gif(),
+  webp: (image) => image.webp({ quality: 80 }),
+};
+
+export const isImageFile = (name) => FILE_KINDS.image.extensions.includes(path.extname(name || "").toLowerCase());
+
+export const contentTypeOf = (name) => CONTENT_TYPES[path.extname(name).toLowerCase()];
+
+const tempPath = (ext) => path.join(UPLOAD_TMP_DIR, `${crypto.randomBytes(16).toString("hex")}${ext}`);
+
+const discard = (files) =>
+  Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})));
+
+const inspect = async (source) => {
+  try {
+    return await sharp(source).metadata();
+  } catch {
+    throw new HttpError(400, "The file could not be read as an image");
+  }
+};
+
+/**
+ * Re-encode an image in its own format without metadata.
+ * @returns {Promise<string>} path of the new temp file
+ */
+export const stripMetadata = async (source, originalName) => {
+  const { format, pages = 1 } = await inspect(source);
+  const encode = ENCODERS[format];
+  if (!encode) throw new HttpError(400, "Unsupported image format");
+
+  // Animations keep their frames; EXIF rotation only applies to still photos
+  const animated = pages > 1;
+  const image = sharp(source, { animated });
+  const target = tempPath(path.extname(originalName).toLowerCase());
+  await encode(animated ? image : image.rotate()).toFile(target);
+  return target;
+};
+
+/**
+ * Render every variant of an image, as JPEG (PNG when it has transparency)
+ * and WebP, without metadata.
+ * @returns {Promise<{ name: string, path: string }[]>} temp files, e.g. { name: "thumb.webp" }
+ */
+export const renderVariants = async (source) => {
+  const { hasAlpha } = await inspect(source);
+  const [format, ext] = hasAlpha ? ["png", ".png"] : ["jpeg", ".jpg"];
+
+  const outputs = [];
+  try {
+    for (const [name, box] of Object.entries(IMAGE_VARIANTS)) {
+      const resized = sharp(source).rotate().resize({ ...box, withoutEnlargement: true });
+      for (const [encoder, extension] of [[format, ext], ["webp", ".webp"]]) {
+        const output = { name: `${name}${extension}`, path: tempPath(extension) };
+        await ENCODERS[encoder](resized.clone()).toFile(output.path);
+        outputs.push(output);
+      }
+    }
+    return outputs;
+  } catch (error) {
+    await discard(outputs);
+    throw error instanceof HttpError ? error : new HttpError(400, "The image could not be processed");
+  }
+};
+
+// "<folder>/<id>" for any key of a processed image, else null
+export const variantBase = (key) => key?.match(VARIANT_KEY)?.[1] || null;
+
+// The full-size keys a variant key can belong to (what documents store)
+export const variantSources = (key) => {
+  const base = variantBase(key);
+  return base ? [`${base}/full.jpg`, `${base}/full.png`] : [];
+};
+
+/**
+ * Every variant key of a processed image, from the full-size key stored on the
+ * document, or null for files that were never processed (older uploads, documents).
+ * @returns {{ thumb: { src, webp }, medium: {...}, full: {...} } | null}
+ */
+export const variantKeys = (key) => {
+  const base = variantBase(key);
+  if (!base || path.extname(key) === ".webp") return null;
+
+  const ext = path.extname(key);
+  return Object.fromEntries(
+    VARIANT_NAMES.map((name) => [name, { src: `${base}/${name}${ext}`, webp: `${base}/${name}.webp` }])
+  );
+};
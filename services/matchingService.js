@@ -0,0 +1,208 @@
+// services/matchingService.js
+// Scores approved providers against tasks. The scoring functions are pure
+// (plain objects in, numbers out) so they can be tested without a database;
+// the query helpers below them pick candidates and rank them.
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import TaskApplication from "../models/TaskApplication.js";
+import { MATCHING_WEIGHTS, MATCHING } from "../config/matching.js";
+import { distanceKm } from "../utils/geography.js";
+import { notify } from "./notificationService.js";
+
+const clamp01 = (value) => Math.min(Math.max(Number.isFinite(value) ? value : 0, 0), 1);
+
+const lower = (values) => (values || []).filter(Boolean).map((v) => String(v).trim().toLowerCase());
+
+const words = (text) => new Set(String(text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 2));
+
+/* -------------------------------------------------------------------------- */
+/* Scoring signals (each 0..1)                                                */
+/* -------------------------------------------------------------------------- */
+
+// Share of the task's category slugs (its categories, their groups and job/worker
+// counterparts, see services/categoryService.js) that the provider's slugs cover
+export const categoryScore = (provider, task) => {
+  const wanted = (task.categorySlugs || []).filter((slug) => slug !== "general");
+  if (wanted.length === 0) return 0;
+  const offered = new Set(provider.categorySlugs || []);
+  return wanted.filter((slug) => offered.has(slug)).length / wanted.length;
+};
+
+// Share of the provider's skills that show up in the task (capped at 3 hits)
+export const skillsScore = (provider, task) => {
+  const skills = lower(provider.skills);
+  if (skills.length === 0) return 0;
+  const text = words(`${task.title} ${task.description} ${(task.category || []).join(" ")}`);
+  const hits = skills.filter((skill) => [...words(skill)].some((w) => text.has(w))).length;
+  return clamp01(hits / Math.min(skills.length, 3));
+};
+
+export const locationScore = (provider, task) => {
+  let score = 0;
+  if (provider.districtId && provider.districtId === task.districtId) score = 1;
+  else if (provider.regionId && provider.regionId === task.regionId) score = MATCHING.sameRegionScore;
+
+  // With map pins, anything inside the provider's service radius counts, fading to the edge
+  const km = distanceKm(provider.geoLocation, task.geoLocation);
+  if (km !== null) {
+    const radius = provider.serviceRadiusKm || 10;
+    score = Math.max(score, km <= radius ? 1 - (km / radius) * 0.5 : 0);
+  }
+  return score;
+};
+
+// Bayesian average so one 5-star review doesn't beat fifty 4.8s
+export const ratingScore = (provider) => {
+  const reviews = provider.reviewsCount || 0;
+  const { ratingPrior, ratingPriorWeight } = MATCHING;
+  const rating = (ratingPrior * ratingPriorWeight + (provider.averageRating || 0) * reviews) / (ratingPriorWeight + reviews);
+  return clamp01(rating / 5);
+};
+
+export const availabilityScore = (provider, task) => {
+  const availability = provider.availability || "flexible";
+  if (availability === "flexible" || !task.dueDate) return 1;
+
+  const day = new Date(task.dueDate).getDay();
+  const weekend = day === 0 || day === 6;
+  if (availability === "weekdays") return weekend ? 0.3 : 1;
+  if (availability === "weekends") return weekend ? 1 : 0.3;
+  return 0.6; // evenings: usually workable, never ideal
+};
+
+export const responsivenessScore = (provider) => clamp01((provider.responseRate || 0) / 100);
+
+export const completionsScore = (provider) => {
+  const completed = provider.completedJobs || 0;
+  const volume = clamp01(completed / MATCHING.completionsForFullScore);
+  const ratio = provider.totalJobs ? clamp01(completed / provider.totalJobs) : 0;
+  return volume * 0.6 + ratio * 0.4;
+};
+
+const SIGNALS = {
+  category: categoryScore,
+  skills: skillsScore,
+  location: locationScore,
+  rating: ratingScore,
+  availability: availabilityScore,
+  responsiveness: responsivenessScore,
+  completions: completionsScore,
+};
+
+/**
+ * Score a provider for a task.
+ *
+ * @param {object} provider Provider document or plain object
+ * @param {object} task     Task document or plain object
+ * @param {object} [weights=MATCHING_WEIGHTS] Relative weight per signal
+ * @returns {{ score: number, breakdown: object, relevant: boolean }}
+ *   score 0..100; breakdown holds each signal's 0..1 value; relevant is
+ *   false when neither categories nor skills overlap (never recommend those)
+ */
+export const scoreMatch = (provider, task, weights = MATCHING_WEIGHTS) => {
+  const breakdown = {};
+  let total = 0;
+  let weightSum = 0;
+
+  Object.entries(SIGNALS).forEach(([name, signal]) => {
+    const weight = Math.max(Number(weights[name]) || 0, 0);
+    const value = Math.round(clamp01(signal(provider, task)) * 1000) / 1000;
+    breakdown[name] = value;
+    total += value * weight;
+    weightSum += weight;
+  });
+
+  return {
+    score: weightSum > 0 ? Math.round((total / weightSum) * 1000) / 10 : 0,
+    breakdown,
+    relevant: breakdown.category > 0 || breakdown.skills > 0,
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* Queries                                                                    */
+/* -------------------------------------------------------------------------- */
+
+const PROVIDER_FIELDS =
+  "userId fullName profilePic category categorySlugs skills availability averageRating reviewsCount responseRate " +
+  "totalJobs completedJobs city region regionId district districtId geoLocation serviceRadiusKm isVerified";
+
+const TASK_FIELDS =
+  "title description mainCategory category categorySlugs budget city region regionId district districtId geoLocation dueDate urgent clientId createdAt";
+
+const rank = (pairs, limit) =>
+  pairs
+    .filter(({ match }) => match.relevant)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, limit);
+
+/**
+ * Best approved providers for a task
+ */
+export const recommendProvidersForTask = async (task, { limit = 10, weights } = {}) => {
+  const candidates = await Provider.find({
+    isApproved: true,
+    userId: { $ne: task.clientId },
+    $or: [
+      { categorySlugs: { $in: task.categorySlugs || [] } },
+      ...(task.regionId ? [{ regionId: task.regionId }] : []),
+    ],
+  })
+    .select(PROVIDER_FIELDS)
+    .limit(MATCHING.candidateLimit)
+    .lean();
+
+  return rank(candidates.map((provider) => ({ provider, match: scoreMatch(provider, task, weights) })), limit)
+    .map(({ provider, match }) => ({ provider, ...match }));
+};
+
+/**
+ * Best open tasks for a provider, skipping their own and ones they already bid on
+ */
+export const recommendTasksForProvider = async (provider, { limit = 20, weights } = {}) => {
+  const applied = await TaskApplication.find({ providerId: provider._id }).distinct("taskId");
+
+  const candidates = await Task.find({
+    status: "open",
+    _id: { $nin: applied },
+    clientId: { $ne: provider.userId },
+    $or: [
+      { categorySlugs: { $in: provider.categorySlugs || [] } },
+      ...(provider.regionId ? [{ regionId: provider.regionId }] : []),
+    ],
+  })
+    .select(TASK_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(MATCHING.candidateLimit)
+    .lean();
+
+  return rank(candidates.map((task) => ({ task, match: scoreMatch(provider, task, weights) })), limit)
+    .map(({ task, match }) => ({ task, ...match }));
+};
+
+/**
+ * Tell the best-matching providers about a task that just opened.
+ * Never throws - matching must not fail the request that published the task.
+ */
+export const notifyMatchedProviders = async (task) => {
+  try {
+    if (task.status !== "open") return 0;
+
+    const matches = (await recommendProvidersForTask(task, { limit: MATCHING.notifyTopProviders }))
+      .filter((match) => match.score >= MATCHING.notifyMinScore);
+
+    await Promise.all(matches.map(({ provider, score }) =>
+      notify(provider.userId, "task.recommended", {
+        title: `A new job matches your profile: ${task.title}`,
+        body: [task.city, task.region].filter(Boolean).join(", "),
+        link: `/tasks/${task._id}`,
+        data: { taskId: task._id, score },
+      })
+    ));
+
+    return matches.length;
+  } catch (error) {
+    console.error("❌ Error notifying matched providers:", error);
+    return 0;
+  }
+};
@@ -0,0 +1,136 @@
+// services/nearbyService.js
+// "Near me" search: tasks and providers with a map pin, nearest first, with
+// the distance to the searcher on every result. Uses $geoNear on the
+// geoLocation 2dsphere indexes so the usual filters run in the same query.
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import { HttpError } from "../utils/httpError.js";
+import { parseGeoPoint, parseRadiusKm } from "../utils/geography.js";
+
+const DEFAULT_PROVIDER_RADIUS_KM = 10;
+
+const toKm = (metres) => Math.round(metres / 10) / 100;
+
+const paging = ({ page, limit }) => {
+  const perPage = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const current = Math.max(parseInt(page) || 1, 1);
+  return { page: current, limit: perPage, skip: (current - 1) * perPage };
+};
+
+const requirePoint = (lat, lng) => {
+  const point = parseGeoPoint(lat, lng);
+  if (!point) {
+    throw new HttpError(400, "lat and lng are required");
+  }
+  return point;
+};
+
+// $geoNear must be the first stage; count and page in one pass
+const runNearby = async (Model, { point, radiusKm, query, extraStages = [], project, skip, limit }) => {
+  const [result] = await Model.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: "geoLocation",
+        distanceField: "distance",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    ...extraStages,
+    {
+      $facet: {
+        items: [{ $skip: skip }, { $limit: limit }, { $project: project }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const items = result.items.map(({ distance, ...item }) => ({ ...item, distanceKm: toKm(distance) }));
+  return { items, total: result.total[0]?.count || 0 };
+};
+
+/**
+ * Tasks near a point, nearest first
+ *
+ * @param {object} params
+ * @param {string|number} params.lat
+ * @param {string|number} params.lng
+ * @param {string|number} [params.radiusKm=10] Capped at 100
+ * @param {string} [params.status="open"] One of Task.PUBLIC_STATUSES
+ * @param {string} [params.mainCategory]
+ * @param {string} [params.category]
+ * @returns {Promise<{ tasks, total, page, limit, radiusKm }>}
+ */
+export const findNearbyTasks = async ({ lat, lng, radiusKm, status, mainCategory, category, page, limit }) => {
+  const point = requirePoint(lat, lng);
+  const radius = parseRadiusKm(radiusKm);
+  const pages = paging({ page, limit });
+
+  const query = { status: Task.publicStatus(status) };
+  if (mainCategory) query.mainCategory = mainCategory;
+  if (category) query.category = { $in: [category] };
+
+  const { items, total } = await runNearby(Task, {
+    point,
+    radiusKm: radius,
+    query,
+    project: {
+      title: 1, mainCategory: 1, category: 1, description: 1, region: 1, regionId: 1, city: 1,
+      district: 1, location: 1, geoLocation: 1, status: 1, budget: 1, images: 1, urgent: 1,
+      createdAt: 1, dueDate: 1, hideContact: 1, contact: 1, clientId: 1, distance: 1,
+    },
+    ...pages,
+  });
+
+  const tasks = await Task.populate(items, { path: "clientId", select: "name email phone whatsapp" });
+  return { tasks, total, page: pages.page, limit: pages.limit, radiusKm: radius };
+};
+
+/**
+ * Approved providers near a point, nearest first. By default only providers
+ * whose own service radius reaches the point are returned.
+ *
+ * @param {object} params
+ * @param {string|number} params.lat
+ * @param {string|number} params.lng
+ * @param {string|number} [params.radiusKm=25] Capped at 100
+ * @param {string} [params.category]
+ * @param {boolean} [params.withinServiceArea=true]
+ * @returns {Promise<{ providers, total, page, limit, radiusKm }>}
+ */
+export const findNearbyProviders = async ({ lat, lng, radiusKm, category, withinServiceArea = true, page, limit }) => {
+  const point = requirePoint(lat, lng);
+  const radius = parseRadiusKm(radiusKm, { fallback: 25 });
+  const pages = paging({ page, limit });
+
+  const query = { isApproved: true };
+  if (category) query.category = { $in: [category] };
+
+  const extraStages = withinServiceArea
+    ? [{
+        $match: {
+          $expr: {
+            $lte: ["$distance", { $multiply: [{ $ifNull: ["$serviceRadiusKm", DEFAULT_PROVIDER_RADIUS_KM] }, 1000] }],
+          },
+        },
+      }]
+    : [];
+
+  const { items, total } = await runNearby(Provider, {
+    point,
+    radiusKm: radius,
+    query,
+    extraStages,
+    project: {
+      fullName: 1, firstName: 1, surname: 1, profilePic: 1, profilePicVariants: 1, bio: 1, category: 1,
+      skills: 1, experience: 1, hourlyRate: 1, availability: 1, averageRating: 1, city: 1, region: 1,
+      regionId: 1, district: 1, geoLocation: 1, serviceRadiusKm: 1, isVerified: 1,
+      isFeatured: 1, distance: 1,
+    },
+    ...pages,
+  });
+
+  return { providers: items, total, page: pages.page, limit: pages.limit, radiusKm: radius };
+};
@@ -0,0 +1,148 @@
+// services/notificationService.js
+// Single entry point for user-facing notifications. Every notification is
+// stored in the in-app inbox; email, SMS and WhatsApp follow the user's preferences.
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import Provider from "../models/Providers.js";
+import { sendNotificationEmail } from "./emailServices.js";
+import { publishToUser } from "./realtime.js";
+import { sendSms, sendWhatsApp } from "./sms/index.js";
+
+export const DEFAULT_PREFERENCES = {
+  emailNotifications: true,
+  smsNotifications: false,
+  whatsappNotifications: false,
+};
+
+/**
+ * Effective channel preferences for a user. Users with a provider profile
+ * manage their preferences there, so the provider's flags win.
+ */
+export const getPreferences = async (user) => {
+  const { preferences } = await resolveRecipient(user);
+  return preferences;
+};
+
+// Preferences plus the phone numbers to use, falling back to the provider profile's
+const resolveRecipient = async (user) => {
+  const provider = await Provider.findOne({ userId: user._id }).select("notificationPreferences phone whatsapp");
+  const own = user.notificationPreferences?.toObject?.() || user.notificationPreferences || {};
+  const providerPrefs = provider?.notificationPreferences?.toObject?.() || {};
+
+  return {
+    preferences: { ...DEFAULT_PREFERENCES, ...own, ...providerPrefs },
+    phone: user.phone || provider?.phone || null,
+    whatsapp: user.whatsapp || provider?.whatsapp || user.phone || provider?.phone || null,
+  };
+};
+
+/**
+ * Save channel preferences on the user and, if they have one, their provider profile
+ */
+export const updatePreferences = async (user, updates = {}) => {
+  const set = {};
+  Object.keys(DEFAULT_PREFERENCES).forEach((key) => {
+    if (updates[key] !== undefined) {
+      set[`notificationPreferences.${key}`] = updates[key] === true || updates[key] === "true";
+    }
+  });
+
+  if (Object.keys(set).length > 0) {
+    await User.updateOne({ _id: user._id }, { $set: set });
+    await Provider.updateOne({ userId: user._id }, { $set: set });
+  }
+
+  const fresh = await User.findById(user._id);
+  return getPreferences(fresh);
+};
+
+// Send over an out-of-app channel and report the delivery outcome
+const deliverTo = async (channel, send, to, text) => {
+  try {
+    await send(to, text);
+    return "sent";
+  } catch (error) {
+    console.error(`❌ Error sending ${channel} notification:`, error.message);
+    return "failed";
+  }
+};
+
+// Run out-of-app sends and record their outcomes on the notification; never throws
+const deliverInBackground = (notification, sends) => {
+  const channels = Object.keys(sends);
+  if (channels.length === 0) return;
+
+  Promise.all(channels.map(async (channel) => [channel, await sends[channel]().catch(() => "failed")]))
+    .then((outcomes) =>
+      Notification.updateOne(
+        { _id: notification._id },
+        { $set: Object.fromEntries(outcomes.map(([channel, status]) => [`delivery.${channel}`, status])) }
+      )
+    )
+    .catch((error) => console.error("❌ Error recording notification delivery:", error.message));
+};
+
+/**
+ * Notify a user about an event.
+ *
+ * @param {Document|string} user    User document or id
+ * @param {string}          event   Event key, e.g. "application.new"
+ * @param {object}          payload { title, body, link, data, channels }
+ *   - channels: optional subset of ["email", "sms", "whatsapp"] to limit out-of-app delivery
+ * @returns {Promise<Document|null>} the stored notification (email/SMS delivery may still be pending)
+ *
+ * Never throws - a failed notification must not fail the request that caused it.
+ */
+export const notify = async (user, event, { title, body = "", link = "", data = {}, channels } = {}) => {
+  try {
+    if (!user) return null;
+
+    const recipient =
+      user instanceof mongoose.Model ? user : await User.findById(user._id || user);
+    if (!recipient) return null;
+
+    const notification = new Notification({
+      user: recipient._id,
+      event,
+      title,
+      body,
+      link,
+      data,
+    });
+
+    const { preferences: prefs, phone, whatsapp } = await resolveRecipient(recipient);
+    const wants = (channel) => !channels || channels.includes(channel);
+    const text = body ? `${title}: ${body}` : title;
+
+    const sends = {};
+    if (wants("email") && prefs.emailNotifications && recipient.email) {
+      sends.email = async () => ((await sendNotificationEmail(recipient, { title, body, link })) ? "sent" : "failed");
+    }
+    if (wants("sms") && prefs.smsNotifications && phone) {
+      sends.sms = () => deliverTo("sms", sendSms, phone, text);
+    }
+    if (wants("whatsapp") && prefs.whatsappNotifications && whatsapp) {
+      sends.whatsapp = () => deliverTo("whatsapp", sendWhatsApp, whatsapp, text);
+    }
+    Object.keys(sends).forEach((channel) => {
+      notification.delivery[channel] = "pending";
+    });
+
+    // The inbox entry comes first; email and SMS follow without holding up the caller
+    await notification.save();
+    publishToUser(recipient._id, "notification:new", notification);
+    deliverInBackground(notification, sends);
+
+    return notification;
+  } catch (error) {
+    console.error(`❌ Error sending notification "${event}":`, error);
+    return null;
+  }
+};
+
+/**
+ * Notify several users with the same payload
+ */
+export const notifyMany = async (users, event, payload) =>
+  Promise.all((users || []).filter(Boolean).map((user) => notify(user, event, payload)));
@@ -0,0 +1,518 @@
+// services/paymentService.js
+// Escrow for task payments: the client is charged when they accept a bid,
+// the money is held until the task is completed (paid out to the provider)
+// or cancelled (refunded to the client), and work can only start once it is held.
+// Other purposes (promotions) are charged outright and handed to the handler
+// registered for that purpose.
+import crypto from "crypto";
+import Payment from "../models/Payment.js";
+import Transaction from "../models/Transaction.js";
+import Provider from "../models/Providers.js";
+import TaskApplication from "../models/TaskApplication.js";
+import { getPaymentGateway } from "./payments/index.js";
+import { notify } from "./notificationService.js";
+import { normalizeGhanaPhone } from "../utils/phone.js";
+import { HttpError } from "../utils/httpError.js";
+
+// Payments that still have money to settle
+export const ACTIVE_STATUSES = ["pending", "held", "releasing", "refunding"];
+
+const platformFeePercent = () => Number(process.env.PLATFORM_FEE_PERCENT || 0);
+
+// Lowercase: Paystack only accepts lowercase letters, digits, - and _ in transfer references
+export const createReference = (prefix = "wir") =>
+  `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`.toLowerCase();
+
+const payoutReference = (payment) => `${payment.reference.toLowerCase()}-payout`;
+
+// Whether the gateway charged what the payment asked for
+const chargeMatches = (payment, { amount, currency }) =>
+  Math.round(Number(amount) * 100) === Math.round(payment.amount * 100) &&
+  String(currency || "").toUpperCase() === payment.currency.toUpperCase();
+
+const gatewayFor = (payment) => {
+  const gateway = getPaymentGateway(payment.gateway);
+  if (!gateway) {
+    throw new Error(`Payment gateway "${payment.gateway}" is not available`);
+  }
+  return gateway;
+};
+
+// purpose -> { onPaid(payment), onFailed(payment) }
+const chargeHandlers = {};
+
+export const registerChargeHandler = (purpose, handler) => {
+  chargeHandlers[purpose] = handler;
+};
+
+const runChargeHandler = async (payment, hook) => {
+  const handler = chargeHandlers[payment.purpose]?.[hook];
+  if (!handler) return;
+
+  try {
+    await handler(payment);
+  } catch (error) {
+    console.error(`❌ Error handling ${payment.purpose} payment ${payment.reference}:`, error);
+  }
+};
+
+const recordTransaction = (payment, type, amount, { status, gatewayReference = "", raw = {}, error = "" }) =>
+  Transaction.create({
+    payment: payment._id,
+    type,
+    amount,
+    currency: payment.currency,
+    status,
+    gateway: payment.gateway,
+    gatewayReference,
+    raw,
+    error,
+  });
+
+/**
+ * Start a charge for `amount` and store it as a pending payment.
+ * The charge either succeeds immediately (held/paid) or completes later via
+ * webhook / verifyPayment. Gateway errors mark the payment failed instead of throwing.
+ */
+export const createCharge = async ({
+  client,
+  amount,
+  purpose = "task_escrow",
+  promotion = null,
+  task = null,
+  application = null,
+  provider = null,
+  phone,
+  callbackUrl,
+  metadata = {},
+}) => {
+  const gateway = getPaymentGateway();
+  if (!gateway) {
+    throw new HttpError(500, "Payments are not configured");
+  }
+
+  const payment = await Payment.create({
+    reference: createReference(),
+    gateway: gateway.name,
+    purpose,
+    promotion,
+    task,
+    application,
+    client: client._id,
+    provider,
+    amount,
+    // Promotion revenue is entirely the platform's
+    platformFee: purpose === "task_escrow" ? Math.round(amount * platformFeePercent()) / 100 : 0,
+    msisdn: normalizeGhanaPhone(phone || client.phone) || "",
+  });
+
+  try {
+    const result = await gateway.initiateCharge({
+      reference: payment.reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      email: client.email,
+      phone: payment.msisdn,
+      callbackUrl: callbackUrl || `${process.env.FRONTEND_URL || process.env.BASE_URL}/payments/${payment.reference}`,
+      metadata: { ...metadata, purpose, paymentId: payment._id.toString() },
+    });
+
+    payment.gatewayReference = result.gatewayReference || "";
+    payment.authorizationUrl = result.authorizationUrl || "";
+    await payment.save();
+
+    await recordTransaction(payment, "charge", payment.amount, {
+      status: result.status === "succeeded" ? "succeeded" : "pending",
+      gatewayReference: result.gatewayReference,
+    });
+
+    if (result.status === "succeeded") {
+      return applyChargeResult(payment, "succeeded");
+    }
+  } catch (error) {
+    console.error("❌ Error starting charge:", error);
+    payment.status = "failed";
+    payment.failureReason = error.message;
+    await payment.save();
+    await recordTransaction(payment, "charge", payment.amount, { status: "failed", error: error.message });
+    await runChargeHandler(payment, "onFailed");
+  }
+
+  return payment;
+};
+
+/**
+ * Charge the client for an accepted bid and hold the money.
+ * Returns the existing payment if the task already has one in progress.
+ */
+export const holdFundsForTask = async ({ task, application, client, phone }) => {
+  const existing = await Payment.findOne({
+    task: task._id,
+    purpose: "task_escrow",
+    status: { $in: ACTIVE_STATUSES },
+  });
+  if (existing) return existing;
+
+  if (!application.price || application.price <= 0) {
+    return null;
+  }
+
+  return createCharge({
+    client,
+    amount: application.price,
+    task: task._id,
+    application: application._id,
+    provider: application.providerId,
+    phone,
+    metadata: { taskId: task._id.toString() },
+  });
+};
+
+/**
+ * Whether work on an assigned task can start: the accepted price is held in
+ * escrow, or the accepted bid has nothing to pay.
+ */
+export const isTaskPaymentHeld = async (task) => {
+  const held = await Payment.exists({ task: task._id, purpose: "task_escrow", status: "held" });
+  if (held) return true;
+
+  const application = task.acceptedApplication
+    ? await TaskApplication.findById(task.acceptedApplication).select("price")
+    : null;
+  return !application?.price || application.price <= 0;
+};
+
+/**
+ * A charge that succeeded after its payment was cancelled (the client paid
+ * after the task moved on). The gateway has the money, so hand it straight back.
+ */
+const refundLateCharge = async (payment) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "cancelled" },
+    { $set: { status: "held", heldAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return Payment.findById(payment._id);
+
+  console.log(`⚠️ Payment ${claimed.reference} was charged after it was cancelled; refunding`);
+  try {
+    return await refundFunds(claimed, { reason: "Charged after the payment was cancelled" });
+  } catch (error) {
+    // refundFunds left it held with the error stored for an admin to retry
+    console.error(`❌ Error refunding late charge ${claimed.reference}:`, error.message);
+    return Payment.findById(claimed._id);
+  }
+};
+
+/**
+ * Record the outcome of a charge. Only pending payments move, so repeated
+ * webhooks are harmless; a success on a cancelled payment is refunded.
+ */
+export const applyChargeResult = async (payment, status, { reason = "" } = {}) => {
+  const now = new Date();
+  let set = { status: "failed", failureReason: reason || "Charge failed" };
+  if (status === "succeeded") {
+    set = payment.purpose === "task_escrow"
+      ? { status: "held", heldAt: now }
+      : { status: "paid", paidAt: now };
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "pending" },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await Payment.findById(payment._id);
+    if (status === "succeeded" && current?.status === "cancelled") return refundLateCharge(current);
+    return current;
+  }
+
+  if (updated.status === "held") {
+    console.log(`✅ Payment ${updated.reference} held (${updated.amount} ${updated.currency})`);
+    notify(updated.client, "payment.held", {
+      title: "Payment received",
+      body: `GH₵${updated.amount} is held safely until the task is completed.`,
+      link: updated.task ? `/tasks/${updated.task}` : "/payments",
+      data: { paymentId: updated._id, taskId: updated.task },
+    });
+  }
+
+  await runChargeHandler(updated, updated.status === "failed" ? "onFailed" : "onPaid");
+
+  return updated;
+};
+
+/**
+ * Ask the gateway for the current charge status (when a webhook was missed)
+ */
+export const verifyPayment = async (payment) => {
+  if (payment.status !== "pending") return payment;
+
+  const result = await gatewayFor(payment).verifyCharge(payment.reference);
+  if (result.status === "pending") return payment;
+
+  // Not every gateway reports the amount on verify; check it when it does
+  const mismatch = result.status === "succeeded" && result.amount !== undefined && !chargeMatches(payment, result);
+
+  await Transaction.updateOne(
+    { payment: payment._id, type: "charge", status: "pending" },
+    { $set: { status: result.status === "succeeded" && !mismatch ? "succeeded" : "failed" } }
+  );
+  if (mismatch) {
+    return applyChargeResult(payment, "failed", { reason: "Charged amount does not match the payment" });
+  }
+  return applyChargeResult(payment, result.status);
+};
+
+/**
+ * Pay held funds out to the provider (minus the platform fee)
+ */
+export const releaseFunds = async (payment) => {
+  if (payment.status !== "held") {
+    throw new HttpError(400, `Cannot release a payment that is ${payment.status}`);
+  }
+
+  const provider = await Provider.findById(payment.provider).select("fullName phone userId");
+  const phone = normalizeGhanaPhone(provider?.phone);
+  if (!phone) {
+    throw new HttpError(400, "Provider has no valid mobile money number for payout");
+  }
+
+  const payoutAmount = Math.round((payment.amount - payment.platformFee) * 100) / 100;
+
+  // Claim the payment first so a concurrent release cannot pay twice
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "held" },
+    { $set: { status: "releasing", settlementError: "" } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new HttpError(409, "Payment is already being settled");
+  }
+
+  let result;
+  try {
+    result = await gatewayFor(claimed).payout({
+      reference: payoutReference(claimed),
+      amount: payoutAmount,
+      currency: claimed.currency,
+      phone,
+      name: provider.fullName,
+    });
+  } catch (error) {
+    claimed.status = "held";
+    claimed.settlementError = `Payout failed: ${error.message}`;
+    await claimed.save();
+    await recordTransaction(claimed, "payout", payoutAmount, { status: "failed", error: error.message });
+    throw error;
+  }
+
+  await recordTransaction(claimed, "payout", payoutAmount, {
+    status: result.status === "succeeded" ? "succeeded" : "pending",
+    gatewayReference: result.gatewayReference,
+  });
+
+  if (result.status === "succeeded") {
+    return completeRelease(claimed);
+  }
+  return claimed;
+};
+
+const completeRelease = async (payment) => {
+  const payoutAmount = Math.round((payment.amount - payment.platformFee) * 100) / 100;
+  payment.status = "released";
+  payment.releasedAt = new Date();
+  await payment.save();
+
+  if (payment.platformFee > 0) {
+    await recordTransaction(payment, "fee", payment.platformFee, { status: "succeeded" });
+  }
+
+  const provider = await Provider.findById(payment.provider).select("userId");
+  notify(provider?.userId, "payment.released", {
+    title: "Payment released",
+    body: `GH₵${payoutAmount} has been sent to your mobile money wallet.`,
+    link: "/payments",
+    data: { paymentId: payment._id, taskId: payment.task },
+  });
+
+  console.log(`✅ Payment ${payment.reference} released to provider ${payment.provider}`);
+  return payment;
+};
+
+/**
+ * Return the client's money. Payments that were never charged are cancelled
+ * here; gateways have no way to void a charge the client hasn't finished, so
+ * if it still goes through, applyChargeResult refunds it.
+ */
+export const refundFunds = async (payment, { reason = "" } = {}) => {
+  if (payment.status === "pending") {
+    const cancelled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "pending" },
+      { $set: { status: "cancelled", failureReason: reason } },
+      { new: true }
+    );
+    if (cancelled) return cancelled;
+    // The charge went through meanwhile; refund it instead
+    payment = await Payment.findById(payment._id);
+  }
+
+  if (payment.status !== "held") {
+    throw new HttpError(400, `Cannot refund a payment that is ${payment.status}`);
+  }
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "held" },
+    { $set: { status: "refunding", settlementError: "" } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new HttpError(409, "Payment is already being settled");
+  }
+
+  let result;
+  try {
+    result = await gatewayFor(claimed).refund({
+      reference: claimed.reference,
+      amount: claimed.amount,
+      currency: claimed.currency,
+    });
+  } catch (error) {
+    claimed.status = "held";
+    claimed.settlementError = `Refund failed: ${error.message}`;
+    await claimed.save();
+    await recordTransaction(claimed, "refund", claimed.amount, { status: "failed", error: error.message });
+    throw error;
+  }
+
+  await recordTransaction(claimed, "refund", claimed.amount, {
+    status: result.status === "succeeded" ? "succeeded" : "pending",
+    gatewayReference: result.gatewayReference,
+    raw: { reason },
+  });
+
+  if (result.status === "succeeded") {
+    return completeRefund(claimed);
+  }
+  return claimed;
+};
+
+const completeRefund = async (payment) => {
+  payment.status = "refunded";
+  payment.refundedAt = new Date();
+  await payment.save();
+
+  notify(payment.client, "payment.refunded", {
+    title: "Payment refunded",
+    body: `GH₵${payment.amount} has been refunded to you.`,
+    link: "/payments",
+    data: { paymentId: payment._id, taskId: payment.task },
+  });
+
+  console.log(`✅ Payment ${payment.reference} refunded`);
+  return payment;
+};
+
+/**
+ * Settle a task's escrow after a status change. Called by the task lifecycle;
+ * never throws - failures are stored on the payment for an admin to retry.
+ */
+export const settleTaskPayment = async (task, { from, to }) => {
+  const releases = to === "completed";
+  const refunds = to === "cancelled" || (from === "assigned" && to === "open");
+  if (!releases && !refunds) return null;
+
+  const payment = await Payment.findOne({
+    task: task._id,
+    purpose: "task_escrow",
+    status: { $in: ["pending", "held"] },
+  });
+  if (!payment) return null;
+
+  try {
+    if (releases) {
+      return await releaseFunds(payment);
+    }
+    return await refundFunds(payment, { reason: `Task ${to === "open" ? "reassigned" : to}` });
+  } catch (error) {
+    console.error(`❌ Error settling payment ${payment.reference}:`, error.message);
+    await Payment.updateOne({ _id: payment._id }, { $set: { settlementError: error.message } });
+    return null;
+  }
+};
+
+/**
+ * Verify and apply a gateway webhook
+ */
+export const handleWebhook = async (gatewayName, rawBody, headers, body) => {
+  const gateway = getPaymentGateway(gatewayName);
+  if (!gateway) {
+    throw new HttpError(404, "Unknown payment gateway");
+  }
+
+  if (!gateway.verifyWebhook(rawBody, headers)) {
+    throw new HttpError(401, "Invalid webhook signature");
+  }
+
+  const { event, reference, gatewayReference, amount, currency } = gateway.parseWebhook(body);
+  if (!reference) return null;
+
+  // Payout references are "<reference>-payout"; references from before they
+  // were lowercase are stored uppercase
+  const base = reference.replace(/-payout$/i, "");
+  const payment = await Payment.findOne({
+    reference: { $in: [base, base.toUpperCase()] },
+    gateway: gateway.name,
+  });
+  if (!payment) {
+    console.log(`⚠️ Webhook ${event} for unknown payment ${reference}`);
+    return null;
+  }
+
+  const markTransaction = (type, status) =>
+    Transaction.updateOne(
+      { payment: payment._id, type, status: "pending" },
+      { $set: { status, raw: body, ...(gatewayReference ? { gatewayReference } : {}) } }
+    );
+
+  switch (event) {
+    case "charge.success":
+      if (!chargeMatches(payment, { amount, currency })) {
+        console.error(
+          `❌ Payment ${payment.reference}: charged ${amount} ${currency}, expected ${payment.amount} ${payment.currency}`
+        );
+        await markTransaction("charge", "failed");
+        return applyChargeResult(payment, "failed", { reason: "Charged amount does not match the payment" });
+      }
+      await markTransaction("charge", "succeeded");
+      return applyChargeResult(payment, "succeeded");
+    case "charge.failed":
+      await markTransaction("charge", "failed");
+      return applyChargeResult(payment, "failed", { reason: "Charge failed at gateway" });
+    case "transfer.success":
+      await markTransaction("payout", "succeeded");
+      return payment.status === "releasing" ? completeRelease(payment) : payment;
+    case "transfer.failed":
+      await markTransaction("payout", "failed");
+      if (payment.status === "releasing") {
+        payment.status = "held";
+        payment.settlementError = "Payout failed at gateway";
+        await payment.save();
+      }
+      return payment;
+    case "refund.success":
+      await markTransaction("refund", "succeeded");
+      return payment.status === "refunding" ? completeRefund(payment) : payment;
+    case "refund.failed":
+      await markTransaction("refund", "failed");
+      if (payment.status === "refunding") {
+        payment.status = "held";
+        payment.settlementError = "Refund failed at gateway";
+        await payment.save();
+      }
+      return payment;
+    default:
+      return payment;
+  }
+};
@@ -0,0 +1,55 @@
+// services/payments/index.js
+// Payment gateway registry.
+//
+// A gateway is an object with:
+//   name
+//   initiateCharge({ reference, amount, currency, email, phone, callbackUrl, metadata })
+//     -> { status: "pending" | "succeeded", gatewayReference, authorizationUrl }
+//   verifyCharge(reference)               -> { status: "pending" | "succeeded" | "failed", amount?, currency? }
+//   refund({ reference, amount, currency }) -> { status: "pending" | "succeeded", gatewayReference }
+//   payout({ reference, amount, currency, phone, name })
+//                                         -> { status: "pending" | "succeeded", gatewayReference }
+//   verifyWebhook(rawBody, headers)       -> boolean (signature check)
+//   parseWebhook(body)                    -> { event, reference, gatewayReference, amount, currency }
+//     where event is one of charge.success, charge.failed, transfer.success,
+//     transfer.failed, refund.success, refund.failed; amount and currency
+//     are what was charged (checked against the payment on charge.success)
+//
+// Amounts are in cedis; gateways convert to their own minor units.
+// The default gateway is picked by PAYMENT_GATEWAY (default "mock"). A factory
+// may throw when it must not run (the mock gateway in production); that
+// gateway is then unavailable and payments report as not configured.
+import { createMockGateway } from "./mockGateway.js";
+import { createPaystackGateway } from "./paystackGateway.js";
+
+const factories = {
+  mock: createMockGateway,
+  paystack: createPaystackGateway,
+};
+
+const instances = {};
+
+export const registerPaymentGateway = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+export const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY || "mock") => {
+  if (!factories[name]) {
+    return null;
+  }
+  if (!instances[name]) {
+    try {
+      instances[name] = factories[name]();
+    } catch (error) {
+      console.error(`❌ Payment gateway "${name}" is unavailable: ${error.message}`);
+      return null;
+    }
+  }
+  return instances[name];
+};
+
+// Replace a gateway instance (tests)
+export const setPaymentGateway = (name, gateway) => {
+  instances[name] = gateway;
+};
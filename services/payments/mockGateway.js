@@ -0,0 +1,71 @@
+// services/payments/mockGateway.js
+// Local gateway for development and tests. Charges, refunds and payouts
+// succeed immediately unless MOCK_PAYMENTS_AUTO_CONFIRM=false, in which case
+// charges stay pending until a signed webhook confirms them.
+//
+// It moves no money, so it refuses to load with NODE_ENV=production, and
+// without MOCK_WEBHOOK_SECRET (anyone could sign webhooks with a default).
+import crypto from "crypto";
+
+const secret = () => process.env.MOCK_WEBHOOK_SECRET;
+
+export const signMockPayload = (rawBody) =>
+  crypto.createHmac("sha256", secret()).update(rawBody).digest("hex");
+
+const mockReference = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+
+export const createMockGateway = () => {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("the mock gateway cannot be used in production; set PAYMENT_GATEWAY");
+  }
+  if (!secret()) {
+    throw new Error("MOCK_WEBHOOK_SECRET is not set");
+  }
+
+  const autoConfirm = process.env.MOCK_PAYMENTS_AUTO_CONFIRM !== "false";
+
+  return {
+    name: "mock",
+
+    initiateCharge: async ({ reference, amount }) => {
+      console.log(`💳 [mock] charge ${reference} for ${amount}`);
+      return {
+        status: autoConfirm ? "succeeded" : "pending",
+        gatewayReference: mockReference("mock_charge"),
+        authorizationUrl: "",
+      };
+    },
+
+    verifyCharge: async () => ({
+      status: autoConfirm ? "succeeded" : "pending",
+    }),
+
+    refund: async ({ reference, amount }) => {
+      console.log(`💳 [mock] refund ${reference} of ${amount}`);
+      return { status: "succeeded", gatewayReference: mockReference("mock_refund") };
+    },
+
+    payout: async ({ reference, amount, phone }) => {
+      console.log(`💳 [mock] payout ${reference} of ${amount} to ${phone}`);
+      return { status: "succeeded", gatewayReference: mockReference("mock_payout") };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      const signature = headers["x-mock-signature"];
+      if (!signature || !rawBody) return false;
+
+      const expected = Buffer.from(signMockPayload(rawBody), "hex");
+      const actual = Buffer.from(signature.toString(), "hex");
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    // body: { event, reference, amount, currency, gatewayReference? }
+    parseWebhook: (body) => ({
+      event: body.event,
+      reference: body.reference,
+      gatewayReference: body.gatewayReference || "",
+      amount: body.amount,
+      currency: body.currency,
+    }),
+  };
+};
@@ -0,0 +1,159 @@
+// services/payments/paystackGateway.js
+// Paystack (Ghana) - card and mobile money collection, refunds, and
+// mobile money transfers for provider payouts. Amounts are sent in pesewas.
+import crypto from "crypto";
+
+const API_URL = "https://api.paystack.co";
+
+// Mobile money network codes Paystack expects, by Ghana number prefix
+const NETWORK_PREFIXES = {
+  MTN: ["24", "25", "53", "54", "55", "59"],
+  VOD: ["20", "50"],
+  ATL: ["26", "27", "56", "57"],
+};
+
+const networkFor = (e164) => {
+  const prefix = e164.slice(4, 6);
+  return Object.keys(NETWORK_PREFIXES).find((code) => NETWORK_PREFIXES[code].includes(prefix)) || null;
+};
+
+const toPesewas = (amount) => Math.round(Number(amount) * 100);
+
+const chargeStatus = (status) => {
+  if (status === "success") return "succeeded";
+  if (["failed", "abandoned", "reversed"].includes(status)) return "failed";
+  return "pending";
+};
+
+export const createPaystackGateway = ({ secretKey = process.env.PAYSTACK_SECRET_KEY } = {}) => {
+  const request = async (method, path, body) => {
+    if (!secretKey) {
+      throw new Error("PAYSTACK_SECRET_KEY is not configured");
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const json = await response.json().catch(() => ({}));
+    if (!response.ok || !json.status) {
+      throw new Error(json.message || `Paystack request failed (${response.status})`);
+    }
+
+    return json.data;
+  };
+
+  return {
+    name: "paystack",
+
+    initiateCharge: async ({ reference, amount, currency, email, callbackUrl, metadata }) => {
+      const data = await request("POST", "/transaction/initialize", {
+        reference,
+        email,
+        amount: toPesewas(amount),
+        currency,
+        callback_url: callbackUrl,
+        channels: ["mobile_money", "card"],
+        metadata,
+      });
+
+      return {
+        status: "pending",
+        gatewayReference: data.access_code,
+        authorizationUrl: data.authorization_url,
+      };
+    },
+
+    verifyCharge: async (reference) => {
+      const data = await request("GET", `/transaction/verify/${encodeURIComponent(reference)}`);
+      return {
+        status: chargeStatus(data.status),
+        amount: data.amount / 100,
+        currency: data.currency,
+        gatewayReference: String(data.id),
+      };
+    },
+
+    refund: async ({ reference, amount }) => {
+      const data = await request("POST", "/refund", {
+        transaction: reference,
+        amount: toPesewas(amount),
+      });
+
+      return {
+        status: data.status === "processed" ? "succeeded" : "pending",
+        gatewayReference: String(data.id || ""),
+      };
+    },
+
+    payout: async ({ reference, amount, currency, phone, name }) => {
+      const network = networkFor(phone);
+      if (!network) {
+        throw new Error(`Unsupported mobile money network for ${phone}`);
+      }
+
+      const recipient = await request("POST", "/transferrecipient", {
+        type: "mobile_money",
+        name,
+        account_number: `0${phone.slice(4)}`,
+        bank_code: network,
+        currency,
+      });
+
+      const data = await request("POST", "/transfer", {
+        source: "balance",
+        amount: toPesewas(amount),
+        recipient: recipient.recipient_code,
+        reference,
+        reason: "WorkIsReady task payment",
+      });
+
+      return {
+        status: data.status === "success" ? "succeeded" : "pending",
+        gatewayReference: data.transfer_code,
+      };
+    },
+
+    // Paystack signs the raw body with HMAC-SHA512 of the secret key
+    verifyWebhook: (rawBody, headers) => {
+      const signature = headers["x-paystack-signature"];
+      if (!signature || !rawBody || !secretKey) return false;
+
+      const expected = Buffer.from(
+        crypto.createHmac("sha512", secretKey).update(rawBody).digest("hex"),
+        "hex"
+      );
+      const actual = Buffer.from(signature.toString(), "hex");
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    parseWebhook: (body) => {
+      const data = body.data || {};
+
+      if (body.event?.startsWith("refund.")) {
+        return {
+          event: body.event === "refund.processed" ? "refund.success" : "refund.failed",
+          reference: data.transaction_reference,
+          gatewayReference: String(data.id || ""),
+        };
+      }
+
+      if (body.event === "transfer.reversed") {
+        return { event: "transfer.failed", reference: data.reference, gatewayReference: data.transfer_code };
+      }
+
+      return {
+        event: body.event,
+        reference: data.reference,
+        gatewayReference: String(data.transfer_code || data.id || ""),
+        amount: data.amount / 100,
+        currency: data.currency,
+      };
+    },
+  };
+};
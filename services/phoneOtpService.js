@@ -0,0 +1,228 @@
+// services/phoneOtpService.js
+// One-time codes sent by SMS, used to verify a phone number on an account
+// and for passwordless login by phone.
+import crypto from "crypto";
+import PhoneOtp from "../models/PhoneOtp.js";
+import User from "../models/User.js";
+import Provider from "../models/Providers.js";
+import { sendOtp } from "./sms/index.js";
+import { normalizeGhanaPhone } from "../utils/phone.js";
+import { HttpError } from "../utils/httpError.js";
+
+export const OTP_PURPOSES = ["verify", "login"];
+
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_PER_PHONE_PER_HOUR = 5;
+const MAX_PER_IP_PER_HOUR = 20;
+
+const hashCode = (phone, code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET || "workisready-otp")
+    .update(`${phone}:${code}`)
+    .digest("hex");
+
+const codesMatch = (expectedHash, phone, code) => {
+  const actual = Buffer.from(hashCode(phone, code), "hex");
+  const expected = Buffer.from(expectedHash, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const parsePhone = (phone) => {
+  const normalized = normalizeGhanaPhone(phone);
+  if (!normalized) {
+    throw new HttpError(400, "Please provide a valid Ghana phone number");
+  }
+  return normalized;
+};
+
+/**
+ * Phone numbers saved before normalization may be in local format,
+ * so match every way the same number could have been stored
+ */
+export const phoneVariants = (e164) => {
+  const national = e164.slice(4);
+  return [e164, `0${national}`, `233${national}`, national];
+};
+
+export const findUserByPhone = (e164) => User.findOne({ phone: { $in: phoneVariants(e164) } });
+
+const checkRateLimits = async (phone, ip) => {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+  const latest = await PhoneOtp.findOne({ phone }).sort({ createdAt: -1 });
+  if (latest) {
+    const elapsed = (Date.now() - latest.createdAt.getTime()) / 1000;
+    if (elapsed < RESEND_COOLDOWN_SECONDS) {
+      throw new HttpError(429, "Please wait before requesting another code", {
+        retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed),
+      });
+    }
+  }
+
+  const perPhone = await PhoneOtp.countDocuments({ phone, createdAt: { $gt: hourAgo } });
+  if (perPhone >= MAX_PER_PHONE_PER_HOUR) {
+    throw new HttpError(429, "Too many codes requested for this number. Try again later");
+  }
+
+  if (ip) {
+    const perIp = await PhoneOtp.countDocuments({ ip, createdAt: { $gt: hourAgo } });
+    if (perIp >= MAX_PER_IP_PER_HOUR) {
+      throw new HttpError(429, "Too many codes requested. Try again later");
+    }
+  }
+};
+
+/**
+ * Send a code to `phone`.
+ *
+ * @param {object} params
+ * @param {string} params.phone    Number as typed by the user
+ * @param {string} params.purpose  "verify" (needs `user`) or "login"
+ * @param {object} [params.user]   Authenticated user, for "verify"
+ * @param {string} [params.channel] "sms" (default) or "whatsapp"
+ * @param {string} [params.ip]
+ * @returns {Promise<{ phone: string, expiresAt: Date|null }>}
+ */
+export const requestOtp = async ({ phone, purpose, user = null, channel = "sms", ip = "" }) => {
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw new HttpError(400, `Invalid purpose. Must be one of: ${OTP_PURPOSES.join(", ")}`);
+  }
+
+  const normalized = parsePhone(phone);
+  let userId = null;
+
+  if (purpose === "verify") {
+    if (!user) {
+      throw new HttpError(401, "Please log in to verify a phone number");
+    }
+
+    const owner = await findUserByPhone(normalized);
+    if (owner && owner._id.toString() !== user._id.toString()) {
+      throw new HttpError(409, "This phone number is already linked to another account");
+    }
+
+    userId = user._id;
+  } else {
+    // Don't reveal whether the number has an account - only send when it does
+    const owner = await findUserByPhone(normalized);
+    if (!owner || !owner.phoneVerified) {
+      console.log(`📱 Login code requested for unknown or unverified number ${normalized}`);
+      return { phone: normalized, expiresAt: null };
+    }
+    userId = owner._id;
+  }
+
+  await checkRateLimits(normalized, ip);
+
+  // Only the newest code for a number/purpose is valid
+  await PhoneOtp.updateMany(
+    { phone: normalized, purpose, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+  const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+
+  const otp = await PhoneOtp.create({
+    phone: normalized,
+    purpose,
+    userId,
+    codeHash: hashCode(normalized, code),
+    expiresAt,
+    ip,
+  });
+
+  try {
+    await sendOtp(normalized, code, { channel, minutes: CODE_TTL_MINUTES });
+  } catch (error) {
+    await PhoneOtp.deleteOne({ _id: otp._id });
+    console.error("❌ Error sending OTP:", error);
+    throw new HttpError(502, "Could not send the code. Please try again");
+  }
+
+  return { phone: normalized, expiresAt };
+};
+
+/**
+ * Check a code and consume it.
+ * @returns {Promise<Document>} the user the code was issued for
+ */
+export const verifyOtp = async ({ phone, purpose, code, user = null }) => {
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw new HttpError(400, `Invalid purpose. Must be one of: ${OTP_PURPOSES.join(", ")}`);
+  }
+
+  const normalized = parsePhone(phone);
+
+  if (!code || !/^\d{6}$/.test(code.toString())) {
+    throw new HttpError(400, "Please provide the 6-digit code");
+  }
+
+  const otp = await PhoneOtp.findOne({ phone: normalized, purpose, consumedAt: null }).sort({ createdAt: -1 });
+
+  if (!otp || otp.expiresAt < new Date()) {
+    throw new HttpError(400, "Code is invalid or has expired. Please request a new one");
+  }
+
+  if (purpose === "verify" && (!user || otp.userId?.toString() !== user._id.toString())) {
+    throw new HttpError(400, "Code is invalid or has expired. Please request a new one");
+  }
+
+  // Claim an attempt before comparing, so parallel guesses can't share one
+  const claimed = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new HttpError(429, "Too many incorrect attempts. Please request a new code");
+  }
+
+  if (!codesMatch(otp.codeHash, normalized, code.toString())) {
+    throw new HttpError(400, "Incorrect code", {
+      attemptsLeft: Math.max(MAX_ATTEMPTS - claimed.attempts, 0),
+    });
+  }
+
+  // Consume conditionally so the same code cannot be used twice in parallel
+  const consumed = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (!consumed) {
+    throw new HttpError(400, "Code is invalid or has expired. Please request a new one");
+  }
+
+  const account = await User.findById(otp.userId);
+  if (!account) {
+    throw new HttpError(404, "User not found");
+  }
+
+  if (purpose === "verify") {
+    await markPhoneVerified(account, normalized);
+  }
+
+  return account;
+};
+
+// Save the verified number on the user and record phone verification on their provider profile
+const markPhoneVerified = async (user, phone) => {
+  const owner = await findUserByPhone(phone);
+  if (owner && owner._id.toString() !== user._id.toString()) {
+    throw new HttpError(409, "This phone number is already linked to another account");
+  }
+
+  user.phone = phone;
+  user.phoneVerified = true;
+  user.phoneVerifiedAt = new Date();
+  await user.save();
+
+  await Provider.updateOne(
+    { userId: user._id, verificationMethod: null },
+    { $set: { verificationMethod: "phone", verificationDate: new Date() } }
+  );
+
+  console.log(`✅ Phone ${phone} verified for user ${user._id}`);
+};
@@ -0,0 +1,294 @@
+// services/promotionService.js
+// Self-serve promotions: providers buy a featured homepage slot, clients
+// boost a task to "urgent". Paying activates the promotion and creates the
+// FeaturedProvider / UrgentWork entry; the scheduler expires it.
+import Promotion from "../models/Promotion.js";
+import Payment from "../models/Payment.js";
+import Provider from "../models/Providers.js";
+import Task from "../models/Task.js";
+import FeaturedProvider from "../models/FeaturedProvider.js";
+import { UrgentWork, activeWindowFilter } from "../models/HomeSectionX.js";
+import { PROMOTION_CATALOGUE } from "../config/promotions.js";
+import { createCharge, registerChargeHandler } from "./paymentService.js";
+import { notify } from "./notificationService.js";
+import { HttpError } from "../utils/httpError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getCatalogue = () =>
+  Object.entries(PROMOTION_CATALOGUE).map(([type, entry]) => ({ type, ...entry }));
+
+export const quote = (type, durationDays) => {
+  const entry = PROMOTION_CATALOGUE[type];
+  if (!entry) {
+    throw new HttpError(400, `Invalid promotion type. Must be one of: ${Object.keys(PROMOTION_CATALOGUE).join(", ")}`);
+  }
+
+  const option = entry.options.find((o) => o.durationDays === Number(durationDays));
+  if (!option) {
+    throw new HttpError(400, `Invalid duration. Choose one of: ${entry.options.map((o) => o.durationDays).join(", ")} days`);
+  }
+
+  return option;
+};
+
+/**
+ * Buy a promotion and start paying for it.
+ *
+ * @param {object} params
+ * @param {object} params.user         Buyer
+ * @param {string} params.type         "featured_provider" | "urgent_task"
+ * @param {number} params.durationDays One of the catalogue durations
+ * @param {string} [params.taskId]     Task to boost (urgent_task)
+ * @param {string} [params.phone]      Mobile money number to charge
+ * @returns {Promise<{ promotion, payment }>}
+ */
+export const purchasePromotion = async ({ user, type, durationDays, taskId, phone }) => {
+  const option = quote(type, durationDays);
+  const target = {};
+
+  if (type === "featured_provider") {
+    const provider = await Provider.findOne({ userId: user._id }).select("_id isApproved");
+    if (!provider) {
+      throw new HttpError(403, "Only registered providers can buy a featured slot");
+    }
+    if (!provider.isApproved) {
+      throw new HttpError(403, "Your provider profile must be approved before it can be featured");
+    }
+    target.provider = provider._id;
+  } else {
+    const task = taskId ? await Task.findById(taskId).select("clientId status") : null;
+    if (!task) {
+      throw new HttpError(404, "Task not found");
+    }
+    if (task.clientId.toString() !== user._id.toString()) {
+      throw new HttpError(403, "You can only boost your own tasks");
+    }
+    if (task.status !== "open") {
+      throw new HttpError(400, "Only open tasks can be boosted");
+    }
+    target.task = task._id;
+  }
+
+  const promotion = await Promotion.create({
+    type,
+    buyer: user._id,
+    ...target,
+    durationDays: option.durationDays,
+    price: option.price,
+  });
+
+  let payment;
+  try {
+    payment = await createCharge({
+      client: user,
+      amount: option.price,
+      purpose: "promotion",
+      promotion: promotion._id,
+      phone,
+      metadata: { promotionId: promotion._id.toString(), type },
+    });
+  } catch (error) {
+    // No charge was recorded (e.g. payments aren't configured), so nothing points at the promotion
+    await Promotion.deleteOne({ _id: promotion._id, status: "pending_payment" });
+    throw error;
+  }
+
+  promotion.payment = payment._id;
+  await promotion.save();
+
+  // Immediate charges have already activated the promotion through the handler
+  const fresh = await Promotion.findById(promotion._id);
+  return { promotion: fresh, payment };
+};
+
+// Latest end date of active promotions on the same target, so purchases stack
+const currentEnd = async (promotion) => {
+  const latest = await Promotion.findOne({
+    _id: { $ne: promotion._id },
+    type: promotion.type,
+    status: "active",
+    ...(promotion.provider ? { provider: promotion.provider } : { task: promotion.task }),
+    expiresAt: { $gt: new Date() },
+  }).sort({ expiresAt: -1 });
+
+  return latest?.expiresAt || null;
+};
+
+const activateFeaturedProvider = async (promotion) => {
+  const provider = await Provider.findById(promotion.provider);
+  if (!provider) return;
+
+  const category = provider.category && provider.category.length > 0 ? provider.category[0] : "General";
+  const entry = await FeaturedProvider.findOne({ providerId: provider._id });
+
+  if (entry) {
+    entry.isActive = true;
+    entry.expiresAt = promotion.expiresAt;
+    await entry.save();
+  } else {
+    await FeaturedProvider.create({
+      name: `${provider.firstName} ${provider.surname}`,
+      providerId: provider._id,
+      category,
+      isActive: true,
+      order: await FeaturedProvider.countDocuments({ isActive: true }),
+      expiresAt: promotion.expiresAt,
+      providerName: `${provider.firstName} ${provider.surname}`,
+      providerLocation: `${provider.city}, ${provider.region}`,
+      providerRating: provider.averageRating || 0,
+      providerRate: provider.hourlyRate || "Negotiable",
+    });
+  }
+
+  provider.isFeatured = true;
+  await provider.save();
+};
+
+const activateUrgentTask = async (promotion) => {
+  const entry = await UrgentWork.findOne({ taskId: promotion.task });
+
+  if (entry) {
+    entry.isActive = true;
+    entry.expiresAt = promotion.expiresAt;
+    await entry.save();
+  } else {
+    await UrgentWork.create({
+      taskId: promotion.task,
+      isActive: true,
+      order: await UrgentWork.countDocuments({ isActive: true }),
+      expiresAt: promotion.expiresAt,
+    });
+  }
+
+  // The badge only shows on open tasks; transitionTask restores it if the task re-opens
+  await Task.updateOne({ _id: promotion.task, status: "open" }, { $set: { urgent: true } });
+};
+
+/**
+ * Whether a task has a running urgent entry (paid boost or admin-picked).
+ * Used to restore the urgent badge when a task goes back to open.
+ */
+export const hasActiveUrgentEntry = async (taskId, now = new Date()) =>
+  Boolean(await UrgentWork.exists({ taskId, ...activeWindowFilter(now), expiresAt: { $gt: now } }));
+
+/**
+ * Activate the promotion a payment was made for
+ */
+export const activatePromotion = async (payment) => {
+  const promotion = await Promotion.findOneAndUpdate(
+    { _id: payment.promotion, status: "pending_payment" },
+    { $set: { status: "active" } },
+    { new: true }
+  );
+  if (!promotion) return null;
+
+  const now = new Date();
+  const previousEnd = await currentEnd(promotion);
+  promotion.startsAt = previousEnd && previousEnd > now ? previousEnd : now;
+  promotion.expiresAt = new Date(promotion.startsAt.getTime() + promotion.durationDays * DAY_MS);
+  await promotion.save();
+
+  if (promotion.type === "featured_provider") {
+    await activateFeaturedProvider(promotion);
+  } else {
+    await activateUrgentTask(promotion);
+  }
+
+  notify(promotion.buyer, "promotion.activated", {
+    title: promotion.type === "featured_provider" ? "You're now featured" : "Task boosted to urgent",
+    body: `Your promotion runs until ${promotion.expiresAt.toDateString()}.`,
+    link: "/promotions",
+    data: { promotionId: promotion._id },
+  });
+
+  console.log(`✅ Promotion ${promotion._id} (${promotion.type}) active until ${promotion.expiresAt.toISOString()}`);
+  return promotion;
+};
+
+registerChargeHandler("promotion", {
+  onPaid: activatePromotion,
+  onFailed: (payment) =>
+    Promotion.updateOne({ _id: payment.promotion, status: "pending_payment" }, { $set: { status: "failed" } }),
+});
+
+/**
+ * Expire promotions whose time is up and take down their homepage entries.
+ * Run by the scheduler; also expires admin-created entries past their expiresAt.
+ */
+export const expirePromotions = async () => {
+  const now = new Date();
+
+  const expired = await Promotion.updateMany(
+    { status: "active", expiresAt: { $lte: now } },
+    { $set: { status: "expired" } }
+  );
+
+  const staleFeatured = await FeaturedProvider.find({ isActive: true, expiresAt: { $lte: now } }).select("providerId");
+  if (staleFeatured.length > 0) {
+    await FeaturedProvider.updateMany(
+      { _id: { $in: staleFeatured.map((entry) => entry._id) } },
+      { $set: { isActive: false } }
+    );
+    await Provider.updateMany(
+      { _id: { $in: staleFeatured.map((entry) => entry.providerId) } },
+      { $set: { isFeatured: false } }
+    );
+  }
+
+  const staleUrgent = await UrgentWork.find({ isActive: true, expiresAt: { $lte: now } }).select("taskId");
+  if (staleUrgent.length > 0) {
+    await UrgentWork.updateMany(
+      { _id: { $in: staleUrgent.map((entry) => entry._id) } },
+      { $set: { isActive: false } }
+    );
+    await Task.updateMany(
+      { _id: { $in: staleUrgent.map((entry) => entry.taskId) } },
+      { $set: { urgent: false } }
+    );
+  }
+
+  if (expired.modifiedCount || staleFeatured.length || staleUrgent.length) {
+    console.log(
+      `⏰ Expired ${expired.modifiedCount} promotions, ${staleFeatured.length} featured and ${staleUrgent.length} urgent entries`
+    );
+  }
+
+  return {
+    promotions: expired.modifiedCount,
+    featured: staleFeatured.length,
+    urgent: staleUrgent.length,
+  };
+};
+
+/**
+ * Receipt history: every paid charge the user made (promotions and task payments)
+ */
+export const getReceipts = async (user) => {
+  const payments = await Payment.find({
+    client: user._id,
+    status: { $in: ["paid", "held", "releasing", "released", "refunding", "refunded"] },
+  })
+    .populate("promotion", "type durationDays startsAt expiresAt status")
+    .populate("task", "title")
+    .sort({ createdAt: -1 });
+
+  return payments.map(toReceipt);
+};
+
+export const toReceipt = (payment) => ({
+  reference: payment.reference,
+  purpose: payment.purpose,
+  description:
+    payment.purpose === "promotion"
+      ? `${PROMOTION_CATALOGUE[payment.promotion?.type]?.label || "Promotion"} (${payment.promotion?.durationDays || "?"} days)`
+      : `Task payment${payment.task?.title ? `: ${payment.task.title}` : ""}`,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  method: payment.method,
+  paidAt: payment.paidAt || payment.heldAt || null,
+  refundedAt: payment.refundedAt || null,
+  promotion: payment.promotion || null,
+  task: payment.task || null,
+});
@@ -0,0 +1,227 @@
+// services/rankingService.js
+// Computes homepage rankings (trending cities, trending categories and
+// popular jobs) from Task data over rolling windows and stores them as
+// RankingSnapshot documents. Run by the scheduler; the homepage reads the
+// latest snapshot instead of scanning tasks on every request.
+import Task from "../models/Task.js";
+import TaskApplication from "../models/TaskApplication.js";
+import RankingSnapshot from "../models/RankingSnapshot.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WINDOWS = {
+  shortDays: 7,
+  longDays: 30,
+};
+
+const TOP_N = 16;
+
+// Quick-completion stats need enough finished tasks to mean anything
+const QUICK_COMPLETION_DAYS = 90;
+const QUICK_COMPLETION_MIN_SAMPLES = 3;
+
+// Statuses that count as real demand (drafts were never published)
+const PUBLISHED = { $nin: ["draft"] };
+
+// Recent activity weighs more than the long tail of the window
+const trendScore = (recent, total) => recent * 3 + total;
+
+const sinceDays = (days, now) => new Date(now.getTime() - days * DAY_MS);
+
+const recencyCounters = (shortSince) => ({
+  total: { $sum: 1 },
+  recent: { $sum: { $cond: [{ $gte: ["$createdAt", shortSince] }, 1, 0] } },
+  open: { $sum: { $cond: [{ $eq: ["$status", "open"] }, 1, 0] } },
+});
+
+export const computeTrendingCities = async (now = new Date()) => {
+  const longSince = sinceDays(WINDOWS.longDays, now);
+  const shortSince = sinceDays(WINDOWS.shortDays, now);
+  const match = { createdAt: { $gte: longSince }, status: PUBLISHED, city: { $nin: ["", null] } };
+  const cityKey = { $toLower: { $trim: { input: "$city" } } };
+
+  const [cities, categories] = await Promise.all([
+    Task.aggregate([
+      { $match: match },
+      { $group: { _id: cityKey, name: { $first: { $trim: { input: "$city" } } }, region: { $first: "$region" }, ...recencyCounters(shortSince) } },
+    ]),
+    Task.aggregate([
+      { $match: match },
+      { $unwind: "$category" },
+      { $group: { _id: { city: cityKey, category: "$category" }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  const categoriesByCity = {};
+  categories.forEach(({ _id, count }) => {
+    const bucket = (categoriesByCity[_id.city] = categoriesByCity[_id.city] || {});
+    if (Object.keys(bucket).length < 5) bucket[_id.category] = count;
+  });
+
+  return cities
+    .map((city) => ({
+      key: city._id,
+      name: city.name,
+      region: city.region || "",
+      totalJobs: city.open,
+      recentJobs: city.recent,
+      windowJobs: city.total,
+      categories: categoriesByCity[city._id] || {},
+      score: trendScore(city.recent, city.total),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TOP_N);
+};
+
+export const computeTrendingCategories = async (now = new Date()) => {
+  const longSince = sinceDays(WINDOWS.longDays, now);
+  const shortSince = sinceDays(WINDOWS.shortDays, now);
+
+  const categories = await Task.aggregate([
+    { $match: { createdAt: { $gte: longSince }, status: PUBLISHED } },
+    { $unwind: "$category" },
+    { $group: { _id: "$category", ...recencyCounters(shortSince) } },
+  ]);
+
+  return categories
+    .map((category) => ({
+      name: category._id,
+      openJobs: category.open,
+      recentJobs: category.recent,
+      windowJobs: category.total,
+      score: trendScore(category.recent, category.total),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TOP_N);
+};
+
+// Open tasks that received the most applications in the short window
+const trendingJobs = async (now) => {
+  const shortSince = sinceDays(WINDOWS.shortDays, now);
+
+  const rows = await TaskApplication.aggregate([
+    { $match: { createdAt: { $gte: shortSince } } },
+    { $group: { _id: "$taskId", applications: { $sum: 1 } } },
+    { $lookup: { from: Task.collection.name, localField: "_id", foreignField: "_id", as: "task" } },
+    { $unwind: "$task" },
+    { $match: { "task.status": "open" } },
+    { $sort: { applications: -1 } },
+    { $limit: TOP_N },
+  ]);
+
+  return rows.map((row) => ({
+    taskId: row._id,
+    reason: "trending",
+    score: row.applications,
+    meta: { recentApplications: row.applications },
+  }));
+};
+
+// Open tasks from the long window with the biggest budgets
+const highBudgetJobs = async (now) => {
+  const tasks = await Task.find({
+    status: "open",
+    createdAt: { $gte: sinceDays(WINDOWS.longDays, now) },
+    "budget.max": { $gt: 0 },
+  })
+    .select("budget")
+    .sort({ "budget.max": -1 })
+    .limit(TOP_N);
+
+  return tasks.map((task) => ({
+    taskId: task._id,
+    reason: "high_budget",
+    score: task.budget.max,
+    meta: { budgetMax: task.budget.max },
+  }));
+};
+
+// Open tasks in the categories that historically get finished fastest
+const quickCompletionJobs = async (now) => {
+  const fastest = await Task.aggregate([
+    {
+      $match: {
+        status: "completed",
+        completedAt: { $gte: sinceDays(QUICK_COMPLETION_DAYS, now) },
+        assignedAt: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: "$mainCategory",
+        avgHours: { $avg: { $divide: [{ $subtract: ["$completedAt", "$assignedAt"] }, 60 * 60 * 1000] } },
+        samples: { $sum: 1 },
+      },
+    },
+    { $match: { samples: { $gte: QUICK_COMPLETION_MIN_SAMPLES }, avgHours: { $gt: 0 } } },
+    { $sort: { avgHours: 1 } },
+    { $limit: 5 },
+  ]);
+
+  if (fastest.length === 0) return [];
+
+  const avgByCategory = Object.fromEntries(fastest.map((row) => [row._id, row.avgHours]));
+  const tasks = await Task.find({
+    status: "open",
+    mainCategory: { $in: Object.keys(avgByCategory) },
+  })
+    .select("mainCategory")
+    .sort({ createdAt: -1 })
+    .limit(TOP_N * 2);
+
+  return tasks
+    .map((task) => {
+      const avgHours = avgByCategory[task.mainCategory];
+      return {
+        taskId: task._id,
+        reason: "quick_completion",
+        score: Math.round((1000 / avgHours) * 100) / 100,
+        meta: { avgCompletionHours: Math.round(avgHours * 10) / 10 },
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TOP_N);
+};
+
+export const computePopularJobs = async (now = new Date()) => {
+  const [trending, highBudget, quick] = await Promise.all([
+    trendingJobs(now),
+    highBudgetJobs(now),
+    quickCompletionJobs(now),
+  ]);
+
+  // Interleave the lists so every reason is represented near the top
+  const seen = new Set();
+  const items = [];
+  for (let i = 0; i < TOP_N; i++) {
+    [trending[i], highBudget[i], quick[i]].forEach((item) => {
+      if (item && !seen.has(item.taskId.toString())) {
+        seen.add(item.taskId.toString());
+        items.push(item);
+      }
+    });
+  }
+
+  return items.slice(0, TOP_N * 2);
+};
+
+/**
+ * Compute every ranking and store a snapshot of each
+ */
+export const runRankings = async (now = new Date()) => {
+  const [cities, categories, jobs] = await Promise.all([
+    computeTrendingCities(now),
+    computeTrendingCategories(now),
+    computePopularJobs(now),
+  ]);
+
+  await RankingSnapshot.insertMany([
+    { kind: "cities", windows: WINDOWS, items: cities, computedAt: now },
+    { kind: "categories", windows: WINDOWS, items: categories, computedAt: now },
+    { kind: "jobs", windows: WINDOWS, items: jobs, computedAt: now },
+  ]);
+
+  console.log(`📊 Rankings computed: ${cities.length} cities, ${categories.length} categories, ${jobs.length} jobs`);
+  return { cities, categories, jobs };
+};
@@ -0,0 +1,65 @@
+// services/realtime.js
+// Pushes events to connected users. Routes publish through here; the
+// gateway in routes/realtimeRoutes.js subscribes each open connection.
+import { EventEmitter } from "events";
+
+/**
+ * Local in-process broker. Works for a single server instance and in tests.
+ *
+ * A broker only needs publish/subscribe, so a Redis (or similar) pub/sub
+ * broker can be plugged in with setBroker() when running several instances.
+ */
+export const createLocalBroker = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open connection
+
+  return {
+    name: "local",
+    publish: async (channel, payload) => {
+      emitter.emit(channel, payload);
+    },
+    subscribe: (channel, handler) => {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+};
+
+let broker = createLocalBroker();
+
+export const setBroker = (nextBroker) => {
+  broker = nextBroker;
+};
+
+export const getBroker = () => broker;
+
+const userChannel = (userId) => `user:${userId.toString()}`;
+
+/**
+ * Push an event to every open connection of a user.
+ * Never throws - realtime delivery is best effort.
+ */
+export const publishToUser = async (userId, event, data = {}) => {
+  if (!userId) return;
+
+  try {
+    await broker.publish(userChannel(userId), {
+      event,
+      data,
+      sentAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`⚠️ Realtime publish failed (${event}):`, error.message);
+  }
+};
+
+export const publishToUsers = async (userIds, event, data = {}) => {
+  const unique = [...new Set(userIds.filter(Boolean).map((id) => id.toString()))];
+  await Promise.all(unique.map((id) => publishToUser(id, event, data)));
+};
+
+/**
+ * Subscribe to a user's events. Returns an unsubscribe function.
+ */
+export const subscribeToUser = (userId, handler) =>
+  broker.subscribe(userChannel(userId), handler);
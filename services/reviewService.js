@@ -0,0 +1,105 @@
+// services/reviewService.js
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import User from "../models/User.js";
+import { HttpError } from "../utils/httpError.js";
+
+/**
+ * Create a verified review: only the client of a completed task may review
+ * the provider that was assigned to it, once per task.
+ *
+ * @param {object} params
+ * @param {object} params.client      Authenticated user writing the review
+ * @param {string} params.taskId      Completed task the review is for
+ * @param {string} [params.providerId] Optional - must match the assigned provider
+ * @param {number} params.rating      1-5
+ * @param {string} [params.comment]
+ */
+export const createVerifiedReview = async ({ client, taskId, providerId, rating, comment }) => {
+  const numericRating = Number(rating);
+  if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+    throw new HttpError(400, "Rating must be a whole number between 1 and 5");
+  }
+
+  if (!taskId || !mongoose.Types.ObjectId.isValid(taskId)) {
+    throw new HttpError(400, "A completed task is required to leave a review");
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task) {
+    throw new HttpError(404, "Task not found");
+  }
+
+  if (task.clientId.toString() !== client._id.toString()) {
+    throw new HttpError(403, "Only the client who posted this task can review it");
+  }
+
+  if (task.status !== "completed") {
+    throw new HttpError(403, "You can only review a provider after the task is completed");
+  }
+
+  if (!task.assignedProvider) {
+    throw new HttpError(403, "This task has no assigned provider to review");
+  }
+
+  if (providerId && task.assignedProvider.toString() !== providerId.toString()) {
+    throw new HttpError(403, "This provider was not assigned to the task");
+  }
+
+  const provider = await Provider.findById(task.assignedProvider);
+  if (!provider) {
+    throw new HttpError(404, "Provider not found");
+  }
+
+  const existing = await Review.findOne({ task: task._id });
+  if (existing) {
+    throw new HttpError(400, "You already reviewed this task");
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      provider: provider._id,
+      worker: provider.userId,
+      client: client._id,
+      task: task._id,
+      rating: numericRating,
+      comment: comment ? comment.toString().trim() : "",
+    });
+  } catch (error) {
+    // Unique index on task - a concurrent request got there first
+    if (error.code === 11000) {
+      throw new HttpError(400, "You already reviewed this task");
+    }
+    throw error;
+  }
+
+  const stats = await recalculateRatings(provider._id);
+
+  console.log(`⭐ Review ${review._id} created for provider ${provider._id} (${stats.averageRating} avg)`);
+  return { review, stats };
+};
+
+/**
+ * Recompute Provider.averageRating/reviewsCount and the provider's
+ * User.averageRating/reviewsCount from the Review collection
+ */
+export const recalculateRatings = async (providerId) => {
+  const stats = await Review.getRatingStats(providerId);
+
+  const provider = await Provider.findByIdAndUpdate(
+    providerId,
+    { $set: { averageRating: stats.averageRating, reviewsCount: stats.reviewsCount } },
+    { new: true }
+  );
+
+  if (provider?.userId) {
+    await User.findByIdAndUpdate(provider.userId, {
+      $set: { averageRating: stats.averageRating, reviewsCount: stats.reviewsCount },
+    });
+  }
+
+  return stats;
+};
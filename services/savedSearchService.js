@@ -0,0 +1,319 @@
+// services/savedSearchService.js
+// Saved searches and the alerts they trigger. A new open task is checked
+// against every provider's saved task search, a newly approved provider
+// against every client's saved provider search. Matches are sent straight
+// away (instant) or queued for a once-a-day digest (daily).
+import SavedSearch from "../models/SavedSearch.js";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import { resolveCategory } from "./categoryService.js";
+import { findRegion } from "../utils/geography.js";
+import { HttpError } from "../utils/httpError.js";
+import { notify } from "./notificationService.js";
+
+export const MAX_SAVED_SEARCHES = 20;
+export const FREQUENCIES = ["instant", "daily", "off"];
+
+const MAX_KEYWORDS = 10;
+const MAX_PENDING = 50;
+const DIGEST_INTERVAL_MS = 23 * 60 * 60 * 1000; // a little under a day so the hourly job doesn't drift
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Form posts send lists as arrays, JSON strings or comma-separated text.
+// Category lists never split on commas: some service names contain them.
+const toList = (value, { commas = true } = {}) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value.map(String);
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.map(String);
+  } catch {
+    // not JSON
+  }
+  return commas ? String(value).split(",") : [String(value)];
+};
+
+const toAmount = (value, field) => {
+  if (value === undefined || value === null || value === "") return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new HttpError(400, `${field} must be a positive number`);
+  }
+  return amount;
+};
+
+/**
+ * Canonical names and slugs for a saved search's categories, looked up in the
+ * category taxonomy. Only the chosen categories' own slugs are kept: tasks and
+ * providers already carry the slugs of their groups and job/worker pairs, so
+ * a search for a group still finds everything under it.
+ *
+ * @param {string[]} names
+ * @returns {Promise<{ categories: string[], categorySlugs: string[], unknown: string[] }>}
+ */
+export const resolveSearchCategories = async (names) => {
+  const nodes = await Promise.all(names.map((name) => resolveCategory(name)));
+  const found = nodes.filter(Boolean);
+
+  return {
+    categories: [...new Set(found.map((node) => node.name))],
+    categorySlugs: [...new Set(found.map((node) => node.slug))],
+    unknown: names.filter((_, i) => !nodes[i]),
+  };
+};
+
+/**
+ * Validate a saved search definition from a request body.
+ * With `partial`, only the fields present are returned (for updates).
+ */
+export const normalizeDefinition = async (input = {}, { partial = false } = {}) => {
+  const result = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = String(input.name || "").trim();
+    if (!name) throw new HttpError(400, "Give the saved search a name");
+    result.name = name.slice(0, 80);
+  }
+
+  if (has("target")) {
+    if (!["tasks", "providers"].includes(input.target)) {
+      throw new HttpError(400, 'target must be "tasks" or "providers"');
+    }
+    result.target = input.target;
+  }
+
+  if (has("categories")) {
+    const names = [...new Set(toList(input.categories, { commas: false }).map((c) => c.trim()).filter(Boolean))];
+    const { categories, categorySlugs, unknown } = await resolveSearchCategories(names);
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown categories: ${unknown.join(", ")}`);
+    }
+    result.categories = categories;
+    result.categorySlugs = categorySlugs;
+  }
+
+  if (has("regions") || has("regionIds")) {
+    const regions = toList(input.regions ?? input.regionIds).map((r) => r.trim()).filter(Boolean);
+    result.regionIds = [...new Set(regions.map((value) => {
+      const region = findRegion(value);
+      if (!region) throw new HttpError(400, `Unknown region "${value}"`);
+      return region.id;
+    }))];
+  }
+
+  if (has("minBudget")) result.minBudget = toAmount(input.minBudget, "minBudget");
+  if (has("maxBudget")) result.maxBudget = toAmount(input.maxBudget, "maxBudget");
+  if (result.minBudget != null && result.maxBudget != null && result.minBudget > result.maxBudget) {
+    throw new HttpError(400, "minBudget cannot be more than maxBudget");
+  }
+
+  if (has("keywords")) {
+    const raw = Array.isArray(input.keywords) ? input.keywords : toList(input.keywords);
+    result.keywords = [...new Set(raw.map((k) => k.trim().toLowerCase()).filter(Boolean))].slice(0, MAX_KEYWORDS);
+  }
+
+  if (has("frequency")) {
+    if (!FREQUENCIES.includes(input.frequency)) {
+      throw new HttpError(400, `frequency must be one of: ${FREQUENCIES.join(", ")}`);
+    }
+    result.frequency = input.frequency;
+  }
+
+  return result;
+};
+
+const keywordFilter = (keywords, fields) =>
+  keywords.map((keyword) => ({
+    $or: fields.map((field) => ({ [field]: { $regex: escapeRegex(keyword), $options: "i" } })),
+  }));
+
+const containsKeywords = (keywords, text) => {
+  const haystack = text.toLowerCase();
+  return keywords.every((keyword) => haystack.includes(keyword));
+};
+
+const TASK_KEYWORD_FIELDS = ["title", "description", "mainCategory", "category"];
+const PROVIDER_KEYWORD_FIELDS = ["fullName", "bio", "skills", "category"];
+
+/**
+ * Query for the open tasks or approved providers a saved search matches
+ */
+export const matchQuery = (search) => {
+  const and = [];
+
+  if (search.target === "providers") {
+    and.push({ isApproved: true });
+    if (search.categories.length > 0) and.push({ categorySlugs: { $in: search.categorySlugs } });
+    if (search.regionIds.length > 0) and.push({ regionId: { $in: search.regionIds } });
+    and.push(...keywordFilter(search.keywords, PROVIDER_KEYWORD_FIELDS));
+  } else {
+    and.push({ status: "open" });
+    if (search.categories.length > 0) and.push({ categorySlugs: { $in: search.categorySlugs } });
+    if (search.regionIds.length > 0) and.push({ regionId: { $in: search.regionIds } });
+    if (search.minBudget != null) and.push({ "budget.max": { $gte: search.minBudget } });
+    if (search.maxBudget != null) and.push({ "budget.min": { $lte: search.maxBudget } });
+    and.push(...keywordFilter(search.keywords, TASK_KEYWORD_FIELDS));
+  }
+
+  return { $and: and };
+};
+
+/**
+ * Current matches for a saved search, newest first
+ */
+export const findMatches = async (search, { limit = 20 } = {}) => {
+  const Model = search.target === "providers" ? Provider : Task;
+  const select = search.target === "providers"
+    ? "fullName profilePic category skills averageRating city region availability createdAt"
+    : "title mainCategory category region city budget urgent dueDate createdAt";
+
+  return Model.find(matchQuery(search)).select(select).sort({ createdAt: -1 }).limit(limit);
+};
+
+const budgetMatches = (search, budget = {}) =>
+  (search.minBudget == null || (budget.max || 0) >= search.minBudget) &&
+  (search.maxBudget == null || (budget.min || 0) <= search.maxBudget);
+
+// Searches that could match the item; categories and regions are narrowed in the query
+const candidates = (target, { categorySlugs = [], regionId, ownerId }) =>
+  SavedSearch.find({
+    target,
+    frequency: { $ne: "off" },
+    ...(ownerId ? { user: { $ne: ownerId } } : {}),
+    $and: [
+      { $or: [{ categories: { $size: 0 } }, { categorySlugs: { $in: categorySlugs } }] },
+      { $or: [{ regionIds: { $size: 0 } }, ...(regionId ? [{ regionIds: regionId }] : [])] },
+    ],
+  });
+
+const deliver = async (search, { itemId, title, alert }) => {
+  if (search.frequency === "daily") {
+    await SavedSearch.updateOne(
+      { _id: search._id },
+      { $push: { pendingMatches: { $each: [{ item: itemId, title }], $slice: -MAX_PENDING } } }
+    );
+    return;
+  }
+
+  await notify(search.user, `saved-search.${search.target}`, { ...alert, channels: ["email"] });
+  await SavedSearch.updateOne({ _id: search._id }, { $set: { lastAlertAt: new Date() } });
+};
+
+/**
+ * Alert saved task searches about a task that just opened.
+ * Never throws - alerts must not fail the request that published the task.
+ */
+export const alertTaskSearches = async (task) => {
+  try {
+    if (task.status !== "open") return 0;
+
+    const searches = await candidates("tasks", {
+      categorySlugs: task.categorySlugs,
+      regionId: task.regionId,
+      ownerId: task.clientId,
+    });
+
+    const text = [task.title, task.description, task.mainCategory, ...(task.category || [])].join(" ");
+    const matched = searches.filter(
+      (search) => budgetMatches(search, task.budget) && containsKeywords(search.keywords, text)
+    );
+
+    const where = [task.city, task.region].filter(Boolean).join(", ");
+    const budget = task.budget?.max ? `GHS ${task.budget.min || 0}–${task.budget.max}` : "";
+
+    await Promise.all(matched.map((search) => deliver(search, {
+      itemId: task._id,
+      title: task.title,
+      alert: {
+        title: `New job: ${task.title}`,
+        body: [`Matches your saved search "${search.name}"`, where, budget].filter(Boolean).join(" · "),
+        link: `/tasks/${task._id}`,
+        data: { savedSearchId: search._id, taskId: task._id },
+      },
+    })));
+
+    return matched.length;
+  } catch (error) {
+    console.error("❌ Error alerting saved searches for task:", error);
+    return 0;
+  }
+};
+
+/**
+ * Alert saved provider searches about a provider who was just approved.
+ * Never throws.
+ */
+export const alertProviderSearches = async (provider) => {
+  try {
+    if (!provider.isApproved) return 0;
+
+    const searches = await candidates("providers", {
+      categorySlugs: provider.categorySlugs,
+      regionId: provider.regionId,
+      ownerId: provider.userId,
+    });
+
+    const text = [provider.fullName, provider.bio, ...(provider.skills || []), ...(provider.category || [])].join(" ");
+    const matched = searches.filter((search) => containsKeywords(search.keywords, text));
+
+    await Promise.all(matched.map((search) => deliver(search, {
+      itemId: provider._id,
+      title: provider.fullName,
+      alert: {
+        title: `New provider: ${provider.fullName}`,
+        body: [`Matches your saved search "${search.name}"`, [provider.city, provider.region].filter(Boolean).join(", ")]
+          .filter(Boolean)
+          .join(" · "),
+        link: `/providers/${provider._id}`,
+        data: { savedSearchId: search._id, providerId: provider._id },
+      },
+    })));
+
+    return matched.length;
+  } catch (error) {
+    console.error("❌ Error alerting saved searches for provider:", error);
+    return 0;
+  }
+};
+
+/**
+ * Send one digest per daily saved search with queued matches.
+ * Run hourly by the scheduler; each search gets at most one digest a day.
+ */
+export const sendDailyDigests = async (now = new Date()) => {
+  const due = await SavedSearch.find({
+    frequency: "daily",
+    "pendingMatches.0": { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: new Date(now.getTime() - DIGEST_INTERVAL_MS) } }],
+  }).select("_id");
+
+  let sent = 0;
+  for (const { _id } of due) {
+    // Take the queue atomically so a match arriving mid-digest isn't lost
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id, "pendingMatches.0": { $exists: true } },
+      { $set: { pendingMatches: [], lastDigestAt: now, lastAlertAt: now } }
+    );
+    if (!search) continue;
+
+    const matches = search.pendingMatches;
+    const noun = search.target === "providers" ? "provider" : "job";
+    const preview = matches.slice(-5).reverse().map((m) => m.title).filter(Boolean).join(", ");
+
+    await notify(search.user, "saved-search.digest", {
+      title: `${matches.length} new ${noun}${matches.length === 1 ? "" : "s"} for "${search.name}"`,
+      body: matches.length > 5 ? `${preview} and ${matches.length - 5} more` : preview,
+      link: `/saved-searches/${search._id}`,
+      data: { savedSearchId: search._id, items: matches.map((m) => m.item) },
+      channels: ["email"],
+    });
+    sent++;
+  }
+
+  if (sent > 0) {
+    console.log(`📬 Sent ${sent} saved search digests`);
+  }
+  return sent;
+};
@@ -0,0 +1,51 @@
+// services/scheduler.js
+// In-process interval jobs. Each job runs once at startup and then on its
+// interval; a run is skipped while the previous one is still going.
+import { expirePromotions } from "./promotionService.js";
+import { runRankings } from "./rankingService.js";
+import { sendDailyDigests } from "./savedSearchService.js";
+import { runUploadCleanup } from "./uploadCleanupService.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const jobs = [
+  { name: "expire-promotions", intervalMs: 5 * MINUTE, run: expirePromotions },
+  { name: "compute-rankings", intervalMs: 60 * MINUTE, run: () => runRankings() },
+  { name: "saved-search-digests", intervalMs: 60 * MINUTE, run: () => sendDailyDigests() },
+  { name: "upload-cleanup", intervalMs: DAY, run: runUploadCleanup },
+];
+
+const timers = [];
+
+export const registerJob = (job) => {
+  jobs.push(job);
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`❌ Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+export const startScheduler = () => {
+  if (process.env.DISABLE_SCHEDULER === "true" || timers.length > 0) return;
+
+  jobs.forEach((job) => {
+    runJob(job);
+    // unref so the timers never keep the process alive on their own
+    timers.push(setInterval(() => runJob(job), job.intervalMs).unref());
+  });
+
+  console.log(`⏰ Scheduler started: ${jobs.map((job) => job.name).join(", ")}`);
+};
+
+export const stopScheduler = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
@@ -0,0 +1,332 @@
+// services/searchService.js
+// One search over tasks and providers. Uses the collections' text indexes
+// for relevance ranking; when a query finds nothing (usually a typo) it
+// retries with a fuzzy pattern that tolerates one wrong, missing, extra or
+// swapped letter per word. Results carry highlighted snippets, the first
+// page carries facet counts, and paging uses opaque cursors.
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import { HttpError } from "../utils/httpError.js";
+import { regionFilter } from "../utils/geography.js";
+import { resolveCategory } from "./categoryService.js";
+
+export const SEARCH_TYPES = ["all", "tasks", "providers"];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_TERMS = 8;
+const MAX_TERM_LENGTH = 30;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 60;
+
+const BUDGET_BOUNDARIES = [0, 100, 250, 500, 1000, 2500, 5000];
+const RATING_BOUNDARIES = [0, 1, 2, 3, 4, 5.01];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) =>
+  value.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const tokenize = (q) =>
+  String(q || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1)
+    .slice(0, MAX_TERMS)
+    .map((term) => term.slice(0, MAX_TERM_LENGTH));
+
+// Every spelling within one edit of the term (short words must match exactly)
+const fuzzyVariants = (term) => {
+  if (term.length < 4) return [escapeRegex(term)];
+
+  const variants = new Set([escapeRegex(term)]);
+  for (let i = 0; i < term.length; i++) {
+    const before = escapeRegex(term.slice(0, i));
+    const after = escapeRegex(term.slice(i + 1));
+    variants.add(`${before}.${after}`); // wrong letter
+    variants.add(`${before}${after}`); // extra letter typed
+    variants.add(`${before}.${escapeRegex(term.slice(i))}`); // letter missed
+    if (i < term.length - 1) {
+      variants.add(`${before}${escapeRegex(term[i + 1] + term[i])}${escapeRegex(term.slice(i + 2))}`); // swapped
+    }
+  }
+  return [...variants];
+};
+
+const fuzzyRegex = (terms) => new RegExp(terms.flatMap(fuzzyVariants).join("|"), "i");
+
+// The text index stems words ("plumbers" finds "plumbing"), so highlight stems too
+const stemRegex = (terms) =>
+  new RegExp(`\\b(?:${terms.map((t) => escapeRegex(t.length > 5 ? t.slice(0, Math.max(4, t.length - 3)) : t)).join("|")})\\w*`, "gi");
+
+/**
+ * Snippet of `text` around the first match, HTML-escaped, with matches in <mark>
+ */
+const highlight = (text, regex) => {
+  if (!text || typeof text !== "string") return null;
+
+  const pattern = new RegExp(regex.source, "gi");
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const window = text.slice(start, end);
+
+  let out = "";
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (let match = pattern.exec(window); match; match = pattern.exec(window)) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    out += escapeHtml(window.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  out += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? "…" : ""}${out}${end < text.length ? "…" : ""}`;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (value) => {
+  if (!value) return null;
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    if (!["text", "fuzzy", "browse"].includes(cursor.m) || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+      throw new Error("bad cursor");
+    }
+    return cursor;
+  } catch {
+    throw new HttpError(400, "Invalid cursor");
+  }
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const countsFacet = (path, { unwind = false, limit = 20 } = {}) => [
+  ...(unwind ? [{ $unwind: path }] : []),
+  { $match: { [path.slice(1)]: { $nin: ["", null] } } },
+  { $group: { _id: path, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+const bucketFacet = (path, boundaries, fallback) => [
+  { $bucket: { groupBy: { $ifNull: [path, -1] }, boundaries: [-1, ...boundaries], default: fallback, output: { count: { $sum: 1 } } } },
+];
+
+const formatBuckets = (buckets, boundaries, { openEnded }) =>
+  buckets
+    .filter((bucket) => bucket._id !== -1) // missing values
+    .map((bucket) => {
+      if (typeof bucket._id !== "number") {
+        return { label: bucket._id, min: openEnded ? boundaries[boundaries.length - 1] : null, max: null, count: bucket.count };
+      }
+      const index = boundaries.indexOf(bucket._id);
+      return { min: bucket._id, max: boundaries[index + 1] ?? null, count: bucket.count };
+    });
+
+const SOURCES = {
+  tasks: {
+    Model: Task,
+    fuzzyFields: ["title", "mainCategory", "category", "description"],
+    snippetFields: ["title", "description"],
+    project: {
+      title: 1, mainCategory: 1, category: 1, description: 1, region: 1, regionId: 1, city: 1,
+      district: 1, location: 1, status: 1, budget: 1, images: 1, urgent: 1, createdAt: 1, dueDate: 1,
+    },
+    buildFilter: ({ category, categorySlug, region, minBudget, maxBudget, status, urgent }) => {
+      const filter = { status: Task.publicStatus(status) };
+      if (category) filter.categorySlugs = categorySlug;
+      if (region) Object.assign(filter, regionFilter(region));
+      if (toNumber(minBudget) !== null) filter["budget.max"] = { $gte: toNumber(minBudget) };
+      if (toNumber(maxBudget) !== null) filter["budget.min"] = { $lte: toNumber(maxBudget) };
+      if (urgent) filter.urgent = true;
+      return filter;
+    },
+    facets: {
+      category: countsFacet("$category", { unwind: true }),
+      region: countsFacet("$region"),
+      budget: bucketFacet("$budget.max", BUDGET_BOUNDARIES, "5000+"),
+    },
+    formatFacets: ({ category, region, budget }) => ({
+      category,
+      region,
+      budget: formatBuckets(budget, BUDGET_BOUNDARIES, { openEnded: true }),
+    }),
+  },
+
+  providers: {
+    Model: Provider,
+    fuzzyFields: ["fullName", "category", "skills", "bio"],
+    snippetFields: ["fullName", "bio"],
+    project: {
+      fullName: 1, firstName: 1, surname: 1, profilePic: 1, profilePicVariants: 1, bio: 1, category: 1,
+      skills: 1, experience: 1, hourlyRate: 1, availability: 1, averageRating: 1, reviewsCount: 1, city: 1,
+      region: 1, regionId: 1, district: 1, isVerified: 1, isFeatured: 1, isApproved: 1, createdAt: 1,
+    },
+    buildFilter: ({ category, categorySlug, region, minRating, availability, includeUnapproved }) => {
+      const filter = includeUnapproved ? {} : { isApproved: true };
+      if (category) filter.categorySlugs = categorySlug;
+      if (region) Object.assign(filter, regionFilter(region));
+      if (toNumber(minRating) !== null) filter.averageRating = { $gte: toNumber(minRating) };
+      if (availability) filter.availability = availability;
+      return filter;
+    },
+    facets: {
+      category: countsFacet("$category", { unwind: true }),
+      region: countsFacet("$region"),
+      rating: bucketFacet("$averageRating", RATING_BOUNDARIES, "unrated"),
+      availability: countsFacet("$availability"),
+    },
+    formatFacets: ({ category, region, rating, availability }) => ({
+      category,
+      region,
+      rating: formatBuckets(rating, RATING_BOUNDARIES, { openEnded: false }).map((bucket) =>
+        bucket.max ? { ...bucket, max: Math.min(bucket.max, 5) } : bucket
+      ),
+      availability,
+    }),
+  },
+};
+
+// First $match of the pipeline for the given mode ($text has to come first)
+const matchStage = (source, mode, { q, terms, filter }) => {
+  if (mode === "text") return { $match: { $text: { $search: q }, ...filter } };
+  if (mode === "fuzzy") {
+    const regex = fuzzyRegex(terms);
+    return { $match: { $and: [filter, { $or: source.fuzzyFields.map((field) => ({ [field]: regex })) }] } };
+  }
+  return { $match: filter };
+};
+
+const afterCursor = (mode, cursor) => {
+  if (!cursor) return [];
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  if (mode === "text") {
+    return [{ $match: { $or: [{ score: { $lt: cursor.s } }, { score: cursor.s, _id: { $lt: id } }] } }];
+  }
+  return [{ $match: { _id: { $lt: id } } }];
+};
+
+const runPage = async (source, mode, { q, terms, filter, project, cursor, limit }) => {
+  const pipeline = [
+    matchStage(source, mode, { q, terms, filter }),
+    ...(mode === "text" ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    ...afterCursor(mode, cursor),
+    { $sort: mode === "text" ? { score: -1, _id: -1 } : { _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: { ...project, ...(mode === "text" ? { score: 1 } : {}) } },
+  ];
+
+  const rows = await source.Model.aggregate(pipeline);
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: hasMore && last ? encodeCursor({ m: mode, s: last.score, id: last._id.toString() }) : null,
+  };
+};
+
+const runFacets = async (source, mode, { q, terms, filter }) => {
+  const [result] = await source.Model.aggregate([
+    matchStage(source, mode, { q, terms, filter }),
+    { $facet: { ...source.facets, total: [{ $count: "count" }] } },
+  ]);
+
+  const { total, ...facets } = result;
+  return { total: total[0]?.count || 0, facets: source.formatFacets(facets) };
+};
+
+const searchSource = async (name, params) => {
+  const source = SOURCES[name];
+  const q = String(params.q || "").trim().slice(0, MAX_QUERY_LENGTH);
+  const terms = tokenize(q);
+  // Categories match by slug, so synonyms, renames and job/worker pairs find the same records
+  // (an unknown category matches nothing)
+  const categorySlug = params.category ? (await resolveCategory(params.category))?.slug || "" : undefined;
+  const filter = { ...source.buildFilter({ ...params, categorySlug }), ...(params.extraFilter || {}) };
+  // Internal callers (admin pickers) may need fields the public results leave out
+  const project = { ...source.project, ...(params.extraProject || {}) };
+  const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const cursor = decodeCursor(params.cursor);
+
+  let mode = cursor?.m || (terms.length > 0 ? "text" : "browse");
+  let page = await runPage(source, mode, { q, terms, filter, project, cursor, limit });
+
+  // Nothing matched the words as typed; try again allowing for typos
+  if (!cursor && mode === "text" && page.items.length === 0) {
+    mode = "fuzzy";
+    page = await runPage(source, mode, { q, terms, filter, project, cursor, limit });
+  }
+
+  const highlightRegex = mode === "fuzzy" ? fuzzyRegex(terms) : mode === "text" ? stemRegex(terms) : null;
+  const items = page.items.map((item) => {
+    if (!highlightRegex) return item;
+    const highlights = {};
+    source.snippetFields.forEach((field) => {
+      const snippet = highlight(item[field], highlightRegex);
+      if (snippet) highlights[field] = snippet;
+    });
+    return { ...item, highlights };
+  });
+
+  const result = { items, nextCursor: page.nextCursor, matchMode: mode };
+
+  // Facets and totals describe the whole result set, so only the first page needs them
+  if (!cursor && params.facets !== false) {
+    Object.assign(result, await runFacets(source, mode, { q, terms, filter }));
+  }
+
+  return result;
+};
+
+export const searchTasks = (params = {}) => searchSource("tasks", params);
+
+export const searchProviders = (params = {}) => searchSource("providers", params);
+
+/**
+ * Search tasks, providers or both.
+ *
+ * @param {object} params
+ * @param {string} [params.q]          Free text; empty browses newest first
+ * @param {string} [params.type="all"] "all" | "tasks" | "providers"
+ * @param {string} [params.cursor]     nextCursor from a previous page (single type only)
+ * @param {number} [params.limit=20]   Per type, max 50
+ * @param {string} [params.category]
+ * @param {string} [params.region]     Region name, ID or alias
+ * @param {number} [params.minBudget]  Tasks only
+ * @param {number} [params.maxBudget]  Tasks only
+ * @param {number} [params.minRating]  Providers only
+ * @param {string} [params.availability] Providers only
+ * @returns {Promise<{ tasks?, providers? }>} each with items, nextCursor,
+ *   matchMode ("text" | "fuzzy" | "browse") and, on the first page, total and facets
+ */
+export const search = async ({ type = "all", ...params } = {}) => {
+  if (!SEARCH_TYPES.includes(type)) {
+    throw new HttpError(400, `Invalid type. Must be one of: ${SEARCH_TYPES.join(", ")}`);
+  }
+  if (type === "all" && params.cursor) {
+    throw new HttpError(400, "Cursors page one type at a time; pass type=tasks or type=providers");
+  }
+
+  const [tasks, providers] = await Promise.all([
+    type === "providers" ? null : searchTasks(params),
+    type === "tasks" ? null : searchProviders({ ...params, includeUnapproved: false }),
+  ]);
+
+  return {
+    ...(tasks ? { tasks } : {}),
+    ...(providers ? { providers } : {}),
+  };
+};
@@ -0,0 +1,63 @@
+// services/sms/index.js
+// Sends SMS and WhatsApp messages through a pluggable adapter.
+//
+// An adapter is an object { name, send({ to, text, channel }) } where
+// `channel` is "sms" or "whatsapp" and `to` is an E.164 number. `send`
+// resolves to { id, status } and throws when the gateway rejects the message.
+//
+// The adapter is picked by SMS_DRIVER (default "log", which only works outside
+// production). Gateways register themselves with registerSmsAdapter("name",
+// factory). An unknown driver or an adapter that refuses to load makes every
+// send throw, rather than quietly logging messages.
+import { createLogAdapter } from "./logAdapter.js";
+import { normalizeGhanaPhone } from "../../utils/phone.js";
+
+const factories = {
+  log: createLogAdapter,
+};
+
+let adapter = null;
+
+export const registerSmsAdapter = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Replace the active adapter (tests, or wiring a gateway at startup)
+export const setSmsAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+export const getSmsAdapter = () => {
+  if (!adapter) {
+    const driver = process.env.SMS_DRIVER || "log";
+    const factory = factories[driver];
+
+    if (!factory) {
+      throw new Error(`Unknown SMS_DRIVER "${driver}"`);
+    }
+    adapter = factory();
+  }
+  return adapter;
+};
+
+const deliver = async (channel, to, text) => {
+  const phone = normalizeGhanaPhone(to);
+  if (!phone) {
+    throw new Error(`Invalid phone number: ${to}`);
+  }
+
+  const result = await getSmsAdapter().send({ to: phone, text, channel });
+  return { ...result, to: phone, channel };
+};
+
+export const sendSms = (to, text) => deliver("sms", to, text);
+
+export const sendWhatsApp = (to, text) => deliver("whatsapp", to, text);
+
+/**
+ * Send a one-time code. OTPs always go by SMS unless WhatsApp is asked for.
+ */
+export const sendOtp = (to, code, { channel = "sms", minutes = 10 } = {}) => {
+  const text = `Your WorkIsReady code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`;
+  return deliver(channel === "whatsapp" ? "whatsapp" : "sms", to, text);
+};
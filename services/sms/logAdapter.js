@@ -0,0 +1,32 @@
+// services/sms/logAdapter.js
+// Development/test adapter: prints messages to the console and appends them
+// to logs/sms.log instead of sending anything.
+//
+// Messages include login codes, so it refuses to load with NODE_ENV=production.
+import fs from "fs";
+import path from "path";
+
+export const createLogAdapter = ({ file = path.join(process.cwd(), "logs", "sms.log") } = {}) => {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("the log SMS adapter cannot be used in production; set SMS_DRIVER");
+  }
+
+  return {
+    name: "log",
+    send: async ({ to, text, channel }) => {
+      const id = `log_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const line = JSON.stringify({ id, channel, to, text, sentAt: new Date().toISOString() });
+
+      console.log(`📱 [${channel}] to ${to}: ${text}`);
+
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, line + "\n");
+      } catch (error) {
+        console.error("❌ Could not write SMS log:", error.message);
+      }
+
+      return { id, status: "sent" };
+    },
+  };
+};
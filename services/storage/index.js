@@ -0,0 +1,140 @@
+// services/storage/index.js
+// File storage behind a pluggable driver, with two buckets:
+//   public  - profile pictures, work samples, catalogue photos; served as-is
+//   private - task photos, message attachments, identity documents; only
+//             reachable through short-lived signed URLs (/api/files/private/...)
+//
+// A driver is an object with:
+//   name
+//   put(bucket, key, sourcePath, { contentType })  moves a local file into storage
+//   read(bucket, key)   -> { stream, size } or null when missing
+//   exists(bucket, key) -> boolean
+//   list(bucket, prefix) -> [{ key, size, modifiedAt }] for every file under "<prefix>/"
+//   remove(bucket, key)                            no-op when missing
+//   publicUrl(key)      -> URL of a public-bucket file
+//
+// Keys are "<folder>/<name>", e.g. "tasks/3f9c...e1.jpg". The driver is picked
+// by STORAGE_DRIVER (default "local"). Uploads reach storage through
+// services/uploadService.js, which knows each upload type's bucket and folder.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { createLocalDriver } from "./localDriver.js";
+import { createS3Driver } from "./s3Driver.js";
+import { API_URL } from "../../config/env.js";
+
+export const BUCKETS = ["public", "private"];
+
+// Folders of the local public bucket that server.js serves under /uploads
+export const PUBLIC_UPLOAD_FOLDERS = ["avatars", "providers"];
+
+// Where multer writes uploads before they are moved into storage
+export const UPLOAD_TMP_DIR = path.join(os.tmpdir(), "workisready-uploads");
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+
+const SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+const factories = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+let driver = null;
+
+export const registerStorageDriver = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Replace the active driver (tests, or wiring one at startup)
+export const setStorageDriver = (nextDriver) => {
+  driver = nextDriver;
+};
+
+export const getStorageDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const factory = factories[name];
+
+    if (!factory) {
+      console.error(`❌ Unknown STORAGE_DRIVER "${name}", falling back to local disk`);
+      driver = createLocalDriver();
+    } else {
+      driver = factory();
+    }
+  }
+  return driver;
+};
+
+const assertBucket = (bucket) => {
+  if (!BUCKETS.includes(bucket)) throw new Error(`Unknown storage bucket "${bucket}"`);
+};
+
+// Random, unguessable key for a new file in a folder
+export const newFileKey = (folder, originalName = "") => {
+  const ext = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, "");
+  return `${folder}/${crypto.randomBytes(16).toString("hex")}${ext}`;
+};
+
+export const putFile = (bucket, key, sourcePath, options) => {
+  assertBucket(bucket);
+  return getStorageDriver().put(bucket, key, sourcePath, options);
+};
+
+export const readFile = (bucket, key) => {
+  assertBucket(bucket);
+  return getStorageDriver().read(bucket, key);
+};
+
+export const fileExists = (bucket, key) => {
+  assertBucket(bucket);
+  return getStorageDriver().exists(bucket, key);
+};
+
+export const listFiles = (bucket, prefix) => {
+  assertBucket(bucket);
+  return getStorageDriver().list(bucket, prefix);
+};
+
+// Delete files, logging (not throwing) failures - callers are usually cleaning up
+export const removeFiles = async (bucket, keys = []) => {
+  assertBucket(bucket);
+  await Promise.all(
+    keys.filter(Boolean).map((key) =>
+      getStorageDriver()
+        .remove(bucket, key)
+        .catch((error) => console.warn(`⚠️ Failed to delete ${bucket} file ${key}:`, error.message))
+    )
+  );
+};
+
+export const publicFileUrl = (key) => (key ? getStorageDriver().publicUrl(key) : null);
+
+/* ------------------------------ signed URLs ------------------------------- */
+
+const signingSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET || "workisready-files";
+
+const signature = (key, expires) =>
+  crypto.createHmac("sha256", signingSecret()).update(`private:${key}:${expires}`).digest("hex");
+
+/**
+ * A short-lived URL for a private file. Callers must check access first
+ * (services/fileAccessService.js) - anyone holding the URL can fetch the file
+ * until it expires.
+ */
+export const signedFileUrl = (key, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) => {
+  if (!key) return null;
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const encoded = key.split("/").map(encodeURIComponent).join("/");
+  return `${API_URL || ""}/api/files/private/${encoded}?expires=${expires}&sig=${signature(key, expires)}`;
+};
+
+// Check a signed URL's parameters; false when tampered with or expired
+export const verifyFileSignature = (key, expires, sig) => {
+  const expiresAt = Number(expires);
+  if (!key || !Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(signature(key, expiresAt), "hex");
+  const actual = Buffer.from(String(sig || ""), "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
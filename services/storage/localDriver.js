@@ -0,0 +1,86 @@
+// services/storage/localDriver.js
+// Files on the server's own disk. The public bucket is the uploads/ folder
+// (served under /uploads); the private bucket lives outside it.
+import fs from "fs";
+import path from "path";
+import { API_URL, PRIVATE_UPLOADS_DIR } from "../../config/env.js";
+
+export const createLocalDriver = ({
+  publicDir = process.env.PUBLIC_UPLOADS_DIR || "uploads",
+  privateDir = PRIVATE_UPLOADS_DIR,
+} = {}) => {
+  const roots = {
+    public: path.resolve(publicDir),
+    private: path.resolve(privateDir),
+  };
+
+  // Absolute path of a key, refusing anything that escapes the bucket root
+  const resolve = (bucket, key) => {
+    const root = roots[bucket];
+    if (!root) throw new Error(`Unknown storage bucket "${bucket}"`);
+
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: "local",
+
+    put: async (bucket, key, source) => {
+      const target = resolve(bucket, key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.promises.rename(source, target);
+      } catch (error) {
+        // The temp folder can be on another device
+        if (error.code !== "EXDEV") throw error;
+        await fs.promises.copyFile(source, target);
+        await fs.promises.unlink(source);
+      }
+    },
+
+    read: async (bucket, key) => {
+      const file = resolve(bucket, key);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (!stat?.isFile()) return null;
+      return { stream: fs.createReadStream(file), size: stat.size };
+    },
+
+    exists: async (bucket, key) => {
+      const stat = await fs.promises.stat(resolve(bucket, key)).catch(() => null);
+      return Boolean(stat?.isFile());
+    },
+
+    list: async (bucket, prefix) => {
+      const root = roots[bucket];
+      const walk = async (dir) => {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+        const files = [];
+        for (const entry of entries) {
+          const file = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            files.push(...(await walk(file)));
+          } else if (entry.isFile()) {
+            const stat = await fs.promises.stat(file);
+            const key = path.relative(root, file).split(path.sep).join("/");
+            files.push({ key, size: stat.size, modifiedAt: stat.mtime });
+          }
+        }
+        return files;
+      };
+      return walk(resolve(bucket, prefix));
+    },
+
+    remove: async (bucket, key) => {
+      await fs.promises.unlink(resolve(bucket, key)).catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+      });
+    },
+
+    // Relative "uploads/<key>" (the format stored before API_URL existed) when no API_URL is set
+    publicUrl: (key) => (API_URL ? `${API_URL}/uploads/${key}` : `uploads/${key}`),
+  };
+};
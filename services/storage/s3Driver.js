@@ -0,0 +1,156 @@
+// services/storage/s3Driver.js
+// Any S3-compatible object store (AWS S3, Cloudflare R2, DigitalOcean Spaces,
+// MinIO). Requests are signed with AWS Signature V4 and use path-style URLs
+// (endpoint/bucket/key), which every provider above accepts.
+//
+// For local development, a MinIO container stands in for the real thing:
+//   docker run -p 9000:9000 minio/minio server /data
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_ACCESS_KEY_ID=minioadmin
+//   S3_SECRET_ACCESS_KEY=minioadmin S3_PUBLIC_BUCKET=public S3_PRIVATE_BUCKET=private
+// The public bucket needs an anonymous read policy; the private one must not have one.
+import fs from "fs";
+import crypto from "crypto";
+import { Readable } from "stream";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+// RFC 3986 encoding, per path segment
+const encode = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split("/").map(encode).join("/");
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const xmlText = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name]);
+const xmlTag = (xml, tag) => xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1];
+
+export const createS3Driver = ({
+  endpoint = process.env.S3_ENDPOINT,
+  region = process.env.S3_REGION || "us-east-1",
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  buckets = {
+    public: process.env.S3_PUBLIC_BUCKET,
+    private: process.env.S3_PRIVATE_BUCKET,
+  },
+  publicBaseUrl = process.env.S3_PUBLIC_URL,
+} = {}) => {
+  const base = (endpoint || "").replace(/\/+$/, "");
+
+  const request = async (method, bucket, key, { body, headers = {}, query = {} } = {}) => {
+    if (!base || !accessKeyId || !secretAccessKey || !buckets[bucket]) {
+      throw new Error(`S3 storage is not configured for the ${bucket} bucket`);
+    }
+
+    const pathname = `/${buckets[bucket]}/${encodeKey(key)}`;
+    const queryString = Object.keys(query)
+      .sort()
+      .map((name) => `${encode(name)}=${encode(query[name])}`)
+      .join("&");
+    const url = new URL(base + pathname + (queryString ? `?${queryString}` : ""));
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const day = amzDate.slice(0, 8);
+    const payloadHash = "UNSIGNED-PAYLOAD";
+
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      pathname,
+      queryString,
+      names.map((name) => `${name}:${signed[name].trim()}\n`).join(""),
+      names.join(";"),
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), "s3"), "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    const { host, ...sendHeaders } = signed;
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sendHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+      },
+    });
+  };
+
+  const fail = async (action, response) => {
+    const text = await response.text().catch(() => "");
+    const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+    throw new Error(`S3 ${action} failed (${response.status}${code ? ` ${code}` : ""})`);
+  };
+
+  return {
+    name: "s3",
+
+    put: async (bucket, key, source, { contentType } = {}) => {
+      const body = await fs.promises.readFile(source);
+      const response = await request("PUT", bucket, key, {
+        body,
+        headers: { "content-type": contentType || "application/octet-stream" },
+      });
+      if (!response.ok) await fail("upload", response);
+      await fs.promises.unlink(source).catch(() => {});
+    },
+
+    read: async (bucket, key) => {
+      const response = await request("GET", bucket, key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail("download", response);
+      return {
+        stream: Readable.fromWeb(response.body),
+        size: Number(response.headers.get("content-length")) || undefined,
+      };
+    },
+
+    exists: async (bucket, key) => {
+      const response = await request("HEAD", bucket, key);
+      if (response.status === 404) return false;
+      if (!response.ok) await fail("lookup", response);
+      return true;
+    },
+
+    // ListObjectsV2, following continuation tokens
+    list: async (bucket, prefix) => {
+      const files = [];
+      let token;
+      do {
+        const query = { "list-type": "2", prefix: `${prefix}/` };
+        if (token) query["continuation-token"] = token;
+
+        const response = await request("GET", bucket, "", { query });
+        if (!response.ok) await fail("listing", response);
+        const xml = await response.text();
+
+        for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          files.push({
+            key: xmlText(xmlTag(entry, "Key")),
+            size: Number(xmlTag(entry, "Size")),
+            modifiedAt: new Date(xmlTag(entry, "LastModified")),
+          });
+        }
+        token = xmlTag(xml, "IsTruncated") === "true" ? xmlText(xmlTag(xml, "NextContinuationToken")) : null;
+      } while (token);
+      return files;
+    },
+
+    remove: async (bucket, key) => {
+      const response = await request("DELETE", bucket, key);
+      if (!response.ok && response.status !== 404) await fail("delete", response);
+    },
+
+    publicUrl: (key) =>
+      `${(publicBaseUrl || `${base}/${buckets.public}`).replace(/\/+$/, "")}/${encodeKey(key)}`,
+  };
+};
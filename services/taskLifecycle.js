@@ -0,0 +1,297 @@
+// services/taskLifecycle.js
+import Task from "../models/Task.js";
+import Provider from "../models/Providers.js";
+import TaskApplication from "../models/TaskApplication.js";
+import { HttpError } from "../utils/httpError.js";
+import { publishToUsers } from "./realtime.js";
+import { notify } from "./notificationService.js";
+import { settleTaskPayment, isTaskPaymentHeld } from "./paymentService.js";
+import { alertTaskSearches } from "./savedSearchService.js";
+import { notifyMatchedProviders } from "./matchingService.js";
+import { releaseTaskBookings } from "./bookingService.js";
+import { hasActiveUrgentEntry } from "./promotionService.js";
+
+export const TASK_STATUSES = [
+  "draft",
+  "open",
+  "assigned",
+  "in_progress",
+  "awaiting_confirmation",
+  "completed",
+  "cancelled",
+  "disputed",
+  "expired",
+];
+
+// Statuses a task can never leave
+export const TERMINAL_STATUSES = ["completed", "cancelled"];
+
+/**
+ * Allowed transitions: current status -> next status -> roles allowed to make it.
+ * "client" is the task owner, "provider" the assigned provider,
+ * "system" is used by scheduled jobs.
+ */
+const TRANSITIONS = {
+  draft: {
+    open: ["client", "admin"],
+    cancelled: ["client", "admin"],
+  },
+  open: {
+    assigned: ["client", "admin"],
+    // Tasks hired outside the platform can still be closed by the client
+    completed: ["client", "admin"],
+    cancelled: ["client", "admin"],
+    expired: ["admin", "system"],
+  },
+  assigned: {
+    in_progress: ["provider", "admin"],
+    // Releases the assigned provider and re-opens the task
+    open: ["client", "provider", "admin"],
+    cancelled: ["client", "admin"],
+    disputed: ["client", "provider"],
+  },
+  in_progress: {
+    awaiting_confirmation: ["provider", "admin"],
+    cancelled: ["admin"],
+    disputed: ["client", "provider"],
+  },
+  awaiting_confirmation: {
+    completed: ["client", "admin", "system"],
+    // Client sends the work back
+    in_progress: ["client", "admin"],
+    disputed: ["client", "provider"],
+  },
+  disputed: {
+    in_progress: ["admin"],
+    completed: ["admin"],
+    cancelled: ["admin"],
+  },
+  expired: {
+    // Re-list an expired task
+    open: ["client", "admin"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+/**
+ * Statuses the given role may move a task to from `status`
+ */
+export const getAllowedTransitions = (status, role) => {
+  const targets = TRANSITIONS[status] || {};
+  return Object.entries(targets)
+    .filter(([, roles]) => roles.includes(role))
+    .map(([next]) => next);
+};
+
+export const canTransition = (from, to, role) =>
+  Boolean(TRANSITIONS[from]?.[to]?.includes(role));
+
+const isAdminUser = (user) => user?.role === "admin" || user?.userType === "admin";
+
+/**
+ * Work out how `user` relates to `task`: "admin", "client", "provider" or null
+ */
+export const resolveActorRole = async (task, user, { asAdmin = false } = {}) => {
+  if (!user) return null;
+  if (asAdmin || isAdminUser(user)) return "admin";
+
+  const clientId = task.clientId?._id || task.clientId;
+  if (clientId && clientId.toString() === user._id.toString()) return "client";
+
+  if (task.assignedProvider) {
+    const providerId = task.assignedProvider._id || task.assignedProvider;
+    const provider = await Provider.findOne({ userId: user._id }).select("_id");
+    if (provider && provider._id.toString() === providerId.toString()) return "provider";
+  }
+
+  return null;
+};
+
+/**
+ * Move a task to `to`, enforcing the transition rules and recording history.
+ *
+ * The update is conditional on the task still being in its current status,
+ * so two concurrent transitions cannot both succeed.
+ *
+ * @param {Document} task    Task document (current state)
+ * @param {string}   to      Target status
+ * @param {object}   options { actor, role, note, changes }
+ *   - actor:   user/admin making the change (null for system)
+ *   - role:    "client" | "provider" | "admin" | "system"
+ *   - changes: extra fields to set with the transition (e.g. assignedProvider)
+ * @returns {Promise<Document>} the updated task
+ */
+export const transitionTask = async (task, to, { actor = null, role, note = "", changes = {} } = {}) => {
+  const from = task.status;
+
+  if (!TASK_STATUSES.includes(to)) {
+    throw new HttpError(400, `Invalid status. Must be one of: ${TASK_STATUSES.join(", ")}`);
+  }
+
+  if (from === to) {
+    throw new HttpError(400, `Task is already ${to}`);
+  }
+
+  if (!role) {
+    throw new HttpError(403, "Not authorized to update this task");
+  }
+
+  if (!canTransition(from, to, role)) {
+    throw new HttpError(400, `Cannot change task status from ${from} to ${to} as ${role}`, {
+      allowedTransitions: getAllowedTransitions(from, role),
+    });
+  }
+
+  const now = new Date();
+  const set = { ...changes, status: to, updatedAt: now };
+
+  switch (to) {
+    case "assigned": {
+      const providerId = changes.assignedProvider || task.assignedProvider;
+      if (!providerId) {
+        throw new HttpError(400, "A provider must be assigned before the task can move to assigned");
+      }
+      set.assignedProvider = providerId;
+      set.assignedAt = changes.assignedAt || now;
+      break;
+    }
+    case "open":
+      // Leaving assigned (or re-listing) clears any previous assignment
+      set.assignedProvider = null;
+      set.assignedAt = null;
+      set.acceptedApplication = null;
+      set.completedAt = null;
+      // A boost that is still running applies again
+      set.urgent = await hasActiveUrgentEntry(task._id, now);
+      break;
+    case "in_progress":
+      // Work starts once the client's money is in escrow
+      if (from === "assigned" && !(await isTaskPaymentHeld(task))) {
+        throw new HttpError(400, "The client has not paid for this task yet");
+      }
+      if (!task.startedAt) set.startedAt = now;
+      break;
+    case "completed":
+      set.completedAt = now;
+      break;
+    case "cancelled":
+      set.cancelledAt = now;
+      set.cancellationReason = note || "";
+      break;
+    default:
+      break;
+  }
+
+  // Urgent means "still looking for someone"; the badge goes once the task leaves open
+  if (from === "open") set.urgent = false;
+
+  const historyEntry = {
+    from,
+    to,
+    changedBy: actor?._id || null,
+    actorRole: role,
+    note,
+    changedAt: now,
+  };
+
+  const updated = await Task.findOneAndUpdate(
+    { _id: task._id, status: from },
+    { $set: set, $push: { statusHistory: historyEntry } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, "Task status was changed by someone else, please reload and try again");
+  }
+
+  await applySideEffects(task, updated, { from, to, role });
+  await notifyParticipants(task, updated, { from, to, role, note });
+
+  console.log(`✅ Task ${updated._id} status: ${from} -> ${to} (${role})`);
+  return updated;
+};
+
+// Keep provider stats, the accepted application and escrow in step with the task
+const applySideEffects = async (before, after, { from, to, role }) => {
+  if (to === "assigned" && after.assignedProvider) {
+    await Provider.updateOne({ _id: after.assignedProvider }, { $inc: { totalJobs: 1 } });
+  }
+
+  if (to === "completed" && after.assignedProvider) {
+    await Provider.updateOne({ _id: after.assignedProvider }, { $inc: { completedJobs: 1 } });
+  }
+
+  // Provider released from the task: close out the accepted bid
+  if (from === "assigned" && to === "open" && before.acceptedApplication) {
+    await TaskApplication.updateOne(
+      { _id: before.acceptedApplication },
+      {
+        $set: role === "provider"
+          ? { status: "withdrawn", withdrawnAt: new Date() }
+          : { status: "rejected", rejectedAt: new Date(), rejectionReason: "Assignment released" },
+      }
+    );
+  }
+
+  if (to === "cancelled" || to === "expired") {
+    await TaskApplication.updateMany(
+      { taskId: after._id, status: { $in: TaskApplication.OPEN_STATUSES } },
+      { $set: { status: "declined", rejectedAt: new Date(), rejectionReason: `Task ${to}` } }
+    );
+    await releaseTaskBookings(after._id, `Task ${to}`);
+  }
+
+  // Release escrow on completion, refund it on cancellation or when the provider is released
+  await settleTaskPayment(after, { from, to });
+
+  // A published draft is new work for providers' saved searches and best matches
+  if (from === "draft" && to === "open") {
+    alertTaskSearches(after);
+    notifyMatchedProviders(after);
+  }
+};
+
+// Push the change to the client and the (current or previous) assigned provider
+const notifyParticipants = async (before, after, { from, to, role, note }) => {
+  const providerId = after.assignedProvider || before.assignedProvider;
+  const provider = providerId ? await Provider.findById(providerId).select("userId") : null;
+
+  await publishToUsers([after.clientId, provider?.userId], "task:status", {
+    taskId: after._id,
+    title: after.title,
+    from,
+    to,
+    changedByRole: role,
+    note,
+  });
+
+  // Inbox entry for whichever side did not make the change
+  const recipients = [];
+  if (role !== "client") recipients.push(after.clientId);
+  if (role !== "provider" && provider?.userId) recipients.push(provider.userId);
+
+  const label = to.replace(/_/g, " ");
+  await Promise.all(
+    recipients.map((userId) =>
+      notify(userId, "task.status", {
+        title: `Task ${label}`,
+        body: `"${after.title}" is now ${label}.${note ? ` ${note}` : ""}`,
+        link: `/tasks/${after._id}`,
+        data: { taskId: after._id, from, to },
+      })
+    )
+  );
+};
+
+/**
+ * Initial history entry for a newly created task
+ */
+export const initialHistoryEntry = (status, actor, note = "Task created") => ({
+  from: null,
+  to: status,
+  changedBy: actor?._id || null,
+  actorRole: "client",
+  note,
+  changedAt: new Date(),
+});
@@ -0,0 +1,163 @@
+// services/uploadCleanupService.js
+// Garbage collection for stored uploads. Delete paths remove their files as
+// they go; this catches what slips through - a save that failed after its
+// upload, files from before that cleanup existed, rejected profile updates.
+//
+// A file is an orphan when no document references it (REFERENCES below, with
+// every variant of a processed image) and it is older than the grace period.
+// The grace period matters: uploads are stored before the document pointing
+// at them is saved, so a fresh file without a reference is normal.
+//
+// Run daily by the scheduler, or by hand with `npm run cleanup:uploads`.
+//   UPLOAD_CLEANUP_MODE        delete (default), report (log orphans only) or off
+//   UPLOAD_CLEANUP_GRACE_DAYS  default 7
+import fs from "fs";
+import path from "path";
+import Provider from "../models/Providers.js";
+import User from "../models/User.js";
+import Service from "../models/Service.js";
+import ProviderUpdateRequest from "../models/ProviderUpdateRequest.js";
+import Task from "../models/Task.js";
+import Message from "../models/Message.js";
+import VerificationRequest from "../models/VerificationRequest.js";
+import { UPLOAD_TYPES } from "../config/uploads.js";
+import { BUCKETS, listFiles, removeFiles, UPLOAD_TMP_DIR } from "./storage/index.js";
+import { storedKeys } from "./uploadService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_GRACE_DAYS = 7;
+
+// Staged uploads only live for the length of a request
+const TEMP_FILE_MAX_AGE_MS = DAY_MS;
+
+// Every document field that holds stored files, with its upload type (config/uploads.js)
+const REFERENCES = [
+  { Model: Provider, type: "profilePic", select: "profilePic", values: (doc) => [doc.profilePic] },
+  { Model: Provider, type: "sampleWork", select: "sampleWork", values: (doc) => doc.sampleWork },
+  { Model: User, type: "avatar", select: "profileImage", values: (doc) => [doc.profileImage] },
+  { Model: Service, type: "servicePhoto", select: "photos", values: (doc) => doc.photos },
+  // Decided requests are done with their files: approved ones were copied onto the provider
+  {
+    Model: ProviderUpdateRequest,
+    type: "sampleWork",
+    select: "newSampleFiles",
+    filter: { status: "pending" },
+    values: (doc) => doc.newSampleFiles,
+  },
+  { Model: Task, type: "taskImage", select: "images", values: (doc) => doc.images },
+  {
+    Model: Message,
+    type: "attachment",
+    select: "attachments",
+    values: (doc) => (doc.attachments || []).map((attachment) => attachment.path),
+  },
+  {
+    Model: VerificationRequest,
+    type: "idDocument",
+    select: "documents",
+    values: (doc) => Object.values(doc.documents || {}),
+  },
+];
+
+export const cleanupMode = () => {
+  const mode = process.env.UPLOAD_CLEANUP_MODE || "delete";
+  return ["delete", "report", "off"].includes(mode) ? mode : "report";
+};
+
+export const graceDays = () => {
+  const days = Number(process.env.UPLOAD_CLEANUP_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+// Referenced storage keys, per bucket
+const collectReferences = async () => {
+  const referenced = Object.fromEntries(BUCKETS.map((bucket) => [bucket, new Set()]));
+
+  for (const { Model, type, select, filter = {}, values } of REFERENCES) {
+    const keys = referenced[UPLOAD_TYPES[type].bucket];
+    for await (const doc of Model.find(filter).select(select).lean().cursor()) {
+      for (const value of values(doc) || []) {
+        storedKeys(type, value).forEach((key) => keys.add(key));
+      }
+    }
+  }
+  return referenced;
+};
+
+// The folders to scan in each bucket; "providers" already covers "providers/samples"
+const bucketFolders = (bucket) => {
+  const folders = [
+    ...new Set(Object.values(UPLOAD_TYPES).filter((config) => config.bucket === bucket).map((config) => config.folder)),
+  ];
+  return folders.filter((folder) => !folders.some((other) => folder.startsWith(`${other}/`)));
+};
+
+/**
+ * Stored files that no document references and that are older than the grace period.
+ * @returns {Promise<{ scanned: number, orphans: { bucket, key, size, modifiedAt }[] }>}
+ */
+export const findOrphanedUploads = async ({ graceDays: days = graceDays(), now = new Date() } = {}) => {
+  const cutoff = now.getTime() - days * DAY_MS;
+  const referenced = await collectReferences();
+
+  let scanned = 0;
+  const orphans = [];
+  for (const bucket of BUCKETS) {
+    for (const folder of bucketFolders(bucket)) {
+      const files = await listFiles(bucket, folder);
+      scanned += files.length;
+      files
+        .filter((file) => !referenced[bucket].has(file.key) && file.modifiedAt.getTime() < cutoff)
+        .forEach((file) => orphans.push({ bucket, ...file }));
+    }
+  }
+  return { scanned, orphans };
+};
+
+// Staged uploads left behind by a crash mid-request
+const staleTempFiles = async (now) => {
+  const entries = await fs.promises.readdir(UPLOAD_TMP_DIR, { withFileTypes: true }).catch(() => []);
+  const stale = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const file = path.join(UPLOAD_TMP_DIR, entry.name);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (stat && now.getTime() - stat.mtimeMs > TEMP_FILE_MAX_AGE_MS) stale.push(file);
+  }
+  return stale;
+};
+
+/**
+ * Find orphaned uploads and, unless it's a dry run, delete them along with
+ * stale staged uploads.
+ * @returns {Promise<{ scanned, orphans, removed, tempFiles }>}
+ */
+export const cleanupOrphanedUploads = async ({ dryRun = false, graceDays: days = graceDays(), now = new Date() } = {}) => {
+  const { scanned, orphans } = await findOrphanedUploads({ graceDays: days, now });
+  const tempFiles = await staleTempFiles(now);
+  if (dryRun) return { scanned, orphans, removed: 0, tempFiles: tempFiles.length };
+
+  for (const bucket of BUCKETS) {
+    await removeFiles(bucket, orphans.filter((file) => file.bucket === bucket).map((file) => file.key));
+  }
+  await Promise.all(tempFiles.map((file) => fs.promises.unlink(file).catch(() => {})));
+
+  return { scanned, orphans, removed: orphans.length, tempFiles: tempFiles.length };
+};
+
+// Scheduled entry point, following UPLOAD_CLEANUP_MODE
+export const runUploadCleanup = async () => {
+  const mode = cleanupMode();
+  if (mode === "off") return;
+
+  const { scanned, orphans, removed, tempFiles } = await cleanupOrphanedUploads({ dryRun: mode === "report" });
+  if (orphans.length === 0 && tempFiles === 0) return;
+
+  if (mode === "report") {
+    console.log(`🧹 Upload cleanup (report only): ${orphans.length} orphaned of ${scanned} stored file(s)`);
+    orphans.forEach((file) => console.log(`   ${file.bucket}/${file.key}`));
+  } else {
+    console.log(`🧹 Upload cleanup: removed ${removed} orphaned file(s) and ${tempFiles} stale temp file(s)`);
+  }
+};
@@ -0,0 +1,176 @@
+// services/uploadService.js
+// Moves accepted uploads (middleware/uploads.js) into storage and maps the
+// values kept on documents back to storage keys.
+//
+// What gets stored on a document depends on the bucket:
+//   public  - the file's public URL (e.g. Provider.profilePic, Service.photos)
+//   private - the storage key (e.g. Task.images); readers get signed URLs
+//
+// Images go through services/imageService.js on the way in: metadata is
+// stripped and, for types with variants, resized copies are stored alongside.
+import fs from "fs";
+import { UPLOAD_TYPES } from "../config/uploads.js";
+import {
+  getStorageDriver,
+  newFileKey,
+  putFile,
+  removeFiles,
+  publicFileUrl,
+  signedFileUrl,
+} from "./storage/index.js";
+import {
+  isImageFile,
+  contentTypeOf,
+  stripMetadata,
+  renderVariants,
+  variantKeys,
+} from "./imageService.js";
+
+const uploadType = (type) => {
+  const config = UPLOAD_TYPES[type];
+  if (!config) throw new Error(`Unknown upload type "${type}"`);
+  return config;
+};
+
+const toStoredValue = (bucket, key) => (bucket === "public" ? publicFileUrl(key) : key);
+
+// Resize an image into its variants and store them all under "<folder>/<id>/"
+const storeVariants = async (bucket, folder, file) => {
+  const base = newFileKey(folder);
+  const outputs = await renderVariants(file.path);
+
+  const stored = [];
+  try {
+    for (const output of outputs) {
+      const key = `${base}/${output.name}`;
+      await putFile(bucket, key, output.path, { contentType: contentTypeOf(output.name) });
+      stored.push(key);
+    }
+  } catch (error) {
+    await removeFiles(bucket, stored);
+    discardUploads(outputs);
+    throw error;
+  }
+
+  discardUploads(file);
+  return stored.find((key) => /\/full\.(jpg|png)$/.test(key));
+};
+
+/**
+ * Move one staged upload into storage. Images are re-encoded without their
+ * metadata; for types with variants the full-size variant is the one returned.
+ * @returns {Promise<string>} the value to store on the document
+ */
+export const storeUpload = async (type, file) => {
+  const { bucket, folder, variants } = uploadType(type);
+
+  if (isImageFile(file.originalname) && variants) {
+    return toStoredValue(bucket, await storeVariants(bucket, folder, file));
+  }
+
+  let source = file.path;
+  if (isImageFile(file.originalname)) {
+    source = await stripMetadata(file.path, file.originalname);
+    discardUploads(file);
+  }
+
+  const key = newFileKey(folder, file.originalname);
+  try {
+    await putFile(bucket, key, source, { contentType: file.mimetype });
+  } catch (error) {
+    discardUploads({ path: source });
+    throw error;
+  }
+  return toStoredValue(bucket, key);
+};
+
+/**
+ * Move several staged uploads into storage. If one fails, the ones already
+ * stored are removed again and the error is rethrown.
+ */
+export const storeUploads = async (type, files = []) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeUpload(type, file));
+    }
+    return stored;
+  } catch (error) {
+    await removeStoredFiles(type, stored);
+    throw error;
+  }
+};
+
+/**
+ * Storage key for a value kept on a document, or null when it isn't one of
+ * ours (e.g. a Google profile photo URL). Understands the older formats too:
+ * "uploads/providers/<name>" paths and bare file names.
+ */
+export const storageKey = (type, value) => {
+  if (!value || typeof value !== "string") return null;
+  const { folder } = uploadType(type);
+
+  let key = value;
+  const base = getStorageDriver().publicUrl("");
+  if (base && key.startsWith(base)) {
+    key = key.slice(base.length);
+  } else if (/^https?:\/\//.test(key)) {
+    const { pathname } = new URL(key);
+    if (!pathname.startsWith("/uploads/")) return null;
+    key = pathname;
+  }
+
+  key = decodeURIComponent(key.replace(/\\/g, "/").replace(/^\/?(uploads\/)?/, ""));
+  if (!key || key.split("/").includes("..")) return null;
+  return key.includes("/") ? key : `${folder}/${key}`;
+};
+
+// Public URL for a stored public value, or a signed URL for a private one
+export const fileUrl = (type, value) => {
+  const key = storageKey(type, value);
+  if (!key) return value || null;
+  return uploadType(type).bucket === "public" ? publicFileUrl(key) : signedFileUrl(key);
+};
+
+/**
+ * The resized copies of a stored image, in the same form as the value itself
+ * (URLs for public types, keys for private ones), or null for files without
+ * variants (uploaded before processing existed, or not images).
+ * @returns {{ source, thumb: { src, webp }, medium: {...}, full: {...} } | null}
+ */
+export const imageVariants = (type, value) => {
+  const { bucket } = uploadType(type);
+  const keys = variantKeys(storageKey(type, value));
+  if (!keys) return null;
+
+  const sizes = Object.entries(keys).map(([name, { src, webp }]) => [
+    name,
+    { src: toStoredValue(bucket, src), webp: toStoredValue(bucket, webp) },
+  ]);
+  return { source: value, ...Object.fromEntries(sizes) };
+};
+
+// Every stored file behind a value: the file itself and any variants
+export const storedKeys = (type, value) => {
+  const key = storageKey(type, value);
+  const variants = variantKeys(key);
+  if (!variants) return key ? [key] : [];
+  return Object.values(variants).flatMap(({ src, webp }) => [src, webp]);
+};
+
+// Delete stored files (and their variants) by the values kept on documents; never throws.
+// Only keys in the type's own folder go, so a value pointing elsewhere can't delete other files.
+export const removeStoredFiles = async (type, values = []) => {
+  const { folder } = uploadType(type);
+  const keys = values.flatMap((value) => storedKeys(type, value)).filter((key) => key.startsWith(`${folder}/`));
+  if (keys.length > 0) await removeFiles(uploadType(type).bucket, keys);
+};
+
+// Delete staged uploads that never made it into storage (req.file, or req.files as an array or by field)
+export const discardUploads = (files) => {
+  if (!files) return;
+  const list = Array.isArray(files) ? files : files.path ? [files] : Object.values(files).flat();
+  list.forEach((file) => {
+    if (file?.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+};
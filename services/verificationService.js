@@ -0,0 +1,169 @@
+// services/verificationService.js
+// Provider identity verification (KYC). Providers submit their Ghana Card
+// number, photos of both sides of the card and a selfie; an admin approves
+// or rejects. The photos are kept in the private storage bucket and only
+// admins get (short-lived, signed) links to them.
+import VerificationRequest from "../models/VerificationRequest.js";
+import Provider from "../models/Providers.js";
+import { notify } from "./notificationService.js";
+import { signedFileUrl } from "./storage/index.js";
+import { storeUploads, removeStoredFiles } from "./uploadService.js";
+import { HttpError } from "../utils/httpError.js";
+
+// GHA-123456789-0
+const GHANA_CARD_PATTERN = /^GHA-\d{9}-\d$/;
+
+// Admins review documents in one sitting; keep their links short-lived
+const DOCUMENT_URL_TTL_SECONDS = 5 * 60;
+
+export const normalizeGhanaCardNumber = (value) => {
+  const compact = String(value || "").toUpperCase().replace(/[\s-]/g, "");
+  const match = compact.match(/^GHA(\d{9})(\d)$/);
+  const formatted = match ? `GHA-${match[1]}-${match[2]}` : compact;
+  if (!GHANA_CARD_PATTERN.test(formatted)) {
+    throw new HttpError(400, "Enter a valid Ghana Card number, e.g. GHA-123456789-0");
+  }
+  return formatted;
+};
+
+const documentKeys = (request) =>
+  VerificationRequest.DOCUMENT_KINDS.map((kind) => request.documents?.[kind]).filter(Boolean);
+
+export const removeDocuments = (request) => removeStoredFiles("idDocument", documentKeys(request));
+
+/**
+ * Submit a verification request.
+ *
+ * @param {Document} provider
+ * @param {object}   input  { idNumber }
+ * @param {object}   files  multer .fields() result with idFront, idBack and selfie
+ */
+export const submitVerification = async (provider, input = {}, files = {}) => {
+  if (provider.isVerified) {
+    throw new HttpError(400, "Your identity is already verified");
+  }
+
+  const missing = VerificationRequest.DOCUMENT_KINDS.filter((kind) => !files[kind]?.[0]);
+  if (missing.length > 0) {
+    throw new HttpError(400, "Upload the front and back of your Ghana Card and a selfie", { missing });
+  }
+
+  const idNumber = normalizeGhanaCardNumber(input.idNumber);
+
+  const pending = await VerificationRequest.exists({ providerId: provider._id, status: "pending" });
+  if (pending) {
+    throw new HttpError(409, "You already have a verification request waiting for review");
+  }
+
+  const usedElsewhere = await VerificationRequest.exists({
+    idNumber,
+    providerId: { $ne: provider._id },
+    status: { $in: ["pending", "approved"] },
+  });
+  if (usedElsewhere) {
+    throw new HttpError(409, "This Ghana Card is already linked to another provider");
+  }
+
+  const kinds = VerificationRequest.DOCUMENT_KINDS;
+  const keys = await storeUploads("idDocument", kinds.map((kind) => files[kind][0]));
+  const documents = Object.fromEntries(kinds.map((kind, i) => [kind, keys[i]]));
+
+  let request;
+  try {
+    request = await VerificationRequest.create({
+      providerId: provider._id,
+      userId: provider.userId,
+      idNumber,
+      documents,
+    });
+  } catch (error) {
+    await removeStoredFiles("idDocument", keys);
+    throw error;
+  }
+
+  // Documents from earlier rejected attempts are no longer needed
+  const previous = await VerificationRequest.find({ providerId: provider._id, status: "rejected" });
+  await Promise.all(previous.map(removeDocuments));
+  await VerificationRequest.updateMany(
+    { _id: { $in: previous.map((item) => item._id) } },
+    { $unset: { documents: "" } }
+  );
+
+  console.log(`🪪 Verification submitted by provider ${provider._id}`);
+  return request;
+};
+
+export const latestVerification = (provider) =>
+  VerificationRequest.findOne({ providerId: provider._id }).sort({ createdAt: -1 });
+
+const assertPending = (request) => {
+  if (request.status !== "pending") {
+    throw new HttpError(400, `This request has already been ${request.status}`);
+  }
+};
+
+export const approveVerification = async (request, admin) => {
+  assertPending(request);
+
+  const now = new Date();
+  request.status = "approved";
+  request.rejectionReason = "";
+  request.reviewedBy = admin._id;
+  request.reviewedAt = now;
+  await request.save();
+
+  await Provider.updateOne(
+    { _id: request.providerId },
+    { $set: { isVerified: true, verificationMethod: "id-card", verificationDate: now } }
+  );
+
+  await notify(request.userId, "provider.verified", {
+    title: "You're verified",
+    body: "Your identity has been confirmed. A verified badge now shows on your profile.",
+    link: "/provider/profile",
+    data: { requestId: request._id, providerId: request.providerId },
+  });
+
+  return request;
+};
+
+export const rejectVerification = async (request, admin, reason) => {
+  assertPending(request);
+
+  const cleaned = String(reason || "").trim();
+  if (!cleaned) {
+    throw new HttpError(400, "Give a reason so the provider knows what to fix");
+  }
+
+  request.status = "rejected";
+  request.rejectionReason = cleaned.slice(0, 500);
+  request.reviewedBy = admin._id;
+  request.reviewedAt = new Date();
+  await request.save();
+
+  await notify(request.userId, "provider.verification-rejected", {
+    title: "Identity verification unsuccessful",
+    body: `Your ID check was not approved: ${request.rejectionReason}`,
+    link: "/provider/profile",
+    data: { requestId: request._id, providerId: request.providerId },
+  });
+
+  return request;
+};
+
+/**
+ * Signed links to a request's documents ({ idFront, idBack, selfie }), for admins
+ */
+export const documentUrls = (request) =>
+  Object.fromEntries(
+    VerificationRequest.DOCUMENT_KINDS
+      .filter((kind) => request.documents?.[kind])
+      .map((kind) => [kind, signedFileUrl(request.documents[kind], { expiresIn: DOCUMENT_URL_TTL_SECONDS })])
+  );
+
+// Remove every verification request (and its documents) for deleted providers
+export const deleteProviderVerifications = async (providerIds) => {
+  const requests = await VerificationRequest.find({ providerId: { $in: providerIds } });
+  await Promise.all(requests.map(removeDocuments));
+  await VerificationRequest.deleteMany({ providerId: { $in: providerIds } });
+};
@@ -1,4 +1,81 @@
 // utils/emailTemplates.js
+
+// Shared by every template below
+const BASE_STYLES = `
+  body {
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    line-height: 1.6;
+    color: #333;
+    margin: 0;
+    padding: 0;
+    background-color: #f7f9fc;
+  }
+  .container {
+    max-width: 600px;
+    margin: 0 auto;
+    padding: 20px;
+    background-color: #ffffff;
+    border-radius: 10px;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  }
+  .header {
+    text-align: center;
+    padding: 20px 0;
+    background-color: #0099cc;
+    border-radius: 10px 10px 0 0;
+    color: white;
+  }
+  .logo {
+    font-size: 24px;
+    font-weight: bold;
+    color: white;
+    text-decoration: none;
+  }
+  .content {
+    padding: 30px;
+  }
+  .title {
+    color: #0099cc;
+    font-size: 24px;
+    margin-bottom: 20px;
+  }
+  .button {
+    display: inline-block;
+    background-color: #0099cc;
+    color: white;
+    padding: 12px 30px;
+    text-decoration: none;
+    border-radius: 5px;
+    font-weight: bold;
+    margin: 20px 0;
+  }
+  .footer {
+    text-align: center;
+    padding: 20px;
+    color: #666;
+    font-size: 14px;
+    border-top: 1px solid #eee;
+  }
+  .verification-link {
+    background-color: #f0f8ff;
+    padding: 15px;
+    border-radius: 5px;
+    margin: 20px 0;
+    word-break: break-all;
+    font-family: monospace;
+    color: #333;
+  }
+`;
+
+// Notification titles and bodies carry user-written text (task titles, names, reasons)
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 export const verificationEmailTemplate = (name, verificationLink) => {
   return `
     <!DOCTYPE html>
@@ -8,69 +85,7 @@ export const verificationEmailTemplate = (name, verificationLink) => {
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <title>Verify Your Email</title>
       <style>
-        body {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-          line-height: 1.6;
-          color: #333;
-          margin: 0;
-          padding: 0;
-          background-color: #f7f9fc;
-        }
-        .container {
-          max-width: 600px;
-          margin: 0 auto;
-          padding: 20px;
-          background-color: #ffffff;
-          border-radius: 10px;
-          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-        }
-        .header {
-          text-align: center;
-          padding: 20px 0;
-          background-color: #0099cc;
-          border-radius: 10px 10px 0 0;
-          color: white;
-        }
-        .logo {
-          font-size: 24px;
-          font-weight: bold;
-          color: white;
-          text-decoration: none;
-        }
-        .content {
-          padding: 30px;
-        }
-        .title {
-          color: #0099cc;
-          font-size: 24px;
-          margin-bottom: 20px;
-        }
-        .button {
-          display: inline-block;
-          background-color: #0099cc;
-          color: white;
-          padding: 12px 30px;
-          text-decoration: none;
-          border-radius: 5px;
-          font-weight: bold;
-          margin: 20px 0;
-        }
-        .footer {
-          text-align: center;
-          padding: 20px;
-          color: #666;
-          font-size: 14px;
-          border-top: 1px solid #eee;
-        }
-        .verification-link {
-          background-color: #f0f8ff;
-          padding: 15px;
-          border-radius: 5px;
-          margin: 20px 0;
-          word-break: break-all;
-          font-family: monospace;
-          color: #333;
-        }
+        ${BASE_STYLES}
       </style>
     </head>
     <body>
@@ -112,7 +127,7 @@ export const welcomeEmailTemplate = (name) => {
     <html>
     <head>
       <style>
-        /* Similar styling as above */
+        ${BASE_STYLES}
       </style>
     </head>
     <body>
@@ -150,4 +165,38 @@ export const welcomeEmailTemplate = (name) => {
     </body>
     </html>
   `;
-};
\ No newline at end of file
+};
+
+export const notificationEmailTemplate = (name, title, body, actionLink) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        ${BASE_STYLES}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">WorkIsReady</div>
+        </div>
+        <div class="content">
+          <h1 class="title">${escapeHtml(title)}</h1>
+          <p>Hello <strong>${escapeHtml(name || "there")}</strong>,</p>
+          <p>${escapeHtml(body)}</p>
+          ${actionLink ? `
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(actionLink)}" class="button">View on WorkIsReady</a>
+          </div>` : ""}
+          <p>You can change which notifications you receive in your account settings.</p>
+          <p>Best regards,<br>The WorkIsReady Team</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} WorkIsReady. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
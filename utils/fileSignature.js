@@ -0,0 +1,57 @@
+// utils/fileSignature.js
+// Checks a file's leading bytes ("magic numbers") against its extension, so a
+// renamed executable or HTML page can't pass as a JPEG. Browsers send the
+// mimetype from the extension, so neither of those proves what a file is.
+import fs from "fs";
+
+const bytes = (...values) => Buffer.from(values);
+const text = (value) => Buffer.from(value, "latin1");
+
+const startsWith = (buffer, signature, offset = 0) =>
+  buffer.length >= offset + signature.length && buffer.subarray(offset, offset + signature.length).equals(signature);
+
+const CHECKS = {
+  jpeg: (buffer) => startsWith(buffer, bytes(0xff, 0xd8, 0xff)),
+  png: (buffer) => startsWith(buffer, bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)),
+  gif: (buffer) => startsWith(buffer, text("GIF87a")) || startsWith(buffer, text("GIF89a")),
+  webp: (buffer) => startsWith(buffer, text("RIFF")) && startsWith(buffer, text("WEBP"), 8),
+  pdf: (buffer) => startsWith(buffer, text("%PDF-")),
+  // Legacy Office (OLE compound file) and Office Open XML (a zip archive)
+  doc: (buffer) => startsWith(buffer, bytes(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1)),
+  docx: (buffer) => startsWith(buffer, text("PK\x03\x04")),
+  // No magic number; binary files give themselves away with NUL bytes
+  txt: (buffer) => !buffer.includes(0),
+};
+
+const EXTENSIONS = {
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".png": "png",
+  ".gif": "gif",
+  ".webp": "webp",
+  ".pdf": "pdf",
+  ".doc": "doc",
+  ".docx": "docx",
+  ".txt": "txt",
+};
+
+// Enough for every signature above and a fair sample of a text file
+const SAMPLE_BYTES = 4096;
+
+/**
+ * Whether a file on disk really is the type its extension claims.
+ * Unknown extensions never match.
+ */
+export const matchesSignature = async (filePath, extension) => {
+  const check = CHECKS[EXTENSIONS[String(extension).toLowerCase()]];
+  if (!check) return false;
+
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SAMPLE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+    return check(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
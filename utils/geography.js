@@ -0,0 +1,242 @@
+// utils/geography.js
+// Lookups over the canonical Ghana geography in data/ghanaGeography.js.
+// Everything that reads or writes a region, district or city goes through
+// here so records store the same IDs and spellings.
+import { ghanaRegions } from "../data/ghanaGeography.js";
+import { HttpError } from "./httpError.js";
+
+// "Greater Accra Region", "greater-accra" and "GREATER ACCRA" share one key
+const toKey = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\bregion\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// District names are often typed without the assembly type
+const districtKey = (value) => toKey(value).replace(/\b(metropolitan|municipal|district|assembly)\b/g, "").replace(/\s+/g, " ").trim();
+
+const regionIndex = new Map();
+const districtIndex = new Map();
+const districtsById = new Map();
+
+ghanaRegions.forEach((region) => {
+  [region.id, region.name, ...region.aliases].forEach((name) => regionIndex.set(toKey(name), region));
+
+  region.districts.forEach((district) => {
+    const entry = { ...district, regionId: region.id };
+    districtsById.set(district.id, entry);
+    [district.id, district.name].forEach((name) => {
+      districtIndex.set(toKey(name), entry);
+      districtIndex.set(districtKey(name), entry);
+    });
+  });
+});
+
+export const REGION_NAMES = ghanaRegions.map((region) => region.name);
+
+export const listRegions = () =>
+  ghanaRegions.map(({ id, name, capital, districts }) => ({
+    id,
+    name,
+    capital,
+    districtCount: districts.length,
+  }));
+
+export const getRegion = (id) => ghanaRegions.find((region) => region.id === id) || null;
+
+export const getDistrict = (id) => districtsById.get(id) || null;
+
+/**
+ * Find a region by ID, name or alias ("Accra", "Greater Accra Region")
+ */
+export const findRegion = (value) => (value ? regionIndex.get(toKey(value)) || null : null);
+
+/**
+ * Find a district by ID or name, optionally limited to one region
+ */
+export const findDistrict = (value, regionId = null) => {
+  if (!value) return null;
+  const district = districtIndex.get(toKey(value)) || districtIndex.get(districtKey(value)) || null;
+  if (district && regionId && district.regionId !== regionId) return null;
+  return district;
+};
+
+/**
+ * Find a town by name, returning its canonical spelling and district.
+ * Narrow by district or region when known; towns like "Odumase" exist twice.
+ */
+export const findTown = (value, { regionId = null, districtId = null } = {}) => {
+  const key = toKey(value);
+  if (!key) return null;
+
+  const candidates = districtId
+    ? [getDistrict(districtId)].filter(Boolean)
+    : regionId
+      ? getRegion(regionId)?.districts.map((d) => getDistrict(d.id)) || []
+      : [...districtsById.values()];
+
+  const matches = [];
+  candidates.forEach((district) => {
+    const town = district.towns.find((name) => toKey(name) === key);
+    if (town) matches.push({ name: town, districtId: district.id, regionId: district.regionId });
+  });
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Search regions, districts and towns by name prefix (for autocomplete)
+ */
+export const searchPlaces = (query, limit = 20) => {
+  const key = toKey(query);
+  if (!key) return [];
+
+  const results = [];
+  const matches = (name) => toKey(name).startsWith(key) || toKey(name).includes(` ${key}`);
+
+  ghanaRegions.forEach((region) => {
+    if (matches(region.name) || region.aliases.some(matches)) {
+      results.push({ type: "region", id: region.id, name: region.name, regionId: region.id });
+    }
+    region.districts.forEach((district) => {
+      if (matches(district.name)) {
+        results.push({ type: "district", id: district.id, name: district.name, regionId: region.id });
+      }
+      district.towns.forEach((town) => {
+        if (matches(town)) {
+          results.push({ type: "town", name: town, districtId: district.id, regionId: region.id });
+        }
+      });
+    });
+  });
+
+  return results.slice(0, limit);
+};
+
+/**
+ * Validate and normalise a location to canonical names and IDs.
+ *
+ * Only the fields present in the input are returned, so the result can be
+ * assigned straight onto a document for partial updates. An empty region
+ * clears it. Districts and towns outside the reference data are kept as
+ * typed (with a null districtId) since the district list is not exhaustive;
+ * an unknown region, or a district from another region, is rejected.
+ *
+ * @param {object} input
+ * @param {string} [input.region]
+ * @param {string} [input.district]
+ * @param {string} [input.city]
+ * @param {object} [current] Stored location, used to resolve partial updates
+ * @returns {{ region?, regionId?, district?, districtId?, city? }}
+ * @throws {HttpError} 400 on an unknown region or mismatched district
+ */
+export const normalizeLocation = ({ region, district, city } = {}, current = {}) => {
+  const result = {};
+  let regionEntry = null;
+
+  if (region !== undefined) {
+    if (String(region || "").trim()) {
+      regionEntry = findRegion(region);
+      if (!regionEntry) {
+        throw new HttpError(400, `Unknown region "${region}". Must be one of: ${REGION_NAMES.join(", ")}`);
+      }
+      result.region = regionEntry.name;
+      result.regionId = regionEntry.id;
+    } else {
+      result.region = "";
+      result.regionId = null;
+    }
+  } else if (current.region) {
+    regionEntry = findRegion(current.regionId || current.region);
+  }
+
+  let districtEntry = null;
+  if (district !== undefined) {
+    const typed = String(district || "").trim();
+    districtEntry = findDistrict(typed);
+
+    if (districtEntry && regionEntry && districtEntry.regionId !== regionEntry.id) {
+      throw new HttpError(400, `District "${typed}" is not in the ${regionEntry.name} region`);
+    }
+
+    result.district = districtEntry ? districtEntry.name : typed;
+    result.districtId = districtEntry ? districtEntry.id : null;
+  } else if (current.district) {
+    districtEntry = findDistrict(current.districtId || current.district, regionEntry?.id);
+  }
+
+  if (city !== undefined) {
+    const typed = String(city || "").trim();
+    const town = findTown(typed, { regionId: regionEntry?.id, districtId: districtEntry?.id });
+    result.city = town ? town.name : typed;
+  }
+
+  // A known district pins down the region when none was given
+  if (districtEntry && !regionEntry && region === undefined && !current.region) {
+    const inferred = getRegion(districtEntry.regionId);
+    result.region = inferred.name;
+    result.regionId = inferred.id;
+  }
+
+  return result;
+};
+
+/**
+ * Query filter for a region given by ID, name or alias. Unknown values fall
+ * back to an exact match on the stored name.
+ */
+export const regionFilter = (value) => {
+  const region = findRegion(value);
+  return region ? { regionId: region.id } : { region: String(value).trim() };
+};
+
+/**
+ * Parse a lat/lng pair into a GeoJSON point.
+ *
+ * @returns {object|null|undefined} the point, null when both are blank (clear
+ *   the pin) or undefined when neither was sent (leave it alone)
+ * @throws {HttpError} 400 when only one is given or either is out of range
+ */
+export const parseGeoPoint = (lat, lng) => {
+  if (lat === undefined && lng === undefined) return undefined;
+
+  const blank = (value) => value === null || String(value).trim() === "";
+  if (blank(lat) && blank(lng)) return null;
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (blank(lat) || blank(lng) || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new HttpError(400, "Both lat and lng must be numbers");
+  }
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw new HttpError(400, "lat must be between -90 and 90 and lng between -180 and 180");
+  }
+
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+/**
+ * Parse a search radius in kilometres, clamped to [0.1, max]
+ */
+export const parseRadiusKm = (value, { fallback = 10, max = 100 } = {}) => {
+  const radius = parseFloat(value);
+  if (!Number.isFinite(radius) || radius <= 0) return fallback;
+  return Math.min(Math.max(radius, 0.1), max);
+};
+
+/**
+ * Great-circle distance in km between two GeoJSON points (null if either is missing)
+ */
+export const distanceKm = (a, b) => {
+  if (!a?.coordinates?.length || !b?.coordinates?.length) return null;
+
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
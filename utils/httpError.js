@@ -0,0 +1,32 @@
+// utils/httpError.js
+
+/**
+ * Error carrying an HTTP status code, thrown by services so that
+ * routes can answer with the right status instead of a generic 500
+ */
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error as the standard { success, message } JSON response
+ */
+export const sendError = (res, error, fallbackMessage = "Server error") => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: `${fallbackMessage}: ${error.message}`,
+  });
+};
@@ -0,0 +1,45 @@
+// utils/phone.js
+// Ghana phone number helpers. Numbers are stored and sent in E.164 (+233XXXXXXXXX).
+
+const GHANA_E164 = /^\+233[2-5]\d{8}$/;
+
+/**
+ * Normalize a Ghanaian phone number to E.164.
+ * Accepts "024 123 4567", "0241234567", "233241234567", "+233 24 123 4567".
+ * @returns {string|null} "+233241234567" or null when the number is not valid
+ */
+export const normalizeGhanaPhone = (input) => {
+  if (!input) return null;
+
+  let digits = input.toString().replace(/[\s\-().]/g, "");
+
+  if (digits.startsWith("+")) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith("00")) {
+    digits = digits.slice(2);
+  }
+
+  if (!/^\d+$/.test(digits)) return null;
+
+  let national;
+  if (digits.startsWith("233")) {
+    national = digits.slice(3);
+  } else if (digits.startsWith("0")) {
+    national = digits.slice(1);
+  } else {
+    national = digits;
+  }
+
+  const e164 = `+233${national}`;
+  return GHANA_E164.test(e164) ? e164 : null;
+};
+
+export const isValidGhanaPhone = (input) => normalizeGhanaPhone(input) !== null;
+
+/**
+ * Hide all but the last 3 digits, e.g. "+233*******567"
+ */
+export const maskPhone = (phone) => {
+  if (!phone) return "";
+  return phone.slice(0, 4) + "*".repeat(Math.max(phone.length - 7, 0)) + phone.slice(-3);
+};